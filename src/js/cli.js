@@ -0,0 +1,108 @@
+// Headless command line export
+//
+// e.g.:
+//   storyboarder export --format pdf path/to/project.storyboarder
+//   storyboarder export --format mp4 --output ~/Desktop path/to/project.storyboarder
+//
+// the exported file or folder is printed to stdout
+const fs = require('fs')
+const path = require('path')
+
+const FORMATS = ['pdf', 'mp4', 'fcpxml', 'zip', 'png', 'otio', 'edl', 'shot-list', 'fdx']
+
+const EXIT_SUCCESS = 0
+const EXIT_EXPORT_FAILED = 1
+const EXIT_USAGE = 2
+
+const usage = `Usage: storyboarder export --format <${FORMATS.join('|')}> [--output <folder>] <project.storyboarder>`
+
+// argv without the electron executable (and app path, in dev)
+const isCommand = argv => argv[0] === 'export'
+
+const parseArgs = argv => {
+  let [command, ...args] = argv
+
+  if (command !== 'export') {
+    throw new Error(`Unknown command: ${command}`)
+  }
+
+  let options = {}
+  let filePath
+  for (let i = 0; i < args.length; i++) {
+    let arg = args[i]
+
+    // --format pdf, --format=pdf
+    let match = arg.match(/^--(format|output)(?:=(.*))?$/)
+    if (match) {
+      let [, name, value = args[++i]] = match
+      if (value == null || !value.length) {
+        throw new Error(`Missing value for --${name}`)
+      }
+      options[name] = value
+
+    } else if (arg.startsWith('-')) {
+      throw new Error(`Unknown option: ${arg}`)
+
+    } else if (filePath) {
+      throw new Error('Only one project can be exported at a time')
+
+    } else {
+      filePath = arg
+    }
+  }
+
+  if (!options.format) {
+    throw new Error('Missing --format')
+  }
+  if (!FORMATS.includes(options.format)) {
+    throw new Error(`Unknown format: ${options.format}`)
+  }
+  if (!filePath) {
+    throw new Error('Missing project file')
+  }
+  if (path.extname(filePath) !== '.storyboarder') {
+    throw new Error(`Not a .storyboarder file: ${filePath}`)
+  }
+
+  return {
+    command,
+    format: options.format,
+    filePath: path.resolve(filePath),
+    outputPath: options.output ? path.resolve(options.output) : undefined
+  }
+}
+
+// resolves with the exit code
+const run = async argv => {
+  let args
+  try {
+    args = parseArgs(argv)
+    if (!fs.existsSync(args.filePath)) {
+      throw new Error(`File not found: ${args.filePath}`)
+    }
+  } catch (err) {
+    console.error(err.message)
+    console.error(usage)
+    return EXIT_USAGE
+  }
+
+  try {
+    const headlessExport = require('./windows/headless-export/main')
+    let outputPath = await headlessExport.run(args)
+    console.log(outputPath)
+    return EXIT_SUCCESS
+  } catch (err) {
+    console.error(`Export failed: ${err.message}`)
+    return EXIT_EXPORT_FAILED
+  }
+}
+
+module.exports = {
+  FORMATS,
+  EXIT_SUCCESS,
+  EXIT_EXPORT_FAILED,
+  EXIT_USAGE,
+  isCommand,
+  parseArgs,
+  run
+}
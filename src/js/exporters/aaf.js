@@ -0,0 +1,156 @@
+// Storyboarder timeline XML: the scene's timeline, laid out like an AAF composition
+// https://www.amwa.tv/aaf (AAF Object Specification)
+//
+// This is NOT an AAF file, and editors can't import it. It follows no published
+// AAF-XML schema, it's for scripts and tools which read Storyboarder's exports.
+// Editors can conform the animatic from the EDL written alongside it (see: edl.js).
+//
+// A composition with one picture track of clips, one master mob per board,
+// each referring to a source mob for the board's exported image.
+// Dialogue, action and notes are the master mob's user comments.
+// Names of classes and properties follow the AAF object model.
+const crypto = require('crypto')
+const path = require('path')
+
+const { msecsToFrames } = require('./common')
+const { boardDuration, boardFilenameForExport } = require('../models/board')
+const util = require('../utils')
+
+// the SMPTE UMID prefix for AAF mobs, followed by a 16 byte material number
+const UMID_PREFIX = 'urn:smpte:umid:060a2b34.01010105.01010f20.13000000'
+
+const escapeXml = string =>
+  string
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;')
+
+// the same mob id each time the scene is exported, so a re-export relinks
+const mobId = key => {
+  let hex = crypto.createHash('md5').update(key).digest('hex')
+  return `${UMID_PREFIX}.${hex.match(/.{8}/g).join('.')}`
+}
+
+// e.g.: 24/1, 24000/1001 (23.976), 30000/1001 (29.97)
+const editRate = fps =>
+  fps % 1 > 0
+    ? `${Math.ceil(fps) * 1000}/1001`
+    : `${fps}/1`
+
+const taggedValue = ([name, value]) => `
+              <TaggedValue>
+                <Name>${escapeXml(name)}</Name>
+                <Value>${escapeXml(value)}</Value>
+              </TaggedValue>`
+
+const sourceClip = ({ length, sourceMobId }) => `
+                      <SourceClip>
+                        <ComponentDataDefinition>DataDef_Picture</ComponentDataDefinition>
+                        <Length>${length}</Length>
+                        <StartPosition>0</StartPosition>
+                        <SourceMobID>${sourceMobId}</SourceMobID>
+                        <SourceMobSlotID>1</SourceMobSlotID>
+                      </SourceClip>`
+
+const timelineMobSlot = (data, segment) => `
+            <Slots>
+              <TimelineMobSlot>
+                <SlotID>1</SlotID>
+                <SlotName>V1</SlotName>
+                <EditRate>${data.editRate}</EditRate>
+                <Origin>0</Origin>
+                <Segment>${segment}
+                </Segment>
+              </TimelineMobSlot>
+            </Slots>`
+
+const masterMob = (data, clip) => `
+          <MasterMob>
+            <MobID>${clip.masterMobId}</MobID>
+            <Name>${escapeXml(clip.name)}</Name>${clip.comments.length ? `
+            <UserComments>${clip.comments.map(taggedValue).join('')}
+            </UserComments>` : ''}${timelineMobSlot(data, sourceClip({ length: clip.length, sourceMobId: clip.sourceMobId }))}
+          </MasterMob>
+          <SourceMob>
+            <MobID>${clip.sourceMobId}</MobID>
+            <Name>${escapeXml(clip.name)}</Name>
+            <EssenceDescription>
+              <ImportDescriptor>
+                <Locator>
+                  <NetworkLocator>
+                    <URLString>${escapeXml(clip.url)}</URLString>
+                  </NetworkLocator>
+                </Locator>
+              </ImportDescriptor>
+            </EssenceDescription>
+          </SourceMob>`
+
+const generateAaf = data =>
+`<?xml version="1.0" encoding="UTF-8"?>
+<StoryboarderTimeline version="1">
+  <Preface>
+    <ContentStorageObject>
+      <ContentStorage>
+        <Mobs>
+          <CompositionMob>
+            <MobID>${data.compositionMobId}</MobID>
+            <Name>${escapeXml(data.title)}</Name>${timelineMobSlot(data, `
+                  <Sequence>
+                    <ComponentDataDefinition>DataDef_Picture</ComponentDataDefinition>
+                    <Length>${data.length}</Length>
+                    <Components>${data.clips.map(clip => sourceClip({ length: clip.length, sourceMobId: clip.masterMobId })).join('')}
+                    </Components>
+                  </Sequence>`)}
+          </CompositionMob>${data.clips.map(clip => masterMob(data, clip)).join('')}
+        </Mobs>
+      </ContentStorage>
+    </ContentStorageObject>
+  </Preface>
+</StoryboarderTimeline>
+`
+
+const generateAafData = (boardData, { projectFileAbsolutePath }) => {
+  let extname = path.extname(projectFileAbsolutePath)
+  let basenameWithoutExt = path.basename(projectFileAbsolutePath, extname)
+
+  let clips = []
+  let currFrame = 0
+  let index = 0
+  for (let board of boardData.boards) {
+    let filename = util.dashed(boardFilenameForExport(board, index, basenameWithoutExt))
+
+    // the same frame count as the EDL, see edl.js
+    let length = Math.round(msecsToFrames(boardData.fps, boardDuration(boardData, board)))
+
+    clips.push({
+      name: filename,
+      url: `./${encodeURI(filename)}`,
+      length,
+      masterMobId: mobId(`${basenameWithoutExt}/${board.uid}/master`),
+      sourceMobId: mobId(`${basenameWithoutExt}/${board.uid}/source`),
+      comments: [
+        ['Dialogue', board.dialogue],
+        ['Action', board.action],
+        ['Notes', board.notes]
+      ].filter(([, text]) => text && text.trim().length)
+    })
+
+    currFrame += length
+    index++
+  }
+
+  return {
+    title: basenameWithoutExt,
+    compositionMobId: mobId(basenameWithoutExt),
+    editRate: editRate(boardData.fps),
+    length: currFrame,
+    clips
+  }
+}
+
+module.exports = {
+  generateAafData,
+  generateAaf
+}
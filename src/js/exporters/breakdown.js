@@ -0,0 +1,131 @@
+const fs = require('fs')
+const path = require('path')
+const pdfDocument = require('pdfkit')
+const moment = require('moment')
+
+const { formatPageEighths } = require('../models/breakdown')
+const { csvField } = require('./common')
+const util = require('../utils/index')
+
+// [key, label, format]
+const COLUMNS = [
+  ['number', 'Scene', String],
+  ['slugline', 'Slugline', String],
+  ['location', 'Location', String],
+  ['characters', 'Characters', characters => characters.join(', ')],
+  ['pageEighths', 'Pages', formatPageEighths],
+  ['boards', 'Boards', String],
+  ['duration', 'Duration', util.msToTime]
+]
+
+const getTotals = scenes => ({
+  number: '',
+  slugline: 'TOTAL',
+  location: '',
+  characters: util.uniq(scenes.reduce((all, scene) => all.concat(scene.characters), [])),
+  pageEighths: scenes.reduce((sum, scene) => sum + scene.pageEighths, 0),
+  boards: scenes.reduce((sum, scene) => sum + scene.boards, 0),
+  duration: scenes.reduce((sum, scene) => sum + scene.duration, 0),
+  isTotal: true
+})
+
+// the duration is also listed in seconds, so it can be summed in a spreadsheet
+const generateBreakdownCsv = scenes =>
+  [
+    [...COLUMNS.map(([, label]) => label), 'Duration (s)'],
+    ...scenes.map(scene => [
+      ...COLUMNS.map(([key, , format]) => format(scene[key])),
+      scene.duration / 1000
+    ])
+  ]
+  .map(fields => fields.map(csvField).join(','))
+  .join('\r\n') + '\r\n'
+
+const writeBreakdownPdf = (scenes, { title }, filepath) =>
+  new Promise((resolve, reject) => {
+    let doc = new pdfDocument({ size: 'LETTER', layout: 'landscape', margin: 0 })
+
+    doc.registerFont('thin', path.join(__dirname, '..', '..', 'fonts', 'thicccboi', 'THICCCBOI-Thin.ttf'))
+    doc.registerFont('bold', path.join(__dirname, '..', '..', 'fonts', 'thicccboi', 'THICCCBOI-Bold.ttf'))
+
+    let stream = doc.pipe(fs.createWriteStream(filepath))
+    stream.on('finish', () => resolve(filepath))
+    stream.on('error', reject)
+
+    let margin = 22
+    let headerHeight = 40
+    let rowHeight = 24
+
+    let widths = [36, 220, 150, 0, 44, 40, 50]
+    widths[3] = doc.page.width - margin * 2 - widths.reduce((sum, width) => sum + width, 0)
+
+    let rows = [...scenes, getTotals(scenes)]
+    let rowsPerPage = Math.floor((doc.page.height - margin * 2 - headerHeight - 12) / rowHeight)
+    let pages = Math.max(1, Math.ceil(rows.length / rowsPerPage))
+
+    for (let page = 0; page < pages; page++) {
+      if (page > 0) doc.addPage()
+
+      doc.font('bold')
+      doc.fontSize(13)
+      doc.text(title.toUpperCase(), margin, margin, { align: 'left' })
+      doc.font('thin')
+      doc.fontSize(5)
+      doc.text('SCRIPT BREAKDOWN: ' + moment().format('LL').toUpperCase(), margin, margin + 16, { align: 'left' })
+      doc.fontSize(7)
+      doc.text('Page: ' + (page + 1) + ' / ' + pages, doc.page.width - margin - 50, margin, { width: 50, align: 'right' })
+
+      let y = margin + headerHeight
+      let x = margin
+      doc.font('bold')
+      doc.fontSize(5)
+      COLUMNS.forEach(([, label], n) => {
+        doc.text(label.toUpperCase(), x, y, { width: widths[n] - 4 })
+        x += widths[n]
+      })
+      y += 12
+
+      for (let row of rows.slice(page * rowsPerPage, (page + 1) * rowsPerPage)) {
+        x = margin
+        doc.font(row.isTotal ? 'bold' : 'thin')
+        doc.fontSize(7)
+        COLUMNS.forEach(([key, , format], n) => {
+          doc.text(format(row[key]), x, y, {
+            width: widths[n] - 4,
+            height: rowHeight - 6,
+            ellipsis: true
+          })
+          x += widths[n]
+        })
+
+        y += rowHeight
+        doc.moveTo(margin, y - 4).lineTo(doc.page.width - margin, y - 4)
+        doc.lineWidth(0.1).stroke()
+      }
+    }
+
+    doc.end()
+  })
+
+/**
+ * Writes the breakdown as CSV and PDF into `outputPath`
+ * @param {array} scenes see models/breakdown.js `getBreakdownForScriptData`
+ * @param {object} options { title:string, outputPath:string }
+ * @returns {Promise} resolves with an array of the absolute paths to the exported files
+ */
+const exportBreakdown = async (scenes, { title, outputPath }) => {
+  let basename = util.dashed(title + ' Breakdown')
+
+  let csvFilePath = path.join(outputPath, basename + '.csv')
+  fs.writeFileSync(csvFilePath, generateBreakdownCsv(scenes))
+
+  return [
+    csvFilePath,
+    await writeBreakdownPdf(scenes, { title }, path.join(outputPath, basename + '.pdf'))
+  ]
+}
+
+module.exports = {
+  generateBreakdownCsv,
+  exportBreakdown
+}
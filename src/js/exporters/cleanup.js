@@ -3,6 +3,7 @@ const path = require('path')
 const trash = require('trash')
 
 const boardModel = require('../models/board')
+const audioTracksModel = require('../models/audio-tracks')
 const util = require('../utils')
 
 const zip = (a, b) => a.map((v, n) => [v, b[n]])
@@ -49,13 +50,23 @@ const cleanupScene = (absolutePathToStoryboarderFile, trashFn = trash) => {
         }
       })
 
+      // ... same for audio lane clips
+      for (let clip of audioTracksModel.getClips(boardData)) {
+        if (!fs.existsSync(path.join(absolutePathToImagesFolder, clip.filename))) {
+          audioTracksModel.removeClip(boardData, clip.id)
+        }
+      }
+
       //
       //
       // find and delete unused files ...
       //
 
-      // ... first, find all used filenames for: layers, thumbnails, links
-      const usedFiles = flatten(boardData.boards.map(boardModel.getMediaFilenames))
+      // ... first, find all used filenames for: layers, thumbnails, links, audio lanes
+      const usedFiles = [
+        ...flatten(boardData.boards.map(boardModel.getMediaFilenames)),
+        ...audioTracksModel.getFilenames(boardData)
+      ]
 
       const allFiles = fs.readdirSync(absolutePathToImagesFolder)
       const unusedFiles = allFiles.filter(filename => !usedFiles.includes(filename))
@@ -7,6 +7,7 @@ const {
   boardFilenameForExport,
   boardOrderedLayerFilenames
 } = require('../models/board')
+const { COMPOSITE_OPERATIONS } = require('../models/user-layers')
 
 const util = require('../utils')
 
@@ -15,6 +16,14 @@ const DEFAULT_REFERENCE_LAYER_OPACITY = 0.75
 const msecsToFrames = (fps, value) =>
   (fps/1000) * value
 
+// via RFC 4180
+const csvField = value => {
+  let string = value == null ? '' : value.toString()
+  return /[",\r\n]/.test(string)
+    ? '"' + string.replace(/"/g, '""') + '"'
+    : string
+}
+
 const getImage = async url => {
   return new Promise((resolve, reject) => {
     let img = new Image()
@@ -98,7 +107,7 @@ const getCanvasImageSourcesDataForBoard = (board, projectFileAbsolutePath) => {
   const REFERENCE_LAYER_INDEX = 1
 
   return new Promise((resolve, reject) => {
-    let { indices, filenames } = boardOrderedLayerFilenames(board)
+    let { indices, filenames, userLayers } = boardOrderedLayerFilenames(board)
     
     // Log to file in the same folder as GIFs and PDF exports
     const gifsDir = path.join(path.dirname(projectFileAbsolutePath), 'gifs')
@@ -134,11 +143,14 @@ const getCanvasImageSourcesDataForBoard = (board, projectFileAbsolutePath) => {
       let canvasImageSourcesData = []
       images.forEach((canvasImageSource, n) => {
         let layerIndex = indices[n]
+        let userLayer = userLayers[n]
         const filename = filenames[n]
         
         logToFile(`[getCanvasImageSourcesDataForBoard] Image ${n} (${filename}): ${canvasImageSource ? 'loaded' : 'FAILED TO LOAD'}`)
         
-        if (canvasImageSource) {
+        if (userLayer && !userLayer.visible) {
+          logToFile(`[getCanvasImageSourcesDataForBoard] Skipping hidden layer ${filename}`)
+        } else if (canvasImageSource) {
           logToFile(`[getCanvasImageSourcesDataForBoard] Image ${n} dimensions: ${canvasImageSource.width}x${canvasImageSource.height}`)
 
           // default opacity for all layers is 1
@@ -158,10 +170,17 @@ const getCanvasImageSourcesDataForBoard = (board, projectFileAbsolutePath) => {
             }
           }
 
+          if (userLayer) {
+            opacity = userLayer.opacity
+          }
+
           canvasImageSourcesData.push({
             image: canvasImageSource,
             layerIndex: layerIndex,
-            opacity: opacity
+            opacity: opacity,
+            compositeOperation: userLayer
+              ? COMPOSITE_OPERATIONS[userLayer.blendMode]
+              : undefined
           })
         } else {
           logToFile(`[getCanvasImageSourcesDataForBoard] ERROR: Failed to load image ${filename}`)
@@ -181,7 +200,7 @@ const getCanvasImageSourcesDataForBoard = (board, projectFileAbsolutePath) => {
  * Given an given an array of layer description objects (CanvasImageSourcesData),
  *  draws a flattened image to the context
  * @param {CanvasRenderingContext2D} context reference to the destination context
- * @param {array} canvasImageSourcesData array of layer description objects: { canvasImageSource:CanvasImageSource, opacity:int }:CanvasImageSourcesData
+ * @param {array} canvasImageSourcesData array of layer description objects: { canvasImageSource:CanvasImageSource, opacity:int, compositeOperation:string }:CanvasImageSourcesData
  * @param {array} size [width:int, height:int]
  */
 const flattenCanvasImageSourcesDataToContext = (context, canvasImageSourcesData, size) => {
@@ -198,6 +217,7 @@ const flattenCanvasImageSourcesDataToContext = (context, canvasImageSourcesData,
     let source = canvasImageSourcesData[i]
     console.log(`[flattenCanvasImageSourcesDataToContext] Drawing source ${i}: ${source.image.width}x${source.image.height} with opacity ${source.opacity}`)
     context.globalAlpha = source.opacity
+    context.globalCompositeOperation = source.compositeOperation || 'source-over'
     
     // Draw image at full resolution - the high-DPI canvas will handle the scaling
     context.drawImage(source.image, 0, 0, size[0], size[1])
@@ -287,6 +307,7 @@ module.exports = {
   DEFAULT_REFERENCE_LAYER_OPACITY,
 
   msecsToFrames,
+  csvField,
   getImage,
   exportFlattenedBoard,
   flattenCanvasImageSourcesDataToContext,
@@ -3,12 +3,14 @@ const path = require('path')
 const R = require('ramda')
 
 const boardModel = require('../models/board')
+const audioTracksModel = require('../models/audio-tracks')
 const shotGeneratorDataModel = require('../models/shot-generator-data')
 
 const util = require('../utils')
 
 const getRelativeMediaPathsUsedByScene = (scene, options = { copyBoardUrlMainImages: false}) =>
   R.flatten(scene.boards.map(boardModel.getMediaFilenames))
+    .concat(audioTracksModel.getFilenames(scene))
 
 const getAllAbsoluteFilePathsUsedByScene = (srcFilePath, options = { copyBoardUrlMainImages: false }) => {
   let srcFolderPath = path.dirname(srcFilePath)
@@ -0,0 +1,107 @@
+// CMX3600 Edit Decision List
+// https://xmil.biz/EDL-X/CMX3600.pdf
+const path = require('path')
+
+const { msecsToFrames } = require('./common')
+const { boardDuration, boardFilenameForExport } = require('../models/board')
+const util = require('../utils')
+
+// record timecodes start at the conventional 01:00:00:00
+const RECORD_START_IN_SECONDS = 60 * 60
+
+// convert a frame count to HH:MM:SS:FF (non-drop frame) at the given timebase
+const framesToTimecode = (timebase, frames) => {
+  let ff = frames % timebase
+  let totalSeconds = Math.floor(frames / timebase)
+  let ss = totalSeconds % 60
+  let mm = Math.floor(totalSeconds / 60) % 60
+  let hh = Math.floor(totalSeconds / 3600)
+  return [hh, mm, ss, ff].map(n => util.zeroFill(2, n)).join(':')
+}
+
+// CMX3600 reel names are limited to 8 characters,
+// so we keep the zero-filled board number from the export filename
+// e.g.: example-board-00001.png -> BRD00001
+const reelNameForFilename = filename =>
+  'BRD' + filename.match(/(\d+)\.png$/)[1].slice(-5)
+
+// EDL lines are plain ASCII, with no line breaks
+const sanitizeCommentString = string =>
+  string
+    .replace(/\s+/g, ' ')
+    .replace(/[^\x20-\x7E]/g, '')
+    .trim()
+
+// 001  BRD00001 V     C        00:00:00:00 00:00:01:00 01:00:00:00 01:00:01:00
+const event = data =>
+  [
+    util.zeroFill(3, data.number) + '  ' +
+    data.reel.padEnd(8) + ' ' +
+    'V'.padEnd(5) + ' ' +
+    'C'.padEnd(8) + ' ' +
+    [data.sourceIn, data.sourceOut, data.recordIn, data.recordOut].join(' '),
+    `* FROM CLIP NAME: ${data.clipName}`,
+    ...data.comments.map(comment => `* COMMENT: ${comment}`)
+  ].join('\n')
+
+const generateEdl = data =>
+`TITLE: ${data.title}
+FCM: NON-DROP FRAME
+
+${data.events.map(event).join('\n\n')}
+`
+
+const generateEdlData = (boardData, { projectFileAbsolutePath }) => {
+  let extname = path.extname(projectFileAbsolutePath)
+  let basenameWithoutExt = path.basename(projectFileAbsolutePath, extname)
+
+  // fps is always rounded up, see final-cut-pro.js
+  let timebase = Math.ceil(boardData.fps)
+  let recordStartFrame = RECORD_START_IN_SECONDS * timebase
+
+  let events = []
+  let currFrame = 0
+  let index = 0
+  for (let board of boardData.boards) {
+    let filename = util.dashed(boardFilenameForExport(board, index, basenameWithoutExt))
+
+    let durationInFrames = Math.round(msecsToFrames(boardData.fps, boardDuration(boardData, board)))
+    let endFrame = currFrame + durationInFrames
+
+    let comments = [
+      ['DIALOGUE', board.dialogue],
+      ['ACTION', board.action],
+      ['NOTES', board.notes]
+    ]
+    .filter(([, text]) => text && sanitizeCommentString(text).length)
+    .map(([label, text]) => `${label}: ${sanitizeCommentString(text)}`)
+
+    events.push({
+      number: index + 1,
+      reel: reelNameForFilename(filename),
+      clipName: filename,
+
+      sourceIn: framesToTimecode(timebase, 0),
+      sourceOut: framesToTimecode(timebase, durationInFrames),
+      recordIn: framesToTimecode(timebase, recordStartFrame + currFrame),
+      recordOut: framesToTimecode(timebase, recordStartFrame + endFrame),
+
+      comments
+    })
+
+    currFrame = endFrame
+    index++
+  }
+
+  return {
+    title: sanitizeCommentString(basenameWithoutExt).toUpperCase(),
+    timebase,
+    events
+  }
+}
+
+module.exports = {
+  framesToTimecode,
+  generateEdlData,
+  generateEdl
+}
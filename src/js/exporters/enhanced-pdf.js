@@ -4,10 +4,17 @@
 const fs = require('fs')
 const path = require('path')
 const util = require('../utils/index')
+const reviewModel = require('../models/review')
 const pdfDocument = require('pdfkit')
 const moment = require('moment')
 const app = require('electron').remote.app
 
+const REVIEW_STATUS_COLORS = {
+  'draft': '#888888',
+  'needs-changes': '#e67e22',
+  'approved': '#27ae60'
+}
+
 class EnhancedPDFExporter {
   constructor() {
     this.fonts = {}
@@ -214,6 +221,12 @@ class EnhancedPDFExporter {
     console.log(`[EnhancedPDF] Respect groups setting: ${respectGroups}`)
     
     for (let boardIndex = 0; boardIndex < boards.length; boardIndex++) {
+      // Only export boards with the chosen review statuses
+      if (!reviewModel.matchesStatus(boards[boardIndex], config.reviewStatuses)) {
+        skippedBoards.push(boardIndex)
+        continue
+      }
+
       // If respecting groups and board is in a group, only render if it's the first one
       if (respectGroups && groupedBoardIds.has(boardIndex)) {
         const group = boardToGroupMap.get(boardIndex)
@@ -285,6 +298,11 @@ class EnhancedPDFExporter {
       }
     }
 
+    // List the review comments of the exported boards on their own pages
+    if (config.includeReviewComments) {
+      this.drawReviewComments(doc, config, boardData, renderedBoards, margins, headerHeight)
+    }
+
     // Add watermark if requested
     if (config.includeWatermark) {
       this.addWatermark(doc, config)
@@ -835,6 +853,10 @@ class EnhancedPDFExporter {
         doc.lineWidth(0.5)
         doc.rect(imageX, imageY, imageWidth, imageHeight)
         doc.stroke()
+
+        if (config.includeReviewComments) {
+          this.drawReviewMarkers(doc, board, imageX, imageY, imageWidth, imageHeight)
+        }
         
         // Add clickable link to GIF if this board is part of a group
         if (config.boardToGroupMap && config.groupedBoardIds && config.groupedBoardIds.has(boardIndex)) {
@@ -1143,6 +1165,82 @@ class EnhancedPDFExporter {
     return `board-${(boardIndex + 1).toString().padStart(3, '0')}`
   }
 
+  // Review status badge, and numbered pins for comments anchored to a point on the image
+  drawReviewMarkers(doc, board, x, y, width, height) {
+    const status = reviewModel.getStatus(board)
+
+    doc.save()
+
+    doc.font('bold')
+    doc.fontSize(6)
+    const label = reviewModel.STATUS_LABELS[status].toUpperCase()
+    const labelWidth = doc.widthOfString(label) + 6
+    doc.fillColor(REVIEW_STATUS_COLORS[status])
+    doc.rect(x, y, labelWidth, 9)
+    doc.fill()
+    doc.fillColor('#ffffff')
+    doc.text(label, x + 3, y + 2, { lineBreak: false })
+
+    reviewModel.getComments(board).forEach((comment, n) => {
+      if (!comment.point) return
+      const pinX = x + comment.point.x * width
+      const pinY = y + comment.point.y * height
+      doc.fillColor('#e74c3c')
+      doc.circle(pinX, pinY, 5)
+      doc.fill()
+      doc.fillColor('#ffffff')
+      doc.fontSize(6)
+      doc.text(String(n + 1), pinX - 5, pinY - 2.5, { width: 10, align: 'center', lineBreak: false })
+    })
+
+    doc.restore()
+  }
+
+  drawReviewComments(doc, config, boardData, boardIndices, margins, headerHeight) {
+    const reviewed = boardIndices.filter(boardIndex => reviewModel.hasReview(boardData.boards[boardIndex]))
+    if (!reviewed.length) return
+
+    const width = doc.page.width - margins[1] - margins[3]
+    const bottom = doc.page.height - margins[2]
+
+    const addPage = () => {
+      doc.addPage()
+      doc.font('bold')
+      doc.fontSize(14)
+      doc.fillColor('#111111')
+      doc.text('Review Comments', margins[3], margins[0], { width })
+      return margins[0] + headerHeight
+    }
+
+    let y = addPage()
+    for (const boardIndex of reviewed) {
+      const board = boardData.boards[boardIndex]
+      const status = reviewModel.getStatus(board)
+      const comments = reviewModel.formatComments(board)
+
+      doc.font('regular')
+      doc.fontSize(9)
+      const height = 16 + (comments ? doc.heightOfString(comments, { width: width - 20 }) : 0) + 10
+      if (y + height > bottom) y = addPage()
+
+      doc.font('bold')
+      doc.fontSize(10)
+      doc.fillColor('#111111')
+      doc.text(`Board ${board.shot || boardIndex + 1}`, margins[3], y, { continued: true })
+      doc.fillColor(REVIEW_STATUS_COLORS[status])
+      doc.text(`  ${reviewModel.STATUS_LABELS[status]}`)
+
+      if (comments) {
+        doc.font('regular')
+        doc.fontSize(9)
+        doc.fillColor('#333333')
+        doc.text(comments, margins[3] + 20, y + 16, { width: width - 20 })
+      }
+
+      y += height
+    }
+  }
+
   addWatermark(doc, config) {
     if (!config.includeWatermark) return
     
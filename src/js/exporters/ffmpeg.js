@@ -6,11 +6,25 @@ const moment = require('moment')
 const tmp = require('tmp')
 
 const boardModel = require('../models/board')
+const sceneModel = require('../models/scene')
+const audioTracksModel = require('../models/audio-tracks')
+const boardAudioModel = require('../models/board-audio')
+const cameraMoveModel = require('../models/camera-move')
+const transitionModel = require('../models/transition')
+const videoExportPresetModel = require('../models/video-export-preset')
+const burnInModel = require('../models/burn-in')
+const watermarkModel = require('../models/watermark')
 const exporterCommon = require('../exporters/common')
+const exporterSubtitles = require('../exporters/subtitles')
 
 
 // const durationRegex = /Duration: (\d\d:\d\d:\d\d.\d\d)/gm
 // const frameRegex = /frame=\s+(\d+)/gm
+const timeRegex = /time=(\d\d:\d\d:\d\d.\d\d)/
+
+// burn-ins are drawn with the same font by the canvas and by ffmpeg (for the timecode)
+const BURN_IN_FONT_PATH = path.join(__dirname, '..', '..', 'fonts', 'thicccboi', 'THICCCBOI-Bold.ttf')
+const BURN_IN_FONT_FAMILY = 'burn-in'
 
 // via https://github.com/sindresorhus/slash/blob/master/index.js
 const slash = input => {
@@ -53,26 +67,18 @@ const checkVersion = async () =>
 const convert = async (opts, args) =>
   new Promise((resolve, reject) => {
     const converter = execa(ffmpegPath, args)
-    // let amountOfFrames
+    // so the caller can stop the conversion, see headless-export/window.js
+    opts.onProcess && opts.onProcess(converter)
 
     converter.stderr.on('data', data => {
       data = data.toString().trim()
 
-      //
-      // FIXME this doesn't work because ffmpeg doesn't report the correct Duration
-      //         actual Duration would be Input #0's Duration (the ffconcat stream)
-      //          OR, the time + duration of the final audio
-      //           (whichever is greater)
-      //
-      // const matchesDuration = durationRegex.exec(data)
-      // const matchesFrame = frameRegex.exec(data)
-      //
-      // if (matchesDuration) {
-      //   amountOfFrames = Math.ceil(moment.duration(matchesDuration[1]).asSeconds() * 30)
-      // } else if (matchesFrame) {
-      //   const currentFrame = matchesFrame[1]
-      //   opts.progressCallback(currentFrame / amountOfFrames)
-      // }
+      // ffmpeg doesn't report the correct Duration of the ffconcat stream,
+      // so progress is the time written so far, out of the known duration of the scene
+      const matchesTime = timeRegex.exec(data)
+      if (matchesTime && opts.durationInMsecs && opts.progressCallback) {
+        opts.progressCallback(Math.min(1, moment.duration(matchesTime[1]).asMilliseconds() / opts.durationInMsecs))
+      }
 
       // for debugging
       console.log(data)
@@ -88,20 +94,237 @@ const convert = async (opts, args) =>
     converter.catch(reject)
   })
 
+// renders each frame of the board's camera move from its flattened image
+// returns the filenames and durations (in seconds) of the frames, in order
+// related: main-window.js renderCameraMovePreview
+const exportCameraMoveFrames = async (board, scene, size, outputPath) => {
+  let image = await exporterCommon.getImage(path.join(outputPath, board.url))
+
+  let canvas = document.createElement('canvas')
+  canvas.width = size[0]
+  canvas.height = size[1]
+  let context = canvas.getContext('2d')
+
+  let duration = boardModel.boardDuration(scene, board)
+  let durations = cameraMoveModel.getFrameDurations(duration, scene.fps)
+
+  let frames = []
+  for (let n = 0; n < durations.length; n++) {
+    let frame = cameraMoveModel.getFrameAtTime(board.cameraMove, duration, n * 1000 / scene.fps)
+
+    context.setTransform(1, 0, 0, 1, 0, 0)
+    context.fillStyle = 'white'
+    context.fillRect(0, 0, size[0], size[1])
+    cameraMoveModel.applyFrameToContext(context, frame, size)
+    context.drawImage(image, 0, 0, size[0], size[1])
+
+    let filename = `${path.basename(board.url, path.extname(board.url))}-move-${String(n).padStart(5, '0')}.png`
+    let imageData = canvas.toDataURL().replace(/^data:image\/\w+;base64,/, '')
+    fs.writeFileSync(path.join(outputPath, filename), imageData, 'base64')
+    frames.push({ filename, durationInSeconds: durations[n] })
+  }
+  return frames
+}
+
+let burnInFontLoaded = false
+const loadBurnInFont = async () => {
+  if (burnInFontLoaded) return
+
+  let font = new FontFace(BURN_IN_FONT_FAMILY, fs.readFileSync(BURN_IN_FONT_PATH))
+  document.fonts.add(await font.load())
+  burnInFontLoaded = true
+}
+
+// splits the text into lines which fit `maxWidth`
+const wrapText = (context, text, maxWidth) => {
+  let lines = []
+  for (let paragraph of text.split('\n')) {
+    let line = ''
+    for (let word of paragraph.split(' ')) {
+      let candidate = line ? `${line} ${word}` : word
+      if (line && context.measureText(candidate).width > maxWidth) {
+        lines.push(line)
+        line = word
+      } else {
+        line = candidate
+      }
+    }
+    lines.push(line)
+  }
+  return lines
+}
+
+// draws a line of text on a translucent box, at the nth line from the edge
+const drawBurnInLine = (context, text, position, n, size) => {
+  let [width, height] = size
+  let { fontSize, lineHeight, margin } = burnInModel.getMetrics(height)
+  let padding = Math.round(fontSize * 0.25)
+  let align = burnInModel.getAlign(position)
+
+  let textWidth = context.measureText(text).width
+  let x = align === 'left'
+    ? margin
+    : align === 'center'
+      ? (width - textWidth) / 2
+      : width - margin - textWidth
+  let y = burnInModel.getLineTop(position, n, height) + (lineHeight - fontSize) / 2
+
+  context.fillStyle = 'rgba(0, 0, 0, 0.5)'
+  context.fillRect(x - padding, y - padding, textWidth + padding * 2, fontSize + padding * 2)
+  context.fillStyle = 'white'
+  context.fillText(text, x, y)
+}
+
+// burn-ins which don't change during a board are drawn to a transparent image, one for each board
+// returns the filenames of the images, in order
+// the timecode is drawn by ffmpeg (see: timecodeFilter)
+const exportBurnInFrames = async (scene, size, outputPath, { burnIn, projectName }) => {
+  await loadBurnInFont()
+
+  let canvas = document.createElement('canvas')
+  canvas.width = size[0]
+  canvas.height = size[1]
+  let context = canvas.getContext('2d')
+
+  let { fontSize } = burnInModel.getMetrics(size[1])
+
+  let filenames = []
+  for (let [index, board] of scene.boards.entries()) {
+    context.clearRect(0, 0, size[0], size[1])
+    context.font = `${fontSize}px ${BURN_IN_FONT_FAMILY}`
+    context.textBaseline = 'top'
+
+    let itemsByPosition = burnInModel.getItemsByPosition(burnIn, { board, index, projectName })
+    for (let [position, items] of Object.entries(itemsByPosition)) {
+      let maxWidth = size[0] * (burnInModel.getAlign(position) === 'center' ? 0.8 : 0.45)
+
+      // lines from the edge, `null` keeps a place for the timecode
+      let lines = []
+      for (let { key, text } of items) {
+        if (key === 'timecode') {
+          lines.push(null)
+        } else {
+          let wrapped = wrapText(context, text, maxWidth)
+          lines = lines.concat(position.startsWith('top') ? wrapped : wrapped.reverse())
+        }
+      }
+
+      lines.forEach((text, n) => {
+        if (text != null) drawBurnInLine(context, text, position, n, size)
+      })
+    }
+
+    let filename = `burn-in-${String(index).padStart(5, '0')}.png`
+    let imageData = canvas.toDataURL().replace(/^data:image\/\w+;base64,/, '')
+    fs.writeFileSync(path.join(outputPath, filename), imageData, 'base64')
+    filenames.push(filename)
+  }
+  return filenames
+}
+
+// running timecode, in the same place and style as the lines drawn by drawBurnInLine
+// via https://ffmpeg.org/ffmpeg-filters.html#drawtext-1
+const timecodeFilter = (burnIns, fontFilePath, fps, height) => {
+  let { position } = burnIns.timecode
+  let { fontSize, lineHeight, margin } = burnInModel.getMetrics(height)
+  let align = burnInModel.getAlign(position)
+
+  let x = align === 'left'
+    ? margin
+    : align === 'center'
+      ? '(w-text_w)/2'
+      : `w-text_w-${margin}`
+  // timecode is always the line nearest the edge
+  let y = burnInModel.getLineTop(position, 0, height) + Math.round((lineHeight - fontSize) / 2)
+
+  // escape for the filter graph, e.g.: C:/ on Windows
+  let fontfile = slash(fontFilePath).replace(/:/g, '\\:')
+
+  return [
+    `drawtext=fontfile='${fontfile}'`,
+    `timecode='00\\:00\\:00\\:00'`,
+    `rate=${fps}`,
+    `fontsize=${fontSize}`,
+    'fontcolor=white',
+    'box=1',
+    'boxcolor=black@0.5',
+    `boxborderw=${Math.round(fontSize * 0.25)}`,
+    `x=${x}`,
+    `y=${y}`
+  ].join(':')
+}
+
+// generates an ffconcat image sequencer file
+// add last entry twice because ffmpeg ¯\_(ツ)_/¯
+const createFfconcat = (entries, dirPath) => {
+  let entriesWithLastEntryTwice = entries.concat(entries[entries.length - 1])
+  let concats = ['ffconcat version 1.0']
+  for (let { filename, durationInSeconds } of entriesWithLastEntryTwice) {
+    concats.push('')
+    // via https://superuser.com/questions/718027/ffmpeg-concat-doesnt-work-with-absolute-path
+    // > use forward slashes, not backslashes, even in Windows
+    concats.push(`file ${slash(path.resolve(path.join(dirPath, filename)))}`)
+    concats.push(`duration ${durationInSeconds}`)
+  }
+  return concats.join('\n')
+}
+
+// filters to play only the trimmed part of a board's audio file (see: models/board-audio)
+const boardAudioTrimFilters = audio => {
+  let inPoint = boardAudioModel.getInPoint(audio)
+  if (inPoint === 0 && audio.outPoint == null) return []
+
+  return [
+    `atrim=start=${inPoint / 1000}` +
+      (audio.outPoint != null ? `:end=${boardAudioModel.getOutPoint(audio) / 1000}` : ''),
+    'asetpts=PTS-STARTPTS'
+  ]
+}
+
+// blend expression for the transition, from A (the board) to B (the next board)
+// T is the time in seconds, X and W are pixels
+// related: main-window.js renderTransitionPreview
+const transitionBlendExpression = transition => {
+  let progress = `clip((T-${transition.start / 1000})/${transition.duration / 1000},0,1)`
+  switch (transition.type) {
+    case 'dissolve':
+      return `A*(1-${progress})+B*${progress}`
+    case 'wipe':
+      // left to right
+      return `if(lte(X,W*${progress}),B,A)`
+    case 'fade-to-black':
+      // out to black, then in to the next board
+      return `if(lt(${progress},0.5),A*(1-2*${progress}),B*(2*${progress}-1))`
+  }
+}
+
 const convertToVideo = async opts => {
   const { outputPath, sceneFilePath, scene } = opts
+  const preset = opts.preset || videoExportPresetModel.getPreset({})
+  const format = videoExportPresetModel.getFormat(preset)
 
   let tmpDir = tmp.dirSync()
   let outputFilePath
   try {
-		let shouldWatermark = opts.shouldWatermark
-
-    // copy the watermark
-    console.log('copying required resources …')
-    fs.copySync(
-      opts.watermarkImagePath,
-      path.join(tmpDir.name, 'watermark.png')
-    )
+    let basename = path.basename(sceneFilePath, path.extname(sceneFilePath))
+		let shouldWatermarkImage = opts.shouldWatermark || preset.burnIn.watermark
+    let shouldWatermark = shouldWatermarkImage || watermarkModel.hasWatermarkText(preset.burnIn.watermarkText)
+
+    // the watermark image and text, at the size of the video
+    if (shouldWatermark) {
+      console.log('creating watermark …')
+      let [width, height] = boardModel.boardFileImageSize(scene)
+      await loadBurnInFont()
+      await watermarkModel.exportWatermarkImage(
+        path.join(tmpDir.name, 'watermark.png'),
+        [Math.round(width * preset.height / height), preset.height],
+        {
+          imagePath: shouldWatermarkImage ? opts.watermarkImagePath : undefined,
+          watermarkText: preset.burnIn.watermarkText,
+          fontFamily: BURN_IN_FONT_FAMILY
+        }
+      )
+    }
 
     // export flattened boards to output path
     console.log('exporting images and audio for output …')
@@ -116,9 +339,91 @@ const convertToVideo = async opts => {
     )
     await Promise.all(writers)
 
-    let streamOffset = shouldWatermark
-			? 2 // video + watermark
-			: 1 // video only
+    // boards with a camera move are a sequence of frames
+    let entries = []
+    let firstFilenames = []
+    for (let board of scene.boards) {
+      if (cameraMoveModel.hasCameraMove(board)) {
+        let frames = await exportCameraMoveFrames(board, scene, boardModel.boardFileImageSize(scene), tmpDir.name)
+        entries = entries.concat(frames)
+        firstFilenames.push(frames[0].filename)
+      } else {
+        entries.push({ filename: board.url, durationInSeconds: boardModel.boardDuration(scene, board) / 1000 })
+        firstFilenames.push(board.url)
+      }
+    }
+
+    let transitionStreamOffset = shouldWatermark
+      ? 2 // video + watermark
+      : 1 // video only
+
+    // transitions blend the video with an image of the next board,
+    // the last board fades out
+    let transitionFileArgs = []
+    let transitionFilters = []
+    let transitionStreamIndex = 0
+    let frameIndex = 0
+    for (let transition of transitionModel.getTransitions(scene)) {
+      if (transition.index === scene.boards.length - 1) {
+        transitionFilters.push(`[frame${frameIndex}]fade=t=out:st=${transition.start / 1000}:d=${transition.duration / 1000}[frame${frameIndex + 1}]`)
+      } else {
+        // the next board, until the end of the transition
+        transitionFileArgs = transitionFileArgs.concat([
+          '-loop', '1',
+          '-framerate', scene.fps,
+          '-t', transition.end / 1000,
+          '-i', path.join(tmpDir.name, firstFilenames[transition.index + 1])
+        ])
+
+        let n = transitionStreamIndex + transitionStreamOffset
+        let enable = `between(t,${transition.start / 1000},${transition.end / 1000})`
+        transitionFilters.push(`[${n}]scale=-2:${preset.height},format=gbrp[next${n}]`)
+        transitionFilters.push(`[frame${frameIndex}][next${n}]blend=all_expr='${transitionBlendExpression(transition)}':enable='${enable}'[frame${frameIndex + 1}]`)
+
+        transitionStreamIndex++
+      }
+      frameIndex++
+    }
+
+    let fps = videoExportPresetModel.getFps(preset, scene)
+
+    // burn-ins are overlaid after the transitions, before the watermark
+    let burnIns = burnInModel.getBurnIns(preset.burnIn)
+    let burnInFileArgs = []
+    let burnInFilters = []
+    if (burnInModel.BURN_INS.some(key => key !== 'timecode' && burnIns[key].enabled)) {
+      let filenames = await exportBurnInFrames(
+        scene,
+        boardModel.boardFileImageSize(scene),
+        tmpDir.name,
+        { burnIn: burnIns, projectName: opts.projectName || basename }
+      )
+      // each image lasts as long as its board
+      fs.writeFileSync(
+        path.join(tmpDir.name, 'burn-in.ffconcat'),
+        createFfconcat(
+          filenames.map((filename, index) => ({
+            filename,
+            durationInSeconds: boardModel.boardDuration(scene, scene.boards[index]) / 1000
+          })),
+          tmpDir.name
+        )
+      )
+      burnInFileArgs = ['-safe', '0', '-i', path.join(tmpDir.name, 'burn-in.ffconcat')]
+
+      let n = transitionStreamOffset + transitionStreamIndex
+      burnInFilters.push(`[${n}]scale=-2:${preset.height}[burnin]`)
+      burnInFilters.push(`[frame${frameIndex}][burnin]overlay=0:0[frame${frameIndex + 1}]`)
+      frameIndex++
+    }
+    if (burnIns.timecode.enabled) {
+      // ffmpeg can't read the font from inside the app's archive
+      fs.copySync(BURN_IN_FONT_PATH, path.join(tmpDir.name, 'burn-in.ttf'))
+      burnInFilters.push(`[frame${frameIndex}]${timecodeFilter(burnIns, path.join(tmpDir.name, 'burn-in.ttf'), fps, preset.height)}[frame${frameIndex + 1}]`)
+      frameIndex++
+    }
+
+    let streamOffset = transitionStreamOffset + transitionStreamIndex + (burnInFileArgs.length ? 1 : 0)
 
     const FADE_OUT_IN_SECONDS = 0.25
 
@@ -137,9 +442,15 @@ const convertToVideo = async opts => {
         // related: audio-playback.js FADE_OUT_IN_SECONDS
         let fadeout = `areverse, afade=d=${FADE_OUT_IN_SECONDS}:curve=exp, areverse`
 
-        let filter = board.time > 0
-          ? `${fadeout},adelay=${board.time}|${board.time}`
-          : `${fadeout}`
+        // only the trimmed part of the file, starting `offset` msecs into the board
+        // related: models/board-audio, audio-playback.js playBoard
+        let start = boardAudioModel.getStart(board)
+
+        let filter = [
+          ...boardAudioTrimFilters(board.audio),
+          fadeout,
+          ...(start > 0 ? [`adelay=${start}|${start}`] : [])
+        ].join(',')
 
         // stream index
         let n = audioStreamIndex + streamOffset
@@ -149,39 +460,79 @@ const convertToVideo = async opts => {
       }
     }
 
+    // audio lane clips
+    // related: audio-playback.js playClips
+    for (let clip of audioTracksModel.getAudibleClips(scene)) {
+      audioFileArgs = audioFileArgs.concat([
+        '-i', path.join(path.dirname(sceneFilePath), 'images', clip.filename)
+      ])
+
+      let filters = [
+        // only the part of the file which is played
+        `atrim=start=${clip.offset / 1000}:duration=${clip.duration / 1000}`,
+        'asetpts=PTS-STARTPTS',
+        ...(clip.fadeIn ? [`afade=t=in:d=${clip.fadeIn / 1000}`] : []),
+        ...(clip.fadeOut ? [`afade=t=out:st=${(clip.duration - clip.fadeOut) / 1000}:d=${clip.fadeOut / 1000}`] : []),
+        `volume=${clip.gain}`,
+        ...(clip.start > 0 ? [`adelay=${clip.start}|${clip.start}`] : [])
+      ]
+
+      let n = audioStreamIndex + streamOffset
+      audioFilters.push(`[${n}]${filters.join(',')}[s${n}]`)
+
+      audioStreamIndex++
+    }
+
     if (audioFileArgs.length) {
+      // amix divides each input by the number of inputs still playing, so every input is padded
+      // with silence to the end of the mix, and the mix is turned back up, to sum them at their own gain
+      // (the bundled ffmpeg is older than amix's `normalize` option)
+      // related: audio-playback.js
+      let mixEnd = Math.max(
+        sceneModel.sceneDuration(scene),
+        ...audioTracksModel.getAudibleClips(scene).map(clip => clip.start + clip.duration)
+      )
       let mixout = ';'
       for (let i = 0; i < audioFilters.length; i++) {
-        mixout += `[s${i + streamOffset}]`
+        mixout += `[s${i + streamOffset}]apad,atrim=end=${mixEnd / 1000}[p${i + streamOffset}];`
       }
-      mixout += `amix=${audioFilters.length}[mix]`
+      for (let i = 0; i < audioFilters.length; i++) {
+        mixout += `[p${i + streamOffset}]`
+      }
+      mixout += `amix=inputs=${audioFilters.length},volume=${audioFilters.length}[mix]`
 
       audioFilterComplex = audioFilters.join(';') + mixout
     }
 
+    // dialogue as a soft subtitle track
+    // image sequences get SRT and WebVTT files instead (see below)
+    let cues = preset.subtitles
+      ? exporterSubtitles.generateSubtitleData(scene)
+      : []
+    let subtitleFileArgs = []
+    let subtitleStreamIndex = streamOffset + audioStreamIndex
+    if (cues.length && !format.sequence) {
+      fs.writeFileSync(path.join(tmpDir.name, 'subtitles.srt'), exporterSubtitles.generateSrt(cues))
+      subtitleFileArgs = ['-i', path.join(tmpDir.name, 'subtitles.srt')]
+    }
+
     // TODO write ffconcat to tmp folder
 
     // generate the ffconcat image sequencer file
-    // add last board twice because ffmpeg ¯\_(ツ)_/¯
-    let boardsWithLastBoardTwice = scene.boards.concat(scene.boards[scene.boards.length - 1])
-    let videoConcats = ['ffconcat version 1.0']
-    for (let board of boardsWithLastBoardTwice) {
-      let durationInSeconds = boardModel.boardDuration(scene, board) / 1000
-      videoConcats.push('')
-      // via https://superuser.com/questions/718027/ffmpeg-concat-doesnt-work-with-absolute-path
-      // > use forward slashes, not backslashes, even in Windows
-      videoConcats.push(`file ${slash(path.resolve(path.join(tmpDir.name, board.url)))}`)
-      videoConcats.push(`duration ${durationInSeconds}`)
-    }
+    let videoConcat = createFfconcat(entries, tmpDir.name)
 
     console.log('\n')
     console.log('writing video.ffconcat')
-    console.log(videoConcats.join('\n'))
-    fs.writeFileSync(path.join(tmpDir.name, 'video.ffconcat'), videoConcats.join('\n'))
+    console.log(videoConcat)
+    fs.writeFileSync(path.join(tmpDir.name, 'video.ffconcat'), videoConcat)
     console.log('\n')
 
     console.log('\n')
-    outputFilePath = path.join(outputPath, `${path.basename(sceneFilePath, path.extname(sceneFilePath))} Exported ${moment().format('YYYY-MM-DD hh.mm.ss')}.mp4`)
+    // image sequences are written to a folder
+    outputFilePath = format.sequence
+      ? path.join(outputPath, `${basename} Exported ${moment().format('YYYY-MM-DD hh.mm.ss')}`)
+      : path.join(outputPath, `${basename} Exported ${moment().format('YYYY-MM-DD hh.mm.ss')}.${format.extension}`)
+    if (format.sequence) fs.ensureDirSync(outputFilePath)
     console.log('writing to', outputFilePath)
     console.log('\n')
 
@@ -196,7 +547,10 @@ const convertToVideo = async opts => {
       ...(shouldWatermark ? ['-i', path.join(tmpDir.name, 'watermark.png')] : [])
     ]
 
+    args = args.concat(transitionFileArgs)
+    args = args.concat(burnInFileArgs)
     args = args.concat(audioFileArgs)
+    args = args.concat(subtitleFileArgs)
 
     // TODO operate in tmp folder but write to exports folder
 
@@ -205,17 +559,20 @@ const convertToVideo = async opts => {
 			[
                           // via https://stackoverflow.com/a/20848224
                           // fixes "width not divisible by 2"
-                          '[0]scale=-2:900[frame]',
+                          // transitions need a frame for every step of the blend, not just one per image,
+                          // and blend in gbrp, so black is 0 on every plane
+                          // the timecode needs a frame for every frame, too
+                          `[0]scale=-2:${preset.height}${transitionFilters.length ? `,fps=${fps},format=gbrp` : burnIns.timecode.enabled ? `,fps=${fps}` : ''}[frame0]`,
+                          ...transitionFilters,
+                          ...burnInFilters,
+                          `[frame${frameIndex}]null[frame]`,
 
 													...(shouldWatermark
                           	? [
 																// input #1 = watermark
-																// scaled to 1/8th, don't re-scale below 255 px
-																// see: https://superuser.com/a/567934
-																// see: https://trac.ffmpeg.org/wiki/Scaling#AvoidingUpscaling
-																`[1]scale=-2:'min(225,ih)':force_original_aspect_ratio=decrease[watermark]`,
-																// overlay watermark w/ shorthand positioning
-																'[frame][watermark]overlay=W-w:H-h[vid]'
+																// the size of the frame, laid out by models/watermark.js
+																`[1]scale=-2:${preset.height}[watermark]`,
+																'[frame][watermark]overlay=0:0[vid]'
 															]
 														: [
 																// frame = vid
@@ -231,19 +588,10 @@ const convertToVideo = async opts => {
       '-map', '[vid]:v'
     ])
 
+    // codec and pixel format
     args = args.concat([
-      '-r', scene.fps,
-      '-vcodec', 'libx264',
-      '-acodec', 'aac',
-
-      // via https://trac.ffmpeg.org/wiki/Encode/H.264
-      // QuickTime only supports YUV planar color space with 4:2:0 chroma subsampling (use -vf format=yuv420p or -pix_fmt yuv420p) for H.264 video.
-      '-pix_fmt', 'yuv420p',
-
-      // TODO tweak settings for best output
-      // via https://trac.ffmpeg.org/wiki/Encode/H.264
-      '-tune', 'stillimage',
-      '-preset', 'veryslow'
+      '-r', fps,
+      ...format.videoArgs
 
       // via https://medium.com/@forasoft/the-grip-of-ffmpeg-4b05d7f7678c
       // '-b:v', '700k',
@@ -252,27 +600,60 @@ const convertToVideo = async opts => {
       // '-ar', '44100',
     ])
 
-    // mix audio only if we have at least 1 audio input file
-    if (audioFileArgs.length) {
+    if (format.sequence) {
       args = args.concat([
-        '-map', '[mix]:a'
+        // don't overwriting existing file
+        '-n',
+
+        '-stats',
+
+        // numbered frames
+        path.join(outputFilePath, `${basename}-%05d.${format.extension}`)
       ])
-    }
 
-    args = args.concat([
-      // via https://uart.cz/1570/simple-animation-with-ffmpeg/
-      // The -movflags +faststart parameters will move some media informations to
-      // the beginning of file, which allows browser to start video even before it
-      // was completely downloaded from the server.
-      '-movflags', '+faststart',
+      // audio is written to a separate WAV stem
+      if (audioFileArgs.length) {
+        args = args.concat([
+          '-map', '[mix]:a',
+          ...format.audioArgs,
+          path.join(outputFilePath, `${basename}.wav`)
+        ])
+      }
+    } else {
+      // mix audio only if we have at least 1 audio input file
+      if (audioFileArgs.length) {
+        args = args.concat([
+          '-map', '[mix]:a',
+          ...format.audioArgs
+        ])
+      }
 
-      // don't overwriting existing file
-      '-n',
+      if (subtitleFileArgs.length) {
+        args = args.concat([
+          '-map', `${subtitleStreamIndex}:s`,
+          ...format.subtitleArgs
+        ])
+      }
 
-      '-stats',
+      if (format.faststart) {
+        args = args.concat([
+          // via https://uart.cz/1570/simple-animation-with-ffmpeg/
+          // The -movflags +faststart parameters will move some media informations to
+          // the beginning of file, which allows browser to start video even before it
+          // was completely downloaded from the server.
+          '-movflags', '+faststart'
+        ])
+      }
 
-      outputFilePath
-    ])
+      args = args.concat([
+        // don't overwriting existing file
+        '-n',
+
+        '-stats',
+
+        outputFilePath
+      ])
+    }
 
     console.log('calling ffmpeg with args', args)
     console.log('\n')
@@ -284,12 +665,24 @@ const convertToVideo = async opts => {
     // console.log(result.stdout)
     // console.log('\n')
 
-    // opts.progressCallback(0)
-    await convert(opts, args)
+    let lastBoard = scene.boards[scene.boards.length - 1]
+    let durationInMsecs = lastBoard.time + boardModel.boardDuration(scene, lastBoard)
+
+    opts.progressCallback && opts.progressCallback(0)
+    await convert({ ...opts, durationInMsecs }, args)
 
     // TODO cleanup PNG files
 
+    if (cues.length && format.sequence) {
+      fs.writeFileSync(path.join(outputFilePath, `${basename}.srt`), exporterSubtitles.generateSrt(cues))
+      fs.writeFileSync(path.join(outputFilePath, `${basename}.vtt`), exporterSubtitles.generateWebVtt(cues))
+    }
+
     console.log('ffmpeg complete!')
+  } catch (err) {
+    // don't leave a partly written video (or image sequence) in exports/
+    if (outputFilePath) fs.removeSync(outputFilePath)
+    throw err
   } finally {
     // cleanup
     console.log('cleaning', tmpDir.name)
@@ -302,5 +695,6 @@ const convertToVideo = async opts => {
 module.exports = {
   checkVersion,
   convertToVideo,
-  convert
+  convert,
+  boardAudioTrimFilters
 }
@@ -4,7 +4,11 @@ const path = require('path')
 const Tone = require('tone')
 
 const { msecsToFrames } = require('./common')
-const { boardFileImageSize, boardFilenameForExport } = require('../models/board')
+const { boardFileImageSize, boardFilenameForExport, boardDuration } = require('../models/board')
+const audioTracksModel = require('../models/audio-tracks')
+const boardAudioModel = require('../models/board-audio')
+const cameraMoveModel = require('../models/camera-move')
+const transitionModel = require('../models/transition')
 const util = require('../utils')
 
 // via https://developer.apple.com/library/content/documentation/FinalCutProX/Reference/FinalCutProXXMLFormat/StoryElements/StoryElements.html
@@ -37,10 +41,110 @@ const asset = (data, index) =>
 // <video name="board-2" offset="4800/2400s" ref="r4" duration="4800/2400s" start="0s"/>
 const video = (data, index) =>
   `<video name="${data.name}" offset="${data.offset}" ref="r${data.index + data.assetOffset}" duration="${data.duration}" start="${data.start}">${
+      data.adjustTransform
+        ? `
+                          ${adjustTransform(data.adjustTransform)}`
+        : ''
+    }${
       data.assetClips.map(data =>`
-                          <asset-clip name="${data.filename}" lane="${data.lane}" offset="0s" ref="${data.ref}" duration="${data.audioDuration}" audioRole="dialogue" format="r3"/>`
+                          <asset-clip name="${data.filename}" lane="${data.lane}" offset="${data.audioOffset || '0s'}" ref="${data.ref}" duration="${data.audioDuration}"${data.audioStart ? ` start="${data.audioStart}"` : ''} audioRole="${data.audioRole || 'dialogue'}" format="r3"${
+                            data.adjustVolume
+                              ? `>${adjustVolume(data.adjustVolume)}</asset-clip>`
+                              : '/>'
+                          }`
       ).join('\n')
-    }</video>`
+    }</video>${
+      data.transition
+        ? `
+                        ${transition(data.transition)}`
+        : ''
+    }`
+
+// <transition name="Cross Dissolve" offset="3600/2400s" duration="1200/2400s"><filter-video ref="r8" name="Cross Dissolve"/></transition>
+const transition = data =>
+  `<transition name="${data.name}" offset="${data.offset}" duration="${data.duration}"><filter-video ref="${data.ref}" name="${data.name}"/></transition>`
+
+// <effect id="r8" name="Cross Dissolve" uid="FxPlug:4731E73A-8DAC-4113-9A30-AE85B1761265"/>
+const effect = data =>
+  `<effect id="${data.id}" name="${data.name}" uid="${data.uid}"/>`
+
+// FCPX effects for each transition type
+// the last board fades to black with a Cross Dissolve
+const TRANSITION_EFFECTS = {
+  'dissolve': {
+    name: 'Cross Dissolve',
+    uid: 'FxPlug:4731E73A-8DAC-4113-9A30-AE85B1761265'
+  },
+  'wipe': {
+    name: 'Wipe',
+    uid: '.../Transitions.localized/Wipes.localized/Wipe.localized/Wipe.motr'
+  },
+  'fade-to-black': {
+    name: 'Fade To Color',
+    uid: '.../Transitions.localized/Dissolves.localized/Fade To Color.localized/Fade To Color.motr'
+  }
+}
+
+// <adjust-volume amount="-6dB"><param name="amount"><fadeIn type="easeIn" duration="1200/2400s"/></param></adjust-volume>
+const adjustVolume = data =>
+  `<adjust-volume amount="${data.amount}">${
+    (data.fadeIn || data.fadeOut)
+      ? `<param name="amount">${
+          data.fadeIn ? `<fadeIn type="easeIn" duration="${data.fadeIn}"/>` : ''
+        }${
+          data.fadeOut ? `<fadeOut type="easeIn" duration="${data.fadeOut}"/>` : ''
+        }</param>`
+      : ''
+  }</adjust-volume>`
+
+// <adjust-transform><param name="scale"><keyframeAnimation><keyframe time="0s" value="1 1" interp="ease"/>…</keyframeAnimation></param>…</adjust-transform>
+const adjustTransform = data =>
+  `<adjust-transform>${
+    ['position', 'scale', 'rotation'].map(name =>
+      `<param name="${name}"><keyframeAnimation>${
+        data.keyframes.map(keyframe =>
+          `<keyframe time="${keyframe.time}" value="${keyframe[name]}" interp="${data.interp}"/>`
+        ).join('')
+      }</keyframeAnimation></param>`
+    ).join('')
+  }</adjust-transform>`
+
+// FCPX keyframe interpolation for each camera move easing
+const CAMERA_MOVE_INTERPS = {
+  'linear': 'linear',
+  'ease-in': 'easeIn',
+  'ease-out': 'easeOut',
+  'ease-in-out': 'ease'
+}
+
+// position is a percentage of the frame height, with y pointing up
+// rotation is counter-clockwise
+const cameraMoveKeyframe = (frame, [width, height], time) => {
+  let round = value => Math.round(value * 10000) / 10000
+  let { x, y, scale, rotation } = cameraMoveModel.getFrameTransform(frame, [width, height])
+  return {
+    time,
+    position: `${round(x * 100 / height)} ${round(-y * 100 / height)}`,
+    scale: `${round(scale)} ${round(scale)}`,
+    rotation: `${round(rotation)}`
+  }
+}
+
+// FCPX roles for the audio lanes
+const AUDIO_ROLES = {
+  dialogue: 'dialogue',
+  music: 'music',
+  sfx: 'effects'
+}
+
+const loadAudioBuffer = async (dirname, filename) => {
+  try {
+    return await new Tone.Buffer().load(path.join(dirname, 'images', filename))
+  } catch (err) {
+    console.error(err)
+    throw new Error(`could not load audio file ${filename}`)
+  }
+}
 
 const generateFinalCutProXXml = data =>
   `<?xml version="1.0" encoding="UTF-8"?>
@@ -49,6 +153,7 @@ const generateFinalCutProXXml = data =>
     <resources>
       ${data.initialAssets.join('\n      ')}
       ${data.assets.map(asset).join('\n      ')}
+      ${data.effects.map(effect).join('\n      ')}
     </resources>
     <library>
         <event name="${data.eventName}">
@@ -89,6 +194,7 @@ const generateFinalCutProXData = async (boardData, { projectFileAbsolutePath, ou
   let index = 0
   let timelinePosInMsecs = 0
   let lanes = [{ endInMsecs: 0 }]
+  let transitions = []
   for (let board of boardData.boards) {
     let filename = util.dashed(boardFilenameForExport(board, index, basenameWithoutExt))
 
@@ -124,23 +230,15 @@ const generateFinalCutProXData = async (boardData, { projectFileAbsolutePath, ou
         board.audio.filename &&
         board.audio.filename.length) {
 
-      let buffer
-      try {
-        buffer = await new Tone.Buffer().load(
-          path.join(dirname, 'images', board.audio.filename)
-        )
-      } catch (err) {
-        console.error(err)
-        throw new Error(`could not load audio file ${board.audio.filename}`)
-      }
+      let buffer = await loadAudioBuffer(dirname, board.audio.filename)
 
       let audioChannels = buffer.numberOfChannels
       let audioRate = buffer._buffer.sampleRate
 
-      let bufferOffsetInFrames = currFrame
-
-      // let bufferDurationInFrames = Math.round(msecsToFrames(normalizedFps, buffer.duration * 1000))
-      let bufferDurationInFrames = buffer.duration * normalizedFps
+      // only the trimmed part of the file, starting `offset` msecs into the board
+      // see: models/board-audio
+      let trimmedAudio = { ...board.audio, duration: buffer.duration * 1000 }
+      let secondsToFraction = msecs => scaledFraction(normalizedFps, msecs / 1000 * normalizedFps) + 's'
 
       let lane = lanes.length
       for (let i = 0; i < lanes.length; i++) {
@@ -150,7 +248,8 @@ const generateFinalCutProXData = async (boardData, { projectFileAbsolutePath, ou
         }
       }
       lanes[lane] = lanes[lane] || {}
-      lanes[lane].endInMsecs = timelinePosInMsecs + buffer.duration * 1000
+      lanes[lane].endInMsecs = timelinePosInMsecs +
+        boardAudioModel.getOffset(trimmedAudio) + boardAudioModel.getPlayedDuration(trimmedAudio)
 
       timelinePosInMsecs += duration
 
@@ -171,8 +270,14 @@ const generateFinalCutProXData = async (boardData, { projectFileAbsolutePath, ou
       assetClips = [
         {
           filename: board.audio.filename,
-          // audioOffset: scaledFraction(normalizedFps, bufferOffsetInFrames) + 's',
-          audioDuration: scaledFraction(normalizedFps, bufferDurationInFrames) + 's',
+          // relative to the board
+          audioOffset: boardAudioModel.getOffset(trimmedAudio)
+            ? secondsToFraction(boardAudioModel.getOffset(trimmedAudio))
+            : undefined,
+          audioStart: boardAudioModel.getInPoint(trimmedAudio)
+            ? secondsToFraction(boardAudioModel.getInPoint(trimmedAudio))
+            : undefined,
+          audioDuration: secondsToFraction(boardAudioModel.getPlayedDuration(trimmedAudio)),
 
           ref: `r${assetIndex + assetOffset}`,
           lane: `-${lane + 1}`
@@ -191,13 +296,104 @@ const generateFinalCutProXData = async (boardData, { projectFileAbsolutePath, ou
 
       start: '0s',
 
+      adjustTransform: cameraMoveModel.hasCameraMove(board)
+        ? {
+          interp: CAMERA_MOVE_INTERPS[board.cameraMove.easing],
+          keyframes: [
+            cameraMoveKeyframe(board.cameraMove.from, [width, height], '0s'),
+            cameraMoveKeyframe(board.cameraMove.to, [width, height], scaledFraction(normalizedFps, durationInFrames) + 's')
+          ]
+        }
+        : undefined,
+
       assetClips
     }))
 
+    let boardTransition = transitionModel.getTransition(boardData, index)
+    if (boardTransition) {
+      let transitionDurationInFrames = Math.round(msecsToFrames(normalizedFps, boardTransition.duration))
+      transitions.push({
+        videoIndex: videos.length - 1,
+        type: index === boardData.boards.length - 1
+          ? 'dissolve'
+          : boardTransition.type,
+        // ends at the cut
+        offset: scaledFraction(normalizedFps, endFrame - transitionDurationInFrames) + 's',
+        duration: scaledFraction(normalizedFps, transitionDurationInFrames) + 's'
+      })
+    }
+
     currFrame = endFrame
     index++
   }
 
+  // audio lanes, below the board audio
+  // each clip is connected to the board it starts in
+  let audioAssetRefs = {}
+  let tracks = audioTracksModel.getTracks(boardData).filter(track => !track.muted)
+  for (let t = 0; t < tracks.length; t++) {
+    let track = tracks[t]
+    for (let clip of track.clips.filter(clip => clip.duration > 0)) {
+      if (!audioAssetRefs[clip.filename]) {
+        let buffer = await loadAudioBuffer(dirname, clip.filename)
+        let assetIndex = assets.length
+        assets.push({
+          assetOffset,
+          index: assetIndex,
+          filename: clip.filename,
+          src: `./${encodeURI(clip.filename)}`,
+          format: 'r3',
+          hasVideo: false,
+
+          audioChannels: buffer.numberOfChannels,
+          audioRate: buffer._buffer.sampleRate
+        })
+        audioAssetRefs[clip.filename] = `r${assetIndex + assetOffset}`
+      }
+
+      let boardIndex = boardData.boards.findIndex(board =>
+        clip.start < board.time + boardDuration(boardData, board))
+      if (boardIndex === -1) boardIndex = boardData.boards.length - 1
+      let board = boardData.boards[boardIndex]
+
+      let db = audioTracksModel.gainToDecibels(clip.gain)
+      let secondsToFraction = msecs => scaledFraction(normalizedFps, msecs / 1000 * normalizedFps) + 's'
+
+      videos[boardIndex].assetClips.push({
+        filename: clip.filename,
+        lane: `-${lanes.length + t + 1}`,
+        ref: audioAssetRefs[clip.filename],
+
+        // relative to the board
+        audioOffset: secondsToFraction(Math.max(0, clip.start - board.time)),
+        audioStart: clip.offset ? secondsToFraction(clip.offset) : undefined,
+        audioDuration: secondsToFraction(clip.duration),
+        audioRole: AUDIO_ROLES[track.kind],
+
+        adjustVolume: (db !== 0 || clip.fadeIn || clip.fadeOut)
+          ? {
+            amount: `${isFinite(db) ? Math.round(db * 100) / 100 : -96}dB`,
+            fadeIn: clip.fadeIn ? secondsToFraction(clip.fadeIn) : undefined,
+            fadeOut: clip.fadeOut ? secondsToFraction(clip.fadeOut) : undefined
+          }
+          : undefined
+      })
+    }
+  }
+
+  // transitions follow the video of their board in the spine
+  // one effect resource for each type of transition, after the assets
+  let effects = []
+  for (let { videoIndex, type, offset, duration } of transitions) {
+    let { name, uid } = TRANSITION_EFFECTS[type]
+    let data = effects.find(effect => effect.uid === uid)
+    if (!data) {
+      data = { id: `r${assets.length + assetOffset + effects.length}`, name, uid }
+      effects.push(data)
+    }
+    videos[videoIndex].transition = { name, ref: data.id, offset, duration }
+  }
+
   return {
     initialAssets,
 
@@ -206,6 +402,7 @@ const generateFinalCutProXData = async (boardData, { projectFileAbsolutePath, ou
     eventName: 'Storyboarder',
     projectName: basenameWithoutExt, // TODO arg for board name
     assets,
+    effects,
     videos,
 
     fps: normalizedFps
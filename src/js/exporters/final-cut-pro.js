@@ -5,6 +5,9 @@ const Tone = require('tone')
 
 const { msecsToFrames } = require('./common')
 const { boardFileImageSize, boardFilenameForExport } = require('../models/board')
+const audioTracksModel = require('../models/audio-tracks')
+const boardAudioModel = require('../models/board-audio')
+const transitionModel = require('../models/transition')
 const util = require('../utils')
 
 // fcp templating
@@ -47,9 +50,35 @@ const clipItem = data =>
             <labels>
               <label2>${data.label2}</label2>
             </labels>
-          </clipitem>
+          </clipitem>${data.transitionItem ? transitionItem(data.transitionItem) : ''}
 `
 
+// follows the clipitem it transitions out of
+const transitionItem = data => `
+          <transitionitem>
+            <rate>
+              <timebase>${data.timebase}</timebase>
+              <ntsc>${data.ntsc}</ntsc>
+            </rate>
+            <start>${data.start}</start>
+            <end>${data.end}</end>
+            <alignment>${data.alignment}</alignment>
+            <effect>
+              <name>${data.name}</name>
+              <effectid>${data.name}</effectid>
+              <effectcategory>${data.category}</effectcategory>
+              <effecttype>transition</effecttype>
+              <mediatype>video</mediatype>
+            </effect>
+          </transitionitem>`
+
+// FCP effects for each transition type
+const TRANSITION_EFFECTS = {
+  'dissolve': { name: 'Cross Dissolve', category: 'Dissolve' },
+  'wipe': { name: 'Edge Wipe', category: 'Wipe' },
+  'fade-to-black': { name: 'Dip to Color Dissolve', category: 'Dissolve' }
+}
+
 const stereoTrack = data => `
         <track TL.SQTrackAudioKeyframeStyle="0" TL.SQTrackShy="0" TL.SQTrackExpandedHeight="25" TL.SQTrackExpanded="0" MZ.TrackTargeted="1" PannerCurrentValue="0.5" PannerIsInverted="true" PannerStartKeyframe="-91445760000000000,0.5,0,0,0,0,0,0" PannerName="Balance" currentExplodedTrackIndex="0" totalExplodedTrackCount="2" premiereTrackType="Stereo">
     ${data.audioClips.filter(c => c.numberOfChannels == 1).map(c => audioClip(Object.assign(c, { currentExplodedTrackIndex: 0 }))).join('\n')}
@@ -141,6 +170,7 @@ const audioClip = data => `
               </link>`
               : ''
             }
+            ${data.levels ? audioLevelsFilter(data.levels) : ''}
 
             <logginginfo>
               <description></description>
@@ -153,6 +183,28 @@ const audioClip = data => `
             </labels>
           </clipitem>`
 
+// gain is linear, fades are keyframes (in frames of the source media)
+const audioLevelsFilter = data => `<filter>
+              <effect>
+                <name>Audio Levels</name>
+                <effectid>audiolevels</effectid>
+                <effectcategory>audiolevels</effectcategory>
+                <effecttype>audiolevels</effecttype>
+                <mediatype>audio</mediatype>
+                <parameter>
+                  <parameterid>level</parameterid>
+                  <name>Level</name>
+                  <valuemin>0</valuemin>
+                  <valuemax>3.98109</valuemax>
+                  <value>${data.gain}</value>${data.keyframes.map(keyframe => `
+                  <keyframe>
+                    <when>${keyframe.when}</when>
+                    <value>${keyframe.value}</value>
+                  </keyframe>`).join('')}
+                </parameter>
+              </effect>
+            </filter>`
+
 const generateFinalCutProXml = data =>
 `<?xml version="1.0" encoding="UTF-8"?>
 <!DOCTYPE xmeml>
@@ -252,6 +304,15 @@ const sanitizeNameString = function (nameString) {
 // "This value is not guaranteed to remain the same from version to version."
 const pproTicksForFrames = (fps, frames) => frames / fps * 254016000000
 
+const loadAudioBuffer = async (dirname, filename) => {
+  try {
+    return await new Tone.Buffer().load(path.join(dirname, 'images', filename))
+  } catch (err) {
+    console.error(err)
+    throw new Error(`could not load audio file ${filename}`)
+  }
+}
+
 const generateFinalCutProData = async (boardData, { projectFileAbsolutePath, outputPath }) => {
   let [width, height] = boardFileImageSize(boardData)
 
@@ -315,18 +376,25 @@ const generateFinalCutProData = async (boardData, { projectFileAbsolutePath, out
 
       label2: 'Lavender'
     }
+
+    let transition = transitionModel.getTransition(boardData, index)
+    if (transition) {
+      let isLastBoard = index === boardData.boards.length - 1
+      clipItem.transitionItem = {
+        ...TRANSITION_EFFECTS[isLastBoard ? 'dissolve' : transition.type],
+        timebase,
+        ntsc,
+        // ends at the cut
+        start: endFrame - Math.round(msecsToFrames(boardData.fps, transition.duration)),
+        end: endFrame,
+        // the last board dissolves to black
+        alignment: isLastBoard ? 'end-black' : 'end'
+      }
+    }
     clipItems.push(clipItem)
 
     if (board.audio && board.audio.filename && board.audio.filename.length) {
-      let filepath = path.join(dirname, 'images', board.audio.filename)
-      let buffer
-
-      try {
-        buffer = await new Tone.Buffer().load(filepath)
-      } catch (err) {
-        console.error(err)
-        throw new Error(`could not load audio file ${board.audio.filename}`)
-      }
+      let buffer = await loadAudioBuffer(dirname, board.audio.filename)
 
       // buffer.length               // length in samples, e.g. 44788
       // buffer.duration             // duration in seconds, e.g. 0.933...
@@ -339,7 +407,14 @@ const generateFinalCutProData = async (boardData, { projectFileAbsolutePath, out
       let sampleRate = buffer._buffer.sampleRate
       let numberOfChannels = buffer.numberOfChannels
 
-      let audioEndFrame = currFrame + Math.round(msecsToFrames(boardData.fps, audioDurationInMsecs))
+      // only the trimmed part of the file, starting `offset` msecs into the board
+      // see: models/board-audio
+      let trimmedAudio = { ...board.audio, duration: audioDurationInMsecs }
+      let toFrames = msecs => Math.round(msecsToFrames(boardData.fps, msecs))
+      let inFrame = toFrames(boardAudioModel.getInPoint(trimmedAudio))
+      let outFrame = toFrames(boardAudioModel.getOutPoint(trimmedAudio))
+      let audioStartFrame = currFrame + toFrames(boardAudioModel.getOffset(trimmedAudio))
+      let audioEndFrame = audioStartFrame + (outFrame - inFrame)
 
       let audioClip = {
         name: board.audio.filename,
@@ -349,13 +424,13 @@ const generateFinalCutProData = async (boardData, { projectFileAbsolutePath, out
         timebase: timebase,
         ntsc: ntsc,
 
-        start: currFrame,
+        start: audioStartFrame,
         end: audioEndFrame,
-        in: 0,
-        out: Math.round(msecsToFrames(boardData.fps, audioDurationInMsecs)),
+        in: inFrame,
+        out: outFrame,
 
-        pproTicksIn: pproTicksForFrames(boardData.fps, 0),
-        pproTicksOut: pproTicksForFrames(boardData.fps, Math.round(msecsToFrames(boardData.fps, audioDurationInMsecs))),
+        pproTicksIn: pproTicksForFrames(boardData.fps, inFrame),
+        pproTicksOut: pproTicksForFrames(boardData.fps, outFrame),
 
         filename: board.audio.filename,
         pathurl: `./${board.audio.filename}`, // `file://localhost${path.join(dirname, board.audio.filename)}`,
@@ -379,7 +454,8 @@ const generateFinalCutProData = async (boardData, { projectFileAbsolutePath, out
 
       stereoTracks[nextAvailableTrackIndex] = stereoTracks[nextAvailableTrackIndex] || {}
       stereoTracks[nextAvailableTrackIndex].audioClips = stereoTracks[nextAvailableTrackIndex].audioClips || []
-      stereoTracks[nextAvailableTrackIndex].endInMsecs = timelinePosInMsecs + audioDurationInMsecs
+      stereoTracks[nextAvailableTrackIndex].endInMsecs = timelinePosInMsecs +
+        boardAudioModel.getOffset(trimmedAudio) + boardAudioModel.getPlayedDuration(trimmedAudio)
 
       stereoTracks[nextAvailableTrackIndex].audioClips.push(audioClip)
 
@@ -392,6 +468,77 @@ const generateFinalCutProData = async (boardData, { projectFileAbsolutePath, out
     index++
   }
 
+  // audio lanes, below the board audio
+  // each lane gets as many tracks as it needs for its overlapping clips
+  for (let track of audioTracksModel.getTracks(boardData).filter(track => !track.muted)) {
+    let laneTracks = []
+    let clips = track.clips
+      .filter(clip => clip.duration > 0)
+      .sort((a, b) => a.start - b.start)
+
+    for (let clip of clips) {
+      let buffer = await loadAudioBuffer(dirname, clip.filename)
+
+      let toFrames = msecs => Math.round(msecsToFrames(boardData.fps, msecs))
+
+      let inFrame = toFrames(clip.offset)
+      let outFrame = toFrames(clip.offset + clip.duration)
+
+      let keyframes = []
+      if (clip.fadeIn) {
+        keyframes.push({ when: inFrame, value: 0 })
+        keyframes.push({ when: toFrames(clip.offset + clip.fadeIn), value: clip.gain })
+      }
+      if (clip.fadeOut) {
+        keyframes.push({ when: toFrames(clip.offset + clip.duration - clip.fadeOut), value: clip.gain })
+        keyframes.push({ when: outFrame, value: 0 })
+      }
+
+      let audioClip = {
+        name: clip.filename,
+
+        duration: msecsToFrames(boardData.fps, Math.round(buffer.duration * 1000)),
+
+        timebase,
+        ntsc,
+
+        start: toFrames(clip.start),
+        end: toFrames(clip.start) + (outFrame - inFrame),
+        in: inFrame,
+        out: outFrame,
+
+        pproTicksIn: pproTicksForFrames(boardData.fps, inFrame),
+        pproTicksOut: pproTicksForFrames(boardData.fps, outFrame),
+
+        filename: clip.filename,
+        pathurl: `./${clip.filename}`,
+
+        bitDepth: -1,
+        sampleRate: buffer._buffer.sampleRate,
+
+        numberOfChannels: buffer.numberOfChannels,
+
+        audioIndexPos: currAudioIndex + boardData.boards.length + 1,
+
+        levels: (clip.gain !== 1 || keyframes.length)
+          ? { gain: clip.gain, keyframes }
+          : undefined
+      }
+
+      let laneTrack = laneTracks.find(laneTrack => clip.start >= laneTrack.endInMsecs)
+      if (!laneTrack) {
+        laneTrack = { endInMsecs: 0, audioClips: [] }
+        laneTracks.push(laneTrack)
+      }
+      laneTrack.endInMsecs = audioTracksModel.getClipEnd(clip)
+      laneTrack.audioClips.push(audioClip)
+
+      currAudioIndex = currAudioIndex + 2
+    }
+
+    stereoTracks = stereoTracks.concat(laneTracks)
+  }
+
   return {
     sequenceId: 'sequence-1',
     uuid: util.uuid4(),
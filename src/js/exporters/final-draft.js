@@ -0,0 +1,134 @@
+// Final Draft (.fdx) script skeleton, from the boards' dialogue, action and notes
+// see importers/final-draft.js for the structure xml2js reads and writes
+const xml2js = require('xml2js')
+
+// board dialogue is written as `CHARACTER: line`, one cue per line
+// see `data-character` in main-window.js
+const regex = {
+  cue: /^([^:()\n]+?)\s*(\([^)]*\))?\s*:\s*(.*)$/,
+  parenthetical: /^\(.*\)$/
+}
+
+const paragraph = (type, text, scriptNotes) => ({
+  $: { Type: type },
+  ...(scriptNotes ? { ScriptNote: scriptNotes } : {}),
+  Text: [text]
+})
+
+const scriptNote = (name, text) => ({
+  $: { Name: name, Type: 'Info' },
+  Paragraph: text.split(/\r?\n/).map(line => ({ Text: [line] }))
+})
+
+/**
+ * Splits board dialogue into character cues
+ * @param {string} text e.g.: 'BOB: Hello!\nALICE (V.O.): Hi.'
+ * @returns {array} [{ character, lines }], text before the first cue has no character
+ */
+const parseDialogue = text => {
+  let cues = []
+  for (let line of text.split(/\r?\n/).map(line => line.trim()).filter(Boolean)) {
+    let match = line.match(regex.cue)
+    let cue = cues[cues.length - 1]
+    if (match) {
+      cues.push({
+        character: (match[1] + (match[2] ? ' ' + match[2] : '')).toUpperCase(),
+        lines: match[3] ? [match[3]] : []
+      })
+    } else if (cue && cue.character && line.match(regex.parenthetical)) {
+      cue.lines.push({ parenthetical: line })
+    } else if (cue) {
+      cue.lines.push(line)
+    } else {
+      cues.push({ character: undefined, lines: [line] })
+    }
+  }
+  return cues
+}
+
+const paragraphsForBoard = board => {
+  let paragraphs = []
+
+  if (board.action && board.action.trim().length) {
+    for (let text of board.action.split(/\r?\n\s*\r?\n/).map(text => text.trim()).filter(Boolean)) {
+      paragraphs.push(paragraph('Action', text))
+    }
+  }
+
+  if (board.dialogue && board.dialogue.trim().length) {
+    for (let cue of parseDialogue(board.dialogue)) {
+      if (!cue.character) {
+        // no one to attribute it to, so keep the text as action
+        paragraphs.push(paragraph('Action', cue.lines.join('\n')))
+        continue
+      }
+      paragraphs.push(paragraph('Character', cue.character))
+      for (let line of cue.lines) {
+        paragraphs.push(
+          line.parenthetical
+            ? paragraph('Parenthetical', line.parenthetical)
+            : paragraph('Dialogue', line)
+        )
+      }
+    }
+  }
+
+  return paragraphs
+}
+
+/**
+ * @param {array} scenes [{ slugline, boardData }]
+ * @returns {object} fdxObj, as read by importers/final-draft.js `readFdxFile`
+ */
+const generateFinalDraftData = scenes => {
+  let paragraphs = []
+
+  for (let { slugline, boardData } of scenes) {
+    let headingNotes = []
+    let sceneParagraphs = []
+
+    for (let board of boardData.boards) {
+      let boardParagraphs = paragraphsForBoard(board)
+
+      // notes are attached to the board's first paragraph, or to the scene heading
+      if (board.notes && board.notes.trim().length) {
+        let note = scriptNote(`Board ${board.shot || board.number}`, board.notes.trim())
+        if (boardParagraphs.length) {
+          let [{ $, Text }] = boardParagraphs
+          boardParagraphs[0] = paragraph($.Type, Text[0], [note])
+        } else {
+          headingNotes.push(note)
+        }
+      }
+
+      sceneParagraphs.push(...boardParagraphs)
+    }
+
+    paragraphs.push(
+      paragraph('Scene Heading', slugline.toUpperCase(), headingNotes.length ? headingNotes : undefined),
+      ...sceneParagraphs
+    )
+  }
+
+  return {
+    FinalDraft: {
+      $: { DocumentType: 'Script', Template: 'No', Version: '3' },
+      Content: [{ Paragraph: paragraphs }]
+    }
+  }
+}
+
+const generateFinalDraftXml = fdxObj =>
+  new xml2js.Builder({
+    xmldec: {
+      version: '1.0',
+      encoding: 'UTF-8',
+      standalone: false
+    }
+  }).buildObject(fdxObj)
+
+module.exports = {
+  parseDialogue,
+  generateFinalDraftData,
+  generateFinalDraftXml
+}
@@ -0,0 +1,200 @@
+// http://opentimelineio.readthedocs.io/en/latest/tutorials/file-format-specification.html
+const path = require('path')
+
+const { msecsToFrames } = require('./common')
+const {
+  boardFilenameForExport,
+  boardDurationWithAudio
+} = require('../models/board')
+const boardAudioModel = require('../models/board-audio')
+const util = require('../utils')
+
+const rationalTime = (rate, value) => ({
+  OTIO_SCHEMA: 'RationalTime.1',
+  rate,
+  value
+})
+
+const timeRange = (rate, start, duration) => ({
+  OTIO_SCHEMA: 'TimeRange.1',
+  start_time: rationalTime(rate, start),
+  duration: rationalTime(rate, duration)
+})
+
+const externalReference = targetUrl => ({
+  OTIO_SCHEMA: 'ExternalReference.1',
+  name: '',
+  available_range: null,
+  metadata: {},
+  target_url: targetUrl
+})
+
+// `start` is the first frame of the media which is used
+const clip = ({ name, targetUrl, rate, start = 0, duration, markers = [], metadata = {} }) => ({
+  OTIO_SCHEMA: 'Clip.1',
+  name,
+  enabled: true,
+  media_reference: externalReference(targetUrl),
+  source_range: timeRange(rate, start, duration),
+  effects: [],
+  markers,
+  metadata
+})
+
+const gap = (rate, duration) => ({
+  OTIO_SCHEMA: 'Gap.1',
+  name: '',
+  enabled: true,
+  source_range: timeRange(rate, 0, duration),
+  effects: [],
+  markers: [],
+  metadata: {}
+})
+
+const marker = ({ name, color, comment, rate, duration }) => ({
+  OTIO_SCHEMA: 'Marker.2',
+  name,
+  color,
+  comment,
+  marked_range: timeRange(rate, 0, duration),
+  metadata: {}
+})
+
+const track = (name, kind, children) => ({
+  OTIO_SCHEMA: 'Track.1',
+  name,
+  kind,
+  enabled: true,
+  source_range: null,
+  children,
+  effects: [],
+  markers: [],
+  metadata: {}
+})
+
+const generateOtioData = (boardData, { projectFileAbsolutePath }) => {
+  let extname = path.extname(projectFileAbsolutePath)
+  let basenameWithoutExt = path.basename(projectFileAbsolutePath, extname)
+
+  let rate = boardData.fps === 23.976
+    ? 24000 / 1001 // better precision
+    : Number(boardData.fps)
+
+  let videoClips = []
+  let audioClips = []
+
+  // frames are calculated from the running time in msecs, to avoid accumulating rounding errors
+  let timelinePosInMsecs = 0
+  let audioEndFrame = 0
+  let index = 0
+  for (let board of boardData.boards) {
+    let filename = util.dashed(boardFilenameForExport(board, index, basenameWithoutExt))
+
+    let duration = boardDurationWithAudio(boardData, board)
+
+    let startFrame = Math.round(msecsToFrames(rate, timelinePosInMsecs))
+    let endFrame = Math.round(msecsToFrames(rate, timelinePosInMsecs + duration))
+    let durationInFrames = endFrame - startFrame
+
+    let markers = []
+    if (board.dialogue) {
+      markers.push(marker({ name: 'Dialogue', color: 'YELLOW', comment: board.dialogue, rate, duration: durationInFrames }))
+    }
+    if (board.action) {
+      markers.push(marker({ name: 'Action', color: 'GREEN', comment: board.action, rate, duration: durationInFrames }))
+    }
+
+    videoClips.push(
+      clip({
+        name: `${board.shot}`,
+        targetUrl: `./${encodeURI(filename)}`,
+        rate,
+        duration: durationInFrames,
+        markers,
+        metadata: {
+          storyboarder: {
+            uid: board.uid,
+            number: board.number,
+            shot: board.shot,
+            newShot: board.newShot,
+            ...(board.dialogue ? { dialogue: board.dialogue } : {}),
+            ...(board.action ? { action: board.action } : {}),
+            ...(board.notes ? { notes: board.notes } : {})
+          }
+        }
+      })
+    )
+
+    if (board.audio && board.audio.filename && board.audio.filename.length) {
+      // only the trimmed part of the file, starting `offset` msecs into the board
+      // see: models/board-audio
+      let audioStartFrame = Math.min(
+        Math.round(msecsToFrames(rate, timelinePosInMsecs + boardAudioModel.getOffset(board.audio))),
+        endFrame
+      )
+
+      // audio is never longer than its board, see boardDurationWithAudio
+      let audioDurationInFrames = board.audio.duration
+        ? Math.min(Math.round(msecsToFrames(rate, boardAudioModel.getPlayedDuration(board.audio))), endFrame - audioStartFrame)
+        : endFrame - audioStartFrame
+
+      if (audioStartFrame > audioEndFrame) {
+        audioClips.push(gap(rate, audioStartFrame - audioEndFrame))
+      }
+      audioClips.push(
+        clip({
+          name: board.audio.filename,
+          targetUrl: `./${encodeURI(board.audio.filename)}`,
+          rate,
+          start: Math.round(msecsToFrames(rate, boardAudioModel.getInPoint(board.audio))),
+          duration: audioDurationInFrames,
+          metadata: {
+            storyboarder: {
+              uid: board.uid
+            }
+          }
+        })
+      )
+      audioEndFrame = audioStartFrame + audioDurationInFrames
+    }
+
+    timelinePosInMsecs += duration
+    index++
+  }
+
+  return {
+    OTIO_SCHEMA: 'Timeline.1',
+    name: basenameWithoutExt,
+    global_start_time: null,
+    metadata: {
+      storyboarder: {
+        version: boardData.version,
+        aspectRatio: Number(boardData.aspectRatio),
+        fps: Number(boardData.fps),
+        defaultBoardTiming: boardData.defaultBoardTiming,
+        boardCount: boardData.boards.length,
+        duration: timelinePosInMsecs
+      }
+    },
+    tracks: {
+      OTIO_SCHEMA: 'Stack.1',
+      name: 'tracks',
+      enabled: true,
+      source_range: null,
+      children: [
+        track('Boards', 'Video', videoClips),
+        ...(audioClips.length ? [track('Audio', 'Audio', audioClips)] : [])
+      ],
+      effects: [],
+      markers: [],
+      metadata: {}
+    }
+  }
+}
+
+const generateOtio = data => JSON.stringify(data, null, 4)
+
+module.exports = {
+  generateOtioData,
+  generateOtio
+}
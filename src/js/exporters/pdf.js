@@ -50,6 +50,11 @@ const generatePDF = (paperSize, layout='landscape', rows, cols, spacing, boardDa
 
 
   let stream = doc.pipe(fs.createWriteStream(filepath))
+  // resolves once the file has been completely written
+  let finished = new Promise((resolve, reject) => {
+    stream.on('finish', resolve)
+    stream.on('error', reject)
+  })
 
   let pages = Math.ceil(boardData.boards.length/(rows*cols))
   let currentBoard = 0
@@ -306,6 +311,8 @@ const generatePDF = (paperSize, layout='landscape', rows, cols, spacing, boardDa
     }
   }
   doc.end()
+
+  return finished
 }
 
 module.exports = {
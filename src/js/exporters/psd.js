@@ -6,7 +6,12 @@ const exporterCommon = require('./common')
 /*
 interface Meta {
   name: string,
-  canvas: HTMLCanvasElement
+  canvas: HTMLCanvasElement,
+
+  // optional, for user layers (see: models/user-layers#toPsdLayer)
+  opacity?: number,
+  hidden?: boolean,
+  blendMode?: string
 }
 */
 const toPsdBuffer = async metas => {
@@ -38,7 +43,11 @@ const toPsdBuffer = async metas => {
     psd.children.push({
       id, // 
       name: meta.name,
-      canvas: meta.canvas
+      canvas: meta.canvas,
+      // in the same range importers/psd reads
+      ...(meta.opacity != null ? { opacity: Math.round(meta.opacity * 255) } : {}),
+      ...(meta.hidden ? { hidden: true } : {}),
+      ...(meta.blendMode ? { blendMode: meta.blendMode } : {})
     })
 
     psd.width = meta.canvas.width > psd.width ? meta.canvas.width : psd.width
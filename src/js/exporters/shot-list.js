@@ -0,0 +1,292 @@
+const fs = require('fs')
+const path = require('path')
+const archiver = require('archiver')
+const pdfDocument = require('pdfkit')
+const moment = require('moment')
+
+const {
+  boardDuration,
+  boardFilenameForPosterFrame
+} = require('../models/board')
+const { csvField } = require('./common')
+const util = require('../utils/index')
+
+const COLUMNS = [
+  ['sceneNumber', 'Scene'],
+  ['setupNumber', 'Setup'],
+  ['shot', 'Shot'],
+  ['boardNumber', 'Board'],
+  ['lens', 'Lens'],
+  ['height', 'Camera Height'],
+  ['camera', 'Camera Change'],
+  ['beats', 'Beats'],
+  ['duration', 'Duration (s)'],
+  ['dialogue', 'Dialogue'],
+  ['action', 'Action'],
+  ['notes', 'Notes']
+]
+
+const describeCameraChange = camera =>
+  camera
+    ? ['x', 'y', 'height', 'rotation', 'tilt', 'roll']
+      .filter(key => camera[key])
+      .map(key => `${key} ${camera[key]}`)
+      .join(', ')
+    : ''
+
+/**
+ * Flattens shot list data into one row per board, in setup order
+ * Each setup begins with its shot row, followed by the rows of its beats
+ * @param {object} entry { number, slugline, scene, sceneFilePath, setups, shots }
+ * @returns {array} rows
+ */
+const getRowsForScene = ({ number, scene, sceneFilePath, setups, shots }) => {
+  let rows = []
+
+  let boardByUid = uid => scene.boards.find(board => board.uid === uid)
+  let thumbnailPath = board => sceneFilePath
+    ? path.join(path.dirname(sceneFilePath), 'images', boardFilenameForPosterFrame(board))
+    : undefined
+
+  // beats inherit lens and height from their setup, and only list the camera change
+  let createRow = ({ setup, board, beats, camera, isBeat }) => ({
+    sceneNumber: number == null ? '' : number,
+    setupNumber: setup.number,
+    shot: board.shot || '',
+    boardNumber: board.number,
+    lens: isBeat ? '' : setup.fov,
+    height: isBeat ? '' : setup.height,
+    camera: describeCameraChange(camera),
+    beats: isBeat ? '' : beats.map(beat => beat.number).join(', '),
+    duration: boardDuration(scene, board) / 1000,
+    dialogue: board.dialogue || '',
+    action: board.action || '',
+    notes: board.notes || '',
+    thumbnail: thumbnailPath(board),
+    isBeat
+  })
+
+  setups.forEach((setup, n) => {
+    for (let shot of shots[n]) {
+      let board = boardByUid(shot.uid)
+      if (!board) continue
+
+      rows.push(createRow({ setup, board, beats: shot.beats, isBeat: false }))
+
+      for (let beat of shot.beats) {
+        let beatBoard = boardByUid(beat.uid)
+        if (!beatBoard) continue
+
+        rows.push(createRow({ setup, board: beatBoard, camera: beat.camera, isBeat: true }))
+      }
+    }
+  })
+
+  return rows
+}
+
+const getShotListRows = entries =>
+  entries.reduce((rows, entry) => rows.concat(getRowsForScene(entry)), [])
+
+const generateShotListCsv = rows =>
+  [
+    COLUMNS.map(([, label]) => label),
+    ...rows.map(row => COLUMNS.map(([key]) => row[key]))
+  ]
+  .map(fields => fields.map(csvField).join(','))
+  .join('\r\n') + '\r\n'
+
+const xmlEscape = string =>
+  string.toString()
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+
+// 0 = A, 25 = Z, 26 = AA …
+const columnName = index =>
+  index < 26
+    ? String.fromCharCode(65 + index)
+    : columnName(Math.floor(index / 26) - 1) + columnName(index % 26)
+
+const xlsxCell = (value, ref) =>
+  typeof value === 'number'
+    ? `<c r="${ref}"><v>${value}</v></c>`
+    : `<c r="${ref}" t="inlineStr"><is><t xml:space="preserve">${xmlEscape(value == null ? '' : value)}</t></is></c>`
+
+const generateShotListSheetXml = rows =>
+  `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<worksheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main">
+  <sheetData>
+    ${[
+      COLUMNS.map(([, label]) => label),
+      ...rows.map(row => COLUMNS.map(([key]) => row[key]))
+    ].map((fields, r) =>
+      `<row r="${r + 1}">${fields.map((value, c) => xlsxCell(value, columnName(c) + (r + 1))).join('')}</row>`
+    ).join('\n    ')}
+  </sheetData>
+</worksheet>`
+
+// minimal SpreadsheetML package, see ECMA-376 Part 1
+const xlsxParts = sheetXml => ({
+  '[Content_Types].xml': `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">
+  <Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>
+  <Default Extension="xml" ContentType="application/xml"/>
+  <Override PartName="/xl/workbook.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml"/>
+  <Override PartName="/xl/worksheets/sheet1.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml"/>
+</Types>`,
+  '_rels/.rels': `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">
+  <Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/officeDocument" Target="xl/workbook.xml"/>
+</Relationships>`,
+  'xl/workbook.xml': `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<workbook xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main" xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships">
+  <sheets>
+    <sheet name="Shot List" sheetId="1" r:id="rId1"/>
+  </sheets>
+</workbook>`,
+  'xl/_rels/workbook.xml.rels': `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">
+  <Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/worksheet" Target="worksheets/sheet1.xml"/>
+</Relationships>`,
+  'xl/worksheets/sheet1.xml': sheetXml
+})
+
+const writeShotListXlsx = (rows, filepath) =>
+  new Promise((resolve, reject) => {
+    let output = fs.createWriteStream(filepath)
+    let archive = archiver('zip', {
+      zlib: { level: 9 }
+    })
+    output.on('close', () => resolve(filepath))
+    archive.on('warning', reject)
+    archive.on('error', reject)
+    archive.pipe(output)
+
+    for (let [name, contents] of Object.entries(xlsxParts(generateShotListSheetXml(rows)))) {
+      archive.append(contents, { name })
+    }
+
+    archive.finalize()
+  })
+
+const writeShotListPdf = (rows, { title, aspectRatio }, filepath) =>
+  new Promise((resolve, reject) => {
+    let doc = new pdfDocument({ size: 'LETTER', layout: 'landscape', margin: 0 })
+
+    doc.registerFont('thin', path.join(__dirname, '..', '..', 'fonts', 'thicccboi', 'THICCCBOI-Thin.ttf'))
+    doc.registerFont('italic', path.join(__dirname, '..', '..', 'fonts', 'thicccboi', 'THICCCBOI-Regular.ttf'))
+    doc.registerFont('bold', path.join(__dirname, '..', '..', 'fonts', 'thicccboi', 'THICCCBOI-Bold.ttf'))
+
+    let stream = doc.pipe(fs.createWriteStream(filepath))
+    stream.on('finish', () => resolve(filepath))
+    stream.on('error', reject)
+
+    let margin = 22
+    let headerHeight = 40
+    let thumbnailWidth = 90
+    let thumbnailHeight = thumbnailWidth / (aspectRatio || 16 / 9)
+    let rowHeight = Math.max(thumbnailHeight, 36) + 8
+
+    // [key, label, width]
+    let columns = [
+      ['sceneNumber', 'SCENE', 30],
+      ['setupNumber', 'SETUP', 30],
+      ['shot', 'SHOT', 30],
+      ['lens', 'LENS', 34],
+      ['height', 'HEIGHT', 38],
+      ['camera', 'CAMERA', 100],
+      ['duration', 'SECS', 30],
+      ['text', 'DIALOGUE / ACTION / NOTES', 0]
+    ]
+    let fixedWidth = thumbnailWidth + 8 + columns.reduce((sum, [, , width]) => sum + width, 0)
+    columns[columns.length - 1][2] = doc.page.width - margin * 2 - fixedWidth
+
+    let rowsPerPage = Math.floor((doc.page.height - margin * 2 - headerHeight - 12) / rowHeight)
+    let pages = Math.max(1, Math.ceil(rows.length / rowsPerPage))
+
+    for (let page = 0; page < pages; page++) {
+      if (page > 0) doc.addPage()
+
+      doc.font('bold')
+      doc.fontSize(13)
+      doc.text(title.toUpperCase(), margin, margin, { align: 'left' })
+      doc.font('thin')
+      doc.fontSize(5)
+      doc.text('SHOT LIST: ' + moment().format('LL').toUpperCase(), margin, margin + 16, { align: 'left' })
+      doc.fontSize(7)
+      doc.text('Page: ' + (page + 1) + ' / ' + pages, doc.page.width - margin - 50, margin, { width: 50, align: 'right' })
+
+      let y = margin + headerHeight
+      let x = margin + thumbnailWidth + 8
+      doc.font('bold')
+      doc.fontSize(5)
+      for (let [, label, width] of columns) {
+        doc.text(label, x, y, { width: width - 4 })
+        x += width
+      }
+      y += 12
+
+      for (let row of rows.slice(page * rowsPerPage, (page + 1) * rowsPerPage)) {
+        if (row.thumbnail && fs.existsSync(row.thumbnail)) {
+          doc.image(row.thumbnail, margin, y, { width: thumbnailWidth, height: thumbnailHeight })
+        }
+        doc.rect(margin, y, thumbnailWidth, thumbnailHeight)
+        doc.lineWidth(0.1).stroke()
+
+        let cells = {
+          ...row,
+          duration: row.duration.toFixed(2),
+          text: [row.dialogue, row.action, row.notes].filter(Boolean).join('\n')
+        }
+
+        x = margin + thumbnailWidth + 8
+        for (let [key, , width] of columns) {
+          doc.font(key === 'setupNumber' && !row.isBeat ? 'bold' : 'thin')
+          doc.fontSize(key === 'text' ? 6 : 7)
+          doc.text(cells[key] == null ? '' : cells[key].toString(), x, y, {
+            width: width - 4,
+            height: rowHeight - 8,
+            ellipsis: true
+          })
+          x += width
+        }
+
+        y += rowHeight
+        doc.moveTo(margin, y - 4).lineTo(doc.page.width - margin, y - 4)
+        doc.lineWidth(0.1).stroke()
+      }
+    }
+
+    doc.end()
+  })
+
+/**
+ * Writes the shot list as CSV, XLSX and PDF into `outputPath`
+ * @param {array} entries [{ number, slugline, scene, sceneFilePath, setups, shots }]
+ * @param {object} options { title:string, outputPath:string }
+ * @returns {Promise} resolves with an array of the absolute paths to the exported files
+ */
+const exportShotList = async (entries, { title, outputPath }) => {
+  let rows = getShotListRows(entries)
+
+  let basename = util.dashed(title + ' Shot List')
+  let aspectRatio = entries.length ? entries[0].scene.aspectRatio : undefined
+
+  let csvFilePath = path.join(outputPath, basename + '.csv')
+  fs.writeFileSync(csvFilePath, generateShotListCsv(rows))
+
+  return [
+    csvFilePath,
+    await writeShotListXlsx(rows, path.join(outputPath, basename + '.xlsx')),
+    await writeShotListPdf(rows, { title, aspectRatio }, path.join(outputPath, basename + '.pdf'))
+  ]
+}
+
+module.exports = {
+  getShotListRows,
+  generateShotListCsv,
+  generateShotListSheetXml,
+  exportShotList
+}
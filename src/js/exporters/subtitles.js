@@ -0,0 +1,54 @@
+// SubRip (SRT) and WebVTT subtitles, from board dialogue
+// https://www.w3.org/TR/webvtt1/
+const { boardDurationWithAudio } = require('../models/board')
+const util = require('../utils')
+
+// HH:MM:SS,mmm (SRT) or HH:MM:SS.mmm (WebVTT)
+const msecsToTimestamp = (msecs, separator) => {
+  msecs = Math.max(0, Math.round(msecs))
+  let ms = msecs % 1000
+  let totalSeconds = Math.floor(msecs / 1000)
+  let ss = totalSeconds % 60
+  let mm = Math.floor(totalSeconds / 60) % 60
+  let hh = Math.floor(totalSeconds / 3600)
+  return [hh, mm, ss].map(n => util.zeroFill(2, n)).join(':') + separator + util.zeroFill(3, ms)
+}
+
+// a cue for each board with dialogue, for as long as the board (or its audio, if longer)
+// related: main-window.js renderCaption
+const generateSubtitleData = boardData =>
+  boardData.boards
+    .filter(board => board.dialogue && board.dialogue.trim().length)
+    .map(board => ({
+      start: board.time,
+      end: board.time + boardDurationWithAudio(boardData, board),
+      // blank lines would end the cue
+      text: board.dialogue.trim().replace(/\n\s*\n/g, '\n')
+    }))
+
+const generateSrt = cues =>
+  cues.map((cue, index) =>
+    [
+      index + 1,
+      `${msecsToTimestamp(cue.start, ',')} --> ${msecsToTimestamp(cue.end, ',')}`,
+      cue.text
+    ].join('\n') + '\n'
+  ).join('\n')
+
+const generateWebVtt = cues =>
+  ['WEBVTT\n']
+    .concat(cues.map(cue =>
+      [
+        `${msecsToTimestamp(cue.start, '.')} --> ${msecsToTimestamp(cue.end, '.')}`,
+        // `-->` isn't allowed in cue text
+        cue.text.replace(/-->/g, '->')
+      ].join('\n') + '\n'
+    ))
+    .join('\n')
+
+module.exports = {
+  msecsToTimestamp,
+  generateSubtitleData,
+  generateSrt,
+  generateWebVtt
+}
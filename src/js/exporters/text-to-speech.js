@@ -0,0 +1,128 @@
+// Renders speech to a WAV file, with the text-to-speech of the operating system
+//
+//   macOS:   say
+//   Windows: System.Speech, via PowerShell
+//   Linux:   espeak-ng
+//
+// The text is written to a file first, so it's never parsed as a command line option.
+const execa = require('execa')
+const fs = require('fs-extra')
+const path = require('path')
+const tmp = require('tmp')
+
+const POWERSHELL_ARGS = ['-NoProfile', '-NonInteractive', '-Command']
+
+// as a PowerShell string literal
+const powerShellString = string =>
+  `'${string.replace(/'/g, "''")}'`
+
+// returns [command, args]
+const getSpeakCommand = (platform, { textFilePath, outputPath, voice }) => {
+  switch (platform) {
+    case 'darwin':
+      return ['say', [
+        ...(voice ? ['-v', voice] : []),
+        '--file-format=WAVE',
+        '--data-format=LEI16@22050',
+        '-o', outputPath,
+        '-f', textFilePath
+      ]]
+    case 'win32':
+      return ['powershell', [
+        ...POWERSHELL_ARGS,
+        [
+          'Add-Type -AssemblyName System.Speech',
+          '$synth = New-Object System.Speech.Synthesis.SpeechSynthesizer',
+          ...(voice ? [`$synth.SelectVoice(${powerShellString(voice)})`] : []),
+          `$synth.SetOutputToWaveFile(${powerShellString(outputPath)})`,
+          `$synth.Speak([System.IO.File]::ReadAllText(${powerShellString(textFilePath)}))`,
+          '$synth.Dispose()'
+        ].join('; ')
+      ]]
+    default:
+      return ['espeak-ng', [
+        ...(voice ? ['-v', voice] : []),
+        '-w', outputPath,
+        '-f', textFilePath
+      ]]
+  }
+}
+
+// returns [command, args]
+const getListVoicesCommand = platform => {
+  switch (platform) {
+    case 'darwin':
+      return ['say', ['-v', '?']]
+    case 'win32':
+      return ['powershell', [
+        ...POWERSHELL_ARGS,
+        'Add-Type -AssemblyName System.Speech; ' +
+        '(New-Object System.Speech.Synthesis.SpeechSynthesizer).GetInstalledVoices() | ' +
+        'ForEach-Object { $_.VoiceInfo.Name }'
+      ]]
+    default:
+      return ['espeak-ng', ['--voices']]
+  }
+}
+
+// voice names, from the output of the list voices command
+const parseVoices = (platform, stdout) => {
+  let lines = stdout.split(/\r?\n/).filter(line => line.trim().length)
+  let voices
+  switch (platform) {
+    case 'darwin':
+      // e.g.: `Bad News            en_US    # The light you see at the end of the tunnel is …`
+      voices = lines.map(line => {
+        let match = line.match(/^(.+?)\s+[a-z]{2,3}[_-][A-Za-z0-9]+\s+#/)
+        return match && match[1].trim()
+      })
+      break
+    case 'win32':
+      voices = lines.map(line => line.trim())
+      break
+    default:
+      // e.g.: ` 5  en-us          --/M      English_(America)  gmw/en-US    (en 2)`
+      // after a header line. voices are chosen by language.
+      voices = lines.slice(1).map(line => line.trim().split(/\s+/)[1])
+  }
+  return [...new Set(voices.filter(Boolean))]
+}
+
+// installed voices, or an empty list if they can't be found
+const getVoices = async (platform = process.platform) => {
+  try {
+    let [command, args] = getListVoicesCommand(platform)
+    let { stdout } = await execa(command, args)
+    return parseVoices(platform, stdout)
+  } catch (err) {
+    console.error(err)
+    return []
+  }
+}
+
+// `voice` is optional (the system default)
+const renderSpeech = async ({ text, voice, outputPath, platform = process.platform }) => {
+  let tmpDir = tmp.dirSync()
+  let textFilePath = path.join(tmpDir.name, 'speech.txt')
+  try {
+    fs.writeFileSync(textFilePath, text)
+
+    let [command, args] = getSpeakCommand(platform, { textFilePath, outputPath, voice })
+    await execa(command, args)
+
+    if (!fs.existsSync(outputPath)) {
+      throw new Error(`Text-to-speech did not create ${path.basename(outputPath)}`)
+    }
+  } finally {
+    fs.emptyDirSync(tmpDir.name)
+    tmpDir.removeCallback()
+  }
+}
+
+module.exports = {
+  getSpeakCommand,
+  getListVoicesCommand,
+  parseVoices,
+  getVoices,
+  renderSpeech
+}
@@ -6,8 +6,10 @@ const { remote } = require('electron')
 const request = require('request-promise-native')
 
 const boardModel = require('../models/board')
+const boardAudioModel = require('../models/board-audio')
 const exporterCommon = require('./common')
 const exporterFfmpeg = require('./ffmpeg')
+const exporterSubtitles = require('./subtitles')
 const { fitToDst } = require('../utils')
 
 const prefsModule = remote.require(path.join(__dirname, '..', 'prefs'))
@@ -81,10 +83,20 @@ const exportForWeb = async (srcFilePath, outputFolderPath) => {
             let src = path.join(path.dirname(srcFilePath), 'images', board.audio.filename)
             let dst = path.join(outputFolderPath, path.basename(board.audio.filename, '.wav') + '.mp4')
 
+            // the web player plays the whole file from the start of the board,
+            // so the trims and offset are applied here (see: models/board-audio)
+            let offset = boardAudioModel.getOffset(board.audio)
+            let filters = [
+              ...exporterFfmpeg.boardAudioTrimFilters(board.audio),
+              ...(offset > 0 ? [`adelay=${offset}|${offset}`] : [])
+            ]
+
             let args = [
               // Input #0
               '-i', src,
 
+              ...(filters.length ? ['-af', filters.join(',')] : []),
+
               // mono, via https://trac.ffmpeg.org/wiki/AudioChannelManipulation
               '-ac', '1',
 
@@ -151,6 +163,11 @@ const exportForWeb = async (srcFilePath, outputFolderPath) => {
           board.audio.filename,
           '.wav'
         ) + '.mp4'
+        // trims are already applied to the file
+        if (board.audio.duration) {
+          board.audio.duration = boardAudioModel.getOffset(board.audio) + boardAudioModel.getPlayedDuration(board.audio)
+        }
+        boardAudioModel.resetTrim(board.audio)
       }
       index++
     }
@@ -215,6 +232,16 @@ const exportForWeb = async (srcFilePath, outputFolderPath) => {
     //
     //
 
+    //
+    //
+    // subtitles, from the dialogue
+    //
+    let cues = exporterSubtitles.generateSubtitleData(scene)
+    if (cues.length) {
+      fs.writeFileSync(path.join(outputFolderPath, 'subtitles.vtt'), exporterSubtitles.generateWebVtt(cues))
+      fs.writeFileSync(path.join(outputFolderPath, 'subtitles.srt'), exporterSubtitles.generateSrt(cues))
+    }
+
     //
     //
     // write the modified scene
@@ -0,0 +1,248 @@
+// Round-trip of board data between a scene's boards and its Fountain screenplay
+//
+// Each scene gets a block right after its scene heading, anchored to the scene id:
+//
+//   INT. HOUSE - DAY #1-ABCDE#
+//
+//   /* Storyboarder 1-ABCDE
+//   {"uid":"7BZ4P","shot":"1A","duration":2000,"dialogue":"…","action":"…","notes":"…"}
+//   */
+//
+//   [[Board 1A: notes on the board]]
+//
+// The boneyard comment holds the complete board data and is hidden by Fountain apps.
+// The [[notes]] show the board notes to the writer, and are read back if they're edited.
+const { regex: sceneIdRegex } = require('./fountain-scene-id-util')
+const { boardDuration } = require('./models/board')
+
+const FIELDS = ['dialogue', 'action', 'notes', 'duration']
+
+const regex = {
+  boneyard_begin: /^\/\* Storyboarder (\S+)\s*$/,
+  boneyard_end: /^\s*\*\/\s*$/,
+  note: /^\[\[Board (.*?): (.*)\]\]\s*$/,
+  blank: /^\s*$/
+}
+
+// scene ids are `<scene number>-<uid>`, the number may change if scenes are renumbered
+const sceneUid = sceneId => sceneId.split('-').pop()
+
+// Fountain notes are a single line, and must not open or close another note or a boneyard
+const flattenNote = text =>
+  text
+    .replace(/\s*\n\s*/g, ' ')
+    .replace(/\[\[/g, '[')
+    .replace(/\]\]/g, ']')
+    .replace(/\/\*/g, '/ *')
+    .replace(/\*\//g, '* /')
+    .replace(/(^|[^:])\/\//g, '$1/ /')
+    .trim()
+
+const getBoardValues = (boardData, board) => ({
+  uid: board.uid,
+  shot: board.shot,
+  duration: boardDuration(boardData, board),
+  dialogue: board.dialogue || '',
+  action: board.action || '',
+  notes: board.notes || ''
+})
+
+const getSceneBoards = boardData =>
+  boardData.boards.map(board => getBoardValues(boardData, board))
+
+// the range of lines from a scene heading up to the next scene heading
+const findSceneSection = (lines, sceneId) => {
+  let section
+  for (let i = 0; i < lines.length; i++) {
+    if (!lines[i].match(sceneIdRegex.scene_heading)) continue
+
+    if (section) {
+      section.end = i
+      return section
+    }
+
+    let match = lines[i].match(sceneIdRegex.scene_number)
+    if (match && sceneUid(match[2]) === sceneUid(sceneId)) {
+      section = { start: i, end: lines.length }
+    }
+  }
+  return section
+}
+
+// the Storyboarder block, which must follow the scene heading
+const findBlock = (lines, section) => {
+  let i = section.start + 1
+  while (i < section.end && lines[i].match(regex.blank)) i++
+
+  if (i >= section.end || !lines[i].match(regex.boneyard_begin)) return
+
+  let block = { start: i, rows: [], notes: [] }
+
+  for (i = i + 1; i < section.end && !lines[i].match(regex.boneyard_end); i++) {
+    try {
+      block.rows.push(JSON.parse(lines[i]))
+    } catch (err) {
+      // ignore lines which were edited into invalid JSON
+    }
+  }
+  if (i >= section.end) return // unterminated
+  block.end = i + 1
+
+  // notes, separated by blank lines
+  for (i = block.end; i < section.end; i++) {
+    let match = lines[i].match(regex.note)
+    if (match) {
+      block.notes.push({ shot: match[1], text: match[2] })
+      block.end = i + 1
+    } else if (!lines[i].match(regex.blank)) {
+      break
+    }
+  }
+
+  return block
+}
+
+const generateBlock = (sceneId, boardData) => {
+  let boards = getSceneBoards(boardData)
+  return [
+    `/* Storyboarder ${sceneId}`,
+    // `*/` would end the boneyard early. `\/` is a valid JSON escape for `/`
+    ...boards.map(values => JSON.stringify(values).replace(/\*\//g, '*\\/')),
+    '*/',
+    ...boards
+      .filter(values => values.notes.length)
+      .reduce((lines, values) => lines.concat(['', `[[Board ${values.shot}: ${flattenNote(values.notes)}]]`]), [])
+  ]
+}
+
+/**
+ * Reads the board data from the scene's Storyboarder block
+ * @param {string} script Fountain source
+ * @param {string} sceneId
+ * @returns {array} board values, or undefined if the scene has no block
+ */
+const readSceneBoards = (script, sceneId) => {
+  let lines = script.split(/\r?\n/)
+
+  let section = findSceneSection(lines, sceneId)
+  if (!section) return
+
+  let block = findBlock(lines, section)
+  if (!block) return
+
+  return block.rows
+    .filter(row => row.uid)
+    .map(row => {
+      let values = {
+        uid: row.uid,
+        shot: row.shot,
+        dialogue: row.dialogue || '',
+        action: row.action || '',
+        notes: row.notes || ''
+      }
+
+      // a duration which was removed or mistyped (e.g.: "2s") is left out, so the board keeps its own
+      let duration = typeof row.duration === 'string' && row.duration.trim() !== ''
+        ? Number(row.duration)
+        : row.duration
+      if (typeof duration === 'number' && Number.isFinite(duration) && duration > 0) {
+        values.duration = duration
+      }
+
+      // the writer can edit or remove the [[notes]]
+      // if the note is unchanged, keep the complete (multi-line) text from the boneyard
+      let note = block.notes.find(note => note.shot === row.shot)
+      if (!note) {
+        values.notes = ''
+      } else if (note.text !== flattenNote(values.notes)) {
+        values.notes = note.text
+      }
+
+      return values
+    })
+}
+
+/**
+ * Adds or replaces the scene's Storyboarder block with the current board data
+ * @param {string} script Fountain source
+ * @param {string} sceneId
+ * @param {object} boardData
+ * @returns {string} Fountain source
+ */
+const writeSceneBoards = (script, sceneId, boardData) => {
+  let eol = script.includes('\r\n') ? '\r\n' : '\n'
+  let lines = script.split(/\r?\n/)
+
+  let section = findSceneSection(lines, sceneId)
+  if (!section) throw new Error(`Could not find scene ${sceneId} in the script`)
+
+  let blockLines = generateBlock(sceneId, boardData)
+
+  let block = findBlock(lines, section)
+  if (block) {
+    lines.splice(block.start, block.end - block.start, ...blockLines)
+  } else {
+    let next = lines[section.start + 1]
+    lines.splice(
+      section.start + 1,
+      0,
+      '',
+      ...blockLines,
+      ...(next == null || !next.match(regex.blank) ? [''] : [])
+    )
+  }
+
+  return lines.join(eol)
+}
+
+/**
+ * Compares the boards against the board data read from the script
+ *
+ * `base` is the board data as of the last sync. Fields changed only in the script
+ * can be applied, fields changed on both sides (or without a base) are conflicts.
+ * Fields changed only on the board are not listed, they'll be written on the next sync.
+ *
+ * @returns {array} [{ uid, shot, field, board, script, conflict }]
+ */
+const getChanges = (boardData, scriptBoards, base = []) => {
+  let changes = []
+  for (let scriptValues of scriptBoards) {
+    let board = boardData.boards.find(board => board.uid === scriptValues.uid)
+    if (!board) continue
+
+    let boardValues = getBoardValues(boardData, board)
+    let baseValues = base.find(values => values.uid === scriptValues.uid)
+
+    for (let field of FIELDS) {
+      // missing from the script, e.g.: an invalid duration
+      if (scriptValues[field] == null) continue
+      if (scriptValues[field] === boardValues[field]) continue
+      if (baseValues && baseValues[field] === scriptValues[field]) continue
+
+      changes.push({
+        uid: board.uid,
+        shot: board.shot,
+        field,
+        board: boardValues[field],
+        script: scriptValues[field],
+        conflict: !baseValues || baseValues[field] !== boardValues[field]
+      })
+    }
+  }
+  return changes
+}
+
+const applyChanges = (boardData, changes) => {
+  for (let { uid, field, script } of changes) {
+    let board = boardData.boards.find(board => board.uid === uid)
+    board[field] = script
+  }
+}
+
+module.exports = {
+  getSceneBoards,
+  readSceneBoards,
+  writeSceneBoards,
+  getChanges,
+  applyChanges
+}
@@ -1,5 +1,7 @@
 let scriptData
 
+const LINES_PER_PAGE = 55
+
 // TODO: get most used words in dialogue
 
 
@@ -30,7 +32,7 @@ function paginate(tokens) {
     }
 
     if (!inDialogue){
-      if ((currentLine + reqLine) < 55) {
+      if ((currentLine + reqLine) < LINES_PER_PAGE) {
         currentLine += reqLine
       } else {
         currentPage += 1
@@ -53,6 +55,7 @@ function paginate(tokens) {
   let pageCount = currentPage+1;
 
   //console.log("page count: " + pageCount);
+  return { pageCount, lineCount: currentLine }
 }
 
 function linesForText(text, charWidth) {
@@ -369,7 +372,9 @@ let fountainDataParser = {
   },
   getCharacters: (scriptTokens)=> {
     return getCharacters(scriptTokens)
-  }
+  },
+  paginate: paginate,
+  LINES_PER_PAGE: LINES_PER_PAGE
 
 
 }
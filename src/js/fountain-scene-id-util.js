@@ -48,6 +48,7 @@ var insertSceneIds = function (script) {
 
 let fountainSceneIdUtil = {
   insertSceneIds: insertSceneIds,
+  regex: regex,
 }
 
 module.exports = fountainSceneIdUtil
\ No newline at end of file
@@ -1,5 +1,10 @@
 const { readPsd, initializeCanvas } = require('ag-psd')
 
+// returns { canvases, userLayers }
+//
+// `canvases` are keyed by the built-in layer name
+// `userLayers` are the other (top-level) layers, in order, as { name, canvas, opacity, hidden, blendMode }
+// (see: models/user-layers#fromPsdLayer)
 const fromPsdBuffer = buffer => {
   console.log('fromPsdBuffer')
 
@@ -40,20 +45,40 @@ const fromPsdBuffer = buffer => {
   let numChannelValues = (1 << psd.bitsPerChannel) - 1
 
   let canvases = { }
+  let userLayers = []
 
-  const canvasNameForLayer = name => {
-    name = name.toLowerCase()
-    if (importable.includes(name)) {
-      return name
-    } else {
-      return 'fill'
-    }
+  const createFullSizeCanvas = () => {
+    let canvas = document.createElement('canvas')
+    canvas.width = psd.width
+    canvas.height = psd.height
+    return canvas
+  }
+
+  const addUserLayer = layer => {
+    console.log('\tadding user layer', layer.name)
+    let canvas = createFullSizeCanvas()
+    canvas.getContext('2d').drawImage(layer.canvas, layer.left, layer.top)
+    userLayers.push({
+      name: layer.name,
+      canvas,
+      opacity: layer.opacity / numChannelValues,
+      hidden: !!layer.hidden,
+      blendMode: layer.blendMode
+    })
   }
 
   const addLayersRecursively = (children, root) => {
     console.log('addLayersRecursively adding', children.length, 'layers')
     for (let layer of children) {
       if (
+        root &&
+        layer.canvas &&
+        layer.name.indexOf('Background') === -1 &&
+        !importable.includes(layer.name.toLowerCase())
+      ) {
+        // hidden user layers are kept, hidden
+        addUserLayer(layer)
+      } else if (
         // not hidden
         !layer.hidden &&
         // has canvas
@@ -61,12 +86,10 @@ const fromPsdBuffer = buffer => {
         // not named "Background"
         layer.name.indexOf('Background') === -1
       ) {
-        let name = root ? canvasNameForLayer(layer.name) : 'fill'
+        let name = root ? layer.name.toLowerCase() : 'fill'
         if (!canvases[name]) {
           console.log('\tadding canvas', name)
-          canvases[name] = document.createElement('canvas')
-          canvases[name].width = psd.width
-          canvases[name].height = psd.height
+          canvases[name] = createFullSizeCanvas()
         }
         let canvas = canvases[name]
         let context = canvas.getContext('2d')
@@ -93,7 +116,7 @@ const fromPsdBuffer = buffer => {
     canvases.reference = psd.canvas
   }
 
-  return canvases
+  return { canvases, userLayers }
 }
 
 const fromPsdBufferComposite = buffer => readPsd(buffer).canvas
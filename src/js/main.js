@@ -40,6 +40,9 @@ const util = require('./utils/index')
 const {settings:languageSettings} = require('./services/language.config')
 const autoUpdater = require('./auto-updater')
 const LanguagePreferencesWindow = require('./windows/language-preferences/main')
+const historyWindow = require('./windows/history/main')
+const renderQueueWindow = require('./windows/render-queue/main')
+const cli = require('./cli')
 //https://github.com/luiseduardobrito/sample-chat-electron
 
 
@@ -135,6 +138,16 @@ app.on('ready', async () => {
   const exporterFfmpeg = require('./exporters/ffmpeg')
   let ffmpegVersion = await exporterFfmpeg.checkVersion()
   log.info('ffmpeg version', ffmpegVersion)
+
+  // headless export, e.g.: storyboarder export --format pdf project.storyboarder
+  const cliArgv = process.argv.slice(process.defaultApp ? 2 : 1)
+  if (cli.isCommand(cliArgv)) {
+    app.exit(await cli.run(cliArgv))
+    return
+  }
+
+  // carry on with any exports left in the render queue
+  renderQueueWindow.init()
   
   // Initial set up of language-settings file
   let settings = {builtInLanguages:[], customLanguages:[]}
@@ -1422,6 +1435,9 @@ ipcMain.on('redo', (e, arg)=> {
 ipcMain.on('setTool', (e, arg) =>
   mainWindow.webContents.send('setTool', arg))
 
+ipcMain.on('openCustomBrushesMenu', event =>
+  mainWindow.webContents.send('openCustomBrushesMenu'))
+
 ipcMain.on('useColor', (e, arg)=> {
   mainWindow.webContents.send('useColor', arg)
 })
@@ -1524,6 +1540,21 @@ ipcMain.on('stopAllSounds', event =>
 ipcMain.on('addAudioFile', event =>
   mainWindow.webContents.send('addAudioFile'))
 
+ipcMain.on('addAudioClip', (event, kind) =>
+  mainWindow.webContents.send('addAudioClip', kind))
+
+ipcMain.on('retimeScene', (event, method) =>
+  mainWindow.webContents.send('retimeScene', method))
+
+ipcMain.on('generateScratchVoice', event =>
+  mainWindow.webContents.send('generateScratchVoice'))
+
+ipcMain.on('toggleCameraMoveEditor', event =>
+  mainWindow.webContents.send('toggleCameraMoveEditor'))
+
+ipcMain.on('togglePerspectiveEditor', event =>
+  mainWindow.webContents.send('togglePerspectiveEditor'))
+
 ipcMain.on('playsfx', (event, arg)=> {
   if (welcomeWindow) {
     welcomeWindow.webContents.send('playsfx', arg)
@@ -1570,6 +1601,30 @@ ipcMain.on('exportFcp', (event, arg) => {
   mainWindow.webContents.send('exportFcp', arg)
 })
 
+ipcMain.on('exportOtio', (event, arg) => {
+  mainWindow.webContents.send('exportOtio', arg)
+})
+
+ipcMain.on('exportEdl', (event, arg) => {
+  mainWindow.webContents.send('exportEdl', arg)
+})
+
+ipcMain.on('exportSubtitles', (event, arg) => {
+  mainWindow.webContents.send('exportSubtitles', arg)
+})
+
+ipcMain.on('exportShotList', (event, arg) => {
+  mainWindow.webContents.send('exportShotList', arg)
+})
+
+ipcMain.on('exportBreakdown', (event, arg) => {
+  mainWindow.webContents.send('exportBreakdown', arg)
+})
+
+ipcMain.on('exportFinalDraft', (event, arg) => {
+  mainWindow.webContents.send('exportFinalDraft', arg)
+})
+
 ipcMain.on('exportImages', (event, arg) => {
   mainWindow.webContents.send('exportImages', arg)
 })
@@ -1653,6 +1708,37 @@ ipcMain.on('exportZIP', (event, arg) => {
   mainWindow.webContents.send('exportZIP', arg)
 })
 
+ipcMain.on('syncBoardsToScript', (event, arg) => {
+  mainWindow.webContents.send('syncBoardsToScript', arg)
+})
+
+ipcMain.on('saveSnapshot', (event, arg) => {
+  mainWindow.webContents.send('saveSnapshot', arg)
+})
+ipcMain.on('openHistory', (event, arg) => {
+  mainWindow.webContents.send('openHistory', arg)
+})
+ipcMain.on('showHistoryWindow', (event, sceneFilePath) => {
+  historyWindow.show(sceneFilePath, { parent: mainWindow })
+})
+// restoring is done by the main window, which reloads the scene afterwards
+ipcMain.on('history:restore', (event, arg) => {
+  historyWindow.close()
+  mainWindow.webContents.send('history:restore', arg)
+})
+
+ipcMain.on('openRenderQueue', (event, arg) => {
+  mainWindow.webContents.send('openRenderQueue', arg)
+})
+ipcMain.on('showRenderQueueWindow', (event, targets) => {
+  renderQueueWindow.show(targets, { parent: mainWindow })
+})
+ipcMain.on('render-queue:add', (event, jobs) => renderQueueWindow.add(jobs))
+ipcMain.on('render-queue:cancel', (event, id) => renderQueueWindow.cancel(id))
+ipcMain.on('render-queue:retry', (event, id) => renderQueueWindow.retry(id))
+ipcMain.on('render-queue:remove', (event, id) => renderQueueWindow.remove(id))
+ipcMain.on('render-queue:clear-finished', event => renderQueueWindow.clearFinished())
+
 ipcMain.on('exportCleanup', (event, arg) => {
   mainWindow.webContents.send('exportCleanup', arg)
 })
@@ -101,6 +101,24 @@ AppMenu.File = (i18n) => ({
         ipcRenderer.send('saveAs')
       }
     },
+    {
+      label: i18n.t('menu.file.save-snapshot'),
+      click (item, focusedWindow, event) {
+        ipcRenderer.send('saveSnapshot')
+      }
+    },
+    {
+      label: i18n.t('menu.file.version-history'),
+      click (item, focusedWindow, event) {
+        ipcRenderer.send('openHistory')
+      }
+    },
+    {
+      label: i18n.t('menu.file.render-queue'),
+      click (item, focusedWindow, event) {
+        ipcRenderer.send('openRenderQueue')
+      }
+    },
     {
       type: 'separator'
     },
@@ -198,6 +216,42 @@ AppMenu.File = (i18n) => ({
         ipcRenderer.send('exportFcp')
       }
     },
+    {
+      label: i18n.t('menu.file.export-scene-otio'),
+      click (item, focusedWindow, event) {
+        ipcRenderer.send('exportOtio')
+      }
+    },
+    {
+      label: i18n.t('menu.file.export-scene-edl'),
+      click (item, focusedWindow, event) {
+        ipcRenderer.send('exportEdl')
+      }
+    },
+    {
+      label: i18n.t('menu.file.export-subtitles'),
+      click (item, focusedWindow, event) {
+        ipcRenderer.send('exportSubtitles')
+      }
+    },
+    {
+      label: i18n.t('menu.file.export-shot-list'),
+      click (item, focusedWindow, event) {
+        ipcRenderer.send('exportShotList')
+      }
+    },
+    {
+      label: i18n.t('menu.file.export-script-breakdown'),
+      click (item, focusedWindow, event) {
+        ipcRenderer.send('exportBreakdown')
+      }
+    },
+    {
+      label: i18n.t('menu.file.export-final-draft'),
+      click (item, focusedWindow, event) {
+        ipcRenderer.send('exportFinalDraft')
+      }
+    },
     {
       label: i18n.t('menu.file.export-to-web'),
       click (item, focusedWindow, event) {
@@ -210,6 +264,12 @@ AppMenu.File = (i18n) => ({
         ipcRenderer.send('exportZIP')
       }
     },
+    {
+      label: i18n.t('menu.file.sync-boards-to-script'),
+      click (item, focusedWindow, event) {
+        ipcRenderer.send('syncBoardsToScript')
+      }
+    },
     {
       type: 'separator'
     },
@@ -481,6 +541,64 @@ AppMenu.Boards = (i18n) => ({
         ipcRenderer.send('addAudioFile')
       }
     },
+    {
+      label: i18n.t('menu.boards.add-audio-clip'),
+      submenu: [
+        {
+          label: i18n.t('menu.boards.audio-lane-dialogue'),
+          click (item, focusedWindow, event) {
+            ipcRenderer.send('addAudioClip', 'dialogue')
+          }
+        },
+        {
+          label: i18n.t('menu.boards.audio-lane-music'),
+          click (item, focusedWindow, event) {
+            ipcRenderer.send('addAudioClip', 'music')
+          }
+        },
+        {
+          label: i18n.t('menu.boards.audio-lane-sfx'),
+          click (item, focusedWindow, event) {
+            ipcRenderer.send('addAudioClip', 'sfx')
+          }
+        }
+      ]
+    },
+    {
+      label: i18n.t('menu.boards.retime-scene'),
+      submenu: [
+        {
+          label: i18n.t('menu.boards.retime-from-audio'),
+          click (item, focusedWindow, event) {
+            ipcRenderer.send('retimeScene', 'audio')
+          }
+        },
+        {
+          label: i18n.t('menu.boards.retime-from-words'),
+          click (item, focusedWindow, event) {
+            ipcRenderer.send('retimeScene', 'words')
+          }
+        },
+        {
+          label: i18n.t('menu.boards.retime-from-speech'),
+          click (item, focusedWindow, event) {
+            ipcRenderer.send('retimeScene', 'speech')
+          }
+        }
+      ]
+    },
+    {
+      label: i18n.t('menu.boards.generate-scratch-voice'),
+      click (item, focusedWindow, event) {
+        ipcRenderer.send('generateScratchVoice')
+      }
+    },
+    {
+      label: i18n.t('menu.boards.edit-camera-move'),
+      click (item, focusedWindow, event) {
+        ipcRenderer.send('toggleCameraMoveEditor')
+      }
+    },
     {
       accelerator: keystrokeFor("menu:boards:toggle-new-shot"),
       label: i18n.t('menu.boards.toggle-board-as-new-shot'),
@@ -542,6 +660,12 @@ AppMenu.Tools = (i18n) => ({
         ipcRenderer.send('setTool', 'eraser')
       }
     },
+    {
+      label: i18n.t('menu.tools.custom-brushes'),
+      click (item, focusedWindow, event) {
+        ipcRenderer.send('openCustomBrushesMenu')
+      }
+    },
     {
       type: 'separator'
     },
@@ -680,6 +804,12 @@ AppMenu.View = (i18n) => ({
         ipcRenderer.send('toggleGuide', 'perspective')
       }
     },
+    {
+      label: i18n.t('menu.view.edit-perspective'),
+      click (item, focusedWindow, event) {
+        ipcRenderer.send('togglePerspectiveEditor')
+      }
+    },
     {
       label: i18n.t('menu.view.toggle-onion-skin'),
       accelerator: keystrokeFor('menu:view:onion-skin'),
@@ -0,0 +1,179 @@
+// Audio lanes of a scene, independent of the boards
+//
+// Stored on the scene (board file data) as:
+//
+//   boardData.audioTracks = [
+//     {
+//       id, kind: 'dialogue' | 'music' | 'sfx', name, muted,
+//       clips: [
+//         { id, filename, start, offset, duration, gain, fadeIn, fadeOut }
+//       ]
+//     }
+//   ]
+//
+// All times are in msecs.
+// `start` is the position of the clip in the scene,
+// `offset` is the position in the audio file where the clip begins,
+// and `duration` is how much of the audio file is played.
+// `gain` is linear (1 is unchanged).
+//
+// Audio files are stored in the images folder, like board audio.
+const util = require('../utils/index')
+
+const KINDS = ['dialogue', 'music', 'sfx']
+
+const KIND_LABELS = {
+  'dialogue': 'Dialogue',
+  'music': 'Music',
+  'sfx': 'SFX'
+}
+
+const MAX_GAIN = 4
+
+const getTracks = scene =>
+  scene.audioTracks || []
+
+const getTrack = (scene, trackId) =>
+  getTracks(scene).find(track => track.id === trackId)
+
+// returns the first track of that kind, adding one if there isn't any
+const getOrCreateTrack = (scene, kind) => {
+  if (!KINDS.includes(kind)) throw new Error(`Unknown audio track kind: ${kind}`)
+
+  let track = getTracks(scene).find(track => track.kind === kind)
+  if (!track) {
+    track = { id: util.uidGen(5), kind, name: KIND_LABELS[kind], muted: false, clips: [] }
+    // keep lanes in the order of KINDS
+    scene.audioTracks = [...getTracks(scene), track]
+      .sort((a, b) => KINDS.indexOf(a.kind) - KINDS.indexOf(b.kind))
+  }
+  return track
+}
+
+const getClips = scene =>
+  getTracks(scene).reduce((clips, track) => clips.concat(track.clips), [])
+
+const findClip = (scene, clipId) => {
+  for (let track of getTracks(scene)) {
+    let clip = track.clips.find(clip => clip.id === clipId)
+    if (clip) return { track, clip }
+  }
+  return {}
+}
+
+const getClipEnd = clip =>
+  clip.start + (clip.duration || 0)
+
+const addClip = (scene, kind, { filename, start = 0, offset = 0, duration, gain = 1, fadeIn = 0, fadeOut = 0 }) => {
+  let clip = {
+    id: util.uidGen(5),
+    filename,
+    start: Math.max(0, Math.round(start)),
+    offset: Math.max(0, Math.round(offset)),
+    duration,
+    gain,
+    fadeIn,
+    fadeOut
+  }
+  getOrCreateTrack(scene, kind).clips.push(clip)
+  return clip
+}
+
+const updateClip = (scene, clipId, props) => {
+  let { clip } = findClip(scene, clipId)
+  if (!clip) throw new Error(`Could not find audio clip ${clipId}`)
+
+  Object.assign(clip, props)
+  clip.gain = util.clamp(clip.gain, 0, MAX_GAIN)
+  // fades can't be longer than the clip
+  clip.fadeIn = util.clamp(clip.fadeIn, 0, clip.duration || 0)
+  clip.fadeOut = util.clamp(clip.fadeOut, 0, clip.duration || 0)
+  return clip
+}
+
+const moveClip = (scene, clipId, start) =>
+  updateClip(scene, clipId, { start: Math.max(0, Math.round(start)) })
+
+// moves the start and/or end of the clip, without moving the audio
+// `sourceDuration` is the duration of the audio file
+const trimClip = (scene, clipId, { start, end }, sourceDuration) => {
+  let { clip } = findClip(scene, clipId)
+  if (!clip) throw new Error(`Could not find audio clip ${clipId}`)
+
+  let clipStart = clip.start
+  let clipEnd = getClipEnd(clip)
+  let offset = clip.offset
+
+  if (start != null) {
+    // can't start before the beginning of the file, or after the end of the clip
+    let min = Math.max(0, clipStart - offset)
+    start = util.clamp(Math.round(start), min, clipEnd - 1)
+    offset += start - clipStart
+    clipStart = start
+  }
+
+  if (end != null) {
+    let max = sourceDuration == null
+      ? Infinity
+      : clipStart + (sourceDuration - offset)
+    clipEnd = util.clamp(Math.round(end), clipStart + 1, max)
+  }
+
+  return updateClip(scene, clipId, { start: clipStart, offset, duration: clipEnd - clipStart })
+}
+
+const removeClip = (scene, clipId) => {
+  for (let track of getTracks(scene)) {
+    track.clips = track.clips.filter(clip => clip.id !== clipId)
+  }
+  // remove empty lanes
+  scene.audioTracks = getTracks(scene).filter(track => track.clips.length)
+  return scene
+}
+
+// every clip which should be heard, with the kind of its track
+const getAudibleClips = scene =>
+  getTracks(scene)
+    .filter(track => !track.muted)
+    .reduce((clips, track) => clips.concat(track.clips.map(clip => ({ ...clip, kind: track.kind }))), [])
+    .filter(clip => clip.duration > 0)
+
+const getFilenames = scene =>
+  [...new Set(getClips(scene).map(clip => clip.filename))]
+
+// msecs into the clip at `time` in the scene, or undefined if the clip is not playing then
+const getClipPositionAt = (clip, time) =>
+  (time >= clip.start && time < getClipEnd(clip))
+    ? time - clip.start
+    : undefined
+
+const gainToDecibels = gain =>
+  gain > 0
+    ? 20 * Math.log10(gain)
+    : -Infinity
+
+const decibelsToGain = db =>
+  Math.pow(10, db / 20)
+
+module.exports = {
+  KINDS,
+  KIND_LABELS,
+  MAX_GAIN,
+
+  getTracks,
+  getTrack,
+  getOrCreateTrack,
+  getClips,
+  findClip,
+  getClipEnd,
+  addClip,
+  updateClip,
+  moveClip,
+  trimClip,
+  removeClip,
+  getAudibleClips,
+  getFilenames,
+  getClipPositionAt,
+  gainToDecibels,
+  decibelsToGain
+}
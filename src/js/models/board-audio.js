@@ -0,0 +1,129 @@
+// Audio attached to a single board
+//
+// Stored on the board as:
+//
+//   board.audio = { filename, duration, inPoint, outPoint, offset }
+//
+// All times are in msecs.
+// `duration` is the duration of the audio file (see: main-window.js updateAudioDurations),
+// `inPoint` and `outPoint` are the part of the file which is played (default: all of it),
+// and `offset` is how long after the start of the board it begins.
+// Trim values are only stored when they differ from the default.
+//
+// related: models/audio-tracks, for audio which is independent of the boards
+const util = require('../utils/index')
+
+// samples quieter than this (linear amplitude) are considered silence
+const SILENCE_THRESHOLD = 0.02
+
+// kept before and after the sound when trimming silence
+const SILENCE_PADDING = 50
+
+const getInPoint = audio =>
+  util.clamp(audio.inPoint || 0, 0, audio.duration != null ? audio.duration : Infinity)
+
+const getOutPoint = audio =>
+  audio.outPoint != null
+    ? util.clamp(audio.outPoint, getInPoint(audio), audio.duration != null ? audio.duration : Infinity)
+    : audio.duration
+
+const getOffset = audio =>
+  Math.max(0, audio.offset || 0)
+
+// how much of the file is played
+const getPlayedDuration = audio =>
+  Math.max(0, (getOutPoint(audio) || 0) - getInPoint(audio))
+
+const isTrimmed = audio =>
+  getInPoint(audio) > 0 ||
+  getOffset(audio) > 0 ||
+  (audio.outPoint != null && audio.outPoint < audio.duration)
+
+// when the audio of the board starts and ends, in the scene
+const getStart = board =>
+  board.time + getOffset(board.audio)
+
+const getEnd = board =>
+  getStart(board) + getPlayedDuration(board.audio)
+
+// msecs into the played part of the audio at `time` in the scene,
+// or undefined if the audio is not playing then
+const getPositionAt = (board, time) =>
+  (time >= getStart(board) && time < getEnd(board))
+    ? time - getStart(board)
+    : undefined
+
+// sets any of `inPoint`, `outPoint`, or `offset`, keeping at least 1 msec of audio
+const setTrim = (audio, { inPoint, outPoint, offset }) => {
+  let max = audio.duration != null ? audio.duration : Infinity
+
+  let nextIn = inPoint != null ? inPoint : getInPoint(audio)
+  let nextOut = outPoint != null ? outPoint : getOutPoint(audio)
+  let nextOffset = offset != null ? offset : getOffset(audio)
+
+  nextOut = nextOut != null ? util.clamp(Math.round(nextOut), 1, max) : undefined
+  nextIn = util.clamp(Math.round(nextIn), 0, nextOut != null ? nextOut - 1 : max)
+  nextOffset = Math.max(0, Math.round(nextOffset))
+
+  if (nextIn > 0) {
+    audio.inPoint = nextIn
+  } else {
+    delete audio.inPoint
+  }
+  if (nextOut != null && nextOut < max) {
+    audio.outPoint = nextOut
+  } else {
+    delete audio.outPoint
+  }
+  if (nextOffset > 0) {
+    audio.offset = nextOffset
+  } else {
+    delete audio.offset
+  }
+
+  return audio
+}
+
+const resetTrim = audio => {
+  delete audio.inPoint
+  delete audio.outPoint
+  delete audio.offset
+  return audio
+}
+
+// the in and out points around the sound in `data` (an array of samples),
+// with a little padding, or undefined if it's all silence
+const findSoundExtent = (data, sampleRate, threshold = SILENCE_THRESHOLD) => {
+  let first = -1
+  let last = -1
+  for (let i = 0; i < data.length; i++) {
+    if (Math.abs(data[i]) > threshold) {
+      if (first === -1) first = i
+      last = i
+    }
+  }
+  if (first === -1) return undefined
+
+  let toMsecs = index => index / sampleRate * 1000
+  return {
+    inPoint: Math.max(0, Math.floor(toMsecs(first) - SILENCE_PADDING)),
+    outPoint: Math.min(Math.ceil(toMsecs(data.length)), Math.ceil(toMsecs(last + 1) + SILENCE_PADDING))
+  }
+}
+
+module.exports = {
+  SILENCE_THRESHOLD,
+  SILENCE_PADDING,
+
+  getInPoint,
+  getOutPoint,
+  getOffset,
+  getPlayedDuration,
+  isTrimmed,
+  getStart,
+  getEnd,
+  getPositionAt,
+  setTrim,
+  resetTrim,
+  findSoundExtent
+}
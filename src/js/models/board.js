@@ -1,5 +1,7 @@
 const path = require('path')
 const util = require('../utils/index')
+const boardAudioModel = require('./board-audio')
+const userLayersModel = require('./user-layers')
 
 const boardFileImageSize = boardFileData =>
   (boardFileData.aspectRatio >= 1)
@@ -32,9 +34,11 @@ const boardFilenameForCameraPlot = (board) =>
 
 // TODO review usage
 // array of fixed size, ordered positions
+// user layers (see: models/user-layers) are between ink and notes, with an index of null
 const boardOrderedLayerFilenames = board => {
   let indices = []
   let filenames = []
+  let userLayers = []
 
   // HACK hardcoded
   // see StoryboarderSketchPane#visibleLayersIndices
@@ -45,6 +49,7 @@ const boardOrderedLayerFilenames = board => {
     [3, 'tone'],
     [4, 'pencil'],
     [5, 'ink'],
+    ...userLayersModel.getUserLayers(board).map(layer => [null, layer.id]),
     // 6 = onion
     [7, 'notes']
     // 8 = guides
@@ -53,10 +58,11 @@ const boardOrderedLayerFilenames = board => {
     if (board.layers && board.layers[name]) {
       indices.push(index)
       filenames.push(board.layers[name].url)
+      userLayers.push(userLayersModel.getUserLayer(board, name))
     }
   }
   
-  return { indices, filenames }
+  return { indices, filenames, userLayers }
 }
 
 // TODO clean data on load, instead of converting string-to-number here
@@ -65,9 +71,12 @@ const boardDuration = (scene, board) =>
     ? Number(board.duration)
     : Number(scene.defaultBoardTiming)
 
+// includes the offset and trims of the audio (see: models/board-audio)
 const boardDurationWithAudio = (scene, board) =>
   Math.max(
-    board.audio && board.audio.duration ? board.audio.duration : 0,
+    board.audio && board.audio.duration
+      ? boardAudioModel.getOffset(board.audio) + boardAudioModel.getPlayedDuration(board.audio)
+      : 0,
     boardDuration(scene, board)
   )
 
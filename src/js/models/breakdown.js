@@ -0,0 +1,101 @@
+// Script breakdown: per scene characters, location, page length, boards and animatic duration
+// works with the scriptData of both Fountain and Final Draft projects
+const fs = require('fs')
+
+const fountainDataParser = require('../fountain-data-parser')
+const { getScriptCharacters, getScriptLocations } = require('../importers/final-draft')
+const { boardDurationWithAudio } = require('./board')
+const { findSceneFilePath } = require('./scene')
+
+// rebuilds paginate-able tokens from a scene's script nodes
+// (fresh objects, because paginate writes the page number to each token)
+const getTokensForScene = scene => {
+  let tokens = [{ type: 'scene_heading', text: scene.slugline }]
+  let character
+
+  const endDialogue = () => {
+    if (character) tokens.push({ type: 'dialogue_end' })
+    character = undefined
+  }
+
+  for (let node of scene.script) {
+    switch (node.type) {
+      case 'dialogue':
+      case 'parenthetical':
+        if (node.character !== character) {
+          endDialogue()
+          tokens.push({ type: 'dialogue_begin' }, { type: 'character', text: node.character })
+          character = node.character
+        }
+        tokens.push({ type: node.type, text: node.text })
+        break
+      case 'action':
+      case 'transition':
+      case 'centered':
+        endDialogue()
+        tokens.push({ type: node.type, text: node.text })
+        break
+    }
+  }
+  endDialogue()
+
+  return tokens
+}
+
+// page length is counted in eighths of a page, at least 1/8
+const getScenePageEighths = scene => {
+  let { pageCount, lineCount } = fountainDataParser.paginate(getTokensForScene(scene))
+  let lines = (pageCount - 1) * fountainDataParser.LINES_PER_PAGE + lineCount
+  return Math.max(1, Math.ceil(lines / fountainDataParser.LINES_PER_PAGE * 8))
+}
+
+// e.g.: 11 -> '1 3/8'
+const formatPageEighths = eighths => {
+  let pages = Math.floor(eighths / 8)
+  let remainder = eighths % 8
+  return [
+    pages ? pages : '',
+    remainder ? `${remainder}/8` : ''
+  ].filter(Boolean).join(' ')
+}
+
+/**
+ * @param {object} node scene node from scriptData
+ * @param {object} boardData the scene's .storyboarder data, if it has been boarded
+ */
+const getSceneBreakdown = (node, boardData) => {
+  let [location] = getScriptLocations([node]).map(([name]) => name)
+
+  return {
+    number: node.scene_number,
+    id: node.scene_id,
+    slugline: node.slugline,
+    synopsis: node.synopsis,
+    location: location || '',
+    characters: getScriptCharacters([node]).map(([name]) => name),
+    pageEighths: getScenePageEighths(node),
+    boards: boardData ? boardData.boards.length : 0,
+    duration: boardData
+      ? boardData.boards.reduce((sum, board) => sum + boardDurationWithAudio(boardData, board), 0)
+      : 0
+  }
+}
+
+// includes scenes which have not been boarded yet
+const getBreakdownForScriptData = (scriptData, storyboardsPath) =>
+  scriptData
+    .filter(node => node.type === 'scene')
+    .map(node => {
+      let filepath = findSceneFilePath(storyboardsPath, node)
+      return getSceneBreakdown(
+        node,
+        filepath ? JSON.parse(fs.readFileSync(filepath)) : undefined
+      )
+    })
+
+module.exports = {
+  getScenePageEighths,
+  formatPageEighths,
+  getSceneBreakdown,
+  getBreakdownForScriptData
+}
@@ -0,0 +1,198 @@
+// Custom brushes, which the user makes from the built-in brushes (see: data/brushes/brushes.json)
+//
+// Stored in the brushes folder of the user data (see: shared/store/brushesStorage) as:
+//
+//   { id, name, base, brushImage, grainImage, spacing, sizeCurve, opacityCurve, taper, jitter,
+//     defaultLayerName, color, size, nodeOpacity, strokeOpacity, palette }
+//
+// `base` is the name of the built-in brush it was made from, for the settings which can't be changed (e.g.: tilt).
+// `brushImage` and `grainImage` are names of PNG files, without the extension.
+// Curves are the size or opacity at evenly spaced pressures from 0 to 1.
+// `taper` is the length in pixels over which the start of a stroke thickens, and `jitter` (0-1) varies it randomly.
+//
+// Each custom brush is a tool in the toolbar reducer, named by getToolName.
+const util = require('../utils/index')
+
+const TOOL_PREFIX = 'custom-'
+
+// custom brushes draw to one of these, like the built-in tools
+const LAYER_NAMES = ['reference', 'fill', 'tone', 'pencil', 'ink', 'notes']
+
+const CURVE_POINTS = 5
+
+// brush packs are a single JSON file, with any custom images inline, as base64 PNG data
+const PACK_VERSION = 1
+
+const getToolName = brush => TOOL_PREFIX + brush.id
+
+const isCustomToolName = name => !!name && name.startsWith(TOOL_PREFIX)
+
+const getBrushByToolName = (brushes, name) =>
+  brushes.find(brush => getToolName(brush) === name)
+
+// e.g.: alchemancy's pressureSize of 0.8 is 20% of the size with no pressure
+const createCurve = (amount = 1) =>
+  Array.from({ length: CURVE_POINTS }, (_, n) => (1 - amount) + amount * n / (CURVE_POINTS - 1))
+
+// the output for `value` (0-1), between the two nearest points
+const applyCurve = (curve, value) => {
+  let x = util.clamp(value, 0, 1) * (curve.length - 1)
+  let n = Math.min(Math.floor(x), curve.length - 2)
+  return curve[n] + (curve[n + 1] - curve[n]) * (x - n)
+}
+
+// alchemancy has a single pressure input,
+// so the size curve, taper, and jitter are applied to the pressure of the pointer event
+// `distance` is how far the stroke has come, in board pixels
+const getStrokePressure = (brush, pressure, distance, random = Math.random) => {
+  let taper = brush.taper > 0 ? Math.min(1, distance / brush.taper) : 1
+  let jitter = 1 - brush.jitter * random()
+  return applyCurve(brush.sizeCurve, pressure) * taper * jitter
+}
+
+// ... and the opacity curve to the node opacity
+const getNodeOpacity = (brush, nodeOpacity, pressure) =>
+  nodeOpacity * applyCurve(brush.opacityCurve, pressure)
+
+// `settings` from brushes.json, `tool` from the toolbar reducer
+const createBrush = ({ id, name, settings, tool }) => ({
+  id,
+  name,
+  base: settings.name,
+
+  brushImage: settings.brushImage,
+  grainImage: settings.grainImage,
+  spacing: settings.spacing,
+  sizeCurve: createCurve(settings.pressureSize),
+  opacityCurve: createCurve(settings.pressureOpacity),
+  taper: 0,
+  jitter: 0,
+
+  defaultLayerName: LAYER_NAMES.includes(tool.defaultLayerName) ? tool.defaultLayerName : 'pencil',
+
+  color: tool.color,
+  size: tool.size,
+  nodeOpacity: tool.nodeOpacity,
+  strokeOpacity: tool.strokeOpacity,
+  palette: tool.palette
+})
+
+// e.g.: `Pencil copy`, `Pencil copy 2`
+const getUniqueName = (brushes, name) => {
+  let names = brushes.map(brush => brush.name)
+  if (!names.includes(name)) return name
+
+  let n = 1
+  let candidate
+  do {
+    candidate = n === 1 ? `${name} copy` : `${name} copy ${n}`
+    n++
+  } while (names.includes(candidate))
+  return candidate
+}
+
+const duplicateBrush = (brushes, brush, id) => ({
+  ...JSON.parse(JSON.stringify(brush)),
+  id,
+  name: getUniqueName(brushes, brush.name)
+})
+
+// fills in anything missing, e.g.: from an older brush pack
+const normalizeBrush = (brush, builtIns) => {
+  if (!brush || !brush.id || !brush.name) throw new Error('Invalid brush')
+
+  let settings = builtIns.find(b => b.name === brush.base) || builtIns[0]
+  let isCurve = curve => Array.isArray(curve) && curve.length > 1 && curve.every(Number.isFinite)
+
+  return {
+    ...brush,
+    base: settings.name,
+    brushImage: brush.brushImage || settings.brushImage,
+    grainImage: brush.grainImage || settings.grainImage,
+    spacing: brush.spacing > 0 ? brush.spacing : settings.spacing,
+    sizeCurve: isCurve(brush.sizeCurve) ? brush.sizeCurve : createCurve(settings.pressureSize),
+    opacityCurve: isCurve(brush.opacityCurve) ? brush.opacityCurve : createCurve(settings.pressureOpacity),
+    taper: Math.max(0, brush.taper || 0),
+    jitter: util.clamp(brush.jitter || 0, 0, 1),
+    defaultLayerName: LAYER_NAMES.includes(brush.defaultLayerName) ? brush.defaultLayerName : 'pencil'
+  }
+}
+
+// settings for alchemancy's SketchPane#loadBrushes
+const toSketchPaneBrush = (brush, builtIns) => {
+  let settings = builtIns.find(b => b.name === brush.base) || builtIns[0]
+  return {
+    ...settings,
+    name: getToolName(brush),
+    descriptiveName: brush.name,
+    brushImage: brush.brushImage,
+    grainImage: brush.grainImage,
+    spacing: brush.spacing,
+    // see: getStrokePressure, getNodeOpacity
+    pressureSize: 1,
+    pressureOpacity: 0
+  }
+}
+
+// state for the toolbar reducer
+const toToolState = brush => ({
+  name: getToolName(brush),
+  custom: true,
+  color: brush.color,
+  size: brush.size,
+  nodeOpacity: brush.nodeOpacity,
+  strokeOpacity: brush.strokeOpacity,
+  palette: brush.palette,
+
+  defaultLayerName: brush.defaultLayerName
+})
+
+// `readImage` returns the base64 data of a custom image by name
+const createPack = (brushes, readImage, builtInImageNames) => {
+  let imageNames = [...new Set(brushes.flatMap(brush => [brush.brushImage, brush.grainImage]))]
+    .filter(name => !builtInImageNames.includes(name))
+
+  return {
+    version: PACK_VERSION,
+    brushes,
+    images: imageNames.reduce((images, name) => ({ ...images, [name]: readImage(name) }), {})
+  }
+}
+
+// brushes from the pack, with new ids and names which don't clash with `brushes`
+const getPackBrushes = (pack, brushes, builtIns, createId) => {
+  if (!pack || !Array.isArray(pack.brushes)) throw new Error('Not a brush pack')
+  if (pack.version > PACK_VERSION) throw new Error('This brush pack was made with a newer version of Storyboarder')
+
+  return pack.brushes.reduce((added, brush) => {
+    let normalized = normalizeBrush(brush, builtIns)
+    added.push({
+      ...normalized,
+      id: createId(),
+      name: getUniqueName([...brushes, ...added], normalized.name)
+    })
+    return added
+  }, [])
+}
+
+module.exports = {
+  TOOL_PREFIX,
+  LAYER_NAMES,
+  PACK_VERSION,
+
+  getToolName,
+  isCustomToolName,
+  getBrushByToolName,
+  createCurve,
+  applyCurve,
+  getStrokePressure,
+  getNodeOpacity,
+  createBrush,
+  getUniqueName,
+  duplicateBrush,
+  normalizeBrush,
+  toSketchPaneBrush,
+  toToolState,
+  createPack,
+  getPackBrushes
+}
@@ -0,0 +1,144 @@
+// Burn-ins are text overlays added to exported video, e.g.: the board number
+//
+// They're stored with the video export preset, as `preset.burnIn`:
+//
+//   {
+//     watermark,
+//     watermarkText,
+//     timecode: { enabled, position },
+//     shot: { enabled, position },
+//     ...
+//     dialogue: { enabled, position }
+//   }
+//
+// Burn-ins in the same position are stacked, in the order of BURN_INS, starting at the edge of the frame.
+// The timecode is always nearest the edge, so it doesn't move when the lines around it change.
+// Sizes are a fraction of the height of the video.
+//
+// Custom watermark text is part of the watermark (see: models/watermark.js), not a burn-in.
+
+const POSITIONS = ['top-left', 'top-center', 'top-right', 'bottom-left', 'bottom-center', 'bottom-right']
+
+const POSITION_LABELS = {
+  'top-left': 'Top Left',
+  'top-center': 'Top Center',
+  'top-right': 'Top Right',
+  'bottom-left': 'Bottom Left',
+  'bottom-center': 'Bottom Center',
+  'bottom-right': 'Bottom Right'
+}
+
+const BURN_INS = ['timecode', 'shot', 'boardNumber', 'projectName', 'dialogue']
+
+const BURN_IN_LABELS = {
+  'timecode': 'Timecode',
+  'shot': 'Scene/Shot Number',
+  'boardNumber': 'Board Number',
+  'projectName': 'Project Name',
+  'dialogue': 'Dialogue'
+}
+
+const DEFAULT_POSITIONS = {
+  'timecode': 'top-right',
+  'shot': 'top-left',
+  'boardNumber': 'top-left',
+  'projectName': 'bottom-left',
+  'dialogue': 'bottom-center'
+}
+
+const FONT_SIZE = 0.035
+const LINE_HEIGHT = 0.05
+const MARGIN = 0.03
+
+// `enabled` is a list of burn-ins to turn on
+const createBurnIns = (enabled = []) =>
+  BURN_INS.reduce((burnIns, key) => {
+    burnIns[key] = { enabled: enabled.includes(key), position: DEFAULT_POSITIONS[key] }
+    return burnIns
+  }, {})
+
+// fills in anything missing or unknown
+const getBurnIns = (burnIn = {}) => {
+  let burnIns = createBurnIns()
+  for (let key of BURN_INS) {
+    if (!burnIn[key]) continue
+
+    burnIns[key].enabled = !!burnIn[key].enabled
+    if (POSITIONS.includes(burnIn[key].position)) {
+      burnIns[key].position = burnIn[key].position
+    }
+  }
+  return burnIns
+}
+
+const hasBurnIns = burnIn =>
+  BURN_INS.some(key => getBurnIns(burnIn)[key].enabled)
+
+// the text for a burn-in, or undefined if there's nothing to show for this board
+// the timecode changes every frame, so it's drawn by ffmpeg instead (see: exporters/ffmpeg.js)
+const getText = (key, burnIn, { board, index, projectName }) => {
+  switch (key) {
+    case 'shot':
+      return board.shot ? `Shot ${board.shot}` : undefined
+    case 'boardNumber':
+      return `Board ${board.number != null ? board.number : index + 1}`
+    case 'projectName':
+      return projectName || undefined
+    case 'dialogue':
+      return board.dialogue && board.dialogue.trim()
+        ? board.dialogue.trim()
+        : undefined
+  }
+}
+
+// enabled burn-ins, grouped by position, from the edge of the frame
+// returns { [position]: [{ key, text }] }
+// `timecode` is included (without text) so it keeps its place
+const getItemsByPosition = (burnIn, context) => {
+  let burnIns = getBurnIns(burnIn)
+  let items = {}
+  for (let key of BURN_INS) {
+    let { enabled, position } = burnIns[key]
+    if (!enabled) continue
+
+    let text = key === 'timecode'
+      ? undefined
+      : getText(key, burnIns[key], context)
+    if (key !== 'timecode' && text == null) continue
+
+    items[position] = (items[position] || []).concat({ key, text })
+  }
+  return items
+}
+
+const getMetrics = height => ({
+  fontSize: Math.round(height * FONT_SIZE),
+  lineHeight: Math.round(height * LINE_HEIGHT),
+  margin: Math.round(height * MARGIN)
+})
+
+// top of the nth line from the edge
+const getLineTop = (position, n, height) => {
+  let { lineHeight, margin } = getMetrics(height)
+  return position.startsWith('top')
+    ? margin + n * lineHeight
+    : height - margin - (n + 1) * lineHeight
+}
+
+const getAlign = position => position.split('-')[1]
+
+module.exports = {
+  POSITIONS,
+  POSITION_LABELS,
+  BURN_INS,
+  BURN_IN_LABELS,
+
+  createBurnIns,
+  getBurnIns,
+  hasBurnIns,
+  getText,
+  getItemsByPosition,
+  getMetrics,
+  getLineTop,
+  getAlign
+}
@@ -0,0 +1,172 @@
+// 2D camera move (pan / zoom / rotate) of a board
+//
+// Stored on the board as:
+//
+//   board.cameraMove = {
+//     from: { x, y, width, height, rotation },
+//     to: { x, y, width, height, rotation },
+//     easing: 'linear' | 'ease-in' | 'ease-out' | 'ease-in-out'
+//   }
+//
+// `from` and `to` are the framing rectangles at the start and end of the board.
+// x, y, width, and height are relative to the board (0 to 1 on each axis),
+// so a frame with width === height has the aspect ratio of the board.
+// rotation is in degrees, clockwise, around the center of the frame.
+const util = require('../utils/index')
+
+const EASINGS = ['linear', 'ease-in', 'ease-out', 'ease-in-out']
+
+const EASING_LABELS = {
+  'linear': 'Linear',
+  'ease-in': 'Ease In',
+  'ease-out': 'Ease Out',
+  'ease-in-out': 'Ease In & Out'
+}
+
+const FULL_FRAME = { x: 0, y: 0, width: 1, height: 1, rotation: 0 }
+
+// smallest frame, relative to the board
+const MIN_FRAME_SIZE = 0.05
+
+const hasCameraMove = board =>
+  board.cameraMove != null
+
+// a slow push in, to start editing from
+const createCameraMove = () => ({
+  from: { ...FULL_FRAME },
+  to: { x: 0.1, y: 0.1, width: 0.8, height: 0.8, rotation: 0 },
+  easing: 'ease-in-out'
+})
+
+const normalizeFrame = frame => {
+  let size = util.clamp(frame.width, MIN_FRAME_SIZE, 4)
+  return {
+    x: frame.x,
+    y: frame.y,
+    width: size,
+    height: size,
+    rotation: frame.rotation || 0
+  }
+}
+
+const setCameraMove = (board, { from, to, easing }) => {
+  if (!EASINGS.includes(easing)) throw new Error(`Unknown easing: ${easing}`)
+  board.cameraMove = { from: normalizeFrame(from), to: normalizeFrame(to), easing }
+  return board
+}
+
+const clearCameraMove = board => {
+  delete board.cameraMove
+  return board
+}
+
+// t is 0 to 1
+const ease = (easing, t) => {
+  t = util.clamp(t, 0, 1)
+  switch (easing) {
+    case 'ease-in':
+      return t * t
+    case 'ease-out':
+      return t * (2 - t)
+    case 'ease-in-out':
+      return t < 0.5
+        ? 2 * t * t
+        : -1 + (4 - 2 * t) * t
+    default:
+      return t
+  }
+}
+
+const lerp = (a, b, t) => a + (b - a) * t
+
+const interpolateFrame = (cameraMove, t) => {
+  let { from, to, easing } = cameraMove
+  let e = ease(easing, t)
+  return {
+    x: lerp(from.x, to.x, e),
+    y: lerp(from.y, to.y, e),
+    width: lerp(from.width, to.width, e),
+    height: lerp(from.height, to.height, e),
+    rotation: lerp(from.rotation, to.rotation, e)
+  }
+}
+
+// the frame `msecs` into a board of `duration` msecs
+const getFrameAtTime = (cameraMove, duration, msecs) =>
+  interpolateFrame(cameraMove, duration > 0 ? msecs / duration : 0)
+
+// durations, in seconds, of each rendered frame of a board of `duration` msecs at `fps`
+// one frame every 1 / fps, the last frame takes the remainder,
+// so the frames last exactly as long as the board
+const getFrameDurations = (duration, fps) => {
+  let count = Math.max(1, Math.round(duration / 1000 * fps))
+  let durations = new Array(count).fill(1 / fps)
+  durations[count - 1] = duration / 1000 - (count - 1) / fps
+  return durations
+}
+
+// center of the frame, in pixels of a board of `size`
+const getFrameCenter = (frame, [width, height]) => ({
+  x: (frame.x + frame.width / 2) * width,
+  y: (frame.y + frame.height / 2) * height
+})
+
+// draws the board so that `frame` fills a context of `size`
+// call before drawing the board image at 0, 0
+const applyFrameToContext = (context, frame, [width, height]) => {
+  let center = getFrameCenter(frame, [width, height])
+  context.translate(width / 2, height / 2)
+  context.scale(1 / frame.width, 1 / frame.height)
+  context.rotate(-frame.rotation * Math.PI / 180)
+  context.translate(-center.x, -center.y)
+}
+
+// same as applyFrameToContext, for an element showing the board at `rect` { x, y, width, height }
+// with `transform-origin: 0 0`
+const toCssTransform = (frame, rect) => {
+  let center = getFrameCenter(frame, [rect.width, rect.height])
+  return [
+    `translate(${rect.x + rect.width / 2}px, ${rect.y + rect.height / 2}px)`,
+    `scale(${1 / frame.width}, ${1 / frame.height})`,
+    `rotate(${-frame.rotation}deg)`,
+    `translate(${-(rect.x + center.x)}px, ${-(rect.y + center.y)}px)`
+  ].join(' ')
+}
+
+// position, scale, and rotation of the board image, relative to the center of the output
+// position is in pixels, with y pointing down
+const getFrameTransform = (frame, [width, height]) => {
+  let center = getFrameCenter(frame, [width, height])
+  let scale = 1 / frame.width
+  let radians = -frame.rotation * Math.PI / 180
+
+  let dx = (width / 2 - center.x) * scale
+  let dy = (height / 2 - center.y) * scale
+
+  return {
+    x: dx * Math.cos(radians) - dy * Math.sin(radians),
+    y: dx * Math.sin(radians) + dy * Math.cos(radians),
+    scale,
+    rotation: frame.rotation
+  }
+}
+
+module.exports = {
+  EASINGS,
+  EASING_LABELS,
+  FULL_FRAME,
+  MIN_FRAME_SIZE,
+
+  hasCameraMove,
+  createCameraMove,
+  setCameraMove,
+  clearCameraMove,
+  ease,
+  interpolateFrame,
+  getFrameAtTime,
+  getFrameDurations,
+  getFrameCenter,
+  applyFrameToContext,
+  toCssTransform,
+  getFrameTransform
+}
@@ -0,0 +1,141 @@
+// Flood fill for the paint bucket, on RGBA pixel data (e.g.: from ImageData)
+//
+// Pixels which differ from the pixel under the point by more than `tolerance` (0-255, on any channel)
+// stop the fill. Gaps of up to `gap` pixels between them are closed before filling,
+// so that line art which doesn't quite join up can still be filled.
+const util = require('../utils/index')
+
+const DEFAULT_TOLERANCE = 32
+
+const MAX_GAP = 32
+
+// 1 where the color differs from the color at `start`
+const getBoundaries = (data, start, tolerance) => {
+  let boundaries = new Uint8Array(data.length / 4)
+  let s = start * 4
+  for (let i = 0; i < boundaries.length; i++) {
+    let p = i * 4
+    if (
+      Math.abs(data[p] - data[s]) > tolerance ||
+      Math.abs(data[p + 1] - data[s + 1]) > tolerance ||
+      Math.abs(data[p + 2] - data[s + 2]) > tolerance ||
+      Math.abs(data[p + 3] - data[s + 3]) > tolerance
+    ) {
+      boundaries[i] = 1
+    }
+  }
+  return boundaries
+}
+
+// grows the set pixels of `mask` by `radius` pixels, as a square, one axis at a time
+const dilate = (mask, width, height, radius) => {
+  let rows = new Uint8Array(mask.length)
+  let result = new Uint8Array(mask.length)
+  let sums = new Int32Array(Math.max(width, height) + 1)
+
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      sums[x + 1] = sums[x] + mask[y * width + x]
+    }
+    for (let x = 0; x < width; x++) {
+      if (sums[Math.min(x + radius + 1, width)] > sums[Math.max(x - radius, 0)]) {
+        rows[y * width + x] = 1
+      }
+    }
+  }
+
+  for (let x = 0; x < width; x++) {
+    for (let y = 0; y < height; y++) {
+      sums[y + 1] = sums[y] + rows[y * width + x]
+    }
+    for (let y = 0; y < height; y++) {
+      if (sums[Math.min(y + radius + 1, height)] > sums[Math.max(y - radius, 0)]) {
+        result[y * width + x] = 1
+      }
+    }
+  }
+
+  return result
+}
+
+// the pixels connected to `start` (4-way) without crossing `blocked`
+const flood = (blocked, width, start) => {
+  let mask = new Uint8Array(blocked.length)
+  let stack = [start]
+  mask[start] = 1
+
+  const visit = i => {
+    if (!blocked[i] && !mask[i]) {
+      mask[i] = 1
+      stack.push(i)
+    }
+  }
+
+  while (stack.length) {
+    let i = stack.pop()
+    let x = i % width
+    if (x > 0) visit(i - 1)
+    if (x < width - 1) visit(i + 1)
+    if (i >= width) visit(i - width)
+    if (i < blocked.length - width) visit(i + width)
+  }
+
+  return mask
+}
+
+// 1 for each pixel to fill, or null if the point is outside of the image
+const getFillMask = (data, width, height, { x, y }, { tolerance = DEFAULT_TOLERANCE, gap = 0 } = {}) => {
+  x = Math.floor(x)
+  y = Math.floor(y)
+  if (x < 0 || y < 0 || x >= width || y >= height) return null
+
+  let start = y * width + x
+  let boundaries = getBoundaries(data, start, tolerance)
+
+  // boundaries grow by half of the gap from each side to close it
+  let radius = Math.ceil(util.clamp(gap, 0, MAX_GAP) / 2)
+  let blocked = radius ? dilate(boundaries, width, height, radius) : boundaries
+
+  // too close to a boundary to close gaps
+  if (blocked[start]) {
+    radius = 0
+    blocked = boundaries
+  }
+
+  let mask = flood(blocked, width, start)
+
+  // grow back up to the boundaries
+  if (radius) {
+    mask = dilate(mask, width, height, radius)
+    for (let i = 0; i < mask.length; i++) {
+      if (boundaries[i]) mask[i] = 0
+    }
+  }
+
+  return mask
+}
+
+// RGBA pixels of `color` (e.g.: 0xff0000) where `mask` is set, for ImageData
+const getFillPixels = (mask, color) => {
+  let pixels = new Uint8ClampedArray(mask.length * 4)
+  let r = (color >> 16) & 0xff
+  let g = (color >> 8) & 0xff
+  let b = color & 0xff
+  for (let i = 0; i < mask.length; i++) {
+    if (mask[i]) {
+      pixels[i * 4] = r
+      pixels[i * 4 + 1] = g
+      pixels[i * 4 + 2] = b
+      pixels[i * 4 + 3] = 255
+    }
+  }
+  return pixels
+}
+
+module.exports = {
+  DEFAULT_TOLERANCE,
+  MAX_GAP,
+
+  getFillMask,
+  getFillPixels
+}
@@ -0,0 +1,283 @@
+// Version history of a scene
+//
+// Snapshots are kept in a hidden `.history` folder next to the .storyboarder file:
+//
+//   .history/snapshots/<id>.json   board data, and the hash of each of its media files
+//   .history/files/<hash><ext>     media files, stored once per unique content
+//
+// so a snapshot only adds the layer PNGs which have changed since the last one.
+// The id of a snapshot is the time it was created, so they can be sorted by filename.
+// Only the newest MAX_SNAPSHOTS are kept.
+const fs = require('fs-extra')
+const path = require('path')
+const crypto = require('crypto')
+
+const { getMediaFilenames } = require('./board')
+const audioTracksModel = require('./audio-tracks')
+
+const HISTORY_FOLDER_NAME = '.history'
+
+// automatic snapshots are taken on save, at most this often
+const SNAPSHOT_INTERVAL_MSECS = 10 * 60 * 1000
+
+// older snapshots, and the files only they refer to, are removed
+const MAX_SNAPSHOTS = 100
+
+const getHistoryPath = sceneFilePath =>
+  path.join(path.dirname(sceneFilePath), HISTORY_FOLDER_NAME)
+
+const getImagesPath = sceneFilePath =>
+  path.join(path.dirname(sceneFilePath), 'images')
+
+const hashFile = filepath =>
+  crypto.createHash('sha1').update(fs.readFileSync(filepath)).digest('hex')
+
+const getSceneFilenames = boardData =>
+  [...new Set(
+    boardData.boards.reduce(
+      (filenames, board) => filenames.concat(board.url ? [board.url] : [], getMediaFilenames(board)),
+      audioTracksModel.getFilenames(boardData)
+    )
+  )]
+
+// missing files (e.g.: not saved yet) are skipped
+const hashSceneFiles = (sceneFilePath, boardData) =>
+  getSceneFilenames(boardData).reduce((files, filename) => {
+    let filepath = path.join(getImagesPath(sceneFilePath), filename)
+    if (fs.existsSync(filepath)) {
+      files[filename] = hashFile(filepath)
+    }
+    return files
+  }, {})
+
+const getStoredFilePath = (sceneFilePath, filename, hash) =>
+  path.join(getHistoryPath(sceneFilePath), 'files', hash + path.extname(filename))
+
+const getSnapshotsPath = sceneFilePath =>
+  path.join(getHistoryPath(sceneFilePath), 'snapshots')
+
+const getSnapshotPath = (sceneFilePath, id) =>
+  path.join(getSnapshotsPath(sceneFilePath), `${id}.json`)
+
+// newest first, without reading the snapshots
+const listSnapshotIds = sceneFilePath => {
+  let snapshotsPath = getSnapshotsPath(sceneFilePath)
+  if (!fs.existsSync(snapshotsPath)) return []
+
+  return fs.readdirSync(snapshotsPath)
+    .filter(filename => path.extname(filename) === '.json')
+    .map(filename => path.basename(filename, '.json'))
+    .sort((a, b) => Number(b) - Number(a))
+}
+
+/**
+ * Lists the scene's snapshots, newest first
+ * @returns {array} [{ id, createdAt, label, boards }]
+ */
+const listSnapshots = sceneFilePath =>
+  listSnapshotIds(sceneFilePath)
+    .map(id => {
+      let { createdAt, label, boardData } = readSnapshot(sceneFilePath, id)
+      return { id, createdAt, label, boards: boardData.boards.length }
+    })
+
+const readSnapshot = (sceneFilePath, id) =>
+  fs.readJsonSync(getSnapshotPath(sceneFilePath, id))
+
+// the scene as it is on disk, in the same shape as a snapshot
+const readCurrent = sceneFilePath => {
+  let boardData = fs.readJsonSync(sceneFilePath)
+  return {
+    id: null,
+    createdAt: fs.statSync(sceneFilePath).mtimeMs,
+    label: 'Current',
+    boardData,
+    files: hashSceneFiles(sceneFilePath, boardData)
+  }
+}
+
+// absolute path to one of the media files of a snapshot (or of the current scene)
+const getFilePath = (sceneFilePath, snapshot, filename) => {
+  if (snapshot.id == null) {
+    return path.join(getImagesPath(sceneFilePath), filename)
+  }
+  let hash = snapshot.files[filename]
+  return hash ? getStoredFilePath(sceneFilePath, filename, hash) : undefined
+}
+
+/**
+ * Saves a snapshot of the scene, as it is on disk
+ * @returns {object} the new snapshot, or the latest snapshot if nothing has changed since
+ */
+const createSnapshot = (sceneFilePath, { label = '', now = Date.now(), maxSnapshots } = {}) => {
+  let current = readCurrent(sceneFilePath)
+
+  let [latestId] = listSnapshotIds(sceneFilePath)
+  if (latestId) {
+    let snapshot = readSnapshot(sceneFilePath, latestId)
+    if (
+      JSON.stringify(snapshot.boardData) === JSON.stringify(current.boardData) &&
+      JSON.stringify(snapshot.files) === JSON.stringify(current.files)
+    ) {
+      return snapshot
+    }
+  }
+
+  for (let [filename, hash] of Object.entries(current.files)) {
+    let storedFilePath = getStoredFilePath(sceneFilePath, filename, hash)
+    if (!fs.existsSync(storedFilePath)) {
+      fs.copySync(path.join(getImagesPath(sceneFilePath), filename), storedFilePath)
+    }
+  }
+
+  let snapshot = {
+    id: now.toString(),
+    createdAt: now,
+    label,
+    boardData: current.boardData,
+    files: current.files
+  }
+  fs.outputJsonSync(getSnapshotPath(sceneFilePath, snapshot.id), snapshot)
+
+  pruneSnapshots(sceneFilePath, { maxSnapshots })
+
+  return snapshot
+}
+
+// runs on every save, so only the filenames of the snapshots are read
+const createSnapshotIfStale = (sceneFilePath, { now = Date.now(), maxSnapshots } = {}) => {
+  let [latestId] = listSnapshotIds(sceneFilePath)
+  if (!latestId || now - Number(latestId) >= SNAPSHOT_INTERVAL_MSECS) {
+    return createSnapshot(sceneFilePath, { now, maxSnapshots })
+  }
+}
+
+// removes all but the newest `maxSnapshots`, and any stored files no longer in a snapshot
+const pruneSnapshots = (sceneFilePath, { maxSnapshots = MAX_SNAPSHOTS } = {}) => {
+  let ids = listSnapshotIds(sceneFilePath)
+  if (ids.length <= maxSnapshots) return
+
+  for (let id of ids.slice(maxSnapshots)) {
+    fs.removeSync(getSnapshotPath(sceneFilePath, id))
+  }
+
+  let used = new Set()
+  for (let id of ids.slice(0, maxSnapshots)) {
+    for (let [filename, hash] of Object.entries(readSnapshot(sceneFilePath, id).files)) {
+      used.add(path.basename(getStoredFilePath(sceneFilePath, filename, hash)))
+    }
+  }
+  let filesPath = path.join(getHistoryPath(sceneFilePath), 'files')
+  if (!fs.existsSync(filesPath)) return
+  for (let filename of fs.readdirSync(filesPath)) {
+    if (!used.has(filename)) fs.removeSync(path.join(filesPath, filename))
+  }
+}
+
+const hasChanged = (a, b) => {
+  let { time: timeA, ...boardA } = a.board
+  let { time: timeB, ...boardB } = b.board
+  if (JSON.stringify(boardA) !== JSON.stringify(boardB)) return true
+
+  let filenames = getSceneFilenames({ boards: [a.board, b.board] })
+  return filenames.some(filename => a.snapshot.files[filename] !== b.snapshot.files[filename])
+}
+
+/**
+ * Compares the boards of two snapshots, by uid, in the order of `b`
+ * @returns {array} [{ uid, status: 'added'|'removed'|'changed'|'unchanged', a, b }]
+ */
+const diffSnapshots = (a, b) => {
+  let boardsA = a.boardData.boards
+  let boardsB = b.boardData.boards
+
+  let changes = boardsB.map(boardB => {
+    let boardA = boardsA.find(board => board.uid === boardB.uid)
+    return {
+      uid: boardB.uid,
+      status: !boardA
+        ? 'added'
+        : hasChanged({ board: boardA, snapshot: a }, { board: boardB, snapshot: b })
+          ? 'changed'
+          : 'unchanged',
+      a: boardA,
+      b: boardB
+    }
+  })
+
+  for (let boardA of boardsA) {
+    if (!boardsB.find(board => board.uid === boardA.uid)) {
+      changes.push({ uid: boardA.uid, status: 'removed', a: boardA, b: undefined })
+    }
+  }
+
+  return changes
+}
+
+const restoreFiles = (sceneFilePath, snapshot, filenames) => {
+  for (let filename of filenames) {
+    let storedFilePath = getFilePath(sceneFilePath, snapshot, filename)
+    if (storedFilePath && fs.existsSync(storedFilePath)) {
+      fs.copySync(storedFilePath, path.join(getImagesPath(sceneFilePath), filename))
+    }
+  }
+}
+
+/**
+ * Restores the whole scene from a snapshot
+ * The current state is saved as a snapshot first, so a restore can be undone from the history.
+ * @returns {object} the restored board data
+ */
+const restoreSnapshot = (sceneFilePath, id, { now = Date.now() } = {}) => {
+  let snapshot = readSnapshot(sceneFilePath, id)
+
+  createSnapshot(sceneFilePath, { label: 'Before restore', now })
+
+  restoreFiles(sceneFilePath, snapshot, Object.keys(snapshot.files))
+  fs.writeFileSync(sceneFilePath, JSON.stringify(snapshot.boardData, null, 2))
+
+  return snapshot.boardData
+}
+
+/**
+ * Restores a single board from a snapshot
+ * A board which has since been deleted is inserted at its former position.
+ * @returns {object} the updated board data
+ */
+const restoreBoard = (sceneFilePath, id, uid, { now = Date.now() } = {}) => {
+  let snapshot = readSnapshot(sceneFilePath, id)
+  let index = snapshot.boardData.boards.findIndex(board => board.uid === uid)
+  if (index === -1) throw new Error(`Board ${uid} is not in this snapshot`)
+  let board = snapshot.boardData.boards[index]
+
+  createSnapshot(sceneFilePath, { label: 'Before restore', now })
+
+  let boardData = fs.readJsonSync(sceneFilePath)
+  let currentIndex = boardData.boards.findIndex(b => b.uid === uid)
+  if (currentIndex === -1) {
+    boardData.boards.splice(Math.min(index, boardData.boards.length), 0, board)
+  } else {
+    boardData.boards[currentIndex] = board
+  }
+
+  restoreFiles(sceneFilePath, snapshot, getSceneFilenames({ boards: [board] }))
+  fs.writeFileSync(sceneFilePath, JSON.stringify(boardData, null, 2))
+
+  return boardData
+}
+
+module.exports = {
+  HISTORY_FOLDER_NAME,
+  SNAPSHOT_INTERVAL_MSECS,
+  MAX_SNAPSHOTS,
+
+  listSnapshots,
+  readSnapshot,
+  readCurrent,
+  getFilePath,
+  createSnapshot,
+  createSnapshotIfStale,
+  diffSnapshots,
+  restoreSnapshot,
+  restoreBoard
+}
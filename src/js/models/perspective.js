@@ -0,0 +1,158 @@
+// 1, 2, or 3 point perspective of a board, for the perspective guide and the line tool
+//
+// Stored on the board as:
+//
+//   board.perspective = { horizon, points: [{ x, y }] }
+//
+// All values are relative to the board (0 to 1 on each axis), and may be outside of it.
+// The first two vanishing points are always on the horizon.
+// The third (the vertical vanishing point of 3 point perspective) can be anywhere.
+const util = require('../utils/index')
+
+const TYPES = [1, 2, 3]
+
+const TYPE_LABELS = {
+  1: '1 Point',
+  2: '2 Point',
+  3: '3 Point'
+}
+
+// how far outside of the board points can be dragged
+const MAX_DISTANCE = 2
+
+// rays drawn from each vanishing point, for the guide
+const GUIDE_RAYS = 24
+
+const hasPerspective = board =>
+  board.perspective != null
+
+const getType = perspective =>
+  perspective.points.length
+
+const createPerspective = (type = 2) => {
+  let horizon = 0.4
+  let points = {
+    1: [{ x: 0.5, y: horizon }],
+    2: [{ x: 0.1, y: horizon }, { x: 0.9, y: horizon }],
+    3: [{ x: 0.1, y: horizon }, { x: 0.9, y: horizon }, { x: 0.5, y: 0.95 }]
+  }[type]
+  if (!points) throw new Error(`Unknown perspective type: ${type}`)
+  return { horizon, points }
+}
+
+const normalizePerspective = ({ horizon, points }) => {
+  let clamp = value => util.clamp(value, -MAX_DISTANCE, 1 + MAX_DISTANCE)
+  horizon = clamp(horizon)
+  return {
+    horizon,
+    points: points.map(({ x, y }, n) => ({
+      x: clamp(x),
+      y: n < 2 ? horizon : clamp(y)
+    }))
+  }
+}
+
+const setPerspective = (board, perspective) => {
+  if (!TYPES.includes(getType(perspective))) throw new Error('Unknown perspective type')
+  board.perspective = normalizePerspective(perspective)
+  return board
+}
+
+const clearPerspective = board => {
+  delete board.perspective
+  return board
+}
+
+// keeps the current vanishing points where it can
+const setType = (perspective, type) => {
+  let defaults = createPerspective(type)
+  return normalizePerspective({
+    horizon: perspective.horizon,
+    points: defaults.points.map((point, n) => perspective.points[n] || point)
+  })
+}
+
+// moving one of the first two vanishing points moves the horizon
+const moveVanishingPoint = (perspective, index, { x, y }) =>
+  normalizePerspective({
+    horizon: index < 2 ? y : perspective.horizon,
+    points: perspective.points.map((point, n) => n === index ? { x, y } : point)
+  })
+
+const moveHorizon = (perspective, horizon) =>
+  normalizePerspective({ ...perspective, horizon })
+
+// unit vectors which lines from `origin` (in pixels) can follow
+// 1 point perspective also has horizontal lines, and 1 and 2 point perspective have vertical lines
+const getDirections = (perspective, origin, [width, height]) => {
+  let directions = perspective.points
+    .map(({ x, y }) => ({ x: x * width - origin.x, y: y * height - origin.y }))
+    .filter(({ x, y }) => Math.hypot(x, y) > 0)
+    .map(({ x, y }) => ({ x: x / Math.hypot(x, y), y: y / Math.hypot(x, y) }))
+
+  let type = getType(perspective)
+  if (type === 1) directions.push({ x: 1, y: 0 })
+  if (type < 3) directions.push({ x: 0, y: 1 })
+
+  return directions
+}
+
+// the point on the line from `origin` which is closest in angle to `point`
+const snapPoint = (perspective, origin, point, size) => {
+  let dx = point.x - origin.x
+  let dy = point.y - origin.y
+  if (Math.hypot(dx, dy) < 1) return point
+
+  let best
+  let bestDot = -1
+  for (let direction of getDirections(perspective, origin, size)) {
+    let dot = dx * direction.x + dy * direction.y
+    let alignment = Math.abs(dot) / Math.hypot(dx, dy)
+    if (alignment > bestDot) {
+      bestDot = alignment
+      best = { x: origin.x + direction.x * dot, y: origin.y + direction.y * dot }
+    }
+  }
+  return best || point
+}
+
+// lines for the guide, as [[x1, y1], [x2, y2]] in pixels
+// rays from each vanishing point across the board, and the horizon
+const getGuideLines = (perspective, [width, height], rays = GUIDE_RAYS) => {
+  let reach = Math.hypot(width, height) * (1 + MAX_DISTANCE * 2)
+  let lines = [[[0, perspective.horizon * height], [width, perspective.horizon * height]]]
+
+  for (let { x, y } of perspective.points) {
+    let from = [x * width, y * height]
+    for (let n = 0; n < rays; n++) {
+      let angle = n / rays * Math.PI * 2
+      lines.push([from, [from[0] + Math.cos(angle) * reach, from[1] + Math.sin(angle) * reach]])
+    }
+  }
+
+  if (getType(perspective) < 3) {
+    for (let n = 1; n < 8; n++) {
+      let x = n / 8 * width
+      lines.push([[x, 0], [x, height]])
+    }
+  }
+
+  return lines
+}
+
+module.exports = {
+  TYPES,
+  TYPE_LABELS,
+
+  hasPerspective,
+  getType,
+  createPerspective,
+  setPerspective,
+  clearPerspective,
+  setType,
+  moveVanishingPoint,
+  moveHorizon,
+  getDirections,
+  snapPoint,
+  getGuideLines
+}
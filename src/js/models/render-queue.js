@@ -0,0 +1,168 @@
+// Queue of export jobs, run one at a time in the background
+//
+// Stored (in the user data folder) as:
+//
+//   { version, jobs: [
+//     {
+//       id, format, options, title, filePath,
+//       status: 'queued' | 'running' | 'done' | 'failed' | 'cancelled',
+//       progress, error, outputPath,
+//       createdAt, startedAt, finishedAt
+//     }
+//   ] }
+//
+// Each job exports a single scene (`filePath` is the .storyboarder file).
+// Adding a whole project adds a job for each of its scenes.
+// `progress` is 0 to 1, for formats which report it.
+const util = require('../utils/index')
+
+const VERSION = 1
+
+// formats supported by the headless exporter
+const FORMATS = ['mp4', 'pdf', 'fcpxml', 'png', 'otio', 'edl', 'shot-list', 'fdx', 'zip']
+
+const FORMAT_LABELS = {
+  'mp4': 'Video (Export Preset)',
+  'pdf': 'PDF',
+  'fcpxml': 'Final Cut Pro / Premiere',
+  'png': 'Images (PNG)',
+  'otio': 'OpenTimelineIO',
+  'edl': 'EDL',
+  'shot-list': 'Shot List',
+  'fdx': 'Final Draft',
+  'zip': 'ZIP Archive'
+}
+
+const STATUS_LABELS = {
+  'queued': 'Queued',
+  'running': 'Running',
+  'done': 'Done',
+  'failed': 'Failed',
+  'cancelled': 'Cancelled'
+}
+
+const createQueue = () => ({ version: VERSION, jobs: [] })
+
+const createJob = ({ format, options = {}, title, filePath }) => {
+  if (!FORMATS.includes(format)) throw new Error(`Unknown export format: ${format}`)
+  return {
+    id: util.uidGen(5),
+    format,
+    options,
+    title,
+    filePath,
+    status: 'queued',
+    progress: 0,
+    error: undefined,
+    outputPath: undefined,
+    createdAt: Date.now(),
+    startedAt: undefined,
+    finishedAt: undefined
+  }
+}
+
+const getJob = (queue, id) =>
+  queue.jobs.find(job => job.id === id)
+
+const addJob = (queue, props) => {
+  let job = createJob(props)
+  queue.jobs.push(job)
+  return job
+}
+
+const isFinished = job =>
+  ['done', 'failed', 'cancelled'].includes(job.status)
+
+// the next job to run, or undefined if a job is running or there's nothing to do
+const getNextJob = queue =>
+  queue.jobs.some(job => job.status === 'running')
+    ? undefined
+    : queue.jobs.find(job => job.status === 'queued')
+
+const update = (queue, id, props) => {
+  let job = getJob(queue, id)
+  if (!job) throw new Error(`Could not find render queue job ${id}`)
+  return Object.assign(job, props)
+}
+
+const startJob = (queue, id) =>
+  update(queue, id, { status: 'running', progress: 0, startedAt: Date.now() })
+
+const setProgress = (queue, id, progress) =>
+  update(queue, id, { progress: util.clamp(progress, 0, 1) })
+
+const completeJob = (queue, id, outputPath) =>
+  update(queue, id, { status: 'done', progress: 1, outputPath, finishedAt: Date.now() })
+
+const failJob = (queue, id, error) =>
+  update(queue, id, { status: 'failed', error, finishedAt: Date.now() })
+
+// only queued or running jobs can be cancelled
+const cancelJob = (queue, id) => {
+  let job = getJob(queue, id)
+  if (job && (job.status === 'queued' || job.status === 'running')) {
+    update(queue, id, { status: 'cancelled', finishedAt: Date.now() })
+  }
+  return job
+}
+
+// only failed or cancelled jobs can be retried
+const retryJob = (queue, id) => {
+  let job = getJob(queue, id)
+  if (job && (job.status === 'failed' || job.status === 'cancelled')) {
+    update(queue, id, {
+      status: 'queued',
+      progress: 0,
+      error: undefined,
+      startedAt: undefined,
+      finishedAt: undefined
+    })
+  }
+  return job
+}
+
+// running jobs can't be removed, cancel them first
+const removeJob = (queue, id) => {
+  queue.jobs = queue.jobs.filter(job => job.id !== id || job.status === 'running')
+  return queue
+}
+
+const clearFinished = queue => {
+  queue.jobs = queue.jobs.filter(job => !isFinished(job))
+  return queue
+}
+
+// after a restart, jobs which were running are queued again
+const restoreQueue = data => {
+  if (!data || data.version !== VERSION || !Array.isArray(data.jobs)) return createQueue()
+
+  let queue = { version: VERSION, jobs: data.jobs }
+  for (let job of queue.jobs) {
+    if (job.status === 'running') {
+      Object.assign(job, { status: 'queued', progress: 0, startedAt: undefined })
+    }
+  }
+  return queue
+}
+
+module.exports = {
+  FORMATS,
+  FORMAT_LABELS,
+  STATUS_LABELS,
+
+  createQueue,
+  createJob,
+  getJob,
+  addJob,
+  isFinished,
+  getNextJob,
+  startJob,
+  setProgress,
+  completeJob,
+  failJob,
+  cancelJob,
+  retryJob,
+  removeJob,
+  clearFinished,
+  restoreQueue
+}
@@ -0,0 +1,108 @@
+// Retiming sets the duration of each board in a scene, from:
+//
+//   'audio'  - the length of the board’s audio, as trimmed (see: models/board-audio)
+//   'words'  - the number of words of dialogue, at a rate in words per minute
+//   'speech' - how long text-to-speech takes to say the dialogue
+//              (measured in main-window.js, as used by speakingMode)
+//
+// Boards without audio or dialogue keep their duration.
+const { boardDuration, boardDurationWithAudio } = require('./board')
+const boardAudioModel = require('./board-audio')
+const util = require('../utils/index')
+
+const METHODS = ['audio', 'words', 'speech']
+
+const METHOD_LABELS = {
+  'audio': 'from audio length',
+  'words': 'from dialogue word count',
+  'speech': 'from text-to-speech'
+}
+
+const DEFAULT_WORDS_PER_MINUTE = 160
+
+// a pause after the dialogue
+// related: main-window.js #suggested-dialogue-duration
+const DIALOGUE_PADDING = 300
+
+// `CHARACTER: line` is spoken as `line`
+const getSpokenText = dialogue => {
+  let parts = dialogue.split(':')
+  return parts[parts.length - 1].trim()
+}
+
+const getWordsPerMinute = value =>
+  Number(value) > 0
+    ? Number(value)
+    : DEFAULT_WORDS_PER_MINUTE
+
+// the new duration of the board, or undefined if it should keep its duration
+// `speechDurations` are msecs by board uid
+const getRetimedDuration = (board, { method, wordsPerMinute, speechDurations = {} }) => {
+  switch (method) {
+    case 'audio':
+      return board.audio && board.audio.duration
+        ? Math.round(boardAudioModel.getOffset(board.audio) + boardAudioModel.getPlayedDuration(board.audio))
+        : undefined
+
+    case 'words':
+      let text = board.dialogue ? getSpokenText(board.dialogue) : ''
+      return text.length
+        ? Math.round(util.durationOfWords(text, 60 * 1000 / getWordsPerMinute(wordsPerMinute))) + DIALOGUE_PADDING
+        : undefined
+
+    case 'speech':
+      return speechDurations[board.uid]
+        ? Math.round(speechDurations[board.uid]) + DIALOGUE_PADDING
+        : undefined
+
+    default:
+      throw new Error(`Unknown retime method: ${method}`)
+  }
+}
+
+// the boards which would change, as [{ index, from, to }]
+const getChanges = (scene, options) =>
+  scene.boards.reduce((changes, board, index) => {
+    let from = boardDuration(scene, board)
+    let to = getRetimedDuration(board, options)
+    if (to != null && to !== from) {
+      changes.push({ index, from, to })
+    }
+    return changes
+  }, [])
+
+// duration of the scene in msecs, as if the changes were applied
+// related: models/scene sceneDuration, main-window.js updateSceneTiming
+const getSceneDuration = (scene, changes = []) => {
+  let time = 0
+  let end = 0
+  scene.boards.forEach((board, index) => {
+    let change = changes.find(change => change.index === index)
+    if (change) board = { ...board, duration: change.to }
+
+    end = Math.max(end, time + boardDurationWithAudio(scene, board))
+    time += boardDuration(scene, board)
+  })
+  return end
+}
+
+const applyChanges = (scene, changes) => {
+  for (let { index, to } of changes) {
+    scene.boards[index].duration = to
+  }
+  return scene
+}
+
+module.exports = {
+  METHODS,
+  METHOD_LABELS,
+  DEFAULT_WORDS_PER_MINUTE,
+  DIALOGUE_PADDING,
+
+  getSpokenText,
+  getWordsPerMinute,
+  getRetimedDuration,
+  getChanges,
+  getSceneDuration,
+  applyChanges
+}
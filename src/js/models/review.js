@@ -0,0 +1,115 @@
+// Review comments and approval status of a board
+//
+// Stored on the board as:
+//
+//   board.review = {
+//     status: 'draft' | 'needs-changes' | 'approved',
+//     comments: [
+//       { id, author, text, createdAt, point: { x, y }, replies: [{ id, author, text, createdAt }] }
+//     ]
+//   }
+//
+// `point` is optional, and is relative to the board image (0 to 1 on each axis).
+const util = require('../utils/index')
+
+const STATUSES = ['draft', 'needs-changes', 'approved']
+
+const STATUS_LABELS = {
+  'draft': 'Draft',
+  'needs-changes': 'Needs Changes',
+  'approved': 'Approved'
+}
+
+const DEFAULT_STATUS = 'draft'
+
+const getReview = board =>
+  board.review || { status: DEFAULT_STATUS, comments: [] }
+
+const getStatus = board =>
+  getReview(board).status || DEFAULT_STATUS
+
+const getComments = board =>
+  getReview(board).comments || []
+
+// counts replies, too
+const getCommentCount = board =>
+  getComments(board).reduce((count, comment) => count + 1 + (comment.replies || []).length, 0)
+
+const hasReview = board =>
+  getStatus(board) !== DEFAULT_STATUS || getComments(board).length > 0
+
+const setStatus = (board, status) => {
+  if (!STATUSES.includes(status)) throw new Error(`Unknown review status: ${status}`)
+  board.review = { ...getReview(board), status }
+  return board
+}
+
+const createComment = ({ author, text, now = Date.now() }) => ({
+  id: util.uidGen(5),
+  author,
+  text,
+  createdAt: now
+})
+
+const addComment = (board, { author, text, point, now }) => {
+  let comment = {
+    ...createComment({ author, text, now }),
+    ...(point ? { point: { x: point.x, y: point.y } } : {}),
+    replies: []
+  }
+  board.review = { ...getReview(board), comments: [...getComments(board), comment] }
+  return comment
+}
+
+const addReply = (board, commentId, { author, text, now }) => {
+  let comment = getComments(board).find(comment => comment.id === commentId)
+  if (!comment) throw new Error(`Could not find comment ${commentId}`)
+
+  let reply = createComment({ author, text, now })
+  comment.replies = [...(comment.replies || []), reply]
+  return reply
+}
+
+// removes a comment (with its replies), or a single reply
+const removeComment = (board, id) => {
+  let comments = getComments(board)
+    .filter(comment => comment.id !== id)
+    .map(comment => ({ ...comment, replies: (comment.replies || []).filter(reply => reply.id !== id) }))
+  board.review = { ...getReview(board), comments }
+  return board
+}
+
+// if `statuses` is missing, every board matches
+// if it's empty (nothing was chosen), no board matches
+const matchesStatus = (board, statuses) =>
+  statuses == null || statuses.includes(getStatus(board))
+
+const filterBoardsByStatus = (boards, statuses) =>
+  boards.filter(board => matchesStatus(board, statuses))
+
+// plain text, for exporters
+const formatComments = board =>
+  getComments(board).map((comment, n) =>
+    [
+      `${n + 1}. ${comment.author}: ${comment.text}`,
+      ...(comment.replies || []).map(reply => `   ${reply.author}: ${reply.text}`)
+    ].join('\n')
+  ).join('\n')
+
+module.exports = {
+  STATUSES,
+  STATUS_LABELS,
+  DEFAULT_STATUS,
+
+  getStatus,
+  getComments,
+  getCommentCount,
+  hasReview,
+  setStatus,
+  addComment,
+  addReply,
+  removeComment,
+  matchesStatus,
+  filterBoardsByStatus,
+  formatComments
+}
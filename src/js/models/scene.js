@@ -1,3 +1,6 @@
+const fs = require('fs')
+const path = require('path')
+
 const boardModel = require('./board')
 
 const sceneDuration = scene =>
@@ -6,6 +9,22 @@ const sceneDuration = scene =>
     // ... sort numerically high to low
     .sort((a, b) => b - a)[0]
 
+// the .storyboarder file of a scene node from scriptData, or undefined if it hasn't been boarded
+// scene folders are found by the uid at the end of the scene id, so they're still found
+// after the scene is renumbered or its slugline or synopsis changes, see loadScene in main-window.js
+const findSceneFilePath = (storyboardsPath, node) => {
+  if (!node.scene_id || !fs.existsSync(storyboardsPath)) return
+
+  let id = node.scene_id.split('-').pop()
+  let folder = fs.readdirSync(storyboardsPath)
+    .find(name => name.split('-').pop() === id && fs.statSync(path.join(storyboardsPath, name)).isDirectory())
+  if (!folder) return
+
+  let filepath = path.join(storyboardsPath, folder, `${folder}.storyboarder`)
+  return fs.existsSync(filepath) ? filepath : undefined
+}
+
 module.exports = {
-  sceneDuration
+  sceneDuration,
+  findSceneFilePath
 }
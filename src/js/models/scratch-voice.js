@@ -0,0 +1,80 @@
+// Scratch voice is the dialogue of a board, read by text-to-speech (see: exporters/text-to-speech)
+// and saved as the audio of the board, so it plays along and is exported like any other board audio
+//
+// Stored on the board as:
+//
+//   board.audio = { filename, duration, scratch: { character, voice, text } }
+//
+// Voices are chosen per character of the script (or of the scene's dialogue, if there's no script), and kept in prefs as `scratchVoices: { [character]: voice }`,
+// because the installed voices are different on every computer.
+// Boards with recorded or imported audio are left alone.
+const { getSpokenText } = require('./retime')
+
+// the name of a character, as in the script
+// related: fountain-data-parser.js getCharacters
+const getCharacterName = text =>
+  text.split('(')[0].split(' AND ')[0].trim().toUpperCase()
+
+// `JOE (V.O.): Hello.` is said by `JOE`
+const getCharacter = dialogue => {
+  if (!dialogue || !dialogue.includes(':')) return undefined
+
+  let character = getCharacterName(dialogue.split(':')[0])
+  return character.length ? character : undefined
+}
+
+// the characters to choose voices for, sorted by name
+// `scriptCharacters` are the characters of the script, as [[name, count]] (see: fountain-data-parser.js getCharacters)
+// projects without a script use every character with dialogue in the scene
+const getCharacters = (scene, scriptCharacters) =>
+  scriptCharacters && scriptCharacters.length
+    ? [...new Set(scriptCharacters.map(([name]) => getCharacterName(name)).filter(name => name.length))].sort()
+    : [...new Set(scene.boards.map(board => getCharacter(board.dialogue)).filter(Boolean))].sort()
+
+// undefined is the system default voice
+const getVoice = (scratchVoices = {}, character) =>
+  (character && scratchVoices[character]) || undefined
+
+const isScratch = board =>
+  !!(board.audio && board.audio.scratch)
+
+const getFilename = (board, datestamp) =>
+  `${board.uid}-scratch-voice-${datestamp}.wav`
+
+// boards which need their scratch voice rendered, because they don't have it yet or it's changed
+// returns { tasks: [{ index, character, voice, text }], skipped }
+// where `skipped` is the number of boards with dialogue but other audio
+const getTasks = (scene, scratchVoices) =>
+  scene.boards.reduce(({ tasks, skipped }, board, index) => {
+    let text = board.dialogue ? getSpokenText(board.dialogue) : ''
+    if (!text.length) return { tasks, skipped }
+
+    if (board.audio && !isScratch(board)) return { tasks, skipped: skipped + 1 }
+
+    let character = getCharacter(board.dialogue)
+    let voice = getVoice(scratchVoices, character)
+    let isCurrent = isScratch(board) &&
+      board.audio.scratch.text === text &&
+      board.audio.scratch.voice === voice
+    if (!isCurrent) {
+      tasks.push({ index, character, voice, text })
+    }
+
+    return { tasks, skipped }
+  }, { tasks: [], skipped: 0 })
+
+// replaces the board's audio (including any trims)
+const setScratchAudio = (board, filename, { character, voice, text }) => {
+  board.audio = { filename, scratch: { character, voice, text } }
+  return board
+}
+
+module.exports = {
+  getCharacter,
+  getCharacters,
+  getVoice,
+  isScratch,
+  getFilename,
+  getTasks,
+  setScratchAudio
+}
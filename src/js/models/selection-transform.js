@@ -0,0 +1,296 @@
+// Transform of a selected area: move, rotate, scale, skew, flip and distort
+//
+// A transform maps the rectangle around the selection (`source`)
+// to four `corners` (top left, top right, bottom right, bottom left):
+//
+//   { source: { x, y, width, height }, corners: [{ x, y }, { x, y }, { x, y }, { x, y }] }
+//
+// All values are in pixels.
+// Scale, skew, and rotate keep the corners a parallelogram, distort moves a single corner.
+// Edge `n` is between corner `n` and corner `n + 1` (top, right, bottom, left).
+
+const createTransform = ({ x, y, width, height }) => ({
+  source: { x, y, width, height },
+  corners: [
+    { x, y },
+    { x: x + width, y },
+    { x: x + width, y: y + height },
+    { x, y: y + height }
+  ]
+})
+
+const mid = (a, b) => ({ x: (a.x + b.x) / 2, y: (a.y + b.y) / 2 })
+const sub = (a, b) => ({ x: a.x - b.x, y: a.y - b.y })
+
+const getCenter = ({ corners }) => ({
+  x: corners.reduce((sum, { x }) => sum + x, 0) / 4,
+  y: corners.reduce((sum, { y }) => sum + y, 0) / 4
+})
+
+// corner and edge handles
+const getHandles = ({ corners }) => [
+  ...corners.map(({ x, y }, index) => ({ type: 'corner', index, x, y })),
+  ...corners.map((corner, index) => ({ type: 'edge', index, ...mid(corner, corners[(index + 1) % 4]) }))
+]
+
+// is `point` inside of the corners?
+const contains = ({ corners }, { x, y }) => {
+  let inside = false
+  for (let i = 0, j = 3; i < 4; j = i++) {
+    let a = corners[i]
+    let b = corners[j]
+    if ((a.y > y) !== (b.y > y) && x < (b.x - a.x) * (y - a.y) / (b.y - a.y) + a.x) {
+      inside = !inside
+    }
+  }
+  return inside
+}
+
+// `point` as [a, b], where `point` is `origin + a * u + b * v`
+const toAxes = (origin, u, v, point) => {
+  let det = u.x * v.y - u.y * v.x
+  let d = sub(point, origin)
+  return [(d.x * v.y - d.y * v.x) / det, (u.x * d.y - u.y * d.x) / det]
+}
+
+// applies `fn` to each corner, as [a, b] along `u` and `v` from `origin`
+const mapAxes = (transform, origin, u, v, fn) => {
+  if (Math.abs(u.x * v.y - u.y * v.x) < 1e-9) return transform
+  return {
+    ...transform,
+    corners: transform.corners.map(corner => {
+      let [a, b] = fn(...toAxes(origin, u, v, corner))
+      return {
+        x: origin.x + a * u.x + b * v.x,
+        y: origin.y + a * u.y + b * v.y
+      }
+    })
+  }
+}
+
+const translate = (transform, dx, dy) => ({
+  ...transform,
+  corners: transform.corners.map(({ x, y }) => ({ x: x + dx, y: y + dy }))
+})
+
+// around the center, in radians
+const rotate = (transform, angle) => {
+  let center = getCenter(transform)
+  let cos = Math.cos(angle)
+  let sin = Math.sin(angle)
+  return {
+    ...transform,
+    corners: transform.corners.map(({ x, y }) => ({
+      x: center.x + (x - center.x) * cos - (y - center.y) * sin,
+      y: center.y + (x - center.x) * sin + (y - center.y) * cos
+    }))
+  }
+}
+
+// moves a handle to `point`, keeping the opposite corner or edge in place
+// `uniform` keeps the proportions when moving a corner
+const scale = (transform, { type, index }, point, { uniform = false } = {}) => {
+  let { corners } = transform
+  if (type === 'corner') {
+    let origin = corners[(index + 2) % 4]
+    let u = sub(corners[(index + 1) % 4], origin)
+    let v = sub(corners[(index + 3) % 4], origin)
+    let [ai, bi] = toAxes(origin, u, v, corners[index])
+    let [a, b] = toAxes(origin, u, v, point)
+    if (Math.abs(ai) < 1e-9 || Math.abs(bi) < 1e-9) return transform
+    let s = a / ai
+    let t = b / bi
+    if (uniform) s = t = (a * ai + b * bi) / (ai * ai + bi * bi)
+    return mapAxes(transform, origin, u, v, (a, b) => [a * s, b * t])
+  } else {
+    let origin = mid(corners[(index + 2) % 4], corners[(index + 3) % 4])
+    let u = sub(corners[(index + 1) % 4], corners[index])
+    let v = sub(mid(corners[index], corners[(index + 1) % 4]), origin)
+    let [, t] = toAxes(origin, u, v, point)
+    return mapAxes(transform, origin, u, v, (a, b) => [a, b * t])
+  }
+}
+
+// moves an edge along itself to follow `point`, keeping the opposite edge in place
+const skew = (transform, index, point) => {
+  let { corners } = transform
+  let origin = mid(corners[(index + 2) % 4], corners[(index + 3) % 4])
+  let u = sub(corners[(index + 1) % 4], corners[index])
+  let v = sub(mid(corners[index], corners[(index + 1) % 4]), origin)
+  let [s] = toAxes(mid(corners[index], corners[(index + 1) % 4]), u, v, point)
+  return mapAxes(transform, origin, u, v, (a, b) => [a + s * b, b])
+}
+
+// moves a single corner
+const distort = (transform, index, point) => ({
+  ...transform,
+  corners: transform.corners.map((corner, n) => n === index ? { x: point.x, y: point.y } : corner)
+})
+
+// mirrors the contents in place, 'horizontal' or 'vertical'
+const flip = (transform, direction) => {
+  let [c0, c1, c2, c3] = transform.corners
+  return {
+    ...transform,
+    corners: direction === 'horizontal'
+      ? [c1, c0, c3, c2]
+      : [c3, c2, c1, c0]
+  }
+}
+
+const isIdentity = ({ source, corners }) =>
+  createTransform(source).corners.every((corner, n) =>
+    Math.abs(corner.x - corners[n].x) < 1e-6 &&
+    Math.abs(corner.y - corners[n].y) < 1e-6
+  )
+
+// 3x3 matrix (row-major) which maps points of `source` to the corners
+// see: Heckbert, "Fundamentals of Texture Mapping and Image Warping"
+const getProjection = ({ source, corners }) => {
+  let [p0, p1, p2, p3] = corners
+  let dx1 = p1.x - p2.x
+  let dx2 = p3.x - p2.x
+  let dx3 = p0.x - p1.x + p2.x - p3.x
+  let dy1 = p1.y - p2.y
+  let dy2 = p3.y - p2.y
+  let dy3 = p0.y - p1.y + p2.y - p3.y
+
+  let det = dx1 * dy2 - dx2 * dy1
+  if (Math.abs(det) < 1e-9) return null
+
+  let g = (dx3 * dy2 - dx2 * dy3) / det
+  let h = (dx1 * dy3 - dx3 * dy1) / det
+
+  // unit square to corners
+  let m = [
+    p1.x - p0.x + g * p1.x, p3.x - p0.x + h * p3.x, p0.x,
+    p1.y - p0.y + g * p1.y, p3.y - p0.y + h * p3.y, p0.y,
+    g, h, 1
+  ]
+
+  // from the source rectangle
+  let sx = 1 / source.width
+  let sy = 1 / source.height
+  return multiply(m, [
+    sx, 0, -source.x * sx,
+    0, sy, -source.y * sy,
+    0, 0, 1
+  ])
+}
+
+const multiply = (a, b) => {
+  let result = []
+  for (let row = 0; row < 3; row++) {
+    for (let col = 0; col < 3; col++) {
+      result.push(
+        a[row * 3] * b[col] +
+        a[row * 3 + 1] * b[3 + col] +
+        a[row * 3 + 2] * b[6 + col]
+      )
+    }
+  }
+  return result
+}
+
+const invert = m => {
+  let [a, b, c, d, e, f, g, h, i] = m
+  let A = e * i - f * h
+  let B = f * g - d * i
+  let C = d * h - e * g
+  let det = a * A + b * B + c * C
+  if (Math.abs(det) < 1e-12) return null
+  return [
+    A, c * h - b * i, b * f - c * e,
+    B, a * i - c * g, c * d - a * f,
+    C, b * g - a * h, a * e - b * d
+  ].map(value => value / det)
+}
+
+const project = (m, x, y) => {
+  let w = m[6] * x + m[7] * y + m[8]
+  return {
+    x: (m[0] * x + m[1] * y + m[2]) / w,
+    y: (m[3] * x + m[4] * y + m[5]) / w,
+    w
+  }
+}
+
+// transforms the RGBA pixels of the source rectangle (e.g.: ImageData of the selected area)
+// returns the RGBA pixels of the area around the corners, within `width` and `height`,
+// as { data, x, y, width, height }, or null if there is nothing to draw
+const warp = (image, transform, width, height) => {
+  let projection = getProjection(transform)
+  let inverse = projection && invert(projection)
+  if (!inverse) return null
+
+  let { source, corners } = transform
+  let x0 = Math.max(0, Math.floor(Math.min(...corners.map(c => c.x))))
+  let y0 = Math.max(0, Math.floor(Math.min(...corners.map(c => c.y))))
+  let x1 = Math.min(width, Math.ceil(Math.max(...corners.map(c => c.x))))
+  let y1 = Math.min(height, Math.ceil(Math.max(...corners.map(c => c.y))))
+  if (x1 <= x0 || y1 <= y0) return null
+
+  let data = new Uint8ClampedArray((x1 - x0) * (y1 - y0) * 4)
+  let src = image.data
+
+  // premultiplied, to avoid dark edges
+  const sample = (px, py, weight, out) => {
+    if (px < 0 || py < 0 || px >= image.width || py >= image.height) return
+    let p = (py * image.width + px) * 4
+    let alpha = src[p + 3] * weight
+    out[0] += src[p] * alpha
+    out[1] += src[p + 1] * alpha
+    out[2] += src[p + 2] * alpha
+    out[3] += alpha
+  }
+
+  let out = [0, 0, 0, 0]
+  for (let y = y0; y < y1; y++) {
+    for (let x = x0; x < x1; x++) {
+      let point = project(inverse, x + 0.5, y + 0.5)
+      if (point.w <= 0) continue
+
+      // relative to the source rectangle, in pixel centers
+      let u = point.x - source.x - 0.5
+      let v = point.y - source.y - 0.5
+      if (u < -1 || v < -1 || u >= image.width || v >= image.height) continue
+
+      let px = Math.floor(u)
+      let py = Math.floor(v)
+      let fx = u - px
+      let fy = v - py
+
+      out[0] = out[1] = out[2] = out[3] = 0
+      sample(px, py, (1 - fx) * (1 - fy), out)
+      sample(px + 1, py, fx * (1 - fy), out)
+      sample(px, py + 1, (1 - fx) * fy, out)
+      sample(px + 1, py + 1, fx * fy, out)
+      if (out[3] === 0) continue
+
+      let p = ((y - y0) * (x1 - x0) + (x - x0)) * 4
+      data[p] = out[0] / out[3]
+      data[p + 1] = out[1] / out[3]
+      data[p + 2] = out[2] / out[3]
+      data[p + 3] = out[3]
+    }
+  }
+
+  return { data, x: x0, y: y0, width: x1 - x0, height: y1 - y0 }
+}
+
+module.exports = {
+  createTransform,
+  getCenter,
+  getHandles,
+  contains,
+  translate,
+  rotate,
+  scale,
+  skew,
+  distort,
+  flip,
+  isIdentity,
+  getProjection,
+  project,
+  warp
+}
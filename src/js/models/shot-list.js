@@ -4,6 +4,7 @@ const { PerspectiveCamera } = require('three')
 
 const fountain = require('../vendor/fountain')
 const fountainDataParser = require('../fountain-data-parser')
+const { findSceneFilePath } = require('./scene')
 
 const degToRad = deg => deg * Math.PI / 180
 const radToDeg = rad => rad * 180 / Math.PI
@@ -167,49 +168,19 @@ const getShotListForScene = scene => {
   }
 }
 
-const filenameify = string =>
-  string
-    .substring(0, 50)
-    .replace(/\|&;\$%@"<>\(\)\+,/g, '')
-    .replace(/\./g, '')
-    .replace(/ - /g, ' ')
-    .replace(/ /g, '-')
-    .replace(/[|&;/:$%@"{}?|<>()+,]/g, '-')
-
-const getSceneFolderName = node => {
-  let desc = node.synopsis
-    ? node.synopsis
-    : node.slugline
-
-  return `Scene-${node.scene_number}-${filenameify(desc)}-${node.scene_id}`
-}
-
-const getShotListForProject = scriptFilePath => {
-  const projectPath = path.dirname(scriptFilePath)
-  const data = fs.readFileSync(scriptFilePath, 'utf-8')
-
-  let parsedData = fountain.parse(data, true)
-
-  let locations = fountainDataParser.getLocations(parsedData.tokens)
-  let characters = fountainDataParser.getCharacters(parsedData.tokens)
-
-  let scriptData = fountainDataParser.parse(parsedData.tokens)
-
+// scenes which have not been boarded yet have no .storyboarder file and are skipped
+const getShotListForScriptData = (scriptData, storyboardsPath) => {
   let folders = Object.values(scriptData)
     .filter(node => node.type === 'scene')
-    .map(node => {
-      let name = getSceneFolderName(node)
-
-      return {
-        name,
-        storyboarderFilePath: path.join('storyboards', name, `${name}.storyboarder`),
-        node
-      }
-    })
+    .map(node => ({
+      storyboarderFilePath: findSceneFilePath(storyboardsPath, node),
+      node
+    }))
+    .filter(folder => folder.storyboarderFilePath)
 
   return {
     scenes: folders.map(folder => {
-      let scene = JSON.parse(fs.readFileSync(path.join(projectPath, folder.storyboarderFilePath)))
+      let scene = JSON.parse(fs.readFileSync(folder.storyboarderFilePath))
 
       let number = folder.node.scene_number
       let id = folder.node.scene_id
@@ -226,18 +197,30 @@ const getShotListForProject = scriptFilePath => {
 
         characters,
 
+        storyboarderFilePath: folder.storyboarderFilePath,
+
         ...getShotListForScene(scene)
       }
     })
   }
 }
 
+const getShotListForProject = (scriptFilePath, storyboardsPath = path.join(path.dirname(scriptFilePath), 'storyboards')) => {
+  const data = fs.readFileSync(scriptFilePath, 'utf-8')
+
+  let parsedData = fountain.parse(data, true)
+
+  let scriptData = fountainDataParser.parse(parsedData.tokens)
+
+  return getShotListForScriptData(scriptData, storyboardsPath)
+}
+
 module.exports = {
   getFovAsFocalLength,
-  getSceneFolderName,
 
   getCameraSetups,
   getShots,
   getShotListForScene,
-  getShotListForProject  
+  getShotListForScriptData,
+  getShotListForProject
 }
@@ -0,0 +1,76 @@
+// Word-level diff of two texts, e.g.: a board's notes and the notes in the script
+//
+// Returns the parts of both texts, in order, as [{ type, text }], where `type` is
+// 'same' (in both), 'removed' (only in `a`) or 'added' (only in `b`).
+// Whitespace is kept, so joining the parts of one side gives back its text.
+
+// longer texts are compared as a whole, to keep the table small
+const MAX_CELLS = 1000000
+
+const tokenize = text => text.split(/(\s+)/).filter(token => token.length)
+
+// joins neighbouring parts of the same type
+const addPart = (parts, type, text) => {
+  let last = parts[parts.length - 1]
+  if (last && last.type === type) {
+    last.text += text
+  } else {
+    parts.push({ type, text })
+  }
+  return parts
+}
+
+const diff = (a, b) => {
+  let x = tokenize(a)
+  let y = tokenize(b)
+
+  if (x.length * y.length > MAX_CELLS) {
+    if (a === b) return a.length ? [{ type: 'same', text: a }] : []
+    return [
+      ...(a.length ? [{ type: 'removed', text: a }] : []),
+      ...(b.length ? [{ type: 'added', text: b }] : [])
+    ]
+  }
+
+  // length of the longest common subsequence of the tokens from i and j to the end
+  let w = y.length + 1
+  let lengths = new Uint32Array((x.length + 1) * w)
+  for (let i = x.length - 1; i >= 0; i--) {
+    for (let j = y.length - 1; j >= 0; j--) {
+      lengths[i * w + j] = x[i] === y[j]
+        ? lengths[(i + 1) * w + j + 1] + 1
+        : Math.max(lengths[(i + 1) * w + j], lengths[i * w + j + 1])
+    }
+  }
+
+  let parts = []
+  let i = 0
+  let j = 0
+  while (i < x.length && j < y.length) {
+    if (x[i] === y[j]) {
+      addPart(parts, 'same', x[i])
+      i++
+      j++
+    } else if (lengths[(i + 1) * w + j] >= lengths[i * w + j + 1]) {
+      addPart(parts, 'removed', x[i++])
+    } else {
+      addPart(parts, 'added', y[j++])
+    }
+  }
+  while (i < x.length) addPart(parts, 'removed', x[i++])
+  while (j < y.length) addPart(parts, 'added', y[j++])
+
+  return parts
+}
+
+// the text of one side, 'a' or 'b', from its parts
+const getSide = (parts, side) =>
+  parts
+    .filter(({ type }) => type === 'same' || type === (side === 'a' ? 'removed' : 'added'))
+    .map(({ text }) => text)
+    .join('')
+
+module.exports = {
+  diff,
+  getSide
+}
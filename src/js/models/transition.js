@@ -0,0 +1,87 @@
+// Outgoing transition of a board, into the next board
+//
+// Stored on the board as:
+//
+//   board.transition = {
+//     type: 'dissolve' | 'wipe' | 'fade-to-black',
+//     duration
+//   }
+//
+// `duration` is in msecs.
+// The transition plays over the end of the board, and is complete at the cut,
+// so it doesn't change the timing of the scene.
+// `fade-to-black` fades the board out to black, then fades the next board in.
+// The last board can only fade to black, because there is nothing to transition into.
+const util = require('../utils/index')
+const { boardDuration } = require('./board')
+
+const TYPES = ['dissolve', 'wipe', 'fade-to-black']
+
+const TYPE_LABELS = {
+  'dissolve': 'Dissolve',
+  'wipe': 'Wipe',
+  'fade-to-black': 'Fade to Black'
+}
+
+const DEFAULT_DURATION = 500
+
+const hasTransition = board =>
+  board.transition != null
+
+const setTransition = (board, { type, duration = DEFAULT_DURATION }) => {
+  if (!TYPES.includes(type)) throw new Error(`Unknown transition type: ${type}`)
+  board.transition = { type, duration: Math.max(0, Math.round(duration)) }
+  return board
+}
+
+const clearTransition = board => {
+  delete board.transition
+  return board
+}
+
+// the transition out of the board at `index`, as played in the scene
+// returns { type, duration, start, end } in msecs, or undefined if the board cuts to the next board
+const getTransition = (scene, index) => {
+  let board = scene.boards[index]
+  if (!board || !hasTransition(board)) return
+
+  let isLastBoard = index === scene.boards.length - 1
+  if (isLastBoard && board.transition.type !== 'fade-to-black') return
+
+  // can't be longer than the board
+  let duration = util.clamp(board.transition.duration, 0, boardDuration(scene, board))
+  if (duration === 0) return
+
+  let end = board.time + boardDuration(scene, board)
+  return {
+    type: board.transition.type,
+    duration,
+    start: end - duration,
+    end
+  }
+}
+
+// every transition in the scene, with the index of its board
+const getTransitions = scene =>
+  scene.boards
+    .map((board, index) => ({ index, ...getTransition(scene, index) }))
+    .filter(transition => transition.type != null)
+
+// 0 to 1, or undefined if the transition is not playing at `time`
+const getProgress = (transition, time) =>
+  (time >= transition.start && time < transition.end)
+    ? (time - transition.start) / transition.duration
+    : undefined
+
+module.exports = {
+  TYPES,
+  TYPE_LABELS,
+  DEFAULT_DURATION,
+
+  hasTransition,
+  setTransition,
+  clearTransition,
+  getTransition,
+  getTransitions,
+  getProgress
+}
@@ -0,0 +1,135 @@
+// Named drawing layers added by the user, above the built-in drawing layers of a board
+//
+// Stored on the board, from bottom to top, as:
+//
+//   board.userLayers = [{ id, name, visible, locked, opacity, blendMode }]
+//
+// The image of each layer is in `board.layers[id]`, like the built-in layers.
+const util = require('../utils/index')
+
+const ID_PREFIX = 'user-'
+
+const BLEND_MODES = ['normal', 'multiply', 'screen', 'add']
+
+const BLEND_MODE_LABELS = {
+  normal: 'Normal',
+  multiply: 'Multiply',
+  screen: 'Screen',
+  add: 'Add'
+}
+
+// for CanvasRenderingContext2D#globalCompositeOperation
+const COMPOSITE_OPERATIONS = {
+  normal: 'source-over',
+  multiply: 'multiply',
+  screen: 'screen',
+  add: 'lighter'
+}
+
+// as named by ag-psd
+const PSD_BLEND_MODES = {
+  normal: 'normal',
+  multiply: 'multiply',
+  screen: 'screen',
+  add: 'linear dodge'
+}
+
+const isUserLayerName = name =>
+  name.startsWith(ID_PREFIX)
+
+const getUserLayers = board =>
+  board.userLayers || []
+
+const getUserLayer = (board, id) =>
+  getUserLayers(board).find(layer => layer.id === id)
+
+// "Layer 1", "Layer 2", …
+const getUniqueName = (userLayers, name = 'Layer') => {
+  let n = userLayers.length + 1
+  while (userLayers.find(layer => layer.name === `${name} ${n}`)) n++
+  return `${name} ${n}`
+}
+
+const normalizeUserLayer = layer => ({
+  ...layer,
+  name: String(layer.name),
+  visible: layer.visible !== false,
+  locked: layer.locked === true,
+  opacity: util.clamp(layer.opacity == null ? 1 : Number(layer.opacity), 0, 1),
+  blendMode: BLEND_MODES.includes(layer.blendMode) ? layer.blendMode : 'normal'
+})
+
+const createUserLayer = ({ id = ID_PREFIX + util.uidGen(5), name, ...props }) =>
+  normalizeUserLayer({ id, name, ...props })
+
+// adds to the top
+const addUserLayer = (board, props = {}) => {
+  let layer = createUserLayer({ name: getUniqueName(getUserLayers(board)), ...props })
+  board.userLayers = [...getUserLayers(board), layer]
+  return layer
+}
+
+// NOTE the image file is left as-is, for cleanup to remove
+const removeUserLayer = (board, id) => {
+  board.userLayers = getUserLayers(board).filter(layer => layer.id !== id)
+  if (!board.userLayers.length) delete board.userLayers
+  if (board.layers) delete board.layers[id]
+  return board
+}
+
+const setUserLayer = (board, id, props) => {
+  board.userLayers = getUserLayers(board).map(layer =>
+    layer.id === id
+      ? normalizeUserLayer({ ...layer, ...props, id })
+      : layer
+  )
+  return board
+}
+
+// `offset` of 1 moves up, -1 moves down
+const moveUserLayer = (board, id, offset) => {
+  let userLayers = [...getUserLayers(board)]
+  let from = userLayers.findIndex(layer => layer.id === id)
+  let to = util.clamp(from + offset, 0, userLayers.length - 1)
+  if (from === -1 || from === to) return board
+  userLayers.splice(to, 0, ...userLayers.splice(from, 1))
+  board.userLayers = userLayers
+  return board
+}
+
+// layer properties for exporters/psd
+const toPsdLayer = layer => ({
+  opacity: layer.opacity,
+  hidden: !layer.visible,
+  blendMode: PSD_BLEND_MODES[layer.blendMode]
+})
+
+// from a layer read by importers/psd, keeping the id of the existing layer with the same name (if any)
+const fromPsdLayer = (userLayers, { name, opacity, hidden, blendMode }) => {
+  let existing = userLayers.find(layer => layer.name === name)
+  return createUserLayer({
+    ...existing,
+    name,
+    opacity,
+    visible: !hidden,
+    blendMode: Object.keys(PSD_BLEND_MODES).find(key => PSD_BLEND_MODES[key] === blendMode)
+  })
+}
+
+module.exports = {
+  BLEND_MODES,
+  BLEND_MODE_LABELS,
+  COMPOSITE_OPERATIONS,
+
+  isUserLayerName,
+  getUserLayers,
+  getUserLayer,
+  getUniqueName,
+  createUserLayer,
+  addUserLayer,
+  removeUserLayer,
+  setUserLayer,
+  moveUserLayer,
+  toPsdLayer,
+  fromPsdLayer
+}
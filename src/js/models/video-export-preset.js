@@ -0,0 +1,181 @@
+// Video export presets
+//
+// The current preset is stored in prefs as `videoExportPreset`:
+//
+//   { format, height, fps, subtitles, burnIn: { watermark, watermarkText, ...burnIns } }
+//
+// `format` is one of FORMATS, which sets the codec and container
+// `height` is in pixels, the width follows the aspect ratio of the scene
+// `fps` overrides the frame rate of the scene (if not set, the scene's is used)
+// `subtitles` adds the dialogue as a soft subtitle track (see: exporters/subtitles.js)
+// `burnIn.watermark` adds the watermark even if it has been turned off in prefs
+//   (it can't remove it)
+// `burnIn.watermarkText` is drawn into the watermark (see: models/watermark.js)
+// the other burn-ins are text overlays (see: models/burn-in.js)
+//
+// Image sequences are written to a folder of numbered frames, with the audio as a WAV stem
+// and the subtitles as SRT and WebVTT files
+const burnInModel = require('./burn-in')
+const watermarkModel = require('./watermark')
+
+const FORMATS = {
+  'h264': {
+    label: 'H.264 (MP4)',
+    extension: 'mp4',
+    videoArgs: [
+      '-vcodec', 'libx264',
+      // via https://trac.ffmpeg.org/wiki/Encode/H.264
+      // QuickTime only supports YUV planar color space with 4:2:0 chroma subsampling (use -vf format=yuv420p or -pix_fmt yuv420p) for H.264 video.
+      '-pix_fmt', 'yuv420p',
+      // TODO tweak settings for best output
+      '-tune', 'stillimage',
+      '-preset', 'veryslow'
+    ],
+    audioArgs: ['-acodec', 'aac'],
+    subtitleArgs: ['-scodec', 'mov_text'],
+    faststart: true
+  },
+  'prores-422': {
+    label: 'Apple ProRes 422 (MOV)',
+    extension: 'mov',
+    videoArgs: ['-vcodec', 'prores_ks', '-profile:v', '2', '-pix_fmt', 'yuv422p10le'],
+    audioArgs: ['-acodec', 'pcm_s16le'],
+    subtitleArgs: ['-scodec', 'mov_text'],
+    faststart: true
+  },
+  'prores-422-hq': {
+    label: 'Apple ProRes 422 HQ (MOV)',
+    extension: 'mov',
+    videoArgs: ['-vcodec', 'prores_ks', '-profile:v', '3', '-pix_fmt', 'yuv422p10le'],
+    audioArgs: ['-acodec', 'pcm_s16le'],
+    subtitleArgs: ['-scodec', 'mov_text'],
+    faststart: true
+  },
+  'dnxhr-hq': {
+    label: 'Avid DNxHR HQ (MOV)',
+    extension: 'mov',
+    videoArgs: ['-vcodec', 'dnxhd', '-profile:v', 'dnxhr_hq', '-pix_fmt', 'yuv422p'],
+    audioArgs: ['-acodec', 'pcm_s16le'],
+    subtitleArgs: ['-scodec', 'mov_text'],
+    faststart: true
+  },
+  'webm': {
+    label: 'VP9 (WebM)',
+    extension: 'webm',
+    // constant quality
+    // via https://trac.ffmpeg.org/wiki/Encode/VP9
+    videoArgs: ['-vcodec', 'libvpx-vp9', '-pix_fmt', 'yuv420p', '-crf', '32', '-b:v', '0'],
+    audioArgs: ['-acodec', 'libopus'],
+    subtitleArgs: ['-scodec', 'webvtt']
+  },
+  'png-sequence': {
+    label: 'PNG Image Sequence + WAV',
+    extension: 'png',
+    sequence: true,
+    videoArgs: ['-vcodec', 'png'],
+    audioArgs: ['-acodec', 'pcm_s16le']
+  }
+}
+
+const HEIGHTS = [540, 720, 900, 1080, 2160]
+
+const FRAME_RATES = [23.976, 24, 25, 29.97, 30, 48, 50, 60]
+
+const PRESETS = {
+  'default': {
+    label: 'Animatic (H.264)',
+    format: 'h264',
+    height: 900,
+    fps: undefined,
+    subtitles: false,
+    burnIn: { watermark: false }
+  },
+  'editorial-prores': {
+    label: 'Editorial (ProRes 422)',
+    format: 'prores-422',
+    height: 1080,
+    fps: undefined,
+    subtitles: false,
+    burnIn: { watermark: false }
+  },
+  'editorial-dnxhr': {
+    label: 'Editorial (DNxHR HQ)',
+    format: 'dnxhr-hq',
+    height: 1080,
+    fps: undefined,
+    subtitles: false,
+    burnIn: { watermark: false }
+  },
+  'review-webm': {
+    label: 'Web Review (WebM)',
+    format: 'webm',
+    height: 720,
+    fps: undefined,
+    subtitles: true,
+    burnIn: { watermark: true, burnIns: ['timecode', 'shot', 'boardNumber', 'dialogue'] }
+  },
+  'compositing-png': {
+    label: 'Compositing (PNG Sequence)',
+    format: 'png-sequence',
+    height: 1080,
+    fps: undefined,
+    subtitles: false,
+    burnIn: { watermark: false }
+  }
+}
+
+const createPreset = (name = 'default') => {
+  let { label, burnIn, ...preset } = PRESETS[name]
+  return {
+    ...preset,
+    burnIn: {
+      watermark: burnIn.watermark,
+      watermarkText: watermarkModel.getWatermarkText(),
+      ...burnInModel.createBurnIns(burnIn.burnIns)
+    }
+  }
+}
+
+// the preset from prefs, with anything missing or unknown set to the default
+const getPreset = prefs => {
+  let preset = prefs.videoExportPreset || {}
+  let defaults = createPreset()
+
+  return {
+    format: FORMATS[preset.format] ? preset.format : defaults.format,
+    height: preset.height > 0 ? Math.round(preset.height) : defaults.height,
+    fps: preset.fps > 0 ? Number(preset.fps) : undefined,
+    subtitles: !!preset.subtitles,
+    burnIn: {
+      watermark: preset.burnIn && preset.burnIn.watermark != null
+        ? !!preset.burnIn.watermark
+        : defaults.burnIn.watermark,
+      watermarkText: watermarkModel.getWatermarkText(preset.burnIn && preset.burnIn.watermarkText),
+      ...burnInModel.getBurnIns(preset.burnIn)
+    }
+  }
+}
+
+// the name of the built-in preset with the same settings, or undefined if it's been customized
+const findPresetName = preset =>
+  Object.keys(PRESETS).find(name =>
+    JSON.stringify(createPreset(name)) === JSON.stringify(getPreset({ videoExportPreset: preset }))
+  )
+
+const getFormat = preset => FORMATS[preset.format]
+
+// the frame rate to export at, `scene.fps` unless the preset overrides it
+const getFps = (preset, scene) => preset.fps || scene.fps
+
+module.exports = {
+  FORMATS,
+  HEIGHTS,
+  FRAME_RATES,
+  PRESETS,
+
+  createPreset,
+  getPreset,
+  findPresetName,
+  getFormat,
+  getFps
+}
@@ -1,8 +1,19 @@
 const fs = require('fs')
 const path = require('path')
 
+const burnInModel = require('./burn-in')
+
 let defaultWatermarkImagePath = path.join(__dirname, '..', '..', 'img', 'watermark.png')
 
+// the watermark image is scaled down to fit, but never scaled up
+// see: https://superuser.com/a/567934
+const MAX_IMAGE_HEIGHT = 225
+
+// watermark text, as a fraction of the height of the video
+const TEXT_SIZE = 0.05
+
+const DEFAULT_TEXT_POSITION = 'top-center'
+
 const customWatermarkExists = (prefs, userDataPath) => {
   if (!prefs.userWatermark) return false
   let expectedPath = path.join(userDataPath, 'watermark.png')
@@ -18,7 +29,106 @@ const watermarkImagePath = (prefs, userDataPath) => {
     : defaultWatermarkImagePath
 }
 
+// text added to the watermark of exported video, e.g.: "CONFIDENTIAL"
+// stored with the video export preset, as `preset.burnIn.watermarkText`: { text, position }
+// fills in anything missing or unknown
+const getWatermarkText = (watermarkText = {}) => ({
+  text: typeof watermarkText.text === 'string' ? watermarkText.text : '',
+  position: burnInModel.POSITIONS.includes(watermarkText.position)
+    ? watermarkText.position
+    : DEFAULT_TEXT_POSITION
+})
+
+const hasWatermarkText = watermarkText =>
+  getWatermarkText(watermarkText).text.trim() !== ''
+
+// where the parts of the watermark go, in a frame of `size`
+// the image is in the bottom right corner, the text is at its `position`
+// returns { image: { x, y, width, height }, text: { x, y, align, fontSize } }
+const getLayout = (size, { imageSize, position }) => {
+  let [width, height] = size
+  let { margin } = burnInModel.getMetrics(height)
+  let fontSize = Math.round(height * TEXT_SIZE)
+
+  let image
+  if (imageSize) {
+    let imageHeight = Math.min(MAX_IMAGE_HEIGHT, imageSize[1])
+    let imageWidth = Math.round(imageSize[0] * imageHeight / imageSize[1])
+    image = {
+      x: width - imageWidth,
+      y: height - imageHeight,
+      width: imageWidth,
+      height: imageHeight
+    }
+  }
+
+  let align = burnInModel.getAlign(position)
+  let text = {
+    x: align === 'left'
+      ? margin
+      : align === 'center'
+        ? width / 2
+        : width - margin,
+    y: position.startsWith('top')
+      ? margin
+      : height - margin - fontSize,
+    align,
+    fontSize
+  }
+
+  return { image, text }
+}
+
+const loadImage = src =>
+  new Promise((resolve, reject) => {
+    let image = new Image()
+    image.onload = () => resolve(image)
+    image.onerror = () => reject(new Error(`Could not load image ${src}`))
+    image.src = src
+  })
+
+// writes the watermark for video frames of `size` to a transparent PNG at `filepath`,
+// with the image at `imagePath` (if any) and the `watermarkText` (if any)
+// `fontFamily` must already be loaded
+const exportWatermarkImage = async (filepath, size, { imagePath, watermarkText, fontFamily = 'sans-serif' }) => {
+  let { text, position } = getWatermarkText(watermarkText)
+  let image = imagePath && await loadImage(imagePath)
+
+  let layout = getLayout(size, {
+    imageSize: image && [image.width, image.height],
+    position
+  })
+
+  let canvas = document.createElement('canvas')
+  canvas.width = size[0]
+  canvas.height = size[1]
+  let context = canvas.getContext('2d')
+
+  if (image) {
+    context.drawImage(image, layout.image.x, layout.image.y, layout.image.width, layout.image.height)
+  }
+
+  if (text.trim()) {
+    context.font = `${layout.text.fontSize}px ${fontFamily}`
+    context.textAlign = layout.text.align
+    context.textBaseline = 'top'
+    context.globalAlpha = 0.6
+    context.shadowColor = 'rgba(0, 0, 0, 0.5)'
+    context.shadowBlur = Math.round(layout.text.fontSize * 0.2)
+    context.fillStyle = 'white'
+    context.fillText(text.trim(), layout.text.x, layout.text.y)
+  }
+
+  let imageData = canvas.toDataURL().replace(/^data:image\/\w+;base64,/, '')
+  fs.writeFileSync(filepath, imageData, 'base64')
+}
+
 module.exports = {
   customWatermarkExists,
-  watermarkImagePath
+  watermarkImagePath,
+
+  getWatermarkText,
+  hasWatermarkText,
+  getLayout,
+  exportWatermarkImage
 }
@@ -19,6 +19,10 @@ const defaultPrefs = {
   enableTooltips: true,
   enableAspirationalMessages: true,
   defaultBoardTiming: 2000,
+  // see: models/retime.js
+  retimeWordsPerMinute: 160,
+  // text-to-speech voice by character name, see: models/scratch-voice.js
+  scratchVoices: {},
   pomodoroTimerMinutes: 25,
   importTargetLayer: "reference", // DEPRECATED was used for image import but never had UI
   enableCanvasPaintingOpacity: true, // DEPRECATED used by old SketchPane
@@ -46,6 +50,20 @@ const defaultPrefs = {
 
   straightLineDelayInMsecs: 650,
 
+  // number of undo steps, kept on disk with the project
+  undoHistoryDepth: 100,
+
+  // review comments are signed with this name (defaults to the OS user name)
+  reviewAuthorName: undefined,
+
+  // see: models/video-export-preset.js
+  videoExportPreset: {
+    format: 'h264',
+    height: 900,
+    subtitles: false,
+    burnIn: { watermark: false }
+  },
+
   // licensed
   enableWatermark: true,
   userWatermark: undefined
@@ -20,6 +20,14 @@ const defaultKeyMap = {
   "drawing:marquee:subtract": "Alt",
   "drawing:marquee:erase": "Backspace",
   "drawing:marquee:fill": "f",
+  "drawing:marquee:transform": "t",
+  "drawing:marquee:transform:distort": "CommandOrControl",
+  "drawing:marquee:transform:constrain": "Shift",
+
+  "drawing:flood-fill-mode": "g",
+  "drawing:flood-fill:gap-inc": ".",
+  "drawing:flood-fill:gap-dec": ",",
+  "drawing:lasso-fill-mode": "k",
 
   "menu:file:open": "CommandOrControl+o",
   "menu:file:save": "CommandOrControl+s",
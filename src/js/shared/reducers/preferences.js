@@ -44,7 +44,8 @@ const initialState = {
     //   perspective: undefined
     // },
     // onion: undefined,
-    captions: undefined
+    captions: undefined,
+    fillGap: undefined
   }
 }
 
@@ -91,7 +92,11 @@ const preferences = (state = initialState, action) => {
             // use it
             ? action.payload.captions
             // otherwise, preserve current value
-            : state.toolbar.captions
+            : state.toolbar.captions,
+
+          fillGap: action.payload.fillGap != null
+            ? action.payload.fillGap
+            : state.toolbar.fillGap
         }
       }
 
@@ -1,5 +1,7 @@
 const R = require('ramda')
 
+const { MAX_GAP: MAX_FILL_GAP } = require('../../models/flood-fill')
+
 const initialState = {
   tools: {
     'light-pencil': {
@@ -83,10 +85,13 @@ const initialState = {
 
   onion: false,
 
+  // in pixels, for flood fill
+  fillGap: 0,
+
   prevTool: undefined,
   activeTool: undefined,
 
-  // drawing, moving, scaling, locked, panning, lineDrawing, marquee
+  // drawing, moving, scaling, locked, panning, lineDrawing, marquee, floodFill, lassoFill
   mode: undefined,
 
   // busy, idle
@@ -180,9 +185,30 @@ const toolbar = (state = initialState, action) => {
       return {
         ...state,
         tools: R.mergeDeepRight(state.tools, action.payload.toolbar.tools),
-        captions: action.payload.toolbar.captions != null ? action.payload.toolbar.captions : state.captions
+        captions: action.payload.toolbar.captions != null ? action.payload.toolbar.captions : state.captions,
+        fillGap: action.payload.toolbar.fillGap != null ? action.payload.toolbar.fillGap : state.fillGap
       }
 
+    // replaces the custom brush tools (see: models/brushes toToolState)
+    // keeping the current settings of any which remain
+    case 'TOOLBAR_CUSTOM_BRUSHES_SET': {
+      let tools = R.reject(tool => tool.custom, state.tools)
+      for (let tool of action.payload) {
+        tools[tool.name] = state.tools[tool.name]
+          ? {
+            ...tool,
+            ...R.pick(['color', 'size', 'nodeOpacity', 'strokeOpacity', 'palette'], state.tools[tool.name])
+          }
+          : tool
+      }
+      return {
+        ...state,
+        tools,
+        prevTool: tools[state.prevTool] ? state.prevTool : undefined,
+        activeTool: state.activeTool == null || tools[state.activeTool] ? state.activeTool : 'pencil'
+      }
+    }
+
     case 'TOOLBAR_BRUSH_SIZE_INC':
       return {
         ...state,
@@ -249,6 +275,12 @@ const toolbar = (state = initialState, action) => {
         onion: !state.onion
       }
 
+    case 'TOOLBAR_FILL_GAP_SET':
+      return {
+        ...state,
+        fillGap: Math.min(Math.max(Math.round(action.payload), 0), MAX_FILL_GAP)
+      }
+
     case 'TOOLBAR_MODE_SET':
       return {
         ...state,
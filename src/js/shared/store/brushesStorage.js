@@ -0,0 +1,103 @@
+const { app } = require('electron').remote
+const fs = require('fs-extra')
+const path = require('path')
+const crypto = require('crypto')
+
+const brushesModel = require('../../models/brushes')
+
+const getBuiltInBrushesFolderPath = () => path.join(__dirname, '..', '..', '..', 'data', 'brushes')
+const getBrushesFolderPath = () => path.join(app.getPath('userData'), 'brushes')
+const getBrushesFilePath = () => path.join(getBrushesFolderPath(), 'brushes.json')
+
+const loadBuiltInBrushes = () =>
+  JSON.parse(fs.readFileSync(path.join(getBuiltInBrushesFolderPath(), 'brushes.json')))
+
+const getBuiltInImageNames = () =>
+  fs.readdirSync(getBuiltInBrushesFolderPath())
+    .filter(filename => path.extname(filename) === '.png')
+    .map(filename => path.basename(filename, '.png'))
+
+const getImageNames = () => {
+  let custom = fs.existsSync(getBrushesFolderPath())
+    ? fs.readdirSync(getBrushesFolderPath())
+      .filter(filename => path.extname(filename) === '.png')
+      .map(filename => path.basename(filename, '.png'))
+    : []
+  return [...new Set([...getBuiltInImageNames(), ...custom])]
+}
+
+// custom images are named by their contents, so importing the same image twice is harmless
+const writeImage = buffer => {
+  fs.ensureDirSync(getBrushesFolderPath())
+  let name = 'custom-' + crypto.createHash('sha1').update(buffer).digest('hex').slice(0, 12)
+  fs.writeFileSync(path.join(getBrushesFolderPath(), name + '.png'), buffer)
+  return name
+}
+
+module.exports = {
+  getBrushesFolderPath,
+  loadBuiltInBrushes,
+  getBuiltInImageNames,
+  getImageNames,
+
+  loadBrushes: () => {
+    let filepath = getBrushesFilePath()
+    if (fs.existsSync(filepath)) {
+      let builtIns = loadBuiltInBrushes()
+      return JSON.parse(fs.readFileSync(filepath))
+        .map(brush => brushesModel.normalizeBrush(brush, builtIns))
+    } else {
+      return []
+    }
+  },
+
+  saveBrushes: brushes => {
+    fs.ensureDirSync(getBrushesFolderPath())
+    fs.writeFileSync(getBrushesFilePath(), JSON.stringify(brushes, null, 2))
+  },
+
+  // alchemancy loads every brush image from one folder,
+  // so the built-in images are copied alongside the custom images
+  prepareImages: () => {
+    fs.ensureDirSync(getBrushesFolderPath())
+    for (let name of getBuiltInImageNames()) {
+      let dst = path.join(getBrushesFolderPath(), name + '.png')
+      if (!fs.existsSync(dst)) {
+        fs.copySync(path.join(getBuiltInBrushesFolderPath(), name + '.png'), dst)
+      }
+    }
+    return getBrushesFolderPath()
+  },
+
+  // returns the name of the image
+  importImage: filepath => {
+    if (path.extname(filepath).toLowerCase() !== '.png') throw new Error('Brush images must be PNG files')
+    return writeImage(fs.readFileSync(filepath))
+  },
+
+  writePack: (filepath, brushes) => {
+    let pack = brushesModel.createPack(
+      brushes,
+      name => fs.readFileSync(path.join(getBrushesFolderPath(), name + '.png')).toString('base64'),
+      getBuiltInImageNames()
+    )
+    fs.writeFileSync(filepath, JSON.stringify(pack, null, 2))
+  },
+
+  // returns the brushes from the pack, ready to add to `brushes`
+  readPack: (filepath, brushes, createId) => {
+    let pack = JSON.parse(fs.readFileSync(filepath))
+    let added = brushesModel.getPackBrushes(pack, brushes, loadBuiltInBrushes(), createId)
+
+    // rename the images, in case they clash with images already imported
+    let names = {}
+    for (let [name, data] of Object.entries(pack.images || {})) {
+      names[name] = writeImage(Buffer.from(data, 'base64'))
+    }
+    return added.map(brush => ({
+      ...brush,
+      brushImage: names[brush.brushImage] || brush.brushImage,
+      grainImage: names[brush.grainImage] || brush.grainImage
+    }))
+  }
+}
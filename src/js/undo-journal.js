@@ -0,0 +1,225 @@
+/*
+UNDO JOURNAL
+
+Keeps a copy of the undo stack on disk, so undo survives a crash or an app restart.
+
+One journal per project, in a hidden `.undo` folder next to the project file:
+
+  .undo/journal.json          the order of the states: { version, past, present, future }
+  .undo/states/<id>.gz        scene state (board data as JSON)
+  .undo/states/<id>-<n>.gz    image state, raw pixels of layer index n
+                              (user layers are applied by their id, see storyboarder-sketch-pane.js)
+
+Only the metadata of each state (a "stub") is kept in journal.json.
+The board data and pixels are read back when the state is needed (see `hydrate`).
+
+Writes are queued and run in order, so journal.json never refers to a state file
+which hasn't been written yet.
+*/
+const fs = require('fs-extra')
+const path = require('path')
+const zlib = require('zlib')
+const { promisify } = require('util')
+
+const gzip = promisify(zlib.gzip)
+
+const JOURNAL_FOLDER_NAME = '.undo'
+const JOURNAL_VERSION = 1
+
+const getJournalPath = projectFilePath =>
+  path.join(path.dirname(projectFilePath), JOURNAL_FOLDER_NAME)
+
+let counter = 0
+// no dashes, which separate the id from the layer index in filenames
+const createId = () => Date.now().toString(36) + '_' + (counter++).toString(36)
+
+// strip the board data / pixels
+const toStub = state =>
+  state.type === 'image'
+    ? {
+      id: state.id,
+      type: state.type,
+      sceneId: state.sceneId,
+      boardIndex: state.boardIndex,
+      layers: state.layers.map(({ index, userLayerId }) => ({ index, userLayerId }))
+    }
+    : {
+      id: state.id,
+      type: state.type,
+      sceneId: state.sceneId
+    }
+
+const isHydrated = state =>
+  state.type === 'image'
+    ? state.layers.every(layer => layer.source)
+    : state.sceneData != null
+
+class UndoJournal {
+  constructor (projectFilePath) {
+    this.journalPath = getJournalPath(projectFilePath)
+    this.statesPath = path.join(this.journalPath, 'states')
+
+    // ids of the states which have been written to disk
+    this.written = new Set()
+
+    // data of the states still waiting to be written, and the latest journal.json, for `flushSync`
+    this.pending = new Map()
+    this.pendingJson = null
+
+    this.queue = Promise.resolve()
+  }
+
+  // [[filepath, buffer]]
+  getStateFiles (state, data) {
+    return state.type === 'image'
+      ? data.map(({ index, buffer }) => [this.getStateFilePath(state.id, index), buffer])
+      : [[this.getStateFilePath(state.id), data]]
+  }
+
+  getStateFilePath (id, layerIndex) {
+    return path.join(
+      this.statesPath,
+      layerIndex == null ? `${id}.gz` : `${id}-${layerIndex}.gz`
+    )
+  }
+
+  // returns { past, present, future } of stubs, or undefined if there is no (readable) journal
+  load () {
+    let filepath = path.join(this.journalPath, 'journal.json')
+    if (!fs.existsSync(filepath)) return
+
+    let { version, past, present, future } = fs.readJsonSync(filepath)
+    if (version !== JOURNAL_VERSION) return
+
+    for (let state of [...past, present, ...future]) {
+      if (state) this.written.add(state.id)
+    }
+    return { past, present, future }
+  }
+
+  // assigns an id to the state (if it doesn't have one yet) and queues it to be written
+  add (state) {
+    if (state.id == null) state.id = createId()
+
+    // copy the pixels now, because applying an undo state un-premultiplies them in place
+    let data = state.type === 'image'
+      ? state.layers.map(layer => ({ index: layer.index, buffer: Buffer.from(layer.source.pixels) }))
+      : Buffer.from(JSON.stringify(state.sceneData))
+
+    this.pending.set(state.id, { state, data })
+
+    this.enqueue(async () => {
+      if (!this.pending.has(state.id)) return
+
+      for (let [filepath, buffer] of this.getStateFiles(state, data)) {
+        await fs.outputFile(filepath, await gzip(buffer))
+      }
+      this.pending.delete(state.id)
+      this.written.add(state.id)
+    })
+
+    return state
+  }
+
+  // queues a write of the order of the states, and removes the files of any states no longer used
+  save ({ past, present, future }) {
+    let states = [...past, present, ...future].filter(Boolean)
+    let json = JSON.stringify({
+      version: JOURNAL_VERSION,
+      past: past.map(toStub),
+      present: present ? toStub(present) : null,
+      future: future.map(toStub)
+    })
+
+    this.pendingJson = json
+
+    this.enqueue(async () => {
+      // skip if a newer journal.json is queued, or if it was already written by `flushSync`
+      if (this.pendingJson !== json) return
+
+      let filepath = path.join(this.journalPath, 'journal.json')
+      await fs.outputFile(filepath + '.tmp', json)
+      await fs.move(filepath + '.tmp', filepath, { overwrite: true })
+      if (this.pendingJson === json) this.pendingJson = null
+
+      let ids = new Set(states.map(state => state.id))
+      if (!fs.existsSync(this.statesPath)) return
+      for (let filename of await fs.readdir(this.statesPath)) {
+        let id = filename.replace(/(-\d+)?\.gz$/, '')
+        if (!ids.has(id)) {
+          await fs.remove(path.join(this.statesPath, filename))
+          this.written.delete(id)
+        }
+      }
+    })
+  }
+
+  // a stub of the state, if it is safe to drop its data from memory
+  evict (state) {
+    return this.written.has(state.id) ? toStub(state) : state
+  }
+
+  // reads the board data / pixels of a stub back from disk
+  hydrate (state) {
+    if (isHydrated(state)) return state
+
+    if (state.type === 'image') {
+      return {
+        ...state,
+        layers: state.layers.map(({ index, userLayerId }) => ({
+          index,
+          userLayerId,
+          source: {
+            index,
+            pixels: new Uint8Array(zlib.gunzipSync(fs.readFileSync(this.getStateFilePath(state.id, index)))),
+            premultiplied: true
+          }
+        }))
+      }
+    } else {
+      return {
+        ...state,
+        sceneData: JSON.parse(zlib.gunzipSync(fs.readFileSync(this.getStateFilePath(state.id))))
+      }
+    }
+  }
+
+  enqueue (fn) {
+    this.queue = this.queue
+      .then(fn)
+      .catch(err => console.error('[UndoJournal]', err))
+    return this.queue
+  }
+
+  // resolves when all queued writes are done
+  flush () {
+    return this.queue
+  }
+
+  // writes anything still queued right away, e.g.: when the window is closing
+  // unused state files are left for the next `save` to remove
+  flushSync () {
+    for (let [id, { state, data }] of this.pending) {
+      for (let [filepath, buffer] of this.getStateFiles(state, data)) {
+        fs.outputFileSync(filepath, zlib.gzipSync(buffer))
+      }
+      this.written.add(id)
+    }
+    this.pending.clear()
+
+    if (this.pendingJson) {
+      let filepath = path.join(this.journalPath, 'journal.json')
+      fs.outputFileSync(filepath + '.tmp', this.pendingJson)
+      fs.moveSync(filepath + '.tmp', filepath, { overwrite: true })
+      this.pendingJson = null
+    }
+  }
+}
+
+const createJournal = projectFilePath => new UndoJournal(projectFilePath)
+
+module.exports = {
+  JOURNAL_FOLDER_NAME,
+  createJournal,
+  isHydrated
+}
@@ -24,9 +24,47 @@ class UndoList {
     }
     this.maxLength = 25
 
+    // optional disk-backed copy of the stack (see undo-journal.js)
+    this.journal = null
+    // with a journal, only this many states (on either side of present) keep their data in memory
+    this.memoryLength = 25
+
     this.debugMode = false
   }
 
+  attachJournal (journal, { maxLength } = {}) {
+    this.journal = journal
+    if (maxLength) this.maxLength = maxLength
+
+    let loaded = journal.load()
+    this.state = loaded
+      ? {
+        past: loaded.past.slice(-(this.maxLength - 1)),
+        present: loaded.present,
+        future: loaded.future
+      }
+      : { past: [], present: null, future: [] }
+  }
+
+  persist () {
+    if (!this.journal) return
+
+    const { past, present, future } = this.state
+    this.state = {
+      past: past.map((state, n) =>
+        n < past.length - this.memoryLength ? this.journal.evict(state) : state),
+      present,
+      future: future.map((state, n) =>
+        n >= this.memoryLength ? this.journal.evict(state) : state)
+    }
+
+    this.journal.save(this.state)
+  }
+
+  hydrate (state) {
+    return (this.journal && state) ? this.journal.hydrate(state) : state
+  }
+
   lengthWithoutFuture () {
     return this.state.past.length + 1
   }
@@ -52,7 +90,7 @@ class UndoList {
         ...future
       ] : future
 
-    const newPresent = past[past.length - 1]
+    const newPresent = this.hydrate(past[past.length - 1])
 
     // remove last element from past
     const newPast = past.slice(0, past.length - 1)
@@ -62,6 +100,7 @@ class UndoList {
       present: newPresent,
       future: newFuture
     }
+    this.persist()
 
     if (this.debugMode) this.print()
   }
@@ -77,7 +116,7 @@ class UndoList {
         present
       ] : past
 
-    const newPresent = future[0]
+    const newPresent = this.hydrate(future[0])
 
     // remove element from future
     const newFuture = future.slice(1, future.length)
@@ -87,6 +126,7 @@ class UndoList {
       present: newPresent,
       past: newPast
     }
+    this.persist()
 
     if (this.debugMode) this.print()
   }
@@ -94,6 +134,8 @@ class UndoList {
   insert (value) {
     const { past, present, future } = this.state
 
+    if (this.journal) this.journal.add(value)
+
     const historyOverflow = this.lengthWithoutFuture() >= this.maxLength
 
     const pastSliced = past.slice(historyOverflow ? 1 : 0)
@@ -108,6 +150,7 @@ class UndoList {
       present: value,
       future: []
     }
+    this.persist()
 
     if (this.debugMode) this.print()
   }
@@ -149,7 +192,7 @@ class UndoList {
     let describe = state => {
       if (state.type === 'image') {
         let layersDesc = state.layers.map(layerData =>
-          `index: ${layerData.index} pixels:${layerData.source.pixels.length}`)
+          `index: ${layerData.index} pixels:${layerData.source ? layerData.source.pixels.length : 'on disk'}`)
         let desc = `
           scene: ${stringOf(state.sceneId)} 
           board: ${stringOf(state.boardIndex)} 
@@ -157,7 +200,7 @@ class UndoList {
         `
         return [state.type, desc.replace(/\s+/g, ' ')]
       } else if (state.type === 'scene') {
-        return [state.type, boardIndexes(state.sceneData.boards)].join(' ')
+        return [state.type, state.sceneData ? boardIndexes(state.sceneData.boards) : 'on disk'].join(' ')
       }
     }
 
@@ -292,3 +335,6 @@ module.exports.undo = undo
 module.exports.redo = redo
 module.exports.getCanUndo = () => undoList.getCanUndo()
 module.exports.getCanRedo = () => undoList.getCanRedo()
+module.exports.attachJournal = (journal, options) => undoList.attachJournal(journal, options)
+module.exports.flushJournal = () => undoList.journal ? undoList.journal.flush() : Promise.resolve()
+module.exports.flushJournalSync = () => undoList.journal && undoList.journal.flushSync()
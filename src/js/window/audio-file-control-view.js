@@ -1,12 +1,15 @@
 class AudioFileControlView {
-  constructor ({ onRequestFile, onSelectFile, onSelectFileCancel, onClear, onStartRecord, onStopRecord, onAudioComplete, onCounterTick, onNotify }) {
+  constructor ({ onRequestFile, onSelectFile, onSelectFileCancel, onClear, onStartRecord, onStopRecord, onAudioComplete, onCounterTick, onNotify, onTrim, getAudioBufferByFilename }) {
     this.state = {
       boardAudio: undefined,
       mode: 'initializing', // initializing, stopped, countdown, recording, finalizing, failed
       counter: undefined,
 
       lastAudioData: undefined,
-      lastMeter: undefined
+      lastMeter: undefined,
+
+      // while dragging the in or out point: { key: 'inPoint' | 'outPoint', value }
+      trimDrag: undefined
     }
 
     this.onRequestFile = onRequestFile.bind(this)
@@ -14,6 +17,8 @@ class AudioFileControlView {
     this.onSelectFileCancel = onSelectFileCancel.bind(this)
     this.onClear = onClear.bind(this)
     this.onNotify = onNotify.bind(this)
+    this.onTrim = onTrim.bind(this)
+    this.getAudioBufferByFilename = getAudioBufferByFilename
 
     this.onStartRecord = onStartRecord.bind(this)
     this.onStopRecord = onStopRecord.bind(this)
@@ -31,17 +36,31 @@ class AudioFileControlView {
     this.recordButtonEl = this.el.querySelector('.record_button')
     this.recordButtonEl.addEventListener('click', this.onRecordMouseEvent)
 
+    // waveform, with the in and out points of the board audio
+    this.trimEl = document.querySelector('.audiofile_trim')
+    this.waveformEl = this.trimEl.querySelector('.audiofile_waveform')
+
+    this.onWaveformPointerDown = this.onWaveformPointerDown.bind(this)
+    this.onWaveformPointerMove = this.onWaveformPointerMove.bind(this)
+    this.onWaveformPointerUp = this.onWaveformPointerUp.bind(this)
+    this.waveformEl.addEventListener('pointerdown', this.onWaveformPointerDown)
+    this.waveformEl.addEventListener('pointermove', this.onWaveformPointerMove)
+    this.waveformEl.addEventListener('pointerup', this.onWaveformPointerUp)
+
+    this.trimEl.querySelector('.audiofile_trim_silence').addEventListener('click', this.onTrimSilence.bind(this))
+    this.trimEl.querySelector('.audiofile_trim_reset').addEventListener('click', this.onTrimReset.bind(this))
+
     // add resize observer
     let recordVisualization = this.el.querySelector('.record_visualization')
-    let context = recordVisualization.querySelector('canvas').getContext('2d')
     let ro = new ResizeObserver(entries => {
       for (let entry of entries) {
-        if (entry.target === recordVisualization) {
+        if (entry.target === recordVisualization || entry.target === this.waveformEl) {
           // re-size
 
           // see: https://github.com/wonderunit/storyboarder/issues/1218
-          context.canvas.width = entry.target.offsetWidth
-          context.canvas.height = entry.target.offsetHeight
+          let canvas = entry.target.querySelector('canvas')
+          canvas.width = entry.target.offsetWidth
+          canvas.height = entry.target.offsetHeight
 
           // trigger a re-render
           this.setState(this.state)
@@ -49,6 +68,7 @@ class AudioFileControlView {
       }
     })
     ro.observe(recordVisualization)
+    ro.observe(this.waveformEl)
     
     // Store the ResizeObserver for cleanup
     this.resizeObserver = ro
@@ -116,6 +136,71 @@ class AudioFileControlView {
     }
   }
 
+  getAudioBuffer () {
+    let { boardAudio } = this.state
+    if (!boardAudio) return
+
+    let buffer = this.getAudioBufferByFilename(boardAudio.filename)
+    if (buffer && buffer.loaded) return buffer
+  }
+
+  // msecs into the audio file at the pointer
+  getWaveformMsecs (event) {
+    let rect = this.waveformEl.getBoundingClientRect()
+    let x = Math.min(Math.max(0, (event.clientX - rect.left) / rect.width), 1)
+    return Math.round(x * this.state.boardAudio.duration)
+  }
+
+  onWaveformPointerDown (event) {
+    let { boardAudio } = this.state
+    if (!this.isIdle() || !boardAudio || !boardAudio.duration) return
+
+    let msecs = this.getWaveformMsecs(event)
+
+    // drag whichever point is nearest
+    let inPoint = boardAudioModel.getInPoint(boardAudio)
+    let outPoint = boardAudioModel.getOutPoint(boardAudio)
+    let key = Math.abs(msecs - inPoint) <= Math.abs(msecs - outPoint)
+      ? 'inPoint'
+      : 'outPoint'
+
+    this.waveformEl.setPointerCapture(event.pointerId)
+    this.setState({ trimDrag: { key, value: msecs } })
+  }
+
+  onWaveformPointerMove (event) {
+    if (!this.state.trimDrag) return
+
+    this.setState({ trimDrag: { ...this.state.trimDrag, value: this.getWaveformMsecs(event) } })
+  }
+
+  onWaveformPointerUp (event) {
+    if (!this.state.trimDrag) return
+
+    let { key, value } = this.state.trimDrag
+    this.waveformEl.releasePointerCapture(event.pointerId)
+    this.setState({ trimDrag: undefined })
+    this.onTrim({ [key]: value })
+  }
+
+  onTrimSilence () {
+    let buffer = this.getAudioBuffer()
+    if (!this.isIdle() || !buffer) return
+
+    let extent = boardAudioModel.findSoundExtent(buffer.getChannelData(0), buffer.get().sampleRate)
+    if (!extent) {
+      this.onNotify({ message: 'Could not find any sound in the audio file.', timing: 5 })
+      return
+    }
+    this.onTrim(extent)
+  }
+
+  onTrimReset () {
+    if (!this.isIdle() || !this.state.boardAudio) return
+
+    this.onTrim({ inPoint: 0, outPoint: Infinity, offset: 0 })
+  }
+
   setState (newState) {
     this.state = Object.assign(this.state, newState)
     this.render()
@@ -218,6 +303,7 @@ class AudioFileControlView {
     this.el.className = `audiofile_container audiofile_container--${this.state.mode}`
 
     if (this.isCountingDownOrRecording()) {
+      this.trimEl.style.display = 'none'
       audiofileButton.style.display = 'none'
       audiofileClearBtnEl.style.display = 'none'
       recordingContainerEl.style.width = '100%'
@@ -311,7 +397,7 @@ class AudioFileControlView {
       // audiofileTextEl.innerHTML = util.truncateMiddle(boardAudio.filename)
       audiofileTextEl.innerHTML = '<span>' +
                                     // '<span class="paren">(</span>' +
-                                    'Audio' + // : 3s 44.1khz 16bit
+                                    (boardAudio.scratch ? 'Scratch Voice' : 'Audio') + // : 3s 44.1khz 16bit
                                     // '<span class="paren">)</span>' +
                                   '</span>'
 
@@ -321,6 +407,8 @@ class AudioFileControlView {
 
       audiofileClearBtnEl.style.opacity = 1.0
       audiofileClearBtnEl.style.pointerEvents = 'auto'
+
+      this.renderTrim()
     } else {
       // mute
       audiofileInputEl.value = ''
@@ -335,13 +423,49 @@ class AudioFileControlView {
 
       audiofileClearBtnEl.style.opacity = 0.5
       audiofileClearBtnEl.style.pointerEvents = 'none'
+
+      this.trimEl.style.display = 'none'
+    }
+  }
+
+  renderTrim () {
+    const { boardAudio, trimDrag } = this.state
+
+    this.trimEl.style.display = 'block'
+
+    // don't replace the value while it's being edited
+    let offsetInputEl = this.trimEl.querySelector('input[name="audio-offset"]')
+    if (document.activeElement !== offsetInputEl) {
+      offsetInputEl.value = boardAudioModel.getOffset(boardAudio) || ''
     }
+
+    let context = this.waveformEl.querySelector('canvas').getContext('2d')
+    let buffer = this.getAudioBuffer()
+    if (!buffer || !boardAudio.duration) {
+      context.clearRect(0, 0, context.canvas.width, context.canvas.height)
+      return
+    }
+
+    // show the drag in progress, without changing the board
+    let audio = trimDrag
+      ? boardAudioModel.setTrim({ ...boardAudio }, { [trimDrag.key]: trimDrag.value })
+      : boardAudio
+
+    drawTrim(
+      context,
+      buffer.getChannelData(0),
+      audio.duration,
+      boardAudioModel.getInPoint(audio),
+      boardAudioModel.getOutPoint(audio)
+    )
   }
 }
 
 const Tone = require('tone')
 const WavEncoder = require("wav-encoder")
 
+const boardAudioModel = require('../models/board-audio')
+
 // states: initializing, stopped, recording, finalizing
 class Recorder {
   async initialize () {
@@ -485,7 +609,7 @@ class Recorder {
 
 // via https://webaudiodemos.appspot.com/AudioRecorder/js/audiodisplay.js
 const drawBuffer = (width, height, context, data) => {
-  let step = Math.ceil(data.length / width / 2) // TODO why do we need to / 2 to fit?
+  let step = Math.ceil(data.length / width)
   let amp = height / 2
   context.fillStyle = 'silver'
   context.clearRect(0, 0, width, height)
@@ -511,6 +635,22 @@ const drawBuffer = (width, height, context, data) => {
   }
 }
 
+// the whole file, darkened outside of the in and out points
+const drawTrim = (context, data, duration, inPoint, outPoint) => {
+  let { width, height } = context.canvas
+  let toX = msecs => Math.round(msecs / duration * width)
+
+  drawBuffer(width, height, context, data)
+
+  context.fillStyle = 'rgba(0, 0, 0, 0.6)'
+  context.fillRect(0, 0, toX(inPoint), height)
+  context.fillRect(toX(outPoint), 0, width - toX(outPoint), height)
+
+  context.fillStyle = '#8d89cf'
+  context.fillRect(toX(inPoint), 0, 2, height)
+  context.fillRect(toX(outPoint) - 2, 0, 2, height)
+}
+
 // via https://github.com/Tonejs/Tone.js/blob/3ea44d3af63d365243f853b97738e3d1c15c0822/examples/analysis.html#L93
 const drawWaveform = (context, color = '#699EF2', data) => {
 	// let waveformGradient = context.createLinearGradient(
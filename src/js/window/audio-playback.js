@@ -1,6 +1,9 @@
 const Tone = require('tone')
 
 const AppMenu = require('../menu')
+const boardModel = require('../models/board')
+const audioTracksModel = require('../models/audio-tracks')
+const boardAudioModel = require('../models/board-audio')
 
 // i love my curvy modified tone player.
 // as a teenager i was often teased by my friends
@@ -16,6 +19,8 @@ class AudioPlayback {
     this.getAudioFilePath = getAudioFilePath
 
     this.players = undefined
+    // audio lane clips, by clip id
+    this.clipPlayers = undefined
 
     this.isPlaying = false
 
@@ -34,6 +39,12 @@ class AudioPlayback {
     }
   }
 
+  getAudioBufferByClipId (id) {
+    if (this.clipPlayers.has(id)) {
+      return this.clipPlayers.get(id).buffer
+    }
+  }
+
   setBypassed (value) {
     this.isBypassed = value
   }
@@ -70,13 +81,19 @@ class AudioPlayback {
       this.players.stopAll()
       this.players.dispose()
     }
+    if (this.clipPlayers) {
+      this.clipPlayers.stopAll()
+      this.clipPlayers.dispose()
+    }
 
     this.players = new Tone.Players().toMaster()
+    this.clipPlayers = new Tone.Players().toMaster()
   }
 
   updateBuffers () {
     return new Promise((resolve, reject) => {
       let loadables = []
+      let clipLoadables = []
       let failed = []
       let remaining = 0
 
@@ -95,6 +112,11 @@ class AudioPlayback {
               failed.push(filename)
             }
           }
+          for (let clip of audioTracksModel.getClips(this.sceneData)) {
+            if (this.clipPlayers.has(clip.id) && this.clipPlayers.get(clip.id).buffer._xhr === event.target) {
+              failed.push(clip.filename)
+            }
+          }
         }
         remaining--
         checkDone()
@@ -130,7 +152,22 @@ class AudioPlayback {
         }
       }
 
-      remaining = loadables.length
+      // audio lane clips
+      let clips = audioTracksModel.getClips(this.sceneData)
+      for (let clip of clips) {
+        if (!this.clipPlayers.has(clip.id)) {
+          clipLoadables.push(clip)
+        }
+      }
+      let clipIds = clips.map(clip => clip.id)
+      for (let id of Object.keys(this.clipPlayers._players)) {
+        if (!clipIds.includes(id)) {
+          this.clipPlayers._players[id].dispose()
+          delete this.clipPlayers._players[id]
+        }
+      }
+
+      remaining = loadables.length + clipLoadables.length
 
       if (remaining === 0) {
         resolve({ failed })
@@ -138,6 +175,9 @@ class AudioPlayback {
         for (let filepath of loadables) {
           this.players.add(filepath, this.getAudioFilePath(filepath), onLoad)
         }
+        for (let clip of clipLoadables) {
+          this.clipPlayers.add(clip.id, this.getAudioFilePath(clip.filename), onLoad)
+        }
       }
     })
   }
@@ -163,6 +203,7 @@ class AudioPlayback {
     // const CUT_EARLY_IN_SECONDS = 0.5
 
     let playingBoard = this.sceneData.boards[index]
+    let playingBoardEnd = playingBoard.time + boardModel.boardDuration(this.sceneData, playingBoard)
 
     for (let i = 0; i < this.sceneData.boards.length; i++) {
       let board = this.sceneData.boards[i]
@@ -177,63 +218,106 @@ class AudioPlayback {
 
         // console.log('found', board.audio.filename, 'with duration', player.buffer.duration, 'at', board.time)
 
+        // only the trimmed part of the file is played, starting `offset` msecs into the board
+        // see: models/board-audio
+        let inPoint = boardAudioModel.getInPoint(board.audio)
+        let playedDuration = boardAudioModel.getPlayedDuration(board.audio)
+
+        player.fadeOut = FADE_OUT_IN_SECONDS
+        player.curve = 'exponential'
+
         // is this the currently playing board?
         if (board === playingBoard) {
           // console.log('\tplaying current board', board.audio.filename, this.players.get(board.audio.filename))
 
-          // let durationInSeconds = Math.max(0, player.buffer.duration - CUT_EARLY_IN_SECONDS)
-
-          player.fadeOut = FADE_OUT_IN_SECONDS
-          player.curve = 'exponential'
-
           // TODO
           // If audio is already playing, .stop is called on the player by Tone. But,
           // for some reason, this causes a warning:
           // "Time is in the past. Scheduled time must be >= AudioContext.currentTime"
           // Couldn't figure out how to prevent that. Seems to be harmless? :/
           player.start(
-            // start now
-            Tone.Time(),
-            // no offset
-            0
-            // duration, cut early
-            // durationInSeconds
+            // start now, or after the offset
+            Tone.now() + boardAudioModel.getOffset(board.audio) / MSECS_IN_A_SECOND,
+            // from the in point
+            inPoint / MSECS_IN_A_SECOND,
+            // until the out point
+            playedDuration / MSECS_IN_A_SECOND
           )
 
-        // does this board end AFTER this current playing board starts?
-        } else if (
-          // it started before
-          board.time < playingBoard.time &&
-          // ... but it ends after
-          ((board.time + (player.buffer.duration * MSECS_IN_A_SECOND)) > playingBoard.time) &&
-          // ... and we're NOT in auditioning mode
-          //   (i.e.: we don't want to play overlapping audio from prior boards
-          //    when we're auditioning a single board)
-          !isAuditioning
-        ) {
-          // console.log('\tfound overlapping board, i')
-          if (board.audio) {
-            let offsetInMsecs = playingBoard.time - board.time
-            // console.log('\tplaying overlapping', board.audio.filename, 'at offset', offsetInMsecs)
-            let player = this.players.get(board.audio.filename)
-            if (player.state !== 'started') {
-              // let durationInSeconds = Math.max(0, (player.buffer.duration - (offsetInMsecs / MSECS_IN_A_SECOND) - CUT_EARLY_IN_SECONDS))
-              player.fadeOut = FADE_OUT_IN_SECONDS
-              player.curve = 'exponential'
-              player.start(
-                // start now
-                Tone.Time(),
-
-                // offset by offsetInMsecs (converted to seconds)
-                offsetInMsecs / MSECS_IN_A_SECOND
-
-                // duration, cut early
-                // durationInSeconds
-              )
+        // we don't want to play overlapping audio from other boards
+        // when we're auditioning a single board
+        } else if (!isAuditioning && player.state !== 'started') {
+          // does the audio of a prior board play during this board?
+          let positionInMsecs = boardAudioModel.getPositionAt(board, playingBoard.time)
+          let delayInMsecs = 0
+          if (positionInMsecs == null) {
+            let start = boardAudioModel.getStart(board)
+            // ... or does it start before this board ends?
+            if (board.time < playingBoard.time && start > playingBoard.time && start < playingBoardEnd) {
+              delayInMsecs = start - playingBoard.time
+              positionInMsecs = 0
+            } else {
+              continue
             }
           }
+
+          // console.log('\tplaying overlapping', board.audio.filename, 'at position', positionInMsecs)
+          player.start(
+            Tone.now() + delayInMsecs / MSECS_IN_A_SECOND,
+            (inPoint + positionInMsecs) / MSECS_IN_A_SECOND,
+            (playedDuration - positionInMsecs) / MSECS_IN_A_SECOND
+          )
+        }
+      }
+    }
+
+    // audio lanes play along with the scene, but aren't auditioned board by board
+    if (!isAuditioning) {
+      this.playClips(playingBoard)
+    }
+  }
+
+  // starts the audio lane clips which are playing during the board,
+  // or which begin before the board ends
+  playClips (board) {
+    const MSECS_IN_A_SECOND = 1000
+
+    let boardStart = board.time
+    let boardEnd = board.time + boardModel.boardDuration(this.sceneData, board)
+
+    for (let clip of audioTracksModel.getAudibleClips(this.sceneData)) {
+      if (!this.clipPlayers.has(clip.id)) continue
+
+      let player = this.clipPlayers.get(clip.id)
+
+      if (!player.buffer.loaded) {
+        console.error('audio not yet loaded', clip.filename)
+        continue
+      }
+
+      if (player.state === 'started') continue
+
+      let delay = 0
+      let position = audioTracksModel.getClipPositionAt(clip, boardStart)
+      if (position == null) {
+        if (clip.start > boardStart && clip.start < boardEnd) {
+          delay = clip.start - boardStart
+          position = 0
+        } else {
+          continue
         }
       }
+
+      player.volume.value = audioTracksModel.gainToDecibels(clip.gain)
+      // only fade in if playing from the start of the clip
+      player.fadeIn = position === 0 ? clip.fadeIn / MSECS_IN_A_SECOND : 0
+      player.fadeOut = clip.fadeOut / MSECS_IN_A_SECOND
+      player.curve = 'linear'
+      player.start(
+        Tone.now() + delay / MSECS_IN_A_SECOND,
+        (clip.offset + position) / MSECS_IN_A_SECOND,
+        (clip.duration - position) / MSECS_IN_A_SECOND
+      )
     }
   }
 
@@ -244,15 +328,19 @@ class AudioPlayback {
   stop () {
     this.isPlaying = false
     this.players.stopAll()
+    this.clipPlayers.stopAll()
   }
 
   stopAllSounds () {
     this.players.stopAll()
+    this.clipPlayers.stopAll()
   }
 
   dispose () {
     this.players.stopAll()
     this.players.dispose()
+    this.clipPlayers.stopAll()
+    this.clipPlayers.dispose()
   }
 }
 
@@ -0,0 +1,208 @@
+const brushesModel = require('../models/brushes')
+
+const CURVES = [
+  { key: 'sizeCurve', label: 'Size' },
+  { key: 'opacityCurve', label: 'Opacity' }
+]
+
+const IMAGES = [
+  { key: 'brushImage', label: 'Texture' },
+  { key: 'grainImage', label: 'Grain' }
+]
+
+// in css pixels
+const CURVE_WIDTH = 80
+const CURVE_HEIGHT = 40
+
+// Edits a custom brush (see: models/brushes), in a panel over the sketch pane
+//
+// Pressure curves are edited by dragging their points up and down.
+// Changes are sent to `onChange` as they're made.
+class BrushEditor {
+  constructor ({ container, getImageNames, onImportImage, onChange, onClose }) {
+    this.container = container
+    this.getImageNames = getImageNames
+    this.onImportImage = onImportImage
+    this.onChange = onChange
+    this.onClose = onClose
+
+    this.brush = undefined
+    this.el = undefined
+
+    this.drag = undefined
+
+    this.onPointerMove = this.onPointerMove.bind(this)
+    this.onPointerUp = this.onPointerUp.bind(this)
+  }
+
+  isOpen () {
+    return this.el != null
+  }
+
+  open (brush) {
+    if (this.isOpen()) this.close()
+
+    this.el = document.createElement('div')
+    this.el.className = 'brush-editor'
+    this.el.innerHTML = `
+      <span class="brush-editor__title">Brush</span>
+      <label>Name <input name="name" type="text"></label>
+      ${IMAGES.map(({ key, label }) => `<label>${label} <select name="${key}"></select></label>`).join('')}
+      <label>Spacing <input name="spacing" type="number" min="0.01" max="2" step="0.01"></label>
+      ${CURVES.map(({ key, label }) => `<label>${label} <canvas name="${key}"></canvas></label>`).join('')}
+      <label>Taper <input name="taper" type="number" min="0" step="10"></label>
+      <label>Jitter <input name="jitter" type="number" min="0" max="1" step="0.05"></label>
+      <label>Layer <select name="defaultLayerName">${
+        brushesModel.LAYER_NAMES.map(name => `<option value="${name}">${name}</option>`).join('')
+      }</select></label>
+      <button name="done">Done</button>
+    `
+    this.container.appendChild(this.el)
+
+    // keep keystrokes from reaching the shortcuts of the main window
+    this.el.addEventListener('keydown', event => event.stopPropagation())
+
+    this.el.querySelector('[name=name]').addEventListener('change', event => {
+      if (event.target.value.trim().length) {
+        this.brush.name = event.target.value.trim()
+      }
+      this.commit()
+    })
+    for (let { key } of IMAGES) {
+      this.el.querySelector(`[name=${key}]`).addEventListener('change', async event => {
+        if (event.target.value === '') {
+          // import an image, or keep the current one
+          let name = await this.onImportImage()
+          if (name) this.brush[key] = name
+        } else {
+          this.brush[key] = event.target.value
+        }
+        this.commit()
+      })
+    }
+    for (let key of ['spacing', 'taper', 'jitter']) {
+      this.el.querySelector(`[name=${key}]`).addEventListener('change', event => {
+        let value = parseFloat(event.target.value)
+        if (!isNaN(value)) this.brush[key] = value
+        this.commit()
+      })
+    }
+    this.el.querySelector('[name=defaultLayerName]').addEventListener('change', event => {
+      this.brush.defaultLayerName = event.target.value
+      this.commit()
+    })
+    for (let { key } of CURVES) {
+      this.el.querySelector(`[name=${key}]`).addEventListener('pointerdown', event => {
+        event.preventDefault()
+        this.drag = { key, canvas: event.target }
+        this.onPointerMove(event)
+        window.addEventListener('pointermove', this.onPointerMove)
+        window.addEventListener('pointerup', this.onPointerUp)
+      })
+    }
+    this.el.querySelector('[name=done]').addEventListener('click', () => this.close())
+
+    this.setBrush(brush)
+  }
+
+  close () {
+    if (!this.isOpen()) return
+
+    this.onPointerUp()
+    this.el.remove()
+    this.el = undefined
+
+    this.onClose && this.onClose()
+  }
+
+  // e.g.: when the current tool changes
+  setBrush (brush) {
+    this.brush = JSON.parse(JSON.stringify(brush))
+    this.render()
+  }
+
+  commit () {
+    this.onChange(JSON.parse(JSON.stringify(this.brush)))
+    this.render()
+  }
+
+  // sets the nearest point of the curve to the pointer
+  onPointerMove (event) {
+    let rect = this.drag.canvas.getBoundingClientRect()
+    let curve = this.brush[this.drag.key]
+    let x = (event.clientX - rect.left) / rect.width
+    let y = 1 - (event.clientY - rect.top) / rect.height
+    let n = Math.min(curve.length - 1, Math.max(0, Math.round(x * (curve.length - 1))))
+    curve[n] = Math.round(Math.min(1, Math.max(0, y)) * 100) / 100
+    this.renderCurves()
+  }
+
+  onPointerUp (event) {
+    window.removeEventListener('pointermove', this.onPointerMove)
+    window.removeEventListener('pointerup', this.onPointerUp)
+
+    if (this.drag) {
+      this.drag = undefined
+      this.commit()
+    }
+  }
+
+  render () {
+    if (!this.isOpen()) return
+
+    let nameInput = this.el.querySelector('[name=name]')
+    if (document.activeElement !== nameInput) nameInput.value = this.brush.name
+
+    let imageNames = this.getImageNames()
+    for (let { key } of IMAGES) {
+      let select = this.el.querySelector(`[name=${key}]`)
+      select.innerHTML = [
+        ...imageNames.map(name => `<option value="${name}">${name}</option>`),
+        '<option value="">Import PNG…</option>'
+      ].join('')
+      select.value = this.brush[key]
+    }
+
+    for (let key of ['spacing', 'taper', 'jitter']) {
+      let input = this.el.querySelector(`[name=${key}]`)
+      if (document.activeElement !== input) input.value = this.brush[key]
+    }
+    this.el.querySelector('[name=defaultLayerName]').value = this.brush.defaultLayerName
+
+    this.renderCurves()
+  }
+
+  renderCurves () {
+    let dpr = window.devicePixelRatio || 1
+    for (let { key } of CURVES) {
+      let canvas = this.el.querySelector(`[name=${key}]`)
+      canvas.width = CURVE_WIDTH * dpr
+      canvas.height = CURVE_HEIGHT * dpr
+      canvas.style.width = `${CURVE_WIDTH}px`
+      canvas.style.height = `${CURVE_HEIGHT}px`
+
+      let context = canvas.getContext('2d')
+      context.scale(dpr, dpr)
+      context.clearRect(0, 0, CURVE_WIDTH, CURVE_HEIGHT)
+
+      let curve = this.brush[key]
+      let points = curve.map((value, n) => ({
+        x: n / (curve.length - 1) * CURVE_WIDTH,
+        y: (1 - value) * CURVE_HEIGHT
+      }))
+
+      context.strokeStyle = 'white'
+      context.lineWidth = 1
+      context.beginPath()
+      points.forEach((point, n) => n === 0 ? context.moveTo(point.x, point.y) : context.lineTo(point.x, point.y))
+      context.stroke()
+
+      context.fillStyle = 'white'
+      for (let point of points) {
+        context.fillRect(point.x - 2, point.y - 2, 4, 4)
+      }
+    }
+  }
+}
+
+module.exports = BrushEditor
@@ -0,0 +1,284 @@
+const cameraMoveModel = require('../models/camera-move')
+
+const FRAMES = [
+  { key: 'from', label: 'Start', color: '#4caf50' },
+  { key: 'to', label: 'End', color: '#e0533d' }
+]
+
+// in view pixels
+const HANDLE_SIZE = 10
+
+const rotatePoint = ({ x, y }, degrees) => {
+  let radians = degrees * Math.PI / 180
+  return {
+    x: x * Math.cos(radians) - y * Math.sin(radians),
+    y: x * Math.sin(radians) + y * Math.cos(radians)
+  }
+}
+
+// Edits the camera move of the current board, drawn over the sketch pane
+//
+// The start and end frames can be moved by dragging, and resized by dragging their corner handle.
+// Easing and rotation are set in the panel.
+class CameraMoveEditor {
+  constructor ({ sketchPane, onChange, onClose }) {
+    this.sketchPane = sketchPane
+    this.onChange = onChange
+    this.onClose = onClose
+
+    this.cameraMove = undefined
+    this.el = undefined
+
+    this.drag = undefined
+
+    this.onPointerDown = this.onPointerDown.bind(this)
+    this.onPointerMove = this.onPointerMove.bind(this)
+    this.onPointerUp = this.onPointerUp.bind(this)
+    this.render = this.render.bind(this)
+  }
+
+  isOpen () {
+    return this.el != null
+  }
+
+  open (cameraMove) {
+    if (this.isOpen()) this.close()
+
+    let view = this.sketchPane.app.view
+
+    this.el = document.createElement('div')
+    this.el.className = 'camera-move-editor'
+    this.el.innerHTML = `
+      <canvas class="camera-move-editor__canvas"></canvas>
+      <div class="camera-move-editor__panel">
+        <span class="camera-move-editor__title">Camera Move</span>
+        <label>Easing <select name="easing">${
+          cameraMoveModel.EASINGS.map(easing => `<option value="${easing}">${cameraMoveModel.EASING_LABELS[easing]}</option>`).join('')
+        }</select></label>
+        <label>Start Rotation <input name="from-rotation" type="number" step="1"></label>
+        <label>End Rotation <input name="to-rotation" type="number" step="1"></label>
+        <button name="swap">Swap</button>
+        <button name="remove">Remove</button>
+        <button name="done">Done</button>
+      </div>
+    `
+    view.parentNode.appendChild(this.el)
+
+    this.canvas = this.el.querySelector('canvas')
+    this.canvas.addEventListener('pointerdown', this.onPointerDown)
+
+    let panel = this.el.querySelector('.camera-move-editor__panel')
+    panel.querySelector('[name=easing]').addEventListener('change', event => {
+      this.cameraMove.easing = event.target.value
+      this.commit()
+    })
+    for (let { key } of FRAMES) {
+      panel.querySelector(`[name=${key}-rotation]`).addEventListener('change', event => {
+        this.cameraMove[key].rotation = parseFloat(event.target.value) || 0
+        this.commit()
+      })
+    }
+    panel.querySelector('[name=swap]').addEventListener('click', () => {
+      let { from, to } = this.cameraMove
+      this.cameraMove.from = to
+      this.cameraMove.to = from
+      this.commit()
+    })
+    panel.querySelector('[name=remove]').addEventListener('click', () => {
+      this.onChange(null)
+      this.close()
+    })
+    panel.querySelector('[name=done]').addEventListener('click', () => this.close())
+
+    window.addEventListener('resize', this.render)
+
+    this.setCameraMove(cameraMove)
+  }
+
+  close () {
+    if (!this.isOpen()) return
+
+    this.onPointerUp()
+    window.removeEventListener('resize', this.render)
+    this.el.remove()
+    this.el = undefined
+
+    this.onClose && this.onClose()
+  }
+
+  // e.g.: when the current board changes
+  setCameraMove (cameraMove) {
+    this.cameraMove = JSON.parse(JSON.stringify(cameraMove))
+    this.render()
+  }
+
+  commit () {
+    this.cameraMove = cameraMoveModel.setCameraMove({}, this.cameraMove).cameraMove
+    this.onChange(JSON.parse(JSON.stringify(this.cameraMove)))
+    this.render()
+  }
+
+  getBoardSize () {
+    return [this.sketchPane.width, this.sketchPane.height]
+  }
+
+  // board pixels to view pixels
+  toView (point) {
+    return this.sketchPane.sketchPaneContainer.toGlobal(point)
+  }
+
+  // frame in board pixels
+  getFrameRect (frame) {
+    let [width, height] = this.getBoardSize()
+    let center = cameraMoveModel.getFrameCenter(frame, [width, height])
+    return {
+      center,
+      width: frame.width * width,
+      height: frame.height * height,
+      rotation: frame.rotation
+    }
+  }
+
+  // corners of the frame in board pixels, clockwise from the top left
+  getCorners (frame) {
+    let { center, width, height, rotation } = this.getFrameRect(frame)
+    return [[-1, -1], [1, -1], [1, 1], [-1, 1]].map(([sx, sy]) => {
+      let p = rotatePoint({ x: sx * width / 2, y: sy * height / 2 }, rotation)
+      return { x: center.x + p.x, y: center.y + p.y }
+    })
+  }
+
+  // position of `point` (in board pixels) relative to the center of the frame, unrotated
+  toFrameLocal (frame, point) {
+    let { center, rotation } = this.getFrameRect(frame)
+    return rotatePoint({ x: point.x - center.x, y: point.y - center.y }, -rotation)
+  }
+
+  hitTest (point) {
+    let zoom = this.sketchPane.sketchPaneContainer.scale.x
+    let handleRadius = HANDLE_SIZE / zoom
+
+    // the end frame is drawn on top, so test it first
+    for (let { key } of [...FRAMES].reverse()) {
+      let frame = this.cameraMove[key]
+      let handle = this.getCorners(frame)[2]
+      if (Math.hypot(point.x - handle.x, point.y - handle.y) <= handleRadius) {
+        return { key, mode: 'resize' }
+      }
+    }
+    for (let { key } of [...FRAMES].reverse()) {
+      let frame = this.cameraMove[key]
+      let { width, height } = this.getFrameRect(frame)
+      let local = this.toFrameLocal(frame, point)
+      if (Math.abs(local.x) <= width / 2 && Math.abs(local.y) <= height / 2) {
+        return { key, mode: 'move' }
+      }
+    }
+  }
+
+  onPointerDown (event) {
+    let point = this.sketchPane.localizePoint(event)
+    let hit = this.hitTest(point)
+    if (!hit) return
+
+    event.preventDefault()
+    this.drag = { ...hit, last: point }
+    window.addEventListener('pointermove', this.onPointerMove)
+    window.addEventListener('pointerup', this.onPointerUp)
+  }
+
+  onPointerMove (event) {
+    let point = this.sketchPane.localizePoint(event)
+    let [width, height] = this.getBoardSize()
+    let frame = this.cameraMove[this.drag.key]
+
+    if (this.drag.mode === 'move') {
+      frame.x += (point.x - this.drag.last.x) / width
+      frame.y += (point.y - this.drag.last.y) / height
+    } else {
+      // resize around the center, keeping the aspect ratio of the board
+      let { center } = this.getFrameRect(frame)
+      let local = this.toFrameLocal(frame, point)
+      let size = Math.max(
+        cameraMoveModel.MIN_FRAME_SIZE,
+        Math.abs(local.x) * 2 / width,
+        Math.abs(local.y) * 2 / height
+      )
+      frame.width = size
+      frame.height = size
+      frame.x = center.x / width - size / 2
+      frame.y = center.y / height - size / 2
+    }
+
+    this.drag.last = point
+    this.render()
+  }
+
+  onPointerUp (event) {
+    window.removeEventListener('pointermove', this.onPointerMove)
+    window.removeEventListener('pointerup', this.onPointerUp)
+
+    if (this.drag) {
+      this.drag = undefined
+      this.commit()
+    }
+  }
+
+  render () {
+    if (!this.isOpen()) return
+
+    let panel = this.el.querySelector('.camera-move-editor__panel')
+    panel.querySelector('[name=easing]').value = this.cameraMove.easing
+    for (let { key } of FRAMES) {
+      let input = panel.querySelector(`[name=${key}-rotation]`)
+      if (document.activeElement !== input) input.value = Math.round(this.cameraMove[key].rotation * 10) / 10
+    }
+
+    let view = this.sketchPane.app.view
+    let dpr = window.devicePixelRatio || 1
+    let cssWidth = view.offsetWidth
+    let cssHeight = view.offsetHeight
+    this.el.style.left = `${view.offsetLeft}px`
+    this.el.style.top = `${view.offsetTop}px`
+    this.canvas.width = cssWidth * dpr
+    this.canvas.height = cssHeight * dpr
+    this.canvas.style.width = `${cssWidth}px`
+    this.canvas.style.height = `${cssHeight}px`
+
+    let context = this.canvas.getContext('2d')
+    context.scale(dpr, dpr)
+    context.clearRect(0, 0, cssWidth, cssHeight)
+
+    // path of the move, from center to center
+    let [width, height] = this.getBoardSize()
+    let fromCenter = this.toView(cameraMoveModel.getFrameCenter(this.cameraMove.from, [width, height]))
+    let toCenter = this.toView(cameraMoveModel.getFrameCenter(this.cameraMove.to, [width, height]))
+    context.setLineDash([4, 4])
+    context.strokeStyle = 'rgba(0, 0, 0, 0.5)'
+    context.lineWidth = 1
+    context.beginPath()
+    context.moveTo(fromCenter.x, fromCenter.y)
+    context.lineTo(toCenter.x, toCenter.y)
+    context.stroke()
+    context.setLineDash([])
+
+    for (let { key, label, color } of FRAMES) {
+      let corners = this.getCorners(this.cameraMove[key]).map(point => this.toView(point))
+
+      context.strokeStyle = color
+      context.lineWidth = 2
+      context.beginPath()
+      corners.forEach((point, n) => n === 0 ? context.moveTo(point.x, point.y) : context.lineTo(point.x, point.y))
+      context.closePath()
+      context.stroke()
+
+      context.fillStyle = color
+      context.fillRect(corners[2].x - HANDLE_SIZE / 2, corners[2].y - HANDLE_SIZE / 2, HANDLE_SIZE, HANDLE_SIZE)
+
+      context.font = '11px sans-serif'
+      context.fillText(label, corners[0].x + 4, corners[0].y + 14)
+    }
+  }
+}
+
+module.exports = CameraMoveEditor
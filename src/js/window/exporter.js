@@ -19,11 +19,70 @@ const {
 
 const exporterFcpX = require('../exporters/final-cut-pro-x')
 const exporterFcp = require('../exporters/final-cut-pro')
+const exporterOtio = require('../exporters/otio')
+const exporterEdl = require('../exporters/edl')
+const exporterAaf = require('../exporters/aaf')
+const exporterFinalDraft = require('../exporters/final-draft')
 const exporterPDF = require('../exporters/pdf')
 const exporterCleanup = require('../exporters/cleanup')
 const exporterFfmpeg = require('../exporters/ffmpeg')
+const exporterShotList = require('../exporters/shot-list')
+const exporterSubtitles = require('../exporters/subtitles')
+const exporterBreakdown = require('../exporters/breakdown')
+const shotListModel = require('../models/shot-list')
+const audioTracksModel = require('../models/audio-tracks')
+const breakdownModel = require('../models/breakdown')
+const sceneModel = require('../models/scene')
 const util = require('../utils/index')
 
+// timeline exporters (FCP, OTIO, EDL and timeline XML) write to a new folder in exports, alongside their media
+const createTimelineOutputPath = projectFileAbsolutePath => {
+  let exportsPath = ensureExportsPathExists(projectFileAbsolutePath)
+
+  let basename = path.basename(projectFileAbsolutePath)
+  let outputPath = path.join(
+    exportsPath,
+    util.dashed(basename + ' Exported ' + moment().format('YYYY-MM-DD hh.mm.ss'))
+  )
+  if (!fs.existsSync(outputPath)) {
+    fs.mkdirSync(outputPath)
+  }
+  return outputPath
+}
+
+const exportTimelineMedia = async (boardData, projectFileAbsolutePath, outputPath) => {
+  // export ALL layers of each one of the boards
+  let basenameWithoutExt = path.basename(projectFileAbsolutePath, path.extname(projectFileAbsolutePath))
+  let writers = boardData.boards.map(async (board, index) => {
+    let filenameForExport = util.dashed(boardFilenameForExport(board, index, basenameWithoutExt))
+
+    await exportFlattenedBoard(
+      board,
+      filenameForExport,
+      boardFileImageSize(boardData),
+      projectFileAbsolutePath,
+      outputPath
+    )
+  })
+  await Promise.all(writers)
+
+  // export ALL audio
+  boardData.boards.forEach((board, index) => {
+    if (board.audio && board.audio.filename && board.audio.filename.length) {
+      fs.copySync(
+        path.join(path.dirname(projectFileAbsolutePath), 'images', board.audio.filename),
+        path.join(outputPath, board.audio.filename)
+      )
+    }
+  })
+  for (let filename of audioTracksModel.getFilenames(boardData)) {
+    fs.copySync(
+      path.join(path.dirname(projectFileAbsolutePath), 'images', filename),
+      path.join(outputPath, filename)
+    )
+  }
+}
+
 class Exporter {
   exportCleanup (boardData, projectFileAbsolutePath) {
     return new Promise((resolve, reject) => {
@@ -49,16 +108,8 @@ class Exporter {
   }
 
   async exportFcp (boardData, projectFileAbsolutePath) {
-    let exportsPath = ensureExportsPathExists(projectFileAbsolutePath)
-
+    let outputPath = createTimelineOutputPath(projectFileAbsolutePath)
     let basename = path.basename(projectFileAbsolutePath)
-    let outputPath = path.join(
-      exportsPath,
-      util.dashed(basename + ' Exported ' + moment().format('YYYY-MM-DD hh.mm.ss'))
-    )
-    if (!fs.existsSync(outputPath)) {
-      fs.mkdirSync(outputPath)
-    }
 
     let data = await exporterFcp.generateFinalCutProData(boardData, { projectFileAbsolutePath, outputPath })
     let xml = exporterFcp.generateFinalCutProXml(data)
@@ -68,34 +119,140 @@ class Exporter {
     let fcpxml = exporterFcpX.generateFinalCutProXXml(fcpxData)
     fs.writeFileSync(path.join(outputPath, util.dashed(basename + '.fcpxml')), fcpxml)
 
-    // export ALL layers of each one of the boards
+    await exportTimelineMedia(boardData, projectFileAbsolutePath, outputPath)
+
+    return outputPath
+  }
+
+  async exportOtio (boardData, projectFileAbsolutePath) {
+    let outputPath = createTimelineOutputPath(projectFileAbsolutePath)
     let basenameWithoutExt = path.basename(projectFileAbsolutePath, path.extname(projectFileAbsolutePath))
-    let writers = boardData.boards.map(async (board, index) => {
-      let filenameForExport = util.dashed(boardFilenameForExport(board, index, basenameWithoutExt))
-
-      await exportFlattenedBoard(
-        board,
-        filenameForExport,
-        boardFileImageSize(boardData),
-        projectFileAbsolutePath,
-        outputPath
-      )
-    })
-    await Promise.all(writers)
-
-    // export ALL audio
-    boardData.boards.forEach((board, index) => {
-      if (board.audio && board.audio.filename && board.audio.filename.length) {
-        fs.copySync(
-          path.join(path.dirname(projectFileAbsolutePath), 'images', board.audio.filename),
-          path.join(outputPath, board.audio.filename)
-        )
-      }
-    })
+
+    let data = exporterOtio.generateOtioData(boardData, { projectFileAbsolutePath, outputPath })
+    fs.writeFileSync(path.join(outputPath, util.dashed(basenameWithoutExt + '.otio')), exporterOtio.generateOtio(data))
+
+    await exportTimelineMedia(boardData, projectFileAbsolutePath, outputPath)
 
     return outputPath
   }
- 
+
+  // writes a CMX3600 EDL and a Storyboarder timeline XML (see: exporters/aaf.js) of the same timeline
+  async exportEdl (boardData, projectFileAbsolutePath) {
+    let outputPath = createTimelineOutputPath(projectFileAbsolutePath)
+    let basenameWithoutExt = path.basename(projectFileAbsolutePath, path.extname(projectFileAbsolutePath))
+
+    let data = exporterEdl.generateEdlData(boardData, { projectFileAbsolutePath })
+    fs.writeFileSync(path.join(outputPath, util.dashed(basenameWithoutExt + '.edl')), exporterEdl.generateEdl(data))
+
+    let aafData = exporterAaf.generateAafData(boardData, { projectFileAbsolutePath })
+    fs.writeFileSync(path.join(outputPath, util.dashed(basenameWithoutExt + '.timeline.xml')), exporterAaf.generateAaf(aafData))
+
+    await exportTimelineMedia(boardData, projectFileAbsolutePath, outputPath)
+
+    return outputPath
+  }
+
+  // writes SRT and WebVTT subtitles, returns the path to the SRT file
+  exportSubtitles (boardData, projectFileAbsolutePath) {
+    let cues = exporterSubtitles.generateSubtitleData(boardData)
+    if (!cues.length) throw new Error('There is no dialogue to export.')
+
+    let exportsPath = ensureExportsPathExists(projectFileAbsolutePath)
+    let basenameWithoutExt = path.basename(projectFileAbsolutePath, path.extname(projectFileAbsolutePath))
+    let filename = `${basenameWithoutExt} Subtitles ${moment().format('YYYY-MM-DD hh.mm.ss')}`
+
+    let srtFilePath = path.join(exportsPath, `${filename}.srt`)
+    fs.writeFileSync(srtFilePath, exporterSubtitles.generateSrt(cues))
+    fs.writeFileSync(path.join(exportsPath, `${filename}.vtt`), exporterSubtitles.generateWebVtt(cues))
+
+    return srtFilePath
+  }
+
+  // exports the current scene, or every boarded scene of a multi-scene project if `scriptData` is given
+  async exportShotList (boardData, projectFileAbsolutePath, { scriptFilePath, scriptData, storyboardsPath } = {}) {
+    let entries
+    let title
+    let exportsPath
+    if (scriptData) {
+      entries = shotListModel.getShotListForScriptData(scriptData, storyboardsPath).scenes
+        .map(sceneShotList => ({
+          ...sceneShotList,
+          scene: JSON.parse(fs.readFileSync(sceneShotList.storyboarderFilePath)),
+          sceneFilePath: sceneShotList.storyboarderFilePath
+        }))
+      title = path.basename(scriptFilePath, path.extname(scriptFilePath))
+      exportsPath = ensureExportsPathExists(scriptFilePath)
+    } else {
+      entries = [{
+        ...shotListModel.getShotListForScene(boardData),
+        scene: boardData,
+        sceneFilePath: projectFileAbsolutePath
+      }]
+      title = path.basename(projectFileAbsolutePath, path.extname(projectFileAbsolutePath))
+      exportsPath = ensureExportsPathExists(projectFileAbsolutePath)
+    }
+
+    let outputPath = path.join(
+      exportsPath,
+      util.dashed(title + ' Shot List ' + moment().format('YYYY-MM-DD hh.mm.ss'))
+    )
+    if (!fs.existsSync(outputPath)) {
+      fs.mkdirSync(outputPath)
+    }
+
+    await exporterShotList.exportShotList(entries, { title, outputPath })
+
+    return outputPath
+  }
+
+  // script breakdown of every scene in a multi-scene project
+  async exportBreakdown (scriptFilePath, scriptData, storyboardsPath) {
+    let scenes = breakdownModel.getBreakdownForScriptData(scriptData, storyboardsPath)
+    let title = path.basename(scriptFilePath, path.extname(scriptFilePath))
+
+    let outputPath = path.join(
+      ensureExportsPathExists(scriptFilePath),
+      util.dashed(title + ' Breakdown ' + moment().format('YYYY-MM-DD hh.mm.ss'))
+    )
+    if (!fs.existsSync(outputPath)) {
+      fs.mkdirSync(outputPath)
+    }
+
+    await exporterBreakdown.exportBreakdown(scenes, { title, outputPath })
+
+    return outputPath
+  }
+
+  // exports the current scene, or every boarded scene of a multi-scene project if `scriptData` is given
+  exportFinalDraft (boardData, projectFileAbsolutePath, { scriptFilePath, scriptData, storyboardsPath } = {}) {
+    let scenes
+    let title
+    let exportsPath
+    if (scriptData) {
+      // scenes which have not been boarded yet are skipped
+      scenes = scriptData
+        .filter(node => node.type === 'scene')
+        .map(node => ({ node, filepath: sceneModel.findSceneFilePath(storyboardsPath, node) }))
+        .filter(({ filepath }) => filepath)
+        .map(({ node, filepath }) => ({
+          slugline: node.slugline,
+          boardData: JSON.parse(fs.readFileSync(filepath))
+        }))
+      title = path.basename(scriptFilePath, path.extname(scriptFilePath))
+      exportsPath = ensureExportsPathExists(scriptFilePath)
+    } else {
+      title = path.basename(projectFileAbsolutePath, path.extname(projectFileAbsolutePath))
+      scenes = [{ slugline: title, boardData }]
+      exportsPath = ensureExportsPathExists(projectFileAbsolutePath)
+    }
+
+    let filepath = path.join(exportsPath, title + ' ' + moment().format('YYYY-MM-DD hh.mm.ss') + '.fdx')
+    let data = exporterFinalDraft.generateFinalDraftData(scenes)
+    fs.writeFileSync(filepath, exporterFinalDraft.generateFinalDraftXml(data))
+
+    return filepath
+  }
+
   exportPDF (boardData, projectFileAbsolutePath, _paperSize, _paperOrientation, _rows, _cols, _spacing, _filepath, shouldWatermark = false, watermarkImagePath = undefined, watermarkDimensions = []) {
     return new Promise((resolve, reject) => {
       let outputPath = app.getPath('temp')
@@ -135,7 +292,8 @@ class Exporter {
           watermarkImagePath,
           watermarkDimensions
         )
-        resolve(filepath)
+        .then(() => resolve(filepath))
+        .catch(reject)
       } catch(err) {
         reject(err)
       }
@@ -404,8 +562,11 @@ class Exporter {
         sceneFilePath,
         scene,
         progressCallback: opts.progressCallback,
+        onProcess: opts.onProcess,
         shouldWatermark: opts.shouldWatermark,
-        watermarkImagePath: opts.watermarkImagePath
+        watermarkImagePath: opts.watermarkImagePath,
+        preset: opts.preset,
+        projectName: opts.projectName
       }
     )
   }
@@ -1,3 +1,5 @@
+const perspectiveModel = require('../models/perspective')
+
 const rgba = (r, g, b, a) => `rgba(${r}, ${g}, ${b}, ${parseFloat(a)})`
 
 class Guides {
@@ -21,11 +23,8 @@ class Guides {
     this.offscreenCanvas = null
     this.offscreenContext = null
 
-    this.perspectiveGridFn = opt.perspectiveGridFn
-    this.perspectiveParams = {
-      cameraParams: {},
-      rotation: 0
-    }
+    // see: models/perspective
+    this.perspective = undefined
 
     this.offscreenCanvas = document.createElement('canvas')
     this.offscreenContext = this.offscreenCanvas.getContext('2d')
@@ -102,14 +101,10 @@ class Guides {
     this.context.drawImage(this.offscreenCanvas, 0, 0, this.width, this.height)
 
     // perspective
-    if (this.state.perspective) {
-      // this.offscreenContext.clearRect(0, 0, this.width, this.height)
-      // this.drawPerspective(this.offscreenContext, this.width, this.height)
-      // 
-      // this.context.globalAlpha = lineColorStrong.slice(-1)[0]
-      // this.context.drawImage(this.offscreenCanvas, 0, 0, this.width, this.height)
-      // this.context.globalAlpha = 1.0
-    }
+    this.offscreenContext.clearRect(0, 0, this.width, this.height)
+    if (this.state.perspective && this.perspective) this.drawPerspective(this.offscreenContext, this.width, this.height, rgba(...lineColorStrong.slice(0, 3), 1.0), 1)
+    this.context.globalAlpha = lineColorStrong.slice(-1)[0]
+    this.context.drawImage(this.offscreenCanvas, 0, 0, this.width, this.height)
 
     this.context.globalAlpha = 1.0
 
@@ -190,23 +185,20 @@ class Guides {
     context.translate(-this.translateShift, -this.translateShift)
   }
 
-  // drawPerspective (context, width, height) {
-  //   let canvas = this.perspectiveGridFn(
-  //     this.perspectiveParams.cameraParams,
-  //     this.perspectiveParams.rotation
-  //   )
-  //   context.save()
-  //   context.translate(0, 0)
-  //   context.moveTo(0, 0)
-  //   context.drawImage(canvas, 0, 0)
-  //   context.restore()
-  // }
-
-  setPerspectiveParams (opt = {}) {
-    this.perspectiveParams = {
-      cameraParams: opt.cameraParams,
-      rotation: opt.rotation
+  drawPerspective (context, width, height, color, lineWidth) {
+    context.lineWidth = lineWidth
+    context.strokeStyle = color
+    for (let [from, to] of perspectiveModel.getGuideLines(this.perspective, [width, height])) {
+      context.beginPath()
+      context.moveTo(...from)
+      context.lineTo(...to)
+      context.stroke()
     }
+  }
+
+  // e.g.: when the current board changes
+  setPerspective (perspective) {
+    this.perspective = perspective
     this.render()
   }
 
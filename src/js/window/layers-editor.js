@@ -1,6 +1,7 @@
 const EventEmitter = require('events').EventEmitter
 
 const { DEFAULT_REFERENCE_LAYER_OPACITY } = require('../exporters/common')
+const userLayersModel = require('../models/user-layers')
 
 class LayersEditor extends EventEmitter {
   constructor (storyboarderSketchPane, sfx, notifications) {
@@ -61,6 +62,46 @@ class LayersEditor extends EventEmitter {
         this.setReferenceOpacity(event.target.value / 100)
       })
 
+    // user layers (see: models/user-layers)
+    // changes are emitted, for main-window to make
+    document
+      .querySelector('.layers-ui-user-layers-add')
+      .addEventListener('click', event => {
+        event.preventDefault()
+        this.emit('addUserLayer')
+      })
+    let userLayersEl = document.querySelector('.layers-ui-user-layers')
+    // keep keystrokes from reaching the shortcuts of the main window
+    userLayersEl.addEventListener('keydown', event => event.stopPropagation())
+    userLayersEl.addEventListener('change', event => {
+      let id = event.target.closest('[data-id]').dataset.id
+      let { name, value, checked } = event.target
+      if (name === 'name') {
+        if (value.trim().length) this.emit('changeUserLayer', id, { name: value.trim() })
+      } else if (name === 'visible' || name === 'locked') {
+        this.emit('changeUserLayer', id, { [name]: checked })
+      } else if (name === 'opacity') {
+        this.emit('changeUserLayer', id, { opacity: value / 100 })
+      } else if (name === 'blendMode') {
+        this.emit('changeUserLayer', id, { blendMode: value })
+      }
+    })
+    userLayersEl.addEventListener('click', event => {
+      let row = event.target.closest('[data-id]')
+      if (!row) return
+      let id = row.dataset.id
+      let action = event.target.closest('[data-action]')
+      if (action) {
+        event.preventDefault()
+        if (action.dataset.action === 'up') this.emit('moveUserLayer', id, 1)
+        if (action.dataset.action === 'down') this.emit('moveUserLayer', id, -1)
+        if (action.dataset.action === 'remove') this.emit('removeUserLayer', id)
+      } else if (event.target === row) {
+        // selecting the selected layer draws on the layers of the tools again
+        this.emit('selectUserLayer', row.classList.contains('active') ? undefined : id)
+      }
+    })
+
     this.render()
   }
 
@@ -137,6 +178,34 @@ class LayersEditor extends EventEmitter {
     let value = this.storyboarderSketchPane.sketchPane.layers.findByName('reference').getOpacity()
     document.querySelector('.layers-ui-reference-opacity').value = value * 100
   }
+
+  // listed from top to bottom
+  renderUserLayers (userLayers, activeUserLayerId) {
+    let el = document.querySelector('.layers-ui-user-layers')
+    el.innerHTML = [...userLayers].reverse().map(layer => `
+      <div class="layers-ui-user-layer${layer.id === activeUserLayerId ? ' active' : ''}" data-id="${layer.id}">
+        <input name="name" type="text">
+        <label><input name="visible" type="checkbox"> Visible</label>
+        <label><input name="locked" type="checkbox"> Locked</label>
+        <input name="opacity" type="range" min="0" max="100" step="5">
+        <select name="blendMode">${
+          userLayersModel.BLEND_MODES.map(mode => `<option value="${mode}">${userLayersModel.BLEND_MODE_LABELS[mode]}</option>`).join('')
+        }</select>
+        <a href="#" data-action="up">Up</a>
+        <a href="#" data-action="down">Down</a>
+        <a href="#" data-action="remove">Delete</a>
+      </div>
+    `).join('')
+
+    for (let layer of userLayers) {
+      let row = el.querySelector(`[data-id="${layer.id}"]`)
+      row.querySelector('[name=name]').value = layer.name
+      row.querySelector('[name=visible]').checked = layer.visible
+      row.querySelector('[name=locked]').checked = layer.locked
+      row.querySelector('[name=opacity]').value = layer.opacity * 100
+      row.querySelector('[name=blendMode]').value = layer.blendMode
+    }
+  }
 }
 
 module.exports = LayersEditor
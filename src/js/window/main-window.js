@@ -3,6 +3,7 @@ const { app } = require('electron').remote
 const child_process = require('child_process')
 const fs = require('fs-extra')
 const path = require('path')
+const os = require('os')
 const menu = require('../menu')
 const util = require('../utils/index')
 const sortFilePaths = require('../utils/sortFilePaths')
@@ -26,6 +27,7 @@ const StoryboarderSketchPane = require('./storyboarder-sketch-pane')
 const { SketchPane } = require('alchemancy')
 const SketchPaneUtil = require('alchemancy').util
 const undoStack = require('../undo-stack')
+const undoJournal = require('../undo-journal')
 
 const Toolbar = require('./toolbar')
 const tooltips = require('./tooltips')
@@ -39,6 +41,10 @@ const Guides = require('./guides')
 const OnionSkin = require('./onion-skin')
 const Sonifier = require('./sonifier/index')
 const LayersEditor = require('./layers-editor')
+const CameraMoveEditor = require('./camera-move-editor')
+const BrushEditor = require('./brush-editor')
+const PerspectiveEditor = require('./perspective-editor')
+const ScriptMergeDialog = require('./script-merge-dialog')
 const DiagnosticsView = require('./diagnostics-view')
 const sfx = require('../wonderunit-sound')
 const keytracker = require('../utils/keytracker')
@@ -52,13 +58,29 @@ const exporterCopyProject = require('../exporters/copy-project')
 const exporterArchive = require('../exporters/archive')
 const exporterWeb = require('../exporters/web')
 const exporterPsd = require('../exporters/psd')
+const exporterTextToSpeech = require('../exporters/text-to-speech')
 
 const importerPsd = require('../importers/psd')
+const fountainBoardSync = require('../fountain-board-sync')
 
 const sceneSettingsView = require('./scene-settings-view')
 
 const boardModel = require('../models/board')
 const watermarkModel = require('../models/watermark')
+const historyModel = require('../models/history')
+const reviewModel = require('../models/review')
+const audioTracksModel = require('../models/audio-tracks')
+const boardAudioModel = require('../models/board-audio')
+const retimeModel = require('../models/retime')
+const scratchVoiceModel = require('../models/scratch-voice')
+const cameraMoveModel = require('../models/camera-move')
+const brushesModel = require('../models/brushes')
+const perspectiveModel = require('../models/perspective')
+const userLayersModel = require('../models/user-layers')
+const brushesStorage = require('../shared/store/brushesStorage')
+const transitionModel = require('../models/transition')
+const { findSceneFilePath } = require('../models/scene')
+const videoExportPresetModel = require('../models/video-export-preset')
 
 const AudioPlayback = require('./audio-playback')
 const AudioFileControlView = require('./audio-file-control-view')
@@ -152,6 +174,8 @@ const updateHTMLText = () => {
     translateTooltip("#toolbar-move", "main-window.toolbar.editing.toolbar-move")
     translateTooltip("#toolbar-scale", "main-window.toolbar.editing.toolbar-scale")
     translateTooltip("#toolbar-marquee", "main-window.toolbar.editing.toolbar-marquee")
+    translateTooltip("#toolbar-flood-fill", "main-window.toolbar.editing.toolbar-flood-fill")
+    translateTooltip("#toolbar-lasso-fill", "main-window.toolbar.editing.toolbar-lasso-fill")
     //#endregion
     //#region Undo / Redo
     translateTooltip("#toolbar-undo", "main-window.toolbar.actions.toolbar-undo")
@@ -204,6 +228,9 @@ const updateHTMLText = () => {
   translateTooltip("#merge-up-tooltip", "main-window.board-information.merge-up-tooltip")
   translateHtml("#merge-up-title", "main-window.board-information.merge-up-title")
   translateTooltip("#layer-opacity-tooltip", "main-window.board-information.layer-opacity-tooltip")
+  translateHtml("#user-layers-title", "main-window.board-information.user-layers-title")
+  translateTooltip("#add-user-layer-tooltip", "main-window.board-information.add-user-layer-tooltip")
+  translateHtml("#add-user-layer-title", "main-window.board-information.add-user-layer-title")
   translateTooltip("#sts-random", "main-window.board-information.sts-random")
   translateTooltip("#sts-input1", "main-window.board-information.sts-input1")
   translateTooltip("#sts-select", "main-window.board-information.sts-select")
@@ -335,6 +362,10 @@ let transport
 let guides
 let onionSkin
 let layersEditor
+let cameraMoveEditor
+let brushEditor
+let perspectiveEditor
+let scriptMergeDialog
 let pomodoroTimerView
 // let shotTemplateSystem
 let audioPlayback
@@ -490,6 +521,16 @@ const load = async (event, args) => {
     await verifyScene()
     await renderScene()
 
+    // pick up the undo history from the last session
+    try {
+      undoStack.attachJournal(
+        undoJournal.createJournal(scriptFilePath || boardFilename),
+        { maxLength: prefsModule.getPrefs()['undoHistoryDepth'] }
+      )
+    } catch (err) {
+      log.error('Could not load undo history', err)
+    }
+
     logToView({ type: 'progress', message: 'Preparing to display' })
 
     resize()
@@ -1051,10 +1092,7 @@ const loadBoardUI = async () => {
       storyboarderSketchPane.sketchPane.efficiencyMode = !enableHighQualityDrawingEngine
       
       // Reload brushes
-      storyboarderSketchPane.sketchPane.loadBrushes({
-        brushes: JSON.parse(fs.readFileSync(path.join(__dirname, '..', '..', 'data', 'brushes', 'brushes.json'))),
-        brushImagePath: path.join(__dirname, '..', '..', 'data', 'brushes')
-      }).then(() => {
+      storyboarderSketchPane.loadBrushes().then(() => {
         notifications.notify({
           message: 'WebGL context recovered successfully!',
           timing: 5
@@ -1074,6 +1112,7 @@ const loadBoardUI = async () => {
         storyboarderSketchPane.sketchPane.newLayer({ name: 'notes' })
         storyboarderSketchPane.sketchPane.newLayer({ name: 'guides' })
         storyboarderSketchPane.sketchPane.newLayer({ name: 'composite' })
+        storyboarderSketchPane.resetUserLayers()
         
         // Update the current board
         if (typeof updateSketchPaneBoard === 'function') {
@@ -1109,6 +1148,15 @@ const loadBoardUI = async () => {
   }
   await storyboarderSketchPane.load()
 
+  try {
+    customBrushes = brushesStorage.loadBrushes()
+    if (customBrushes.length) await applyCustomBrushes()
+  } catch (err) {
+    log.error(err)
+    notifications.notify({ message: 'Could not load custom brushes.' })
+    notifications.notify({ message: `[ERROR] ${err.message}` })
+  }
+
   window.addEventListener('resize', () => {
     resize()
     // storyboarderSketchPane.resize()
@@ -1185,7 +1233,7 @@ const loadBoardUI = async () => {
       let pixels = storyboarderSketchPane.sketchPane.extractThumbnailPixels(
         storyboarderSketchPane.sketchPane.width,
         storyboarderSketchPane.sketchPane.height,
-        storyboarderSketchPane.visibleLayersIndices
+        storyboarderSketchPane.getRenderedLayersIndices()
       )
       // un-premultiply
       SketchPaneUtil.arrayPostDivide(pixels)
@@ -1225,6 +1273,8 @@ const loadBoardUI = async () => {
       switch (e.target.name) {
         case 'duration':
         case 'frames':
+        case 'transition-duration':
+        case 'audio-offset':
           textInputAllowAdvance = true
           break
       }
@@ -1295,6 +1345,28 @@ const loadBoardUI = async () => {
           renderThumbnailDrawer()
           renderMarkerPosition()
           break
+        case 'transition-duration':
+          // empty is the default duration
+          let newTransitionDuration = isNaN(parseInt(e.target.value, 10))
+            ? transitionModel.DEFAULT_DURATION
+            : parseInt(e.target.value, 10)
+
+          for (let index of selections) {
+            let board = boardData.boards[index]
+            if (transitionModel.hasTransition(board)) {
+              transitionModel.setTransition(board, { ...board.transition, duration: newTransitionDuration })
+            }
+          }
+          break
+        case 'audio-offset':
+          // empty is no offset
+          if (boardData.boards[currentBoard].audio) {
+            boardAudioModel.setTrim(boardData.boards[currentBoard].audio, {
+              offset: isNaN(parseInt(e.target.value, 10)) ? 0 : parseInt(e.target.value, 10)
+            })
+            renderThumbnailDrawer()
+          }
+          break
         case 'dialogue':
           boardData.boards[currentBoard].dialogue = (e.target.value)
           break
@@ -1571,11 +1643,167 @@ const loadBoardUI = async () => {
     )
   })
 
-  // Update renderMetaData to include custom layers
+  // Review status and comments
+  const reviewCommentsContainer = document.getElementById('review-comments')
+  const reviewCommentText = document.getElementById('review-comment-text')
+
+  const getReviewAuthor = () =>
+    prefsModule.getPrefs()['reviewAuthorName'] || os.userInfo().username
+
+  const renderReviewEntry = (entry, prefix) => {
+    const entryEl = document.createElement('div')
+    entryEl.className = 'review-entry'
+    entryEl.innerHTML = `
+      <div class="review-entry-header">
+        <span class="review-entry-author"></span>
+        <span class="review-entry-time"></span>
+        <button class="review-entry-remove">×</button>
+      </div>
+      <div class="review-entry-text"></div>
+    `
+    entryEl.querySelector('.review-entry-author').textContent = [prefix, entry.author].filter(Boolean).join(' ')
+    entryEl.querySelector('.review-entry-time').textContent = moment(entry.createdAt).fromNow()
+    entryEl.querySelector('.review-entry-text').textContent = entry.text
+    entryEl.querySelector('.review-entry-remove').addEventListener('click', () => {
+      storeUndoStateForScene(true)
+      reviewModel.removeComment(boardData.boards[currentBoard], entry.id)
+      storeUndoStateForScene()
+      markBoardFileDirty()
+      renderReview()
+      renderThumbnailDrawer()
+    })
+    return entryEl
+  }
+
+  const renderReview = () => {
+    const board = boardData.boards[currentBoard]
+    document.getElementById('review-status').value = reviewModel.getStatus(board)
+
+    reviewCommentsContainer.innerHTML = ''
+    reviewModel.getComments(board).forEach((comment, n) => {
+      const commentEl = document.createElement('div')
+      commentEl.className = 'review-comment'
+      commentEl.appendChild(renderReviewEntry(comment, comment.point ? `#${n + 1} 📍` : `#${n + 1}`))
+
+      for (const reply of comment.replies || []) {
+        const replyEl = renderReviewEntry(reply)
+        replyEl.classList.add('review-reply')
+        commentEl.appendChild(replyEl)
+      }
+
+      const replyButton = document.createElement('button')
+      replyButton.className = 'review-btn review-reply-btn'
+      replyButton.textContent = 'Reply'
+      replyButton.addEventListener('click', () => {
+        const text = reviewCommentText.value.trim()
+        if (!text) {
+          notifications.notify({ message: 'Write the reply in the comment box, then click Reply.', timing: 5 })
+          return
+        }
+        storeUndoStateForScene(true)
+        reviewModel.addReply(boardData.boards[currentBoard], comment.id, { author: getReviewAuthor(), text })
+        storeUndoStateForScene()
+        reviewCommentText.value = ''
+        markBoardFileDirty()
+        renderReview()
+        renderThumbnailDrawer()
+      })
+      commentEl.appendChild(replyButton)
+
+      reviewCommentsContainer.appendChild(commentEl)
+    })
+  }
+
+  // `point` is relative to the board image, from 0 to 1
+  const addReviewComment = point => {
+    const text = reviewCommentText.value.trim()
+    if (!text) return
+
+    storeUndoStateForScene(true)
+    reviewModel.addComment(boardData.boards[currentBoard], { author: getReviewAuthor(), text, point })
+    storeUndoStateForScene()
+    reviewCommentText.value = ''
+    markBoardFileDirty()
+    renderReview()
+    renderThumbnailDrawer()
+  }
+
+  document.getElementById('review-status').addEventListener('change', e => {
+    storeUndoStateForScene(true)
+    for (let index of selections) {
+      reviewModel.setStatus(boardData.boards[index], e.target.value)
+    }
+    storeUndoStateForScene()
+    markBoardFileDirty()
+    renderThumbnailDrawer()
+  })
+
+  document.getElementById('review-add-comment').addEventListener('click', () => addReviewComment())
+
+  document.getElementById('review-pin-comment').addEventListener('click', () => {
+    if (!reviewCommentText.value.trim()) {
+      notifications.notify({ message: 'Write a comment first, then pin it to the board.', timing: 5 })
+      return
+    }
+    notifications.notify({ message: 'Click on the board to pin the comment.', timing: 5 })
+
+    // capture the next click on the canvas, before it reaches the drawing tools
+    const sketchPaneDOMElement = storyboarderSketchPane.sketchPane.getDOMElement()
+    const onPointerDown = e => {
+      e.preventDefault()
+      e.stopPropagation()
+      sketchPaneDOMElement.removeEventListener('pointerdown', onPointerDown, true)
+
+      const { sketchPane } = storyboarderSketchPane
+      const point = sketchPane.localizePoint(e)
+      const x = point.x / sketchPane.width
+      const y = point.y / sketchPane.height
+      if (x < 0 || x > 1 || y < 0 || y > 1) {
+        notifications.notify({ message: 'That point is outside of the board.', timing: 5 })
+        return
+      }
+      addReviewComment({ x, y })
+    }
+    sketchPaneDOMElement.addEventListener('pointerdown', onPointerDown, true)
+  })
+
+  const renderTransition = () => {
+    const board = boardData.boards[currentBoard]
+    const durationInput = document.getElementById('transition-duration')
+    document.getElementById('transition-type').value = transitionModel.hasTransition(board)
+      ? board.transition.type
+      : ''
+    durationInput.value = transitionModel.hasTransition(board)
+      ? board.transition.duration
+      : ''
+    durationInput.disabled = !transitionModel.hasTransition(board)
+  }
+
+  document.getElementById('transition-type').addEventListener('change', e => {
+    for (let index of selections) {
+      let board = boardData.boards[index]
+      if (e.target.value) {
+        transitionModel.setTransition(board, {
+          type: e.target.value,
+          duration: transitionModel.hasTransition(board) ? board.transition.duration : undefined
+        })
+      } else {
+        transitionModel.clearTransition(board)
+      }
+    }
+    markBoardFileDirty()
+    renderTransition()
+  })
+
+  // Update renderMetaData to include custom layers and review comments
   const originalRenderMetaData = renderMetaData
   renderMetaData = () => {
     originalRenderMetaData()
     initializeCustomLayers()
+    renderReview()
+    renderTransition()
+    renderCameraMoveEditor()
+    renderPerspective()
   }
 
 
@@ -1888,7 +2116,6 @@ const loadBoardUI = async () => {
   guides = new Guides({
     width: storyboarderSketchPane.sketchPane.width,
     height: storyboarderSketchPane.sketchPane.height,
-    perspectiveGridFn: () => {}, // shotTemplateSystem.requestGrid.bind(shotTemplateSystem),
     onRender: guideCanvas => {
       storyboarderSketchPane.sketchPane.layers[
         storyboarderSketchPane.sketchPane.layers.findByName('guides').index
@@ -1916,6 +2143,46 @@ const loadBoardUI = async () => {
       )
     }
   })
+  cameraMoveEditor = new CameraMoveEditor({
+    sketchPane: storyboarderSketchPane.sketchPane,
+    onChange: cameraMove => {
+      let board = boardData.boards[currentBoard]
+      storeUndoStateForScene(true)
+      if (cameraMove) {
+        cameraMoveModel.setCameraMove(board, cameraMove)
+      } else {
+        cameraMoveModel.clearCameraMove(board)
+      }
+      storeUndoStateForScene()
+      markBoardFileDirty()
+    }
+  })
+  perspectiveEditor = new PerspectiveEditor({
+    sketchPane: storyboarderSketchPane.sketchPane,
+    onChange: perspective => {
+      let board = boardData.boards[currentBoard]
+      storeUndoStateForScene(true)
+      if (perspective) {
+        perspectiveModel.setPerspective(board, perspective)
+      } else {
+        perspectiveModel.clearPerspective(board)
+      }
+      storeUndoStateForScene()
+      markBoardFileDirty()
+      renderPerspective()
+    }
+  })
+  brushEditor = new BrushEditor({
+    container: storyboarderSketchPane.containerEl,
+    getImageNames: brushesStorage.getImageNames,
+    onImportImage: importBrushImage,
+    onChange: brush => {
+      customBrushes = customBrushes.map(b => b.id === brush.id ? withToolSettings(brush) : b)
+      saveCustomBrushes().catch(onCustomBrushesError('Could not save brush.'))
+    }
+  })
+  // keep the brush editor on the current tool
+  observeStore(store, state => state.toolbar.activeTool, renderBrushEditor)
   // connect toolbar state to UI
   observeStore(store, state => state.toolbar, () => {
     const state = store.getState()
@@ -1925,7 +2192,7 @@ const loadBoardUI = async () => {
       grid: state.toolbar.grid,
       center: state.toolbar.center,
       thirds: state.toolbar.thirds,
-      perspective: false // state.toolbar.perspective
+      perspective: state.toolbar.perspective
     })
 
     // connect to captions
@@ -1994,6 +2261,59 @@ const loadBoardUI = async () => {
     await updateThumbnailDisplayFromFile(index)
     */
   })
+  layersEditor.on('addUserLayer', () => {
+    if (storyboarderSketchPane.preventIfLocked()) return
+
+    storeUndoStateForScene(true)
+    let layer = userLayersModel.addUserLayer(boardData.boards[currentBoard])
+    storeUndoStateForScene()
+    storyboarderSketchPane.setActiveUserLayerId(layer.id)
+    updateUserLayers()
+  })
+  layersEditor.on('removeUserLayer', async id => {
+    if (storyboarderSketchPane.preventIfLocked()) return
+
+    let board = boardData.boards[currentBoard]
+    let { name } = userLayersModel.getUserLayer(board, id)
+
+    // the image file is kept, so undo can load it again
+    await saveImageFile()
+
+    storeUndoStateForScene(true)
+    userLayersModel.removeUserLayer(board, id)
+    storeUndoStateForScene()
+    updateUserLayers()
+
+    sfx.playEffect('trash')
+    notifications.notify({ message: `Deleted the layer “${name}”. If this is not what you want, undo now!`, timing: 5 })
+  })
+  layersEditor.on('changeUserLayer', (id, props) => {
+    if (storyboarderSketchPane.preventIfLocked()) {
+      renderUserLayers()
+      return
+    }
+
+    storeUndoStateForScene(true)
+    userLayersModel.setUserLayer(boardData.boards[currentBoard], id, props)
+    storeUndoStateForScene()
+    updateUserLayers()
+  })
+  layersEditor.on('moveUserLayer', (id, offset) => {
+    if (storyboarderSketchPane.preventIfLocked()) return
+
+    storeUndoStateForScene(true)
+    userLayersModel.moveUserLayer(boardData.boards[currentBoard], id, offset)
+    storeUndoStateForScene()
+    updateUserLayers()
+  })
+  layersEditor.on('selectUserLayer', id => {
+    storyboarderSketchPane.setActiveUserLayerId(id)
+    renderUserLayers()
+  })
+  storyboarderSketchPane.on('currentLayerLocked', () => {
+    sfx.error()
+    notifications.notify({ message: 'The current layer is locked or hidden.', timing: 5 })
+  })
   storyboarderSketchPane.on('beforePointerDown', () => {
     // if artist is drawing on the reference layer, ensure it has opacity
     if (
@@ -2125,7 +2445,7 @@ const loadBoardUI = async () => {
         let pixels = storyboarderSketchPane.sketchPane.extractThumbnailPixels(
           storyboarderSketchPane.sketchPane.width,
           storyboarderSketchPane.sketchPane.height,
-          storyboarderSketchPane.visibleLayersIndices
+          storyboarderSketchPane.getRenderedLayersIndices()
         )
         // un-premultiply
         SketchPaneUtil.arrayPostDivide(pixels)
@@ -2213,6 +2533,12 @@ const loadBoardUI = async () => {
     saveImageFile() // NOTE image is saved first, which ensures layers are present in data
     saveBoardFile() // ... then project data can be saved
 
+    try {
+      undoStack.flushJournalSync()
+    } catch (err) {
+      log.error('Could not save undo history', err)
+    }
+
     // try to close the Shot Generator based on its URL
     //
     // HACK find the Shot Generator window manually
@@ -2385,6 +2711,8 @@ const loadBoardUI = async () => {
       storeUndoStateForScene(true)
       board.audio = board.audio || {}
       board.audio.filename = newFilename
+      // trims were for the previous file
+      boardAudioModel.resetTrim(board.audio)
       // update the audio playback buffers
       const { failed } = await audioPlayback.updateBuffers()
       failed.forEach(filename => notifications.notify({ message: `Could not load audio file ${filename}` }))
@@ -2548,6 +2876,8 @@ const loadBoardUI = async () => {
       storeUndoStateForScene(true)
       board.audio = board.audio || {}
       board.audio.filename = newFilename
+      // trims were for the previous file
+      boardAudioModel.resetTrim(board.audio)
       // update the audio playback buffers
       const { failed } = await audioPlayback.updateBuffers()
       failed.forEach(filename => notifications.notify({ message: `Could not load audio file ${filename}` }))
@@ -2573,7 +2903,27 @@ const loadBoardUI = async () => {
     },
     onNotify: function (...rest) {
       notifications.notify(...rest)
-    }
+    },
+    onTrim: function (trim) {
+      let board = boardData.boards[currentBoard]
+      if (!board.audio) return
+
+      storeUndoStateForScene(true)
+      boardAudioModel.setTrim(board.audio, trim)
+      storeUndoStateForScene()
+
+      // mark .storyboarder scene JSON file dirty
+      markBoardFileDirty()
+
+      renderThumbnailDrawer()
+      audioFileControlView.setState({
+        boardAudio: board.audio
+      })
+
+      // audition the trimmed audio
+      audioPlayback.playBoard(currentBoard)
+    },
+    getAudioBufferByFilename: filename => audioPlayback.getAudioBufferByFilename(filename)
   })
 
   menu.setMenu(i18n)
@@ -2611,6 +2961,7 @@ const renderScene = async () => {
       currentBoardIndex: currentBoard,
 
       getAudioBufferByFilename: audioPlayback.getAudioBufferByFilename.bind(audioPlayback),
+      getAudioBufferByClipId: audioPlayback.getAudioBufferByClipId.bind(audioPlayback),
 
       onSetCurrentBoardIndex: async (index, modifiers = {}) => {
         const { altKey, ctrlKey, shiftKey } = modifiers
@@ -2670,6 +3021,32 @@ const renderScene = async () => {
         renderMetaData()
       },
 
+      onModifyAudioClip: (id, mode, deltaInMsecs) => {
+        let { clip } = audioTracksModel.findClip(boardData, id)
+        if (!clip) return
+
+        storeUndoStateForScene(true)
+        if (mode === 'move') {
+          audioTracksModel.moveClip(boardData, id, clip.start + deltaInMsecs)
+        } else {
+          let buffer = audioPlayback.getAudioBufferByClipId(id)
+          let sourceDuration = buffer && buffer.loaded ? buffer.duration * 1000 : undefined
+          audioTracksModel.trimClip(
+            boardData,
+            id,
+            mode === 'trim-start'
+              ? { start: clip.start + deltaInMsecs }
+              : { end: audioTracksModel.getClipEnd(clip) + deltaInMsecs },
+            sourceDuration
+          )
+        }
+        storeUndoStateForScene()
+        markBoardFileDirty()
+        renderSceneTimeline()
+      },
+
+      onAudioClipContextMenu: id => openAudioClipContextMenu(id),
+
       getSrcByUid: uid => {
         if (srcByUid[uid]) {
           return srcByUid[uid]
@@ -2919,11 +3296,650 @@ const updateAudioDurations = () => {
       // log.info(`set audio duration to ${board.audio.duration}`)
     }
   }
+  // audio lane clips use the whole file, unless trimmed
+  for (let clip of audioTracksModel.getClips(boardData)) {
+    if (clip.duration == null) {
+      let buffer = audioPlayback.getAudioBufferByClipId(clip.id)
+      if (buffer && buffer.loaded) {
+        clip.duration = Math.max(0, Math.round(buffer.duration * 1000) - clip.offset)
+        shouldSave = true
+      }
+    }
+  }
   if (shouldSave) {
     markBoardFileDirty()
   }
 }
 
+// sets the duration of each board from its audio or dialogue (see: models/retime)
+const retimeScene = async method => {
+  stopPlaying()
+
+  let options = {
+    method,
+    wordsPerMinute: prefsModule.getPrefs('retime')['retimeWordsPerMinute']
+  }
+
+  if (method === 'speech') {
+    let boards = boardData.boards.filter(board => board.dialogue && retimeModel.getSpokenText(board.dialogue).length)
+    if (boards.length) {
+      notifications.notify({ message: `Timing text-to-speech for ${boards.length} boards. This takes as long as the dialogue …`, timing: 5 })
+    }
+    options.speechDurations = {}
+    speechSynthesis.cancel()
+    for (let board of boards) {
+      let duration = await measureSpeech(retimeModel.getSpokenText(board.dialogue))
+      if (duration == null) {
+        // nothing could be said yet, so don't wait on the rest
+        if (!Object.keys(options.speechDurations).length) break
+        // boards which can't be said keep their duration
+        continue
+      }
+      options.speechDurations[board.uid] = duration
+    }
+    if (boards.length && !Object.keys(options.speechDurations).length) {
+      notifications.notify({ message: 'Could not time the dialogue. Text-to-speech is not available, check that a voice is installed.', timing: 5 })
+      return
+    }
+  }
+
+  let changes = retimeModel.getChanges(boardData, options)
+  if (!changes.length) {
+    notifications.notify({
+      message: method === 'audio'
+        ? 'No boards to retime. Boards are retimed from their audio, and none have audio of a different length.'
+        : 'No boards to retime. Boards are retimed from their dialogue, and none have dialogue of a different length.',
+      timing: 5
+    })
+    return
+  }
+
+  // preview the change in the length of the scene
+  let before = retimeModel.getSceneDuration(boardData)
+  let after = retimeModel.getSceneDuration(boardData, changes)
+  let difference = `${after < before ? '-' : '+'}${(Math.abs(after - before) / 1000).toFixed(1)}s`
+
+  const { response } = await remote.dialog.showMessageBox({
+    type: 'question',
+    buttons: ['Retime', 'Cancel'],
+    defaultId: 0,
+    cancelId: 1,
+    title: 'Retime Scene',
+    message: `Retime ${changes.length} of ${boardData.boards.length} boards ${retimeModel.METHOD_LABELS[method]}?`,
+    detail: `The scene will change from ${util.msToTime(before)} to ${util.msToTime(after)} (${difference}).` +
+      (method === 'words'
+        ? `\n\nDialogue is timed at ${retimeModel.getWordsPerMinute(options.wordsPerMinute)} words per minute, which can be changed in Preferences.`
+        : '')
+  })
+  if (response !== 0) return
+
+  storeUndoStateForScene(true)
+  retimeModel.applyChanges(boardData, changes)
+  storeUndoStateForScene()
+
+  markBoardFileDirty()
+  renderThumbnailDrawer()
+  renderMetaData()
+  renderMarkerPosition()
+}
+
+const addAudioClip = async kind => {
+  const { filePaths } = await remote.dialog.showOpenDialog({
+    title: `Add ${audioTracksModel.KIND_LABELS[kind]} Audio Clip`,
+    filters: [
+      {
+        name: 'Audio',
+        extensions: ALLOWED_AUDIO_FILE_EXTENSIONS
+      }
+    ]
+  })
+  if (!filePaths.length) return
+
+  let filepath = filePaths[0]
+  // prefix, so clips never overwrite another file in the project
+  let newFilename = `audio-${util.uidGen(5)}-${path.basename(filepath)}`
+  fs.copySync(filepath, path.join(boardPath, 'images', newFilename))
+
+  // starts at the current board
+  storeUndoStateForScene(true)
+  audioTracksModel.addClip(boardData, kind, {
+    filename: newFilename,
+    start: boardData.boards[currentBoard].time
+  })
+
+  const { failed } = await audioPlayback.updateBuffers()
+  failed.forEach(filename => notifications.notify({ message: `Could not load audio file ${filename}` }))
+  updateAudioDurations()
+  storeUndoStateForScene()
+
+  markBoardFileDirty()
+  renderSceneTimeline()
+}
+
+const openAudioClipContextMenu = id => {
+  let { clip, track } = audioTracksModel.findClip(boardData, id)
+  if (!clip) return
+
+  const modify = fn => () => {
+    storeUndoStateForScene(true)
+    fn()
+    storeUndoStateForScene()
+    markBoardFileDirty()
+    renderSceneTimeline()
+  }
+
+  const GAINS_IN_DB = [6, 3, 0, -3, -6, -12, -18]
+  const FADES_IN_MSECS = [0, 250, 500, 1000, 2000]
+  const formatFade = msecs => msecs ? `${msecs / 1000}s` : 'None'
+
+  let db = Math.round(audioTracksModel.gainToDecibels(clip.gain))
+
+  remote.Menu.buildFromTemplate([
+    {
+      label: 'Gain',
+      submenu: GAINS_IN_DB.map(value => ({
+        label: `${value > 0 ? '+' : ''}${value} dB`,
+        type: 'radio',
+        checked: value === db,
+        click: modify(() => audioTracksModel.updateClip(boardData, id, { gain: audioTracksModel.decibelsToGain(value) }))
+      }))
+    },
+    {
+      label: 'Fade In',
+      submenu: FADES_IN_MSECS.map(value => ({
+        label: formatFade(value),
+        type: 'radio',
+        checked: value === clip.fadeIn,
+        click: modify(() => audioTracksModel.updateClip(boardData, id, { fadeIn: value }))
+      }))
+    },
+    {
+      label: 'Fade Out',
+      submenu: FADES_IN_MSECS.map(value => ({
+        label: formatFade(value),
+        type: 'radio',
+        checked: value === clip.fadeOut,
+        click: modify(() => audioTracksModel.updateClip(boardData, id, { fadeOut: value }))
+      }))
+    },
+    { type: 'separator' },
+    {
+      label: 'Move to Current Board',
+      click: modify(() => audioTracksModel.moveClip(boardData, id, boardData.boards[currentBoard].time))
+    },
+    {
+      label: `Mute ${track.name} Lane`,
+      type: 'checkbox',
+      checked: !!track.muted,
+      click: modify(() => { track.muted = !track.muted })
+    },
+    { type: 'separator' },
+    {
+      label: 'Remove Clip',
+      click: modify(() => audioTracksModel.removeClip(boardData, id))
+    }
+  ]).popup({ window: remote.getCurrentWindow() })
+}
+
+// choose a voice for each character, then render the scratch voice (see: models/scratch-voice)
+const openScratchVoiceMenu = async () => {
+  let voices = await exporterTextToSpeech.getVoices()
+  let scratchVoices = prefsModule.getPrefs()['scratchVoices'] || {}
+  // the script's characters, if there is a script
+  let voiceCharacters = scratchVoiceModel.getCharacters(boardData, scriptData ? characters : undefined)
+  let { tasks, skipped } = scratchVoiceModel.getTasks(boardData, scratchVoices)
+
+  // re-opens the menu, so the next character can be set
+  const setVoice = (character, voice) => () => {
+    prefsModule.set('scratchVoices', { ...scratchVoices, [character]: voice }, true)
+    openScratchVoiceMenu().catch(err => log.error(err))
+  }
+
+  remote.Menu.buildFromTemplate([
+    ...voiceCharacters.map(character => ({
+      label: character,
+      submenu: [undefined, ...voices].map(voice => ({
+        label: voice || 'System Default',
+        type: 'radio',
+        checked: scratchVoiceModel.getVoice(scratchVoices, character) === voice,
+        click: setVoice(character, voice)
+      }))
+    })),
+    ...(voiceCharacters.length ? [{ type: 'separator' }] : []),
+    {
+      label: tasks.length
+        ? `Generate Scratch Voice for ${tasks.length} ${tasks.length === 1 ? 'Board' : 'Boards'}`
+        : 'Scratch Voice is Up to Date',
+      enabled: tasks.length > 0,
+      click: () => {
+        generateScratchVoice(tasks, skipped).catch(err => {
+          log.error(err)
+          notifications.notify({ message: 'Could not generate scratch voice. An error occurred.' })
+          notifications.notify({ message: err.toString() })
+        })
+      }
+    }
+  ]).popup({ window: remote.getCurrentWindow() })
+}
+
+const generateScratchVoice = async (tasks, skipped) => {
+  notifications.notify({ message: `Generating scratch voice for ${tasks.length} boards …`, timing: 5 })
+
+  let rendered = []
+  for (let task of tasks) {
+    let board = boardData.boards[task.index]
+    let filename = scratchVoiceModel.getFilename(board, Date.now())
+    await exporterTextToSpeech.renderSpeech({
+      text: task.text,
+      voice: task.voice,
+      outputPath: path.join(boardPath, 'images', filename)
+    })
+    rendered.push({ board, filename, task })
+  }
+
+  storeUndoStateForScene(true)
+  for (let { board, filename, task } of rendered) {
+    scratchVoiceModel.setScratchAudio(board, filename, task)
+  }
+  const { failed } = await audioPlayback.updateBuffers()
+  failed.forEach(filename => notifications.notify({ message: `Could not load audio file ${filename}` }))
+  updateAudioDurations()
+  storeUndoStateForScene()
+
+  markBoardFileDirty()
+  renderThumbnailDrawer()
+  audioFileControlView.setState({
+    boardAudio: boardData.boards[currentBoard].audio
+  })
+
+  notifications.notify({
+    message: `Generated scratch voice for ${rendered.length} boards.` +
+      (skipped ? ` ${skipped} boards with other audio were left alone.` : ''),
+    timing: 5
+  })
+}
+
+// custom brushes, as saved (see: models/brushes)
+let customBrushes = []
+
+const BRUSH_PACK_EXTENSION = 'brushpack'
+
+const onCustomBrushesError = message => err => {
+  log.error(err)
+  notifications.notify({ message })
+  notifications.notify({ message: `[ERROR] ${err.message}` })
+}
+
+// brushes with missing images can't be loaded
+const getUsableCustomBrushes = () => {
+  let imageNames = brushesStorage.getImageNames()
+  return customBrushes.filter(brush =>
+    imageNames.includes(brush.brushImage) && imageNames.includes(brush.grainImage))
+}
+
+// loads the brushes into the sketch pane, and makes them tools in the toolbar
+const applyCustomBrushes = async () => {
+  let brushes = getUsableCustomBrushes()
+  let error
+  try {
+    await storyboarderSketchPane.setCustomBrushes(brushes)
+  } catch (err) {
+    // fall back to the built-in brushes
+    error = err
+    brushes = []
+    await storyboarderSketchPane.setCustomBrushes(brushes)
+  }
+
+  store.dispatch({
+    type: 'TOOLBAR_CUSTOM_BRUSHES_SET',
+    payload: brushes.map(brushesModel.toToolState),
+    meta: { scope: 'local' }
+  })
+  renderBrushEditor()
+
+  if (error) throw error
+}
+
+const saveCustomBrushes = async () => {
+  brushesStorage.saveBrushes(customBrushes)
+  await applyCustomBrushes()
+}
+
+const getCurrentCustomBrush = () =>
+  brushesModel.getBrushByToolName(customBrushes, store.getState().toolbar.activeTool)
+
+// the brush, with its current color, size, and opacity from the toolbar
+const withToolSettings = brush => {
+  let tool = store.getState().toolbar.tools[brushesModel.getToolName(brush)]
+  return tool
+    ? {
+      ...brush,
+      color: tool.color,
+      size: tool.size,
+      nodeOpacity: tool.nodeOpacity,
+      strokeOpacity: tool.strokeOpacity,
+      palette: tool.palette
+    }
+    : brush
+}
+
+const selectCustomBrush = brush =>
+  store.dispatch({ type: 'TOOLBAR_TOOL_CHANGE', payload: brushesModel.getToolName(brush), meta: { scope: 'local' } })
+
+// duplicates the current custom brush, or makes a new one from the current built-in tool
+const createCustomBrush = async () => {
+  let toolbarState = store.getState().toolbar
+  let current = getCurrentCustomBrush()
+  let brush
+  if (current) {
+    brush = brushesModel.duplicateBrush(customBrushes, withToolSettings(current), util.uidGen(5))
+  } else {
+    let toolName = toolbarState.tools[toolbarState.activeTool] && toolbarState.activeTool !== 'eraser'
+      ? toolbarState.activeTool
+      : 'pencil'
+    let settings = brushesStorage.loadBuiltInBrushes().find(b => b.name === toolName)
+    brush = brushesModel.createBrush({
+      id: util.uidGen(5),
+      name: brushesModel.getUniqueName(customBrushes, `Custom ${settings.descriptiveName}`),
+      settings,
+      tool: toolbarState.tools[toolName]
+    })
+  }
+
+  customBrushes = [...customBrushes, brush]
+  await saveCustomBrushes()
+  selectCustomBrush(brush)
+  brushEditor.open(brush)
+}
+
+const deleteCustomBrush = async brush => {
+  const { response } = await remote.dialog.showMessageBox({
+    type: 'question',
+    buttons: ['Delete', 'Cancel'],
+    title: 'Confirm',
+    message: `Delete the brush “${brush.name}”?`
+  })
+  if (response !== 0) return
+
+  customBrushes = customBrushes.filter(b => b.id !== brush.id)
+  await saveCustomBrushes()
+}
+
+// returns the name of the image, or undefined if cancelled
+const importBrushImage = async () => {
+  const { filePaths } = await remote.dialog.showOpenDialog({
+    title: 'Import Brush Image',
+    filters: [{ name: 'PNG Image', extensions: ['png'] }]
+  })
+  if (!filePaths.length) return
+
+  try {
+    return brushesStorage.importImage(filePaths[0])
+  } catch (err) {
+    onCustomBrushesError('Could not import image.')(err)
+  }
+}
+
+const importBrushPack = async () => {
+  const { filePaths } = await remote.dialog.showOpenDialog({
+    title: 'Import Brush Pack',
+    filters: [{ name: 'Brush Pack', extensions: [BRUSH_PACK_EXTENSION] }]
+  })
+  if (!filePaths.length) return
+
+  let added = brushesStorage.readPack(filePaths[0], customBrushes, () => util.uidGen(5))
+  customBrushes = [...customBrushes, ...added]
+  await saveCustomBrushes()
+  notifications.notify({ message: `Imported ${added.length} ${added.length === 1 ? 'brush' : 'brushes'}.`, timing: 5 })
+}
+
+const exportBrushPack = async () => {
+  const { canceled, filePath } = await remote.dialog.showSaveDialog({
+    title: 'Export Brush Pack',
+    defaultPath: path.join(app.getPath('documents'), `Brushes.${BRUSH_PACK_EXTENSION}`),
+    filters: [{ name: 'Brush Pack', extensions: [BRUSH_PACK_EXTENSION] }]
+  })
+  if (canceled || !filePath) return
+
+  brushesStorage.writePack(filePath, customBrushes.map(withToolSettings))
+  notifications.notify({ message: `Exported ${customBrushes.length} brushes to ${path.basename(filePath)}.`, timing: 5 })
+}
+
+const openCustomBrushesMenu = () => {
+  let current = getCurrentCustomBrush()
+  let brushes = getUsableCustomBrushes()
+
+  remote.Menu.buildFromTemplate([
+    ...brushes.map(brush => ({
+      label: brush.name,
+      type: 'radio',
+      checked: brush === current,
+      click: () => selectCustomBrush(brush)
+    })),
+    ...(brushes.length ? [{ type: 'separator' }] : []),
+    {
+      label: current ? 'Duplicate Brush' : 'New Brush from Current Tool',
+      click: () => createCustomBrush().catch(onCustomBrushesError('Could not create brush.'))
+    },
+    {
+      label: 'Edit Brush…',
+      enabled: !!current,
+      click: () => brushEditor.open(current)
+    },
+    {
+      label: 'Delete Brush',
+      enabled: !!current,
+      click: () => deleteCustomBrush(current).catch(onCustomBrushesError('Could not delete brush.'))
+    },
+    { type: 'separator' },
+    {
+      label: 'Import Brush Pack…',
+      click: () => importBrushPack().catch(onCustomBrushesError('Could not import brush pack.'))
+    },
+    {
+      label: 'Export Brush Pack…',
+      enabled: customBrushes.length > 0,
+      click: () => exportBrushPack().catch(onCustomBrushesError('Could not export brush pack.'))
+    }
+  ]).popup({ window: remote.getCurrentWindow() })
+}
+
+// keep the editor on the current custom brush
+const renderBrushEditor = () => {
+  if (!brushEditor || !brushEditor.isOpen()) return
+
+  let current = getCurrentCustomBrush()
+  if (current) {
+    brushEditor.setBrush(current)
+  } else {
+    brushEditor.close()
+  }
+}
+
+// opens the perspective editor, adding a perspective to the current board if it doesn't have one yet
+const togglePerspectiveEditor = () => {
+  if (perspectiveEditor.isOpen()) {
+    perspectiveEditor.close()
+    return
+  }
+
+  let board = boardData.boards[currentBoard]
+  if (!perspectiveModel.hasPerspective(board)) {
+    storeUndoStateForScene(true)
+    perspectiveModel.setPerspective(board, perspectiveModel.createPerspective())
+    storeUndoStateForScene()
+    markBoardFileDirty()
+  }
+  if (!store.getState().toolbar.perspective) {
+    store.dispatch({ type: 'TOOLBAR_GUIDE_TOGGLE', payload: 'perspective' })
+  }
+  perspectiveEditor.open(board.perspective)
+  renderPerspective()
+}
+
+// show the perspective of the current board in the guide, and snap the line tool to it
+const renderPerspective = () => {
+  if (!perspectiveEditor) return
+
+  let board = boardData.boards[currentBoard]
+  guides.setPerspective(board.perspective)
+  storyboarderSketchPane.perspective = board.perspective
+
+  if (perspectiveEditor.isOpen()) {
+    if (perspectiveModel.hasPerspective(board)) {
+      perspectiveEditor.setPerspective(board.perspective)
+    } else {
+      perspectiveEditor.close()
+    }
+  }
+}
+
+// draw the user layers of the current board, and list them in the layers editor
+const renderUserLayers = () => {
+  let userLayers = userLayersModel.getUserLayers(boardData.boards[currentBoard])
+  storyboarderSketchPane.setUserLayers(userLayers)
+  layersEditor.renderUserLayers(userLayers, storyboarderSketchPane.activeUserLayerId)
+}
+
+// after the user layers of the current board have changed
+const updateUserLayers = async () => {
+  markBoardFileDirty()
+  renderUserLayers()
+
+  // update the posterframe and thumbnail
+  let board = boardData.boards[currentBoard]
+  await savePosterFrame(board, false)
+  let index = await saveThumbnailFile(currentBoard)
+  await updateThumbnailDisplayFromFile(index)
+}
+
+// opens the camera move editor, adding a camera move to the current board if it doesn't have one yet
+const toggleCameraMoveEditor = () => {
+  if (cameraMoveEditor.isOpen()) {
+    cameraMoveEditor.close()
+    return
+  }
+
+  let board = boardData.boards[currentBoard]
+  if (!cameraMoveModel.hasCameraMove(board)) {
+    storeUndoStateForScene(true)
+    cameraMoveModel.setCameraMove(board, cameraMoveModel.createCameraMove())
+    storeUndoStateForScene()
+    markBoardFileDirty()
+  }
+  cameraMoveEditor.open(board.cameraMove)
+}
+
+// keep the editor in sync with the current board
+const renderCameraMoveEditor = () => {
+  if (!cameraMoveEditor || !cameraMoveEditor.isOpen()) return
+
+  let board = boardData.boards[currentBoard]
+  if (cameraMoveModel.hasCameraMove(board)) {
+    cameraMoveEditor.setCameraMove(board.cameraMove)
+  } else {
+    cameraMoveEditor.close()
+  }
+}
+
+// preview the camera move during playback by transforming the sketch pane view
+const renderCameraMovePreview = (board, msecs) => {
+  let el = storyboarderSketchPane.sketchPane.app.view
+
+  if (!board || !cameraMoveModel.hasCameraMove(board)) {
+    el.style.transform = ''
+    return
+  }
+
+  let frame = cameraMoveModel.getFrameAtTime(
+    board.cameraMove,
+    boardModel.boardDuration(boardData, board),
+    msecs
+  )
+  el.style.transformOrigin = '0 0'
+  el.style.transform = cameraMoveModel.toCssTransform(frame, getBoardRectInView())
+}
+
+// preview the transition out of the board at `index` during playback, over the sketch pane
+let transitionPreviewEl
+const renderTransitionPreview = (index, time) => {
+  let transition = index != null
+    ? transitionModel.getTransition(boardData, index)
+    : undefined
+  let progress = transition
+    ? transitionModel.getProgress(transition, time)
+    : undefined
+
+  if (progress == null) {
+    if (transitionPreviewEl) transitionPreviewEl.style.display = 'none'
+    return
+  }
+
+  let view = storyboarderSketchPane.sketchPane.app.view
+  if (!transitionPreviewEl) {
+    transitionPreviewEl = document.createElement('div')
+    transitionPreviewEl.className = 'transition-preview'
+    transitionPreviewEl.innerHTML = `
+      <img class="transition-preview__next">
+      <div class="transition-preview__black"></div>
+    `
+    view.parentNode.appendChild(transitionPreviewEl)
+  }
+  let imageEl = transitionPreviewEl.querySelector('.transition-preview__next')
+  let blackEl = transitionPreviewEl.querySelector('.transition-preview__black')
+
+  let rect = getBoardRectInView()
+  transitionPreviewEl.style.display = 'block'
+  transitionPreviewEl.style.left = `${view.offsetLeft + rect.x}px`
+  transitionPreviewEl.style.top = `${view.offsetTop + rect.y}px`
+  transitionPreviewEl.style.width = `${rect.width}px`
+  transitionPreviewEl.style.height = `${rect.height}px`
+
+  let nextBoard = boardData.boards[index + 1]
+  if (nextBoard) {
+    let imageFilePath = path.join(boardPath, 'images', boardModel.boardFilenameForThumbnail(nextBoard))
+    let src = imageFilePath + '?' + getEtag(imageFilePath)
+    if (imageEl.getAttribute('src') !== src) imageEl.setAttribute('src', src)
+  }
+  imageEl.style.display = nextBoard ? 'block' : 'none'
+
+  // related: exporters/ffmpeg.js transitionBlendExpression
+  switch (transition.type) {
+    case 'dissolve':
+      imageEl.style.opacity = progress
+      imageEl.style.clipPath = ''
+      blackEl.style.opacity = 0
+      break
+    case 'wipe':
+      // left to right
+      imageEl.style.opacity = 1
+      imageEl.style.clipPath = `inset(0 ${(1 - progress) * 100}% 0 0)`
+      blackEl.style.opacity = 0
+      break
+    case 'fade-to-black':
+      // out to black, then in to the next board
+      imageEl.style.opacity = progress < 0.5 ? 0 : 1
+      imageEl.style.clipPath = ''
+      blackEl.style.opacity = progress < 0.5
+        ? progress * 2
+        : (1 - progress) * 2
+      break
+  }
+}
+
+// position of the board in the sketch pane view, in CSS pixels
+const getBoardRectInView = () => {
+  let { sketchPaneContainer, width, height } = storyboarderSketchPane.sketchPane
+  let topLeft = sketchPaneContainer.toGlobal({ x: 0, y: 0 })
+  let bottomRight = sketchPaneContainer.toGlobal({ x: width, y: height })
+  return {
+    x: topLeft.x,
+    y: topLeft.y,
+    width: bottomRight.x - topLeft.x,
+    height: bottomRight.y - topLeft.y
+  }
+}
+
 let markBoardFileDirty = () => {
   boardFileDirty = true
   clearTimeout(boardFileDirtyTimer)
@@ -2983,6 +3999,13 @@ let saveBoardFile = (opt = { force: false }) => {
       } catch (err) {
         log.error(err)
         alert('Could not save project.\n' + err)
+        return
+      }
+
+      try {
+        historyModel.createSnapshotIfStale(boardFilename)
+      } catch (err) {
+        log.error('could not save snapshot', err)
       }
     }
   }
@@ -3261,7 +4284,7 @@ const savePosterFrame = async (board, forceReadFromFiles = false, blank = false)
       let pixels = storyboarderSketchPane.sketchPane.extractThumbnailPixels(
         storyboarderSketchPane.sketchPane.width,
         storyboarderSketchPane.sketchPane.height,
-        storyboarderSketchPane.visibleLayersIndices
+        storyboarderSketchPane.getRenderedLayersIndices()
       )
 
       SketchPaneUtil.arrayPostDivide(pixels)
@@ -3314,13 +4337,26 @@ let openInEditor = async () => {
 
     // save each selected board to its own PSD
     for (board of selectedBoards) {
+      // the built-in layers, with the user layers of this board above ink
+      let names = storyboarderSketchPane.visibleLayersIndices
+        .map(index => storyboarderSketchPane.sketchPane.layers[index].name)
+        .filter(name => !userLayersModel.isUserLayerName(name))
+      names.splice(
+        names.indexOf('ink') + 1,
+        0,
+        ...userLayersModel.getUserLayers(board).map(layer => layer.id)
+      )
+
       // collect the layer image data
       let namedCanvases = []
-      for (let index of storyboarderSketchPane.visibleLayersIndices) {
-        let layer = storyboarderSketchPane.sketchPane.layers[index]
-        if (board.layers[layer.name]) {
+      for (let name of names) {
+        let userLayer = userLayersModel.getUserLayer(board, name)
+        let layer = userLayer
+          ? { name: userLayer.name, ...userLayersModel.toPsdLayer(userLayer) }
+          : { name }
+        if (board.layers[name]) {
           // load the image to a canvas
-          let image = await exporterCommon.getImage(path.join(boardPath, 'images', board.layers[layer.name].url))
+          let image = await exporterCommon.getImage(path.join(boardPath, 'images', board.layers[name].url))
 
           let canvas = document.createElement('canvas')
           let context = canvas.getContext('2d')
@@ -3331,8 +4367,8 @@ let openInEditor = async () => {
           context.drawImage(image, 0, 0)
 
           namedCanvases.push({
-            canvas,
-            name: layer.name
+            ...layer,
+            canvas
           })
         } else {
           // blank transparent layer
@@ -3343,8 +4379,8 @@ let openInEditor = async () => {
           canvas.height = storyboarderSketchPane.sketchPane.height
 
           namedCanvases.push({
-            canvas,
-            name: layer.name
+            ...layer,
+            canvas
           })
         }
       }
@@ -3512,6 +4548,14 @@ const refreshLinkedBoardByFilename = async (filename, options = { forceReadFromF
       path.join(boardPath, 'images', board.link)
     )
 
+    // a PSD with user layers is read layer by layer, to keep them
+    let psdLayers = importerPsd.fromPsdBuffer(buffer)
+    if (psdLayers && psdLayers.userLayers.length) {
+      await importPsdLayers(board, psdLayers, isCurrentBoard && !options.forceReadFromFiles)
+      log.info('\tdone!')
+      return
+    }
+
     log.info('\treading', path.join(boardPath, 'images', board.link))
     let canvas = importerPsd.fromPsdBufferComposite(buffer)
 
@@ -3547,6 +4591,14 @@ const refreshLinkedBoardByFilename = async (filename, options = { forceReadFromF
         }
       }
     }
+    // the flattened image replaces any user layers
+    for (let { id } of userLayersModel.getUserLayers(board)) {
+      userLayersModel.removeUserLayer(board, id)
+    }
+    if (isCurrentBoard && !options.forceReadFromFiles) {
+      renderUserLayers()
+    }
+
     log.info('\tupdating reference layer data')
     let filename = boardModel.boardFilenameForLayer(board, layer.name)
     board.layers.reference = {
@@ -3625,6 +4677,42 @@ const refreshLinkedBoardByFilename = async (filename, options = { forceReadFromF
   }
 }
 
+// replaces the layers of a board with the layers of its linked PSD (see: importers/psd#fromPsdBuffer)
+const importPsdLayers = async (board, { canvases, userLayers }, shouldReload) => {
+  let previous = userLayersModel.getUserLayers(board)
+  let imported = userLayers.map(layer => userLayersModel.fromPsdLayer(previous, layer))
+
+  let images = new Map([
+    ...Object.entries(canvases),
+    ...imported.map((layer, n) => [layer.id, userLayers[n].canvas])
+  ])
+
+  // clear the layers which are not in the PSD
+  // NOTE we DO NOT delete their PNG files from the file system
+  for (let name of Object.keys(board.layers)) {
+    if (!images.has(name)) delete board.layers[name]
+  }
+  board.userLayers = imported
+
+  for (let [name, canvas] of images) {
+    let filename = boardModel.boardFilenameForLayer(board, name)
+    log.info('\tsaving', name, 'layer to:', filename)
+    saveDataURLtoFile(canvas.toDataURL(), filename)
+    board.layers[name] = { ...board.layers[name], url: filename }
+  }
+  markBoardFileDirty()
+
+  if (shouldReload) {
+    await updateSketchPaneBoard()
+  }
+
+  // explicitly indicate to renderer that the thumbnail file has changed
+  setEtag(path.join(boardPath, 'images', boardModel.boardFilenameForThumbnail(board)))
+  let index = await saveThumbnailFile(boardData.boards.indexOf(board), { forceReadFromFiles: true })
+  await updateThumbnailDisplayFromFile(index)
+  await savePosterFrame(board, true)
+}
+
 // // always currentBoard
 // const saveProgressFile = () => {
 //   let imageFilePath = ''//
@@ -3673,7 +4761,7 @@ const renderThumbnailToNewCanvas = (index, options = { forceReadFromFiles: false
     let pixels = storyboarderSketchPane.sketchPane.extractThumbnailPixels(
       size[0],
       size[1],
-      storyboarderSketchPane.visibleLayersIndices
+      storyboarderSketchPane.getRenderedLayersIndices()
     )
 
     SketchPaneUtil.arrayPostDivide(pixels)
@@ -4064,7 +5152,7 @@ let gotoBoard = (boardNumber, shouldPreserveSelections = false) => {
     let pixels = storyboarderSketchPane.sketchPane.extractThumbnailPixels(
       storyboarderSketchPane.sketchPane.width,
       storyboarderSketchPane.sketchPane.height,
-      storyboarderSketchPane.visibleLayersIndices
+      storyboarderSketchPane.getRenderedLayersIndices()
     )
     // un-premultiply
     SketchPaneUtil.arrayPostDivide(pixels)
@@ -4833,6 +5921,9 @@ function * loadSketchPaneLayers (signal, board, indexToLoad) {
   // HACK yield to get key input and cancel if necessary
   yield CAF.delay(signal, 1)
 
+  // assign layers to the user layers of the board
+  renderUserLayers()
+
   // queue up image files for load
   let loadables = []
   // for every layer index
@@ -5085,6 +6176,13 @@ let renderThumbnailDrawer = () => {
         </div>
       `)
     }
+    let reviewStatus = reviewModel.getStatus(board)
+    let commentCount = reviewModel.getCommentCount(board)
+    if (reviewStatus !== reviewModel.DEFAULT_STATUS || commentCount) {
+      html.push(`<div class="review-badge review-badge-${reviewStatus}" title="${reviewModel.STATUS_LABELS[reviewStatus]}">`)
+      if (commentCount) html.push(commentCount)
+      html.push('</div>')
+    }
     html.push('<div class="caption">')
     if (board.dialogue) {
       html.push(board.dialogue)
@@ -5822,6 +6920,51 @@ window.onkeydown = (e) => {
       }
     }
 
+    if (isCommandPressed('drawing:flood-fill-mode')) {
+      if (store.getState().toolbar.mode !== 'floodFill') {
+        store.dispatch({
+          type: 'TOOLBAR_MODE_SET',
+          payload: 'floodFill',
+          meta: { scope: 'local' }
+        })
+        if (store.getState().toolbar.mode === 'floodFill') {
+          sfx.playEffect('metal')
+        }
+      }
+    }
+
+    if (isCommandPressed('drawing:lasso-fill-mode')) {
+      if (store.getState().toolbar.mode !== 'lassoFill') {
+        store.dispatch({
+          type: 'TOOLBAR_MODE_SET',
+          payload: 'lassoFill',
+          meta: { scope: 'local' }
+        })
+        if (store.getState().toolbar.mode === 'lassoFill') {
+          sfx.playEffect('metal')
+        }
+      }
+    }
+
+    if (store.getState().toolbar.mode === 'floodFill') {
+      let direction = isCommandPressed('drawing:flood-fill:gap-inc')
+        ? +1
+        : isCommandPressed('drawing:flood-fill:gap-dec')
+          ? -1
+          : 0
+      if (direction) {
+        store.dispatch({
+          type: 'TOOLBAR_FILL_GAP_SET',
+          payload: store.getState().toolbar.fillGap + direction,
+          meta: { scope: 'local' }
+        })
+        notifications.notify({
+          message: `Fill gap: ${store.getState().toolbar.fillGap}px`,
+          timing: 2
+        })
+      }
+    }
+
     if (isCommandPressed('menu:edit:copy')) {
       e.preventDefault()
       copyBoards()
@@ -5972,8 +7115,15 @@ let playbackFrom
 
 let speakingMode = false
 let utter = new SpeechSynthesisUtterance()
+const SPEECH_PITCH = 0.65
+const SPEECH_RATE = 1.1
+// with no voice available (e.g.: Chromium on Linux), text-to-speech never starts or ends
+const SPEECH_START_TIMEOUT_MSECS = 5000
 
 const startPlaying = () => {
+  if (cameraMoveEditor.isOpen()) cameraMoveEditor.close()
+  if (perspectiveEditor.isOpen()) perspectiveEditor.close()
+
   playbackMode = true
   playbackStart = process.hrtime.bigint()
   playbackFrom = boardData.boards[currentBoard].time
@@ -5994,6 +7144,8 @@ const stopPlaying = () => {
   playbackMode = false
 
   audioPlayback.stop()
+  renderCameraMovePreview()
+  renderTransitionPreview()
 
   utter.onend = null
   speechSynthesis.cancel()
@@ -6004,16 +7156,41 @@ const stopPlaying = () => {
 
 const playSpeech = () => {
   speechSynthesis.cancel()
-  utter.pitch = 0.65
-  utter.rate = 1.1
-
-  var string = boardData.boards[currentBoard].dialogue.split(':')
-  string = string[string.length - 1]
+  utter.pitch = SPEECH_PITCH
+  utter.rate = SPEECH_RATE
 
-  utter.text = string
+  utter.text = retimeModel.getSpokenText(boardData.boards[currentBoard].dialogue)
   speechSynthesis.speak(utter)
 }
 
+// how long text-to-speech takes to say the text, in msecs, by saying it silently
+// resolves undefined if it can't be said
+const measureSpeech = text => new Promise(resolve => {
+  let utterance = new SpeechSynthesisUtterance(text)
+  utterance.pitch = SPEECH_PITCH
+  utterance.rate = SPEECH_RATE
+  utterance.volume = 0
+
+  let start
+  let timeout = setTimeout(() => {
+    speechSynthesis.cancel()
+    resolve(undefined)
+  }, SPEECH_START_TIMEOUT_MSECS)
+  utterance.onstart = () => {
+    clearTimeout(timeout)
+    start = Date.now()
+  }
+  utterance.onend = () => {
+    clearTimeout(timeout)
+    resolve(start ? Date.now() - start : undefined)
+  }
+  utterance.onerror = () => {
+    clearTimeout(timeout)
+    resolve(undefined)
+  }
+  speechSynthesis.speak(utterance)
+})
+
 const togglePlayback = () =>
   playbackMode
     ? stopPlaying()
@@ -6048,6 +7225,11 @@ const playbackAdvance = async () => {
     await gotoBoard(boardData.boards.indexOf(boardNow))
   }
 
+  if (playbackMode) {
+    renderCameraMovePreview(boardNow, d - boardNow.time)
+    renderTransitionPreview(boardData.boards.indexOf(boardNow), d)
+  }
+
   // console.log('playbackAdvance', boardNow.number)
   requestAnimationFrame(playbackAdvance)
 }
@@ -6515,7 +7697,7 @@ let copyBoards = async () => {
       let pixels = storyboarderSketchPane.sketchPane.extractThumbnailPixels(
         storyboarderSketchPane.sketchPane.width,
         storyboarderSketchPane.sketchPane.height,
-        storyboarderSketchPane.visibleLayersIndices
+        storyboarderSketchPane.getRenderedLayersIndices()
       )
       SketchPaneUtil.arrayPostDivide(pixels)
       image = nativeImage.createFromDataURL(
@@ -6603,6 +7785,125 @@ const exportFcp = () => {
   }, 1000)
 }
 
+const exportOtio = () => {
+  notifications.notify({message: "Exporting " + boardData.boards.length + " boards to OpenTimelineIO. Please wait...", timing: 5})
+  sfx.down()
+  setTimeout(()=>{
+    exporter.exportOtio(boardData, boardFilename).then(outputPath => {
+      notifications.notify({message: "Your scene has been exported as an OpenTimelineIO timeline.", timing: 20})
+      sfx.positive()
+      shell.showItemInFolder(outputPath)
+    }).catch(err => {
+      log.error(err)
+      notifications.notify({ message: 'Could not export. An error occurred.' })
+      notifications.notify({ message: err.toString() })
+    })
+  }, 1000)
+}
+
+const exportEdl = () => {
+  notifications.notify({message: "Exporting " + boardData.boards.length + " boards to an EDL and a timeline XML. Please wait...", timing: 5})
+  sfx.down()
+  setTimeout(()=>{
+    exporter.exportEdl(boardData, boardFilename).then(outputPath => {
+      notifications.notify({message: "Your scene has been exported as a CMX3600 EDL, and a Storyboarder timeline XML (not an AAF file).", timing: 20})
+      sfx.positive()
+      shell.showItemInFolder(outputPath)
+    }).catch(err => {
+      log.error(err)
+      notifications.notify({ message: 'Could not export. An error occurred.' })
+      notifications.notify({ message: err.toString() })
+    })
+  }, 1000)
+}
+
+const exportSubtitles = () => {
+  try {
+    let outputPath = exporter.exportSubtitles(boardData, boardFilename)
+    notifications.notify({ message: "Your scene's dialogue has been exported as SRT and WebVTT subtitles.", timing: 20 })
+    sfx.positive()
+    shell.showItemInFolder(outputPath)
+  } catch (err) {
+    log.error(err)
+    notifications.notify({ message: 'Could not export. An error occurred.' })
+    notifications.notify({ message: err.toString() })
+  }
+}
+
+const exportShotList = async () => {
+  notifications.notify({ message: "Exporting shot list. Please wait...", timing: 5 })
+  sfx.down()
+
+  await saveImageFile()
+  saveBoardFile()
+
+  try {
+    let outputPath = await exporter.exportShotList(
+      boardData,
+      boardFilename,
+      scriptFilePath
+        ? { scriptFilePath, scriptData, storyboardsPath: currentPath }
+        : {}
+    )
+    notifications.notify({ message: "Your shot list has been exported as CSV, XLSX and PDF.", timing: 20 })
+    sfx.positive()
+    shell.showItemInFolder(outputPath)
+  } catch (err) {
+    log.error(err)
+    notifications.notify({ message: 'Could not export. An error occurred.' })
+    notifications.notify({ message: err.toString() })
+  }
+}
+
+const exportBreakdown = async () => {
+  if (!scriptData) {
+    notifications.notify({ message: "A script breakdown needs a Fountain or Final Draft script. Open a script project to export one.", timing: 10 })
+    return
+  }
+
+  notifications.notify({ message: "Exporting script breakdown. Please wait...", timing: 5 })
+  sfx.down()
+
+  await saveImageFile()
+  saveBoardFile()
+
+  try {
+    let outputPath = await exporter.exportBreakdown(scriptFilePath, scriptData, currentPath)
+    notifications.notify({ message: "Your script breakdown has been exported as CSV and PDF.", timing: 20 })
+    sfx.positive()
+    shell.showItemInFolder(outputPath)
+  } catch (err) {
+    log.error(err)
+    notifications.notify({ message: 'Could not export. An error occurred.' })
+    notifications.notify({ message: err.toString() })
+  }
+}
+
+const exportFinalDraft = async () => {
+  notifications.notify({ message: "Exporting to Final Draft. Please wait...", timing: 5 })
+  sfx.down()
+
+  await saveImageFile()
+  saveBoardFile()
+
+  try {
+    let outputPath = exporter.exportFinalDraft(
+      boardData,
+      boardFilename,
+      scriptFilePath
+        ? { scriptFilePath, scriptData, storyboardsPath: currentPath }
+        : {}
+    )
+    notifications.notify({ message: "Your boards have been exported as a Final Draft script.", timing: 20 })
+    sfx.positive()
+    shell.showItemInFolder(outputPath)
+  } catch (err) {
+    log.error(err)
+    notifications.notify({ message: 'Could not export. An error occurred.' })
+    notifications.notify({ message: err.toString() })
+  }
+}
+
 const exportImages = () => {
   notifications.notify({message: "Exporting " + boardData.boards.length + " to a folder. Please wait...", timing: 5})
   sfx.down()
@@ -6650,6 +7951,11 @@ const exportVideo = async () => {
       {
         shouldWatermark: prefsModule.getPrefs().enableWatermark,
         watermarkImagePath: watermarkModel.watermarkImagePath(prefsModule.getPrefs(), app.getPath('userData')),
+        preset: videoExportPresetModel.getPreset(prefsModule.getPrefs()),
+        // for the project name burn-in
+        projectName: scriptFilePath
+          ? path.basename(scriptFilePath, path.extname(scriptFilePath))
+          : undefined,
         progressCallback: progress => {}
           // notifications.notify({message: `${Math.round(progress * 100)}% complete`, timing: 1})
       }
@@ -7674,6 +8980,7 @@ const storeUndoStateForImage = (isBefore, layerIndices = null) => {
   let layers = layerIndices.map(index => {
     return {
       index,
+      userLayerId: storyboarderSketchPane.getUserLayerId(index),
       source: storyboarderSketchPane.getUndoStateForLayer(index)
     }
   })
@@ -7709,8 +9016,8 @@ const applyUndoStateForImage = async (state) => {
   // await saveImageFile()
 
   for (let layerData of state.layers) {
-    storyboarderSketchPane.applyUndoStateForLayer(layerData)
-    markImageFileDirty([layerData.index])
+    let index = storyboarderSketchPane.applyUndoStateForLayer(layerData)
+    if (index != null) markImageFileDirty([index])
   }
 
   // uncomment to force save on undo/redo
@@ -7930,6 +9237,7 @@ const reloadScript = async (args) => { // [scriptData, locations, characters]
   characters = args[2]
 
   await updateSceneFromScript()
+  await syncBoardsFromScript()
 
   // goto the board and render the drawer
   renderScene()
@@ -7937,6 +9245,185 @@ const reloadScript = async (args) => { // [scriptData, locations, characters]
   notifications.notify({ message: 'Script has changed. Reloaded.'})
 }
 
+const isFountainProject = () =>
+  scriptFilePath && path.extname(scriptFilePath) === '.fountain'
+
+// shows a diff of a field changed in both the script and the board, to pick a side or merge
+// resolves with { value, forAll, cancelled } (see: ScriptMergeDialog)
+const resolveScriptConflict = change => {
+  if (!scriptMergeDialog) scriptMergeDialog = new ScriptMergeDialog({ container: document.body })
+  return scriptMergeDialog.open(change)
+}
+
+// reads board data edited in the .fountain script back into the current scene's boards
+// see fountain-board-sync.js
+// resolves false if a conflict was cancelled, the conflicts are then left for the next sync
+const syncBoardsFromScript = async () => {
+  if (!isFountainProject()) return
+
+  let scene = getSceneObjectByIndex(currentScene)
+  if (!scene || !scene.scene_id) return
+
+  let script = fs.readFileSync(scriptFilePath, 'utf-8')
+  let scriptBoards = fountainBoardSync.readSceneBoards(script, scene.scene_id)
+  if (!scriptBoards) return
+
+  let changes = fountainBoardSync.getChanges(boardData, scriptBoards, boardData.scriptSync)
+
+  let accepted = []
+  // 'board' or 'script', for all remaining conflicts
+  let resolution
+  let cancelled = false
+  for (let change of changes) {
+    if (!change.conflict) {
+      accepted.push(change)
+      continue
+    }
+
+    let value
+    if (resolution) {
+      value = change[resolution]
+    } else {
+      let result = await resolveScriptConflict(change)
+      value = result.value
+      resolution = result.forAll
+      cancelled = !!result.cancelled
+    }
+    if (value !== change.board) accepted.push({ ...change, script: value })
+  }
+
+  if (accepted.length) {
+    storeUndoStateForScene(true)
+    fountainBoardSync.applyChanges(boardData, accepted)
+    storeUndoStateForScene()
+    notifications.notify({ message: `Updated ${accepted.length} board ${accepted.length === 1 ? 'change' : 'changes'} from the script.`, timing: 5 })
+  }
+
+  if (cancelled) {
+    if (accepted.length) markBoardFileDirty()
+    return false
+  }
+
+  // changes kept on the board will be written on the next sync
+  // only saved if something changed, as this runs on every reload of the script
+  if (accepted.length || !R.equals(boardData.scriptSync, scriptBoards)) {
+    boardData.scriptSync = scriptBoards
+    markBoardFileDirty()
+  }
+  return true
+}
+
+// writes the current scene's board data (timing, dialogue, action, notes) into the .fountain script
+const syncBoardsToScript = async () => {
+  if (!isFountainProject()) {
+    notifications.notify({ message: 'Boards can only be written to a Fountain script.', timing: 5 })
+    return
+  }
+
+  let scene = getSceneObjectByIndex(currentScene)
+
+  try {
+    await saveImageFile()
+
+    // don't overwrite any edits made in the script since the last sync
+    if (await syncBoardsFromScript() === false) {
+      notifications.notify({ message: 'Cancelled. The boards were not written to the script.', timing: 5 })
+      return
+    }
+
+    let script = fs.readFileSync(scriptFilePath, 'utf-8')
+    fs.writeFileSync(scriptFilePath, fountainBoardSync.writeSceneBoards(script, scene.scene_id, boardData))
+
+    boardData.scriptSync = fountainBoardSync.getSceneBoards(boardData)
+    markBoardFileDirty()
+    saveBoardFile()
+
+    renderMetaData()
+    renderThumbnailDrawer()
+
+    notifications.notify({ message: `Wrote ${boardData.boards.length} boards to the script.`, timing: 5 })
+    sfx.positive()
+  } catch (err) {
+    log.error(err)
+    notifications.notify({ message: `[ERROR] ${err.message}` })
+  }
+}
+
+const saveSnapshot = async () => {
+  try {
+    await saveImageFile()
+    markBoardFileDirty()
+    saveBoardFile({ force: true })
+
+    let snapshot = historyModel.createSnapshot(boardFilename, { label: 'Manual' })
+    notifications.notify({ message: `Saved snapshot (${moment(snapshot.createdAt).format('LLL')}).`, timing: 5 })
+    sfx.positive()
+  } catch (err) {
+    log.error(err)
+    notifications.notify({ message: 'Could not save snapshot.' })
+    notifications.notify({ message: `[ERROR] ${err.message}` })
+  }
+}
+
+const openHistory = async () => {
+  await saveImageFile()
+  markBoardFileDirty()
+  saveBoardFile({ force: true })
+  ipcRenderer.send('showHistoryWindow', boardFilename)
+}
+
+// saves, then opens the render queue with the current scene and, for multi-scene projects,
+// every scene which has been boarded
+const openRenderQueue = async () => {
+  await saveImageFile()
+  markBoardFileDirty()
+  saveBoardFile({ force: true })
+
+  let scene = {
+    title: path.basename(boardFilename, path.extname(boardFilename)),
+    filePath: boardFilename
+  }
+
+  let project = null
+  if (scriptData) {
+    let scenes = scriptData
+      .filter(node => node.type === 'scene')
+      .map(node => ({
+        title: `${node.scene_number}. ${node.slugline}`,
+        filePath: findSceneFilePath(currentPath, node)
+      }))
+      .filter(({ filePath }) => filePath)
+    project = {
+      title: path.basename(scriptFilePath, path.extname(scriptFilePath)),
+      scenes
+    }
+  }
+
+  ipcRenderer.send('showRenderQueueWindow', { scene, project })
+}
+
+// restores the scene (or a single board, if `uid` is given) from a snapshot, then reloads
+const restoreFromHistory = async ({ id, uid }) => {
+  try {
+    await saveImageFile()
+    markBoardFileDirty()
+    saveBoardFile({ force: true })
+
+    if (uid) {
+      historyModel.restoreBoard(boardFilename, id, uid)
+    } else {
+      historyModel.restoreSnapshot(boardFilename, id)
+    }
+
+    notifications.notify({ message: 'Restored from history. Reloading …' })
+    ipcRenderer.send('openFile', scriptFilePath ? scriptFilePath : boardFilename)
+  } catch (err) {
+    log.error(err)
+    notifications.notify({ message: 'Could not restore from history.' })
+    notifications.notify({ message: `[ERROR] ${err.message}` })
+  }
+}
+
 const updateSceneFromScript = async () => {
   currentScene = boardSettings.lastScene
   await loadScene(currentScene)
@@ -7998,6 +9485,13 @@ ipcRenderer.on('setTool', (e, toolName) => {
   }
 })
 
+ipcRenderer.on('openCustomBrushesMenu', () => {
+  if (!textInputMode && !storyboarderSketchPane.getIsDrawingOrStabilizing()) {
+    openCustomBrushesMenu()
+    ipcRenderer.send('analyticsEvent', 'Board', 'openCustomBrushesMenu')
+  }
+})
+
 ipcRenderer.on('useColor', (e, arg) => {
   if (!textInputMode) {
     // set the color of the current tool to be the given palette index
@@ -8156,6 +9650,36 @@ ipcRenderer.on('exportFcp', (event, args) => {
   ipcRenderer.send('analyticsEvent', 'Board', 'exportFcp')
 })
 
+ipcRenderer.on('exportOtio', (event, args) => {
+  exportOtio()
+  ipcRenderer.send('analyticsEvent', 'Board', 'exportOtio')
+})
+
+ipcRenderer.on('exportEdl', (event, args) => {
+  exportEdl()
+  ipcRenderer.send('analyticsEvent', 'Board', 'exportEdl')
+})
+
+ipcRenderer.on('exportSubtitles', (event, args) => {
+  exportSubtitles()
+  ipcRenderer.send('analyticsEvent', 'Board', 'exportSubtitles')
+})
+
+ipcRenderer.on('exportShotList', (event, args) => {
+  exportShotList()
+  ipcRenderer.send('analyticsEvent', 'Board', 'exportShotList')
+})
+
+ipcRenderer.on('exportBreakdown', (event, args) => {
+  exportBreakdown()
+  ipcRenderer.send('analyticsEvent', 'Board', 'exportBreakdown')
+})
+
+ipcRenderer.on('exportFinalDraft', (event, args) => {
+  exportFinalDraft()
+  ipcRenderer.send('analyticsEvent', 'Board', 'exportFinalDraft')
+})
+
 ipcRenderer.on('exportImages', (event, args) => {
   exportImages()
   ipcRenderer.send('analyticsEvent', 'Board', 'exportImages')
@@ -8593,9 +10117,30 @@ ipcRenderer.on('save', (event, args) => {
 
 ipcRenderer.on('saveAs', (event, args) => saveAsFolder())
 
+ipcRenderer.on('saveSnapshot', (event, args) => {
+  saveSnapshot()
+  ipcRenderer.send('analyticsEvent', 'Board', 'saveSnapshot')
+})
+
+ipcRenderer.on('openHistory', (event, args) => openHistory())
+
+ipcRenderer.on('openRenderQueue', (event, args) => {
+  openRenderQueue()
+  ipcRenderer.send('analyticsEvent', 'Board', 'openRenderQueue')
+})
+
+ipcRenderer.on('history:restore', (event, args) => {
+  restoreFromHistory(args)
+  ipcRenderer.send('analyticsEvent', 'Board', 'restoreFromHistory')
+})
+
 ipcRenderer.on('exportWeb', (event, args) => exportWeb())
 
 ipcRenderer.on('exportZIP', (event, args) => exportZIP())
+ipcRenderer.on('syncBoardsToScript', (event, args) => {
+  syncBoardsToScript()
+  ipcRenderer.send('analyticsEvent', 'Board', 'syncBoardsToScript')
+})
 
 ipcRenderer.on('reloadScript', (event, args) => reloadScript(args))
 
@@ -8628,6 +10173,47 @@ ipcRenderer.on('addAudioFile', () => {
   }
 })
 
+ipcRenderer.on('addAudioClip', (event, kind) => {
+  if (!textInputMode) {
+    addAudioClip(kind).catch(err => {
+      log.error(err)
+      notifications.notify({ message: 'Could not add audio clip.' })
+      notifications.notify({ message: `[ERROR] ${err.message}` })
+    })
+  }
+})
+
+ipcRenderer.on('retimeScene', (event, method) => {
+  if (!textInputMode) {
+    retimeScene(method).catch(err => {
+      log.error(err)
+      notifications.notify({ message: 'Could not retime the scene.' })
+      notifications.notify({ message: `[ERROR] ${err.message}` })
+    })
+    ipcRenderer.send('analyticsEvent', 'Board', 'retimeScene', method)
+  }
+})
+
+ipcRenderer.on('generateScratchVoice', () => {
+  if (!textInputMode) {
+    openScratchVoiceMenu().catch(err => log.error(err))
+    ipcRenderer.send('analyticsEvent', 'Board', 'generateScratchVoice')
+  }
+})
+
+ipcRenderer.on('togglePerspectiveEditor', () => {
+  if (!textInputMode) {
+    togglePerspectiveEditor()
+    ipcRenderer.send('analyticsEvent', 'Board', 'togglePerspectiveEditor')
+  }
+})
+
+ipcRenderer.on('toggleCameraMoveEditor', () => {
+  if (!textInputMode) {
+    toggleCameraMoveEditor()
+  }
+})
+
 ipcRenderer.on('toggleAudition', value => {
   audioPlayback.toggleAudition()
 })
@@ -0,0 +1,197 @@
+const perspectiveModel = require('../models/perspective')
+
+const COLORS = ['#e0533d', '#4caf50', '#2196f3']
+
+// in view pixels
+const HANDLE_SIZE = 10
+
+// Edits the perspective of the current board, drawn over the sketch pane
+//
+// The vanishing points and the horizon can be dragged.
+// The number of vanishing points is set in the panel.
+class PerspectiveEditor {
+  constructor ({ sketchPane, onChange, onClose }) {
+    this.sketchPane = sketchPane
+    this.onChange = onChange
+    this.onClose = onClose
+
+    this.perspective = undefined
+    this.el = undefined
+
+    this.drag = undefined
+
+    this.onPointerDown = this.onPointerDown.bind(this)
+    this.onPointerMove = this.onPointerMove.bind(this)
+    this.onPointerUp = this.onPointerUp.bind(this)
+    this.render = this.render.bind(this)
+  }
+
+  isOpen () {
+    return this.el != null
+  }
+
+  open (perspective) {
+    if (this.isOpen()) this.close()
+
+    let view = this.sketchPane.app.view
+
+    this.el = document.createElement('div')
+    this.el.className = 'perspective-editor'
+    this.el.innerHTML = `
+      <canvas class="perspective-editor__canvas"></canvas>
+      <div class="perspective-editor__panel">
+        <span class="perspective-editor__title">Perspective</span>
+        <select name="type">${
+          perspectiveModel.TYPES.map(type => `<option value="${type}">${perspectiveModel.TYPE_LABELS[type]}</option>`).join('')
+        }</select>
+        <button name="remove">Remove</button>
+        <button name="done">Done</button>
+      </div>
+    `
+    view.parentNode.appendChild(this.el)
+
+    this.canvas = this.el.querySelector('canvas')
+    this.canvas.addEventListener('pointerdown', this.onPointerDown)
+
+    let panel = this.el.querySelector('.perspective-editor__panel')
+    panel.querySelector('[name=type]').addEventListener('change', event => {
+      this.perspective = perspectiveModel.setType(this.perspective, parseInt(event.target.value, 10))
+      this.commit()
+    })
+    panel.querySelector('[name=remove]').addEventListener('click', () => {
+      this.onChange(null)
+      this.close()
+    })
+    panel.querySelector('[name=done]').addEventListener('click', () => this.close())
+
+    window.addEventListener('resize', this.render)
+
+    this.setPerspective(perspective)
+  }
+
+  close () {
+    if (!this.isOpen()) return
+
+    this.onPointerUp()
+    window.removeEventListener('resize', this.render)
+    this.el.remove()
+    this.el = undefined
+
+    this.onClose && this.onClose()
+  }
+
+  // e.g.: when the current board changes
+  setPerspective (perspective) {
+    this.perspective = JSON.parse(JSON.stringify(perspective))
+    this.render()
+  }
+
+  commit () {
+    this.onChange(JSON.parse(JSON.stringify(this.perspective)))
+    this.render()
+  }
+
+  getBoardSize () {
+    return [this.sketchPane.width, this.sketchPane.height]
+  }
+
+  // board pixels to view pixels
+  toView (point) {
+    return this.sketchPane.sketchPaneContainer.toGlobal(point)
+  }
+
+  hitTest (point) {
+    let zoom = this.sketchPane.sketchPaneContainer.scale.x
+    let handleRadius = HANDLE_SIZE / zoom
+    let [width, height] = this.getBoardSize()
+
+    for (let [index, { x, y }] of this.perspective.points.entries()) {
+      if (Math.hypot(point.x - x * width, point.y - y * height) <= handleRadius) {
+        return { mode: 'point', index }
+      }
+    }
+    if (Math.abs(point.y - this.perspective.horizon * height) <= handleRadius / 2) {
+      return { mode: 'horizon' }
+    }
+  }
+
+  onPointerDown (event) {
+    let point = this.sketchPane.localizePoint(event)
+    let hit = this.hitTest(point)
+    if (!hit) return
+
+    event.preventDefault()
+    this.drag = hit
+    window.addEventListener('pointermove', this.onPointerMove)
+    window.addEventListener('pointerup', this.onPointerUp)
+  }
+
+  onPointerMove (event) {
+    let point = this.sketchPane.localizePoint(event)
+    let [width, height] = this.getBoardSize()
+
+    this.perspective = this.drag.mode === 'point'
+      ? perspectiveModel.moveVanishingPoint(this.perspective, this.drag.index, { x: point.x / width, y: point.y / height })
+      : perspectiveModel.moveHorizon(this.perspective, point.y / height)
+
+    this.render()
+  }
+
+  onPointerUp (event) {
+    window.removeEventListener('pointermove', this.onPointerMove)
+    window.removeEventListener('pointerup', this.onPointerUp)
+
+    if (this.drag) {
+      this.drag = undefined
+      this.commit()
+    }
+  }
+
+  render () {
+    if (!this.isOpen()) return
+
+    this.el.querySelector('[name=type]').value = perspectiveModel.getType(this.perspective)
+
+    let view = this.sketchPane.app.view
+    let dpr = window.devicePixelRatio || 1
+    let cssWidth = view.offsetWidth
+    let cssHeight = view.offsetHeight
+    this.el.style.left = `${view.offsetLeft}px`
+    this.el.style.top = `${view.offsetTop}px`
+    this.canvas.width = cssWidth * dpr
+    this.canvas.height = cssHeight * dpr
+    this.canvas.style.width = `${cssWidth}px`
+    this.canvas.style.height = `${cssHeight}px`
+
+    let context = this.canvas.getContext('2d')
+    context.scale(dpr, dpr)
+    context.clearRect(0, 0, cssWidth, cssHeight)
+
+    let [width, height] = this.getBoardSize()
+
+    // horizon, across the whole view
+    let horizon = this.toView({ x: 0, y: this.perspective.horizon * height })
+    context.setLineDash([4, 4])
+    context.strokeStyle = 'rgba(0, 0, 0, 0.5)'
+    context.lineWidth = 1
+    context.beginPath()
+    context.moveTo(0, horizon.y)
+    context.lineTo(cssWidth, horizon.y)
+    context.stroke()
+    context.setLineDash([])
+
+    context.font = '11px sans-serif'
+    for (let [index, { x, y }] of this.perspective.points.entries()) {
+      let point = this.toView({ x: x * width, y: y * height })
+
+      context.fillStyle = COLORS[index]
+      context.beginPath()
+      context.arc(point.x, point.y, HANDLE_SIZE / 2, 0, Math.PI * 2)
+      context.fill()
+
+      context.fillText(`VP${index + 1}`, point.x + HANDLE_SIZE, point.y - HANDLE_SIZE / 2)
+    }
+  }
+}
+
+module.exports = PerspectiveEditor
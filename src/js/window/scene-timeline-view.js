@@ -5,6 +5,8 @@ const { clamp, msToTime } = require('../utils')
 
 const boardModel = require('../models/board')
 const sceneModel = require('../models/scene')
+const audioTracksModel = require('../models/audio-tracks')
+const boardAudioModel = require('../models/board-audio')
 
 // via https://webaudiodemos.appspot.com/AudioRecorder/js/audiodisplay.js
 const drawBuffer = (width, height, context, data) => {
@@ -319,11 +321,14 @@ class BoardView {
     let kind = this.kind
     let index = this.scene.boards.indexOf(this.board)
 
+    // audio shows only the trimmed part of the file (see: models/board-audio)
     let duration = kind === 'board'
       ? boardModel.boardDuration(this.scene, this.board)
-      : this.board.audio.duration
+      : boardAudioModel.getPlayedDuration(this.board.audio)
 
-    let time = this.board.time
+    let time = kind === 'board'
+      ? this.board.time
+      : boardAudioModel.getStart(this.board)
     let padRight = this.mini ? 0 : 10
     let w = Math.ceil(duration * this.pixelsPerMsec * this.scale)
     let l = (time * this.pixelsPerMsec * this.scale)
@@ -607,7 +612,12 @@ class BoardView {
       let canvas = this.refs.canvas
       let context = canvas.getContext('2d')
 
-      let data = this.getAudioBufferByFilename(this.board.audio.filename).getChannelData(0)
+      let buffer = this.getAudioBufferByFilename(this.board.audio.filename)
+      let sampleRate = buffer.get().sampleRate
+      let data = buffer.getChannelData(0).subarray(
+        Math.round(boardAudioModel.getInPoint(this.board.audio) / 1000 * sampleRate),
+        Math.round(boardAudioModel.getOutPoint(this.board.audio) / 1000 * sampleRate)
+      )
       context.fillStyle = '#7c7'
       drawBuffer(context.canvas.width, context.canvas.height, context, data)
     }
@@ -625,6 +635,206 @@ class BoardView {
 }
 BoardView.MINI_HEIGHT = 10
 
+// a clip in one of the scene’s audio lanes (see models/audio-tracks)
+class AudioClipView {
+  constructor (props, children) {
+    this.clip = props.clip
+    this.track = props.track
+
+    this.scale = props.scale
+    this.pixelsPerMsec = props.pixelsPerMsec
+
+    // while dragging: 'move', 'trim-start', or 'trim-end', and the change in msecs
+    this.dragMode = props.dragMode
+    this.dragDeltaInMsecs = props.dragDeltaInMsecs || 0
+
+    this.onClipPointerDown = props.onClipPointerDown
+    this.onClipContextMenu = props.onClipContextMenu
+
+    this.getAudioBufferByClipId = props.getAudioBufferByClipId
+
+    etch.initialize(this)
+  }
+
+  // start and duration, including any change while dragging
+  getExtent () {
+    let start = this.clip.start
+    let duration = this.clip.duration || 0
+    let delta = this.dragDeltaInMsecs
+
+    if (this.dragMode === 'move') {
+      start = Math.max(0, start + delta)
+    } else if (this.dragMode === 'trim-start') {
+      delta = clamp(delta, -this.clip.offset, duration - 1)
+      start += delta
+      duration -= delta
+    } else if (this.dragMode === 'trim-end') {
+      duration = Math.max(1, duration + delta)
+    }
+
+    return { start, duration }
+  }
+
+  render () {
+    let { start, duration } = this.getExtent()
+
+    let w = Math.ceil(duration * this.pixelsPerMsec * this.scale)
+    let l = start * this.pixelsPerMsec * this.scale
+    let viewHeight = 32
+    let handleWidth = 6
+
+    let db = audioTracksModel.gainToDecibels(this.clip.gain)
+    let label = [
+      this.track.name,
+      this.clip.filename,
+      db === 0 ? null : `${db > 0 ? '+' : ''}${isFinite(db) ? db.toFixed(1) : '-∞'} dB`
+    ].filter(Boolean).join(' · ')
+
+    return $.div(
+      {
+        class: `audio-clip audio-clip--${this.track.kind}`,
+        on: {
+          pointerdown: this.onPointerDown,
+          contextmenu: this.onContextMenu
+        },
+        style: `position: absolute;
+                top: 0;
+                left: ${Math.ceil(l)}px;
+                width: ${Math.max(1, w)}px;
+                height: ${viewHeight}px;
+                background-color: ${AudioClipView.COLORS[this.track.kind].background};
+                border-radius: 6px;
+                overflow: hidden;
+                box-sizing: border-box;
+                cursor: ${this.dragMode === 'move' ? '-webkit-grabbing' : '-webkit-grab'};
+                ${this.track.muted ? 'opacity: 0.4;' : ''}
+                ${this.dragMode ? 'filter: saturate(120%);' : ''}
+                user-select: none;`
+      },
+      [
+        $.canvas(
+          {
+            ref: 'canvas',
+            attributes: {
+              width: `${Math.max(1, w)}px`,
+              height: `${viewHeight}px`
+            },
+            style: `position: absolute;
+                    pointer-events: none;
+                    width: ${Math.max(1, w)}px;
+                    height: ${viewHeight}px;`
+          }
+        ),
+        $.div(
+          {
+            class: 'audio-clip__label',
+            style: `position: absolute;
+                    top: 3px;
+                    left: ${handleWidth + 2}px;
+                    right: ${handleWidth + 2}px;
+                    font-size: 9px;
+                    color: rgba(255, 255, 255, 0.7);
+                    white-space: nowrap;
+                    overflow: hidden;
+                    text-overflow: ellipsis;
+                    pointer-events: none;`
+          },
+          label
+        ),
+        $.div({
+          ref: 'handleStart',
+          style: `position: absolute;
+                  left: 0;
+                  width: ${handleWidth}px;
+                  height: ${viewHeight}px;
+                  cursor: ew-resize;`
+        }),
+        $.div({
+          ref: 'handleEnd',
+          style: `position: absolute;
+                  right: 0;
+                  width: ${handleWidth}px;
+                  height: ${viewHeight}px;
+                  cursor: ew-resize;`
+        })
+      ]
+    )
+  }
+
+  update (props = {}, children = {}) {
+    if (props.clip != null) this.clip = props.clip
+    if (props.track != null) this.track = props.track
+
+    if (props.scale != null) this.scale = props.scale
+    if (props.pixelsPerMsec != null) this.pixelsPerMsec = props.pixelsPerMsec
+
+    // clips are modified in place, so always re-render
+    if ('dragMode' in props) this.dragMode = props.dragMode
+    if ('dragDeltaInMsecs' in props) this.dragDeltaInMsecs = props.dragDeltaInMsecs || 0
+
+    return etch.update(this)
+  }
+
+  async writeAfterUpdate () {
+    let canvas = this.refs.canvas
+    let context = canvas.getContext('2d')
+    let { width, height } = context.canvas
+    context.clearRect(0, 0, width, height)
+
+    let buffer = this.getAudioBufferByClipId(this.clip.id)
+    if (!buffer || !buffer.loaded) return
+
+    // only the part of the file which is played
+    let { start, duration } = this.getExtent()
+    let offset = this.clip.offset + (start - this.clip.start)
+    let sampleRate = buffer.get().sampleRate
+    let data = buffer.getChannelData(0).subarray(
+      Math.round(offset / 1000 * sampleRate),
+      Math.round((offset + duration) / 1000 * sampleRate)
+    )
+
+    context.fillStyle = AudioClipView.COLORS[this.track.kind].waveform
+    drawBuffer(width, height, context, data)
+
+    // fades
+    let pxPerMsec = width / duration
+    context.strokeStyle = 'rgba(255, 255, 255, 0.6)'
+    context.beginPath()
+    if (this.clip.fadeIn) {
+      context.moveTo(0, height)
+      context.lineTo(this.clip.fadeIn * pxPerMsec, 0)
+    }
+    if (this.clip.fadeOut) {
+      context.moveTo(width - this.clip.fadeOut * pxPerMsec, 0)
+      context.lineTo(width, height)
+    }
+    context.stroke()
+  }
+
+  onPointerDown (event) {
+    // right-click opens the context menu instead
+    if (event.button !== 0) return
+
+    let mode = event.target === this.refs.handleStart
+      ? 'trim-start'
+      : event.target === this.refs.handleEnd
+        ? 'trim-end'
+        : 'move'
+
+    this.onClipPointerDown(event, this, mode)
+  }
+
+  onContextMenu (event) {
+    event.preventDefault()
+    this.onClipContextMenu && this.onClipContextMenu(this.clip.id, event)
+  }
+}
+AudioClipView.COLORS = {
+  dialogue: { background: '#3f503f', waveform: '#7c7' },
+  music: { background: '#3f4750', waveform: '#7aa7d8' },
+  sfx: { background: '#50473f', waveform: '#d8a77a' }
+}
+
 class LaneView {
   constructor (props, children) {
     this.scale = props.scale
@@ -688,10 +898,12 @@ class TimelineView {
     this.currentBoardIndex = props.currentBoardIndex
 
     this.getAudioBufferByFilename = props.getAudioBufferByFilename
+    this.getAudioBufferByClipId = props.getAudioBufferByClipId
     this.getSrcByUid = props.getSrcByUid
 
     this.onBoardPointerDown = this.onBoardPointerDown.bind(this)
     this.onBoardPointerUp = this.onBoardPointerUp.bind(this)
+    this.onClipPointerDown = this.onClipPointerDown.bind(this)
     this.onCancelMove = this.onCancelMove.bind(this)
 
     this.onDocumentPointerMove = this.onDocumentPointerMove.bind(this)
@@ -699,6 +911,8 @@ class TimelineView {
     this.onMoveSelectedBoards = props.onMoveSelectedBoards
     this.onSetCurrentBoardIndex = props.onSetCurrentBoardIndex
     this.onModifyBoardDurationByIndex = props.onModifyBoardDurationByIndex
+    this.onModifyAudioClip = props.onModifyAudioClip
+    this.onAudioClipContextMenu = props.onAudioClipContextMenu
     this.onScroll = props.onScroll
 
     this.show = props.show
@@ -712,6 +926,10 @@ class TimelineView {
       draggableBoardOriginalTime: undefined,
       draggableOffsetInPx: 0,
 
+      draggableClipView: undefined,
+      draggableClipMode: undefined,
+      draggableClipOffsetInPx: 0,
+
       insertPointInMsecs: undefined
     }
 
@@ -767,29 +985,24 @@ class TimelineView {
         }))
 
     let lanes = [{ boards: [], endInMsecs: 0 }]
-    let timelinePosInMsecs = 0
     for (let board of this.scene.boards) {
-      let duration = boardModel.boardDuration(this.scene, board)
-
       if (board.audio) {
           let buffer = this.getAudioBufferByFilename(board.audio.filename)
 
           if (buffer) {
-          let audioDurationInMsecs = Math.round(buffer.duration * 1000)
+          let audioStartInMsecs = boardAudioModel.getStart(board)
 
           let currLane = lanes.length
           for (let i = 0; i < lanes.length; i++) {
             let time = lanes[i].endInMsecs
-            if (timelinePosInMsecs >= time) {
+            if (audioStartInMsecs >= time) {
               currLane = i
               break
             }
           }
           lanes[currLane] = lanes[currLane] || { boards: [], endInMsecs: 0 }
           lanes[currLane].boards.push(board)
-          lanes[currLane].endInMsecs = timelinePosInMsecs + audioDurationInMsecs
-
-          timelinePosInMsecs += duration
+          lanes[currLane].endInMsecs = boardAudioModel.getEnd(board)
         }
 
       }
@@ -817,6 +1030,27 @@ class TimelineView {
       ))
     )
 
+    // audio lanes, one per track
+    let trackLanes = audioTracksModel.getTracks(this.scene).map(track =>
+      etch.dom(LaneView, { kind: 'audio', mini: this.mini }, track.clips.map(clip => {
+        let isDragging = !!(this.state.draggableClipView &&
+                         this.state.draggableClipView.clip === clip)
+        return etch.dom(AudioClipView, {
+          pixelsPerMsec: this.pixelsPerMsec,
+          scale: this.scale,
+          clip,
+          track,
+          dragMode: isDragging ? this.state.draggableClipMode : undefined,
+          dragDeltaInMsecs: isDragging
+            ? this.state.draggableClipOffsetInPx / (this.pixelsPerMsec * this.scale)
+            : 0,
+          onClipPointerDown: this.onClipPointerDown,
+          onClipContextMenu: this.onAudioClipContextMenu,
+          getAudioBufferByClipId: this.getAudioBufferByClipId
+        })
+      }))
+    )
+
     // let entireWidth = this.sceneDurationInMsecs * this.pixelsPerMsec * this.scale
 
     let caretView = null
@@ -853,7 +1087,7 @@ class TimelineView {
       )
     }
 
-    let cursor = this.state.draggableBoardView
+    let cursor = this.state.draggableBoardView || this.state.draggableClipView
       ? '-webkit-grabbing'
       : null
 
@@ -879,7 +1113,8 @@ class TimelineView {
           },
           [
             boardLane,
-            !this.mini ? audioLanes : null
+            !this.mini ? audioLanes : null,
+            !this.mini ? trackLanes : null
           ]
         )
       ),
@@ -970,7 +1205,20 @@ class TimelineView {
     this.update({})
   }
 
+  onClipPointerDown (event, clipView, mode) {
+    this.state.draggableClipView = clipView
+    this.state.draggableClipMode = mode
+    this.state.draggableClipOffsetInPx = 0
+    this.update({})
+  }
+
   async onDocumentPointerMove (event) {
+    if (this.state.draggableClipView) {
+      this.state.draggableClipOffsetInPx += event.movementX
+      await this.update({})
+      return
+    }
+
     if (this.state.draggableBoardView || this.state.resizableBoardView) {
       this.state.resizableOffsetInPx += event.movementX
       this.state.draggableOffsetInPx += event.movementX
@@ -998,6 +1246,23 @@ class TimelineView {
   }
 
   async completeDragOrResize (event) {
+    if (this.state.draggableClipView) {
+      let clip = this.state.draggableClipView.clip
+      let mode = this.state.draggableClipMode
+      let deltaInMsecs = Math.round(this.state.draggableClipOffsetInPx / (this.pixelsPerMsec * this.scale))
+
+      this.state.draggableClipView = undefined
+      this.state.draggableClipMode = undefined
+      this.state.draggableClipOffsetInPx = 0
+
+      if (deltaInMsecs !== 0) {
+        this.onModifyAudioClip(clip.id, mode, deltaInMsecs)
+      } else {
+        this.update({ })
+      }
+      return
+    }
+
     let selections
     let position
 
@@ -1092,11 +1357,14 @@ class SceneTimelineView {
 
     this.currentBoardIndex = props.currentBoardIndex
     this.getAudioBufferByFilename = props.getAudioBufferByFilename
+    this.getAudioBufferByClipId = props.getAudioBufferByClipId
     this.getSrcByUid = props.getSrcByUid
 
     this.onMoveSelectedBoards = props.onMoveSelectedBoards
     this.onSetCurrentBoardIndex = props.onSetCurrentBoardIndex
     this.onModifyBoardDurationByIndex = props.onModifyBoardDurationByIndex
+    this.onModifyAudioClip = props.onModifyAudioClip
+    this.onAudioClipContextMenu = props.onAudioClipContextMenu
 
     this.onTimelineScroll = this.onTimelineScroll.bind(this)
     this.onScaleControlDrag = this.onScaleControlDrag.bind(this)
@@ -1129,11 +1397,14 @@ class SceneTimelineView {
             currentBoardIndex: this.currentBoardIndex,
 
             getAudioBufferByFilename: this.getAudioBufferByFilename,
+            getAudioBufferByClipId: this.getAudioBufferByClipId,
             getSrcByUid: this.getSrcByUid,
 
             onMoveSelectedBoards: this.onMoveSelectedBoards,
             onSetCurrentBoardIndex: this.onSetCurrentBoardIndex,
             onModifyBoardDurationByIndex: this.onModifyBoardDurationByIndex,
+            onModifyAudioClip: this.onModifyAudioClip,
+            onAudioClipContextMenu: this.onAudioClipContextMenu,
 
             onScroll: this.onTimelineScroll
           })
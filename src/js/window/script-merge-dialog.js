@@ -0,0 +1,138 @@
+const textDiff = require('../models/text-diff')
+
+const FIELD_LABELS = {
+  dialogue: 'Dialogue',
+  action: 'Action',
+  notes: 'Notes',
+  duration: 'Duration (msecs)'
+}
+
+const escapeHtml = text =>
+  text
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+
+// one side of the diff, with the parts only on that side highlighted
+const renderSide = (parts, type) =>
+  parts
+    .filter(part => part.type === 'same' || part.type === type)
+    .map(part => part.type === 'same'
+      ? escapeHtml(part.text)
+      : `<span class="script-merge__${type}">${escapeHtml(part.text)}</span>`)
+    .join('')
+
+// the merged value, or undefined if it's not valid for the field
+const parseValue = (field, text) => {
+  if (field !== 'duration') return text
+
+  let value = Number(text)
+  return text.trim() !== '' && Number.isFinite(value) && value > 0
+    ? Math.round(value)
+    : undefined
+}
+
+// Resolves a field changed in both the script and the board (see: fountain-board-sync.js)
+//
+// Shows a diff of the board's value and the script's value, with an editable merge
+// which starts as the board's value.
+class ScriptMergeDialog {
+  constructor ({ container }) {
+    this.container = container
+    this.el = undefined
+    // settles the promise of the open dialog, see close
+    this.cancel = undefined
+  }
+
+  isOpen () {
+    return this.el != null
+  }
+
+  // resolves with { value, forAll, cancelled }
+  // `forAll` is the side, 'board' or 'script', to use for the remaining conflicts (if checked)
+  // a merge only applies to this change
+  // `cancelled` if closed without a choice (Cancel, Escape, or replaced by another dialog),
+  // the board's value is kept, and so are the values of the remaining conflicts
+  open (change) {
+    if (this.isOpen()) this.close()
+
+    let board = change.board.toString()
+    let script = change.script.toString()
+    let parts = textDiff.diff(board, script)
+
+    this.el = document.createElement('div')
+    this.el.className = 'script-merge'
+    this.el.innerHTML = `
+      <div class="script-merge__dialog">
+        <div class="script-merge__title"></div>
+        <div class="script-merge__hint">Changed in both the script and Storyboarder.</div>
+        <div class="script-merge__sides">
+          <div>
+            <div class="script-merge__label">Storyboarder</div>
+            <div class="script-merge__text">${renderSide(parts, 'removed')}</div>
+          </div>
+          <div>
+            <div class="script-merge__label">Script</div>
+            <div class="script-merge__text">${renderSide(parts, 'added')}</div>
+          </div>
+        </div>
+        <div class="script-merge__label">Merged</div>
+        <textarea name="merged" rows="4"></textarea>
+        <div class="script-merge__buttons">
+          <label><input name="forAll" type="checkbox"> Do this for all remaining conflicts</label>
+          <button name="cancel">Cancel</button>
+          <button name="board">Keep Storyboarder</button>
+          <button name="script">Use Script</button>
+          <button name="merged">Use Merged</button>
+        </div>
+      </div>
+    `
+    this.el.querySelector('.script-merge__title').textContent = `Board ${change.shot}: ${FIELD_LABELS[change.field] || change.field}`
+    this.container.appendChild(this.el)
+
+    // keep keystrokes from reaching the shortcuts of the main window
+    this.el.addEventListener('keydown', event => {
+      event.stopPropagation()
+      if (event.key === 'Escape') this.close()
+    })
+
+    let mergedEl = this.el.querySelector('textarea[name=merged]')
+    let mergedButtonEl = this.el.querySelector('button[name=merged]')
+    let forAllEl = this.el.querySelector('input[name=forAll]')
+
+    mergedEl.value = board
+    mergedEl.addEventListener('input', () => {
+      mergedButtonEl.disabled = parseValue(change.field, mergedEl.value) == null
+    })
+    mergedEl.focus()
+
+    return new Promise(resolve => {
+      const done = (value, side) => {
+        let forAll = side && forAllEl.checked ? side : undefined
+        this.cancel = undefined
+        this.close()
+        resolve({ value, forAll })
+      }
+      this.cancel = () => resolve({ value: change.board, forAll: 'board', cancelled: true })
+      this.el.querySelector('button[name=cancel]').addEventListener('click', () => this.close())
+      this.el.querySelector('button[name=board]').addEventListener('click', () => done(change.board, 'board'))
+      this.el.querySelector('button[name=script]').addEventListener('click', () => done(change.script, 'script'))
+      mergedButtonEl.addEventListener('click', () => done(parseValue(change.field, mergedEl.value)))
+    })
+  }
+
+  close () {
+    if (!this.isOpen()) return
+
+    this.el.remove()
+    this.el = undefined
+
+    if (this.cancel) {
+      let cancel = this.cancel
+      this.cancel = undefined
+      cancel()
+    }
+  }
+}
+
+module.exports = ScriptMergeDialog
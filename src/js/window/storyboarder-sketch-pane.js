@@ -11,9 +11,14 @@ const { SketchPane } = require('alchemancy')
 const SketchPaneUtil = require('alchemancy').util
 
 const MarqueeStrategy = require('./storyboarder-sketch-pane/marquee-strategy')
+const { FloodFillStrategy, LassoFillStrategy } = require('./storyboarder-sketch-pane/fill-strategy')
 
 const LineMileageCounter = require('./line-mileage-counter')
 
+const brushesModel = require('../models/brushes')
+const perspectiveModel = require('../models/perspective')
+const brushesStorage = require('../shared/store/brushesStorage')
+
 const { createIsCommandPressed } = require('../utils/keytracker')
 const observeStore = require('../shared/helpers/observeStore')
 
@@ -26,6 +31,9 @@ const enableBrushCursor = prefsModule.getPrefs('main')['enableBrushCursor']
 
 const enableHighQualityDrawingEngine = prefsModule.getPrefs()['enableHighQualityDrawingEngine']
 
+// the name of an extra layer which is not holding a user layer
+const UNUSED_LAYER_NAME = 'unused'
+
 /**
  *  Wrap the SketchPane component with features Storyboarder needs
  *
@@ -44,6 +52,19 @@ class StoryboarderSketchPane extends EventEmitter {
     this.marqueePath = null
     this.marqueeTransitionEvent = null
 
+    // see: models/brushes
+    this.customBrushes = []
+
+    // of the current board, see: models/perspective
+    this.perspective = undefined
+
+    // of the current board, see: models/user-layers
+    this.userLayers = []
+    // indices of the extra layers which hold user layers
+    this.userLayerIndices = []
+    // if set, tools draw on this user layer instead of their default layer
+    this.activeUserLayerId = undefined
+
     this.onWindowBlurForApp = this.onWindowBlurForApp.bind(this)
     this.onWindowFocusForApp = this.onWindowFocusForApp.bind(this)
   }
@@ -74,10 +95,7 @@ class StoryboarderSketchPane extends EventEmitter {
     this.sketchPane.efficiencyMode = !enableHighQualityDrawingEngine
 
     try {
-      await this.sketchPane.loadBrushes({
-        brushes: JSON.parse(fs.readFileSync(path.join(__dirname, '..', '..', 'data', 'brushes', 'brushes.json'))),
-        brushImagePath: path.join(__dirname, '..', '..', 'data', 'brushes')
-      })
+      await this.loadBrushes()
     } catch (err) {
       console.error(err)
       remote.dialog.showMessageBox({
@@ -143,7 +161,7 @@ class StoryboarderSketchPane extends EventEmitter {
         if (toolbarState.activeTool !== 'eraser') {
           // ... set the current layer based on the active tool
           this.sketchPane.setCurrentLayerIndex(
-            this.sketchPane.layers.findByName(tool.defaultLayerName).index
+            this.getLayerIndexForTool(tool)
           )
         }
 
@@ -183,7 +201,9 @@ class StoryboarderSketchPane extends EventEmitter {
       locked: new LockedStrategy(this),
       panning: new PanningStrategy(this),
       lineDrawing: new LineDrawingStrategy(this),
-      marquee: new MarqueeStrategy(this)
+      marquee: new MarqueeStrategy(this),
+      floodFill: new FloodFillStrategy(this),
+      lassoFill: new LassoFillStrategy(this)
     }
 
     this.store.dispatch({ type: 'TOOLBAR_MODE_SET', payload: 'drawing', meta: { scope: 'local' } })
@@ -222,6 +242,156 @@ class StoryboarderSketchPane extends EventEmitter {
     window.addEventListener('focus', this.onWindowFocusForApp)
   }
 
+  // the built-in brushes, and any custom brushes
+  async loadBrushes () {
+    if (this.customBrushes.length) {
+      let builtIns = brushesStorage.loadBuiltInBrushes()
+      await this.sketchPane.loadBrushes({
+        brushes: [
+          ...builtIns,
+          ...this.customBrushes.map(brush => brushesModel.toSketchPaneBrush(brush, builtIns))
+        ],
+        brushImagePath: brushesStorage.prepareImages()
+      })
+    } else {
+      await this.sketchPane.loadBrushes({
+        brushes: JSON.parse(fs.readFileSync(path.join(__dirname, '..', '..', 'data', 'brushes', 'brushes.json'))),
+        brushImagePath: path.join(__dirname, '..', '..', 'data', 'brushes')
+      })
+    }
+  }
+
+  // after this, the toolbar should be given the same brushes (see: TOOLBAR_CUSTOM_BRUSHES_SET)
+  async setCustomBrushes (brushes) {
+    this.customBrushes = brushes
+    await this.loadBrushes()
+  }
+
+  getCustomBrush (toolName) {
+    return brushesModel.getBrushByToolName(this.customBrushes, toolName)
+  }
+
+  // User layers are drawn on extra layers, created as needed and kept for re-use.
+  // Each is named by the id of the user layer it holds, so it's saved and loaded like a built-in layer.
+  // A user layer can be given another index when its board is loaded again, so undo states refer to it by id.
+  setUserLayers (userLayers) {
+    let layers = this.sketchPane.layers
+    let ids = userLayers.map(layer => layer.id)
+
+    // free the layers of removed user layers
+    for (let index of this.userLayerIndices) {
+      if (layers[index].name !== UNUSED_LAYER_NAME && !ids.includes(layers[index].name)) {
+        layers[index].name = UNUSED_LAYER_NAME
+        this.sketchPane.clearLayer(index)
+        this.sketchPane.clearLayerDirty(index)
+      }
+    }
+
+    for (let id of ids) {
+      if (layers.findByName(id)) continue
+
+      let index = this.userLayerIndices.find(index => layers[index].name === UNUSED_LAYER_NAME)
+      if (index == null) {
+        this.sketchPane.newLayer({ name: id })
+        this.userLayerIndices.push(layers.findByName(id).index)
+      } else {
+        layers[index].name = id
+      }
+    }
+
+    this.userLayers = userLayers
+
+    // user layers are saved, loaded, erased, moved, and scaled with the built-in layers
+    let indices = this.visibleLayersIndices.filter(index => !this.userLayerIndices.includes(index))
+    indices.splice(
+      indices.indexOf(layers.findByName('ink').index) + 1,
+      0,
+      ...ids.map(id => layers.findByName(id).index)
+    )
+    this.visibleLayersIndices = indices
+
+    if (this.activeUserLayerId && !ids.includes(this.activeUserLayerId)) {
+      this.activeUserLayerId = undefined
+    }
+    this.syncCurrentLayer()
+
+    this.renderUserLayers()
+  }
+
+  // when the SketchPane is created again, its extra layers are gone
+  resetUserLayers () {
+    this.visibleLayersIndices = this.visibleLayersIndices.filter(index => !this.userLayerIndices.includes(index))
+    this.userLayerIndices = []
+    this.userLayers = []
+  }
+
+  // in order, above the ink layer
+  renderUserLayers () {
+    let layers = this.sketchPane.layers
+    let ink = layers.findByName('ink').sprite
+
+    for (let index of this.userLayerIndices) {
+      layers[index].setVisible(false)
+    }
+
+    this.userLayers.forEach((userLayer, n) => {
+      let layer = layers.findByName(userLayer.id)
+      layer.setVisible(userLayer.visible)
+      layer.setOpacity(userLayer.opacity)
+      layer.sprite.blendMode = PIXI.BLEND_MODES[userLayer.blendMode.toUpperCase()]
+      layer.sprite.parent.setChildIndex(layer.sprite, ink.parent.getChildIndex(ink) + 1 + n)
+    })
+  }
+
+  setActiveUserLayerId (id) {
+    this.activeUserLayerId = id
+    this.syncCurrentLayer()
+  }
+
+  // the active user layer (if any), or the default layer of the tool
+  // notes always go to the notes layer
+  getLayerIndexForTool (tool) {
+    let layer = this.activeUserLayerId && tool.defaultLayerName !== 'notes'
+      ? this.sketchPane.layers.findByName(this.activeUserLayerId)
+      : this.sketchPane.layers.findByName(tool.defaultLayerName)
+    return layer.index
+  }
+
+  syncCurrentLayer () {
+    let toolbarState = this.store.getState().toolbar
+    if (toolbarState.activeTool != null && toolbarState.activeTool !== 'eraser') {
+      this.sketchPane.setCurrentLayerIndex(
+        this.getLayerIndexForTool(toolbarState.tools[toolbarState.activeTool])
+      )
+    }
+  }
+
+  // user layers which are hidden or locked can't be changed
+  isLayerEditable (index) {
+    let userLayer = this.userLayers.find(layer => layer.id === this.sketchPane.layers[index].name)
+    return !userLayer || (userLayer.visible && !userLayer.locked)
+  }
+
+  preventIfCurrentLayerLocked () {
+    if (this.isLayerEditable(this.sketchPane.getCurrentLayerIndex())) return false
+
+    this.emit('currentLayerLocked')
+    return true
+  }
+
+  // for multi-erase, move, and scale
+  getEditableLayersIndices () {
+    return this.visibleLayersIndices.filter(index => this.isLayerEditable(index))
+  }
+
+  // the layers to composite, in order, for the poster frame and thumbnail
+  getRenderedLayersIndices () {
+    return this.visibleLayersIndices.filter(index => {
+      let userLayer = this.userLayers.find(layer => layer.id === this.sketchPane.layers[index].name)
+      return !userLayer || userLayer.visible
+    })
+  }
+
   // for compatibility with older sketchpane code
   getCanvasSize () {
     return { width: this.sketchPane.width, height: this.sketchPane.height }
@@ -283,6 +453,13 @@ class StoryboarderSketchPane extends EventEmitter {
     }
   }
 
+  // the pixels of a layer, as a canvas
+  getLayerCanvas (index) {
+    let pixels = this.sketchPane.layers[index].pixels(false)
+    SketchPaneUtil.arrayPostDivide(pixels)
+    return SketchPaneUtil.pixelsToCanvas(pixels, this.sketchPane.width, this.sketchPane.height)
+  }
+
   getUndoStateForLayer (index) {
     // store raw pixels with premultiplied alpha
     return {
@@ -291,8 +468,22 @@ class StoryboarderSketchPane extends EventEmitter {
       premultiplied: true
     }
   }
+  // the id of the user layer at `index`, or undefined for a built-in layer
+  getUserLayerId (index) {
+    let name = this.sketchPane.layers[index].name
+    return this.userLayers.some(layer => layer.id === name) ? name : undefined
+  }
+  // user layers are found by id, as they can be given other indices when their board is loaded again
+  // returns the index of the layer, or undefined if the user layer no longer exists
   applyUndoStateForLayer (state) {
     let source = state.source
+    let index = source.index
+    if (state.userLayerId) {
+      let layer = this.sketchPane.layers.findByName(state.userLayerId)
+      if (!layer) return
+      index = layer.index
+    }
+
     // un-premultiply pixels, but only once
     if (source.premultiplied) {
       SketchPaneUtil.arrayPostDivide(source.pixels)
@@ -300,13 +491,14 @@ class StoryboarderSketchPane extends EventEmitter {
       source.premultiplied = false
     }
     // TODO try directly creating texture from pixel data via texImage2D
-    this.sketchPane.layers[source.index].replaceTextureFromCanvas(
+    this.sketchPane.layers[index].replaceTextureFromCanvas(
       SketchPaneUtil.pixelsToCanvas(
         source.pixels,
         this.sketchPane.width,
         this.sketchPane.height
       )
     )
+    return index
   }
 
   onKeyDown (e) {
@@ -362,8 +554,8 @@ class StoryboarderSketchPane extends EventEmitter {
   }
 
   onKeyUp (e) {
-    // HACK ignore any key up while in marquee selection mode
-    if (this.store.getState().toolbar.mode === 'marquee') {
+    // HACK ignore any key up while in marquee selection mode, or the fill modes
+    if (['marquee', 'floodFill', 'lassoFill'].includes(this.store.getState().toolbar.mode)) {
       return
     }
 
@@ -623,6 +815,12 @@ class LineDrawingStrategy {
     // trigger layer opacity check
     this.context.emit('beforePointerDown')
 
+    if (
+      !this.state.started &&
+      this.context.store.getState().toolbar.activeTool !== 'eraser' &&
+      this.context.preventIfCurrentLayerLocked()
+    ) return
+
     let nextEvent
 
     if (this.state.started) {
@@ -661,11 +859,12 @@ class LineDrawingStrategy {
 
     let options = {
       isStraightLine: true,
-      shouldSnap: this.context.isCommandPressed('drawing:straight-line-snap'),
+      // perspective snapping replaces angle snapping
+      shouldSnap: !this._getPerspective() && this.context.isCommandPressed('drawing:straight-line-snap'),
        // TODO could we remove this and handle pressure override logic at the event level?
       straightLinePressure: 0.5,
       erase: toolbarState.activeTool === 'eraser'
-        ? this.context.visibleLayersIndices
+        ? this.context.getEditableLayersIndices()
         : false
     }
 
@@ -686,7 +885,11 @@ class LineDrawingStrategy {
     }
 
     // always update the cursor
-    this.context.sketchPane.move(this._normalizeEvent(e))
+    this.context.sketchPane.move(
+      this.context.sketchPane.isDrawing()
+        ? this._snapToPerspective(this._normalizeEvent(e))
+        : this._normalizeEvent(e)
+    )
 
     if (this.context.sketchPane.isDrawing()) {
       // track X/Y on the full-size texture
@@ -697,6 +900,29 @@ class LineDrawingStrategy {
     }
   }
 
+  // when the perspective guide is shown
+  _getPerspective () {
+    return this.context.store.getState().toolbar.perspective
+      ? this.context.perspective
+      : undefined
+  }
+
+  // moves the end of the line onto the nearest line of the perspective
+  _snapToPerspective (e) {
+    let perspective = this._getPerspective()
+    if (!perspective) return e
+
+    let origin = this.context.sketchPane.strokeState.points[0]
+    let point = perspectiveModel.snapPoint(
+      perspective,
+      origin,
+      this.context.sketchPane.localizePoint(e),
+      [this.context.sketchPane.width, this.context.sketchPane.height]
+    )
+    let { x, y } = this.context.sketchPane.globalizePoint(point)
+    return { ...e, x, y }
+  }
+
   _onKeyUp (e) {
     if (!this.context.isCommandPressed('drawing:straight-line')) {
       if (this.context.sketchPane.isDrawing()) {
@@ -721,6 +947,9 @@ class DrawingStrategy {
     this._onKeyUp = this._onKeyUp.bind(this)
     this._onWheel = this._onWheel.bind(this)
 
+    // during a stroke with a custom brush
+    this._customBrush = undefined
+
     let delay = prefsModule.getPrefs().straightLineDelayInMsecs
     if (delay) {
       this._onIdle = this._onIdle.bind(this)
@@ -790,6 +1019,12 @@ class DrawingStrategy {
     // trigger layer opacity check
     this.context.emit('beforePointerDown')
 
+    // the eraser can still erase the other layers
+    if (
+      this.context.store.getState().toolbar.activeTool !== 'eraser' &&
+      this.context.preventIfCurrentLayerLocked()
+    ) return
+
     this._idleTimer && this._idleTimer.reset()
 
     this.context.store.dispatch({ type: 'TOOLBAR_MODE_STATUS_SET', payload: 'busy', meta: { scope: 'local' } })
@@ -804,7 +1039,7 @@ class DrawingStrategy {
     if (!toolbarState.prevTool &&
         toolbarState.activeTool === 'eraser') {
       // regular eraser
-      options.erase = this.context.visibleLayersIndices
+      options.erase = this.context.getEditableLayersIndices()
     } else {
       // via https://developer.mozilla.org/en-US/docs/Web/API/Pointer_events#Determining_button_states
       // is the user requesting to erase?
@@ -812,7 +1047,7 @@ class DrawingStrategy {
         // is the shift key down?
         ? e.shiftKey
           // ... then, erase multiple layers
-          ? { erase: this.context.visibleLayersIndices }
+          ? { erase: this.context.getEditableLayersIndices() }
           // ... otherwise, only erase current layer
           : { erase: [this.context.sketchPane.getCurrentLayerIndex()] }
         // not erasing
@@ -835,7 +1070,11 @@ class DrawingStrategy {
     // sync sketchPane to the current toolbar state
     // syncSketchPaneState(this.store.getState().toolbar)
 
-    this.context.sketchPane.down(e, options)
+    this._customBrush = options.erase
+      ? undefined
+      : this.context.getCustomBrush(toolbarState.activeTool)
+
+    this.context.sketchPane.down(this._withCustomBrushPressure(e, 0), options)
     this.context.lineMileageCounter.reset()
 
     // audible event for Sonifier
@@ -868,7 +1107,11 @@ class DrawingStrategy {
     }
 
     // always update the cursor
-    this.context.sketchPane.move(e)
+    this.context.sketchPane.move(
+      this.context.sketchPane.isDrawing()
+        ? this._withCustomBrushPressure(e, this.context.lineMileageCounter.get())
+        : e
+    )
 
     if (this.context.sketchPane.isDrawing()) {
       // track X/Y on the full-size texture
@@ -884,6 +1127,12 @@ class DrawingStrategy {
 
     this.context.sketchPane.up(e)
 
+    if (this._customBrush) {
+      let tool = this.context.store.getState().toolbar.tools[brushesModel.getToolName(this._customBrush)]
+      if (tool) this.context.sketchPane.nodeOpacityScale = tool.nodeOpacity
+      this._customBrush = undefined
+    }
+
     this._updateQuickErase(e)
     this.context.store.dispatch({ type: 'TOOLBAR_MODE_STATUS_SET', payload: 'idle', meta: { scope: 'local' } })
 
@@ -903,6 +1152,27 @@ class DrawingStrategy {
     this._updateQuickErase(e)
   }
 
+  // the pointer event, with its pressure changed by the custom brush (if any)
+  // `distance` is how far the stroke has come
+  _withCustomBrushPressure (e, distance) {
+    let brush = this._customBrush
+    if (!brush) return e
+
+    let tool = this.context.store.getState().toolbar.tools[brushesModel.getToolName(brush)]
+    this.context.sketchPane.nodeOpacityScale = brushesModel.getNodeOpacity(brush, tool.nodeOpacity, e.pressure)
+
+    let pressure = brushesModel.getStrokePressure(brush, e.pressure, distance)
+    return new Proxy(e, {
+      get: (target, key) => {
+        if (key === 'pressure') return pressure
+        // methods of the native event must be called on the event itself
+        return typeof target[key] === 'function'
+          ? target[key].bind(target)
+          : target[key]
+      }
+    })
+  }
+
   _onWheel (e) {
     // zoom - fixed direction and smoother scaling
     e.preventDefault()
@@ -981,7 +1251,7 @@ class MovingStrategy {
   shutdown () {
     if (this.state.moved && !this.state.stamped) {
       this._stamp()
-      this.context.emit('markDirty', this.context.visibleLayersIndices)
+      this.context.emit('markDirty', this.context.getEditableLayersIndices())
     }
 
     this.context.sketchPaneDOMElement.removeEventListener('pointerdown', this._onPointerDown)
@@ -995,7 +1265,7 @@ class MovingStrategy {
   }
 
   _onPointerDown (e) {
-    this.context.emit('addToUndoStack', this.context.visibleLayersIndices)
+    this.context.emit('addToUndoStack', this.context.getEditableLayersIndices())
     this.state.anchor = this.context.sketchPane.localizePoint(e)
     this.state.moved = false
     this.context.sketchPaneDOMElement.addEventListener('pointermove', this._onPointerMove)
@@ -1032,7 +1302,7 @@ class MovingStrategy {
 
   _onPointerUp (e) {
     this._stamp()
-    this.context.emit('markDirty', this.context.visibleLayersIndices)
+    this.context.emit('markDirty', this.context.getEditableLayersIndices())
     this.context.sketchPaneDOMElement.removeEventListener('pointermove', this._onPointerMove)
   }
 
@@ -1042,14 +1312,14 @@ class MovingStrategy {
   }
 
   _render () {
-    for (let index of this.context.visibleLayersIndices) {
+    for (let index of this.context.getEditableLayersIndices()) {
       this.context.sketchPane.layers[index].sprite.position.set(this.state.diff.x, this.state.diff.y)
     }
   }
 
   _stamp () {
     // stamp position changes to textures
-    for (let index of this.context.visibleLayersIndices) {
+    for (let index of this.context.getEditableLayersIndices()) {
       // overwrite texture
       this.context.sketchPane.layers[index].rewrite()
       // reset position
@@ -1095,7 +1365,7 @@ class ScalingStrategy {
   shutdown () {
     if (this.state.moved && !this.state.stamped) {
       this._stamp()
-      this.context.emit('markDirty', this.context.visibleLayersIndices)
+      this.context.emit('markDirty', this.context.getEditableLayersIndices())
     }
 
     this.context.sketchPaneDOMElement.removeEventListener('pointerdown', this._onPointerDown)
@@ -1107,7 +1377,7 @@ class ScalingStrategy {
   }
 
   _onPointerDown (e) {
-    this.context.emit('addToUndoStack', this.context.visibleLayersIndices)
+    this.context.emit('addToUndoStack', this.context.getEditableLayersIndices())
     this.state.anchor = this.context.sketchPane.localizePoint(e)
     this.state.moved = false
     this.context.sketchPaneDOMElement.addEventListener('pointermove', this._onPointerMove)
@@ -1143,14 +1413,14 @@ class ScalingStrategy {
 
   _onPointerUp (e) {
     this._stamp()
-    this.context.emit('markDirty', this.context.visibleLayersIndices)
+    this.context.emit('markDirty', this.context.getEditableLayersIndices())
     this.context.sketchPaneDOMElement.removeEventListener('pointermove', this._onPointerMove)
   }
 
   _render () {
     let scale = 1 + (this.state.diff.x / this.context.sketchPane.width)
 
-    for (let index of this.context.visibleLayersIndices) {
+    for (let index of this.context.getEditableLayersIndices()) {
       let sprite = this.context.sketchPane.layers[index].sprite
       let width = this.context.sketchPane.width
       let height = this.context.sketchPane.height
@@ -1169,7 +1439,7 @@ class ScalingStrategy {
 
   _stamp () {
     // stamp position changes to textures
-    for (let index of this.context.visibleLayersIndices) {
+    for (let index of this.context.getEditableLayersIndices()) {
       // overwrite texture
       this.context.sketchPane.layers[index].rewrite()
 
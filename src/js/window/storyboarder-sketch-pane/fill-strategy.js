@@ -0,0 +1,268 @@
+const paper = require('paper')
+
+const floodFill = require('../../models/flood-fill')
+
+const constrainPoint = (point, rectangle) => {
+  point = paper.Point.max(point, rectangle.topLeft)
+  point = paper.Point.min(point, rectangle.bottomRight)
+  return point
+}
+
+const getFillColor = state => state.toolbar.tools[state.toolbar.activeTool].color
+const getFillAlpha = state => state.toolbar.tools[state.toolbar.activeTool].strokeOpacity
+
+// with the eraser, fills erase
+const getIsErasing = state => state.toolbar.activeTool === 'eraser'
+
+// draws `canvas` over the layer at `index`
+const drawOverLayer = (storyboarderSketchPane, index, canvas, alpha, compositeOperation) => {
+  let layerCanvas = storyboarderSketchPane.getLayerCanvas(index)
+
+  let context = layerCanvas.getContext('2d')
+  context.globalAlpha = alpha
+  context.globalCompositeOperation = compositeOperation
+  context.drawImage(canvas, 0, 0)
+
+  storyboarderSketchPane.sketchPane.layers[index].replaceTextureFromCanvas(layerCanvas)
+}
+
+// Paint bucket
+//
+// Samples the visible layers, flattened, and fills the current layer
+// with the current tool color and opacity.
+class FloodFillStrategy {
+  constructor (context) {
+    this.context = context
+    this.name = 'floodFill'
+
+    this._onPointerDown = this._onPointerDown.bind(this)
+    this._onKeyDown = this._onKeyDown.bind(this)
+  }
+
+  startup () {
+    document.addEventListener('pointerdown', this._onPointerDown)
+    window.addEventListener('keydown', this._onKeyDown)
+
+    this.context.sketchPane.cursor.setEnabled(false)
+    this.context.sketchPane.app.view.style.cursor = 'crosshair'
+  }
+
+  shutdown () {
+    document.removeEventListener('pointerdown', this._onPointerDown)
+    window.removeEventListener('keydown', this._onKeyDown)
+
+    this.context.sketchPane.app.view.style.cursor = 'auto'
+    this.context.sketchPane.cursor.setEnabled(true)
+  }
+
+  _onPointerDown (event) {
+    if (event.target !== this.context.sketchPaneDOMElement) return
+    if (this.context.preventIfCurrentLayerLocked()) return
+
+    let state = this.context.store.getState()
+    let { width, height } = this.context.sketchPane
+
+    let flattened = this.context.sketchPane.layers.asFlattenedCanvas(
+      width,
+      height,
+      this.context.getRenderedLayersIndices()
+    )
+    let mask = floodFill.getFillMask(
+      flattened.getContext('2d').getImageData(0, 0, width, height).data,
+      width,
+      height,
+      this.context.sketchPane.localizePoint(event),
+      { gap: state.toolbar.fillGap }
+    )
+    if (!mask) return
+
+    let fillCanvas = document.createElement('canvas')
+    fillCanvas.width = width
+    fillCanvas.height = height
+    fillCanvas.getContext('2d').putImageData(
+      new window.ImageData(floodFill.getFillPixels(mask, getFillColor(state)), width, height),
+      0,
+      0
+    )
+
+    let indices = [this.context.sketchPane.getCurrentLayerIndex()]
+    this.context.emit('addToUndoStack', indices)
+    drawOverLayer(
+      this.context,
+      indices[0],
+      fillCanvas,
+      getFillAlpha(state),
+      getIsErasing(state) ? 'destination-out' : 'source-over'
+    )
+    this.context.emit('markDirty', indices)
+  }
+
+  _onKeyDown (event) {
+    if (this.context.isCommandPressed('drawing:exit-current-mode')) {
+      this.context.store.dispatch({ type: 'TOOLBAR_MODE_SET', payload: 'drawing', meta: { scope: 'local' } })
+    }
+  }
+}
+
+// Fills a freehand shape on the current layer
+// with the current tool color and opacity
+class LassoFillStrategy {
+  constructor (context) {
+    this.context = context
+    this.name = 'lassoFill'
+
+    this._onPointerDown = this._onPointerDown.bind(this)
+    this._onPointerMove = this._onPointerMove.bind(this)
+    this._onPointerUp = this._onPointerUp.bind(this)
+    this._onKeyDown = this._onKeyDown.bind(this)
+
+    this.offscreenCanvas = document.createElement('canvas')
+    this.offscreenContext = this.offscreenCanvas.getContext('2d')
+
+    this.paperScope = paper.setup(this.offscreenCanvas)
+    this.paperScope.view.setAutoUpdate(false)
+    this.paperScope.view.remove()
+
+    this.path = null
+  }
+
+  startup () {
+    this.offscreenCanvas.width = this.context.sketchPane.width
+    this.offscreenCanvas.height = this.context.sketchPane.height
+    this.layer = this.context.sketchPane.layers.findByName('composite')
+
+    this.boundingRect = new paper.Rectangle(
+      new paper.Point(0, 0),
+      new paper.Point(this.context.sketchPane.width, this.context.sketchPane.height)
+    )
+
+    document.addEventListener('pointerdown', this._onPointerDown)
+    document.addEventListener('pointermove', this._onPointerMove)
+    document.addEventListener('pointerup', this._onPointerUp)
+    window.addEventListener('keydown', this._onKeyDown)
+
+    this.context.sketchPane.cursor.setEnabled(false)
+    this.context.sketchPane.app.view.style.cursor = 'crosshair'
+  }
+
+  shutdown () {
+    this.cancel()
+    this.boundingRect = null
+
+    document.removeEventListener('pointerdown', this._onPointerDown)
+    document.removeEventListener('pointermove', this._onPointerMove)
+    document.removeEventListener('pointerup', this._onPointerUp)
+    window.removeEventListener('keydown', this._onKeyDown)
+
+    this.context.sketchPane.app.view.style.cursor = 'auto'
+    this.context.sketchPane.cursor.setEnabled(true)
+  }
+
+  _onPointerDown (event) {
+    if (event.target !== this.context.sketchPaneDOMElement) return
+    if (this.context.preventIfCurrentLayerLocked()) return
+
+    this.context.store.dispatch({ type: 'TOOLBAR_MODE_STATUS_SET', payload: 'busy', meta: { scope: 'local' } })
+
+    this.path = new paper.Path()
+    this._addPointFromEvent(event)
+    this._draw()
+  }
+
+  _onPointerMove (event) {
+    if (!this.path) return
+
+    this._addPointFromEvent(event)
+    this._draw()
+  }
+
+  _onPointerUp (event) {
+    if (!this.path) return
+
+    this._addPointFromEvent(event)
+    this.path.closePath()
+
+    if (this.path.segments.length > 2) {
+      let state = this.context.store.getState()
+      let indices = [this.context.sketchPane.getCurrentLayerIndex()]
+      this.context.emit('addToUndoStack', indices)
+      this.context.sketchPane.selectedArea.set(this.path)
+      if (getIsErasing(state)) {
+        this.context.sketchPane.selectedArea.erase(indices)
+      } else {
+        this.context.sketchPane.selectedArea.fill(indices, getFillColor(state), getFillAlpha(state))
+      }
+      this.context.sketchPane.selectedArea.unset()
+      this.context.emit('markDirty', indices)
+    }
+
+    this.cancel()
+  }
+
+  _onKeyDown (event) {
+    if (this.context.isCommandPressed('drawing:exit-current-mode')) {
+      if (this.path) {
+        this.cancel()
+      } else {
+        this.context.store.dispatch({ type: 'TOOLBAR_MODE_SET', payload: 'drawing', meta: { scope: 'local' } })
+      }
+    }
+  }
+
+  // stop drawing the shape, without filling
+  cancel () {
+    if (!this.path) return
+
+    this.path.remove()
+    this.path = null
+    this.layer.clear()
+
+    this.context.store.dispatch({ type: 'TOOLBAR_MODE_STATUS_SET', payload: 'idle', meta: { scope: 'local' } })
+  }
+
+  _addPointFromEvent (event) {
+    let point = this.context.sketchPane.localizePoint(event)
+    this.path.add(constrainPoint(new paper.Point(point.x, point.y), this.boundingRect))
+  }
+
+  // preview of the fill, with an outline
+  _draw () {
+    let ctx = this.offscreenContext
+    let state = this.context.store.getState()
+
+    ctx.clearRect(0, 0, this.context.sketchPane.width, this.context.sketchPane.height)
+
+    let points = this.path.segments.map(segment => segment.point)
+    if (points.length) {
+      ctx.save()
+
+      ctx.beginPath()
+      ctx.moveTo(points[0].x, points[0].y)
+      for (let point of points) {
+        ctx.lineTo(point.x, point.y)
+      }
+      ctx.closePath()
+
+      if (!getIsErasing(state)) {
+        ctx.globalAlpha = getFillAlpha(state) * 0.5
+        ctx.fillStyle = '#' + getFillColor(state).toString(16).padStart(6, '0')
+        ctx.fill()
+        ctx.globalAlpha = 1.0
+      }
+
+      ctx.lineWidth = 1
+      ctx.strokeStyle = '#6A4DE7'
+      ctx.setLineDash([2, 5])
+      ctx.stroke()
+
+      ctx.restore()
+    }
+
+    this.layer.replaceTextureFromCanvas(this.offscreenCanvas)
+  }
+}
+
+module.exports = {
+  FloodFillStrategy,
+  LassoFillStrategy
+}
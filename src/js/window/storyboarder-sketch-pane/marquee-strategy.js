@@ -1,6 +1,8 @@
 const paper = require('paper')
 const SketchPaneUtil = require('alchemancy').util
 
+const TransformStrategy = require('./transform-strategy')
+
 const constrainPoint = (point, rectangle) => {
   point = paper.Point.max(point, rectangle.topLeft)
   point = paper.Point.min(point, rectangle.bottomRight)
@@ -17,7 +19,8 @@ class MarqueeStrategy {
 
     this.strategies = {
       selection: new SelectionStrategy(this.context, this),
-      operation: new OperationStrategy(this.context, this)
+      operation: new OperationStrategy(this.context, this),
+      transform: new TransformStrategy(this.context, this)
     }
 
     this.marqueeTransitionEvent = null
@@ -305,12 +308,12 @@ class SelectionStrategy {
     return this._getCombinedPath().contains(point)
   }
 
-  _transitionNext () {
+  _transitionNext (strategy = 'operation') {
     this.context.store.dispatch({
       type: 'TOOLBAR_MODE_STATUS_SET', payload: 'idle', meta: { scope: 'local' }
     })
 
-    this.parent.setStrategy('operation')
+    this.parent.setStrategy(strategy)
   }
 
   _addPointFromEvent (event) {
@@ -367,7 +370,7 @@ class SelectionStrategy {
 
     if (this.context.isCommandPressed('drawing:marquee:erase')) {
       if (this.state.complete && this.parent.marqueePath) {
-        let indices = this.context.visibleLayersIndices
+        let indices = this.context.getEditableLayersIndices()
         this.context.emit('addToUndoStack', indices)
         this.context.sketchPane.selectedArea.set(this.parent.marqueePath)
         this.context.sketchPane.selectedArea.erase(indices)
@@ -377,6 +380,13 @@ class SelectionStrategy {
       }
     }
 
+    if (this.context.isCommandPressed('drawing:marquee:transform')) {
+      if (this.state.complete && this.parent.marqueePath && !this.parent.marqueePath.bounds.isEmpty()) {
+        this._transitionNext('transform')
+        return
+      }
+    }
+
     if (this.context.isCommandPressed('drawing:marquee:fill')) {
       if (this.state.complete && this.parent.marqueePath) {
         // let indices = this.context.visibleLayersIndices
@@ -548,7 +558,7 @@ class OperationStrategy {
     PIXI.utils.clearTextureCache()
 
     this.outlineSprite = this.context.sketchPane.selectedArea.asOutlineSprite()
-    this.cutSprite = this.context.sketchPane.selectedArea.asSprite(this.context.visibleLayersIndices)
+    this.cutSprite = this.context.sketchPane.selectedArea.asSprite(this.context.getEditableLayersIndices())
     this.areaPolygons = this.context.sketchPane.selectedArea.asPolygons(false)
 
     // TODO should this move to a SelectedArea setup/prepare method?
@@ -717,7 +727,7 @@ class OperationStrategy {
 
       let fillLayer = this.parent.findLayerByName('fill')
 
-      let indices = this.context.visibleLayersIndices
+      let indices = this.context.getEditableLayersIndices()
 
       // all layer indexes _except_ for the fill layer
       let filtered = indices.filter(n => n != fillLayer.index)
@@ -773,7 +783,7 @@ class OperationStrategy {
     this.state.done = true
 
     if (this.state.moved) {
-      let indices = this.context.visibleLayersIndices
+      let indices = this.context.getEditableLayersIndices()
 
       if (this.state.commitOperation === 'move') {
         this.context.emit('addToUndoStack', indices)
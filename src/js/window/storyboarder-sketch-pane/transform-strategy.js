@@ -0,0 +1,431 @@
+const transformModel = require('../../models/selection-transform')
+
+// in view pixels
+const HANDLE_SIZE = 8
+
+// for rotation with the constrain key
+const ROTATION_STEP = Math.PI / 12
+
+const LAYER_LABELS = {
+  'shot-generator': 'Shot Generator',
+  reference: 'Reference',
+  fill: 'Fill',
+  tone: 'Tone',
+  pencil: 'Pencil',
+  ink: 'Ink',
+  notes: 'Notes'
+}
+
+const createCanvas = (width, height) => {
+  let canvas = document.createElement('canvas')
+  canvas.width = width
+  canvas.height = height
+  return canvas
+}
+
+// draws the result of `warp` (see: models/selection-transform)
+const drawPixels = (context, { data, x, y, width, height }) => {
+  let canvas = createCanvas(width, height)
+  canvas.getContext('2d').putImageData(new window.ImageData(data, width, height), 0, 0)
+  context.drawImage(canvas, x, y)
+}
+
+// Transforms the marquee selection on the chosen layers
+//
+// Drag inside to move, drag a corner or an edge to scale, and drag outside to rotate.
+// With the distort key, corners distort and edges skew.
+// With the constrain key, corners keep their proportions and rotation snaps.
+//
+// The selection is previewed on the composite layer, and drawn to the layers on commit.
+class TransformStrategy {
+  constructor (context, parent) {
+    this.context = context
+    this.parent = parent
+
+    this._onPointerDown = this._onPointerDown.bind(this)
+    this._onPointerMove = this._onPointerMove.bind(this)
+    this._onPointerUp = this._onPointerUp.bind(this)
+    this._onHover = this._onHover.bind(this)
+    this._onKeyDown = this._onKeyDown.bind(this)
+    this._onDocumentPointerDown = this._onDocumentPointerDown.bind(this)
+    this.renderHandles = this.renderHandles.bind(this)
+  }
+
+  startup () {
+    let { width, height } = this.context.sketchPane
+
+    this.context.store.dispatch({ type: 'TOOLBAR_MODE_STATUS_SET', payload: 'busy', meta: { scope: 'local' } })
+
+    this.layer = this.context.sketchPane.layers.findByName('composite')
+
+    let bounds = this.parent.marqueePath.bounds
+    let x = Math.max(0, Math.floor(bounds.x))
+    let y = Math.max(0, Math.floor(bounds.y))
+    this.transform = transformModel.createTransform({
+      x,
+      y,
+      width: Math.min(width, Math.ceil(bounds.right)) - x,
+      height: Math.min(height, Math.ceil(bounds.bottom)) - y
+    })
+    this.path = new window.Path2D(this.parent.marqueePath.pathData)
+
+    this.indices = this.context.getEditableLayersIndices()
+    this.parts = {}
+    this.drag = null
+    this.done = false
+    this.frame = null
+
+    this.background = createCanvas(width, height)
+    this.selection = createCanvas(this.transform.source.width, this.transform.source.height)
+    this.preview = createCanvas(width, height)
+
+    this.createEditor()
+    this.prepare()
+    this.render()
+
+    document.addEventListener('pointerdown', this._onDocumentPointerDown)
+    window.addEventListener('keydown', this._onKeyDown)
+    window.addEventListener('resize', this.renderHandles)
+
+    this.context.sketchPane.cursor.setEnabled(false)
+  }
+
+  shutdown () {
+    if (!this.done) {
+      this.cleanup()
+      this.done = true
+    }
+
+    document.removeEventListener('pointerdown', this._onDocumentPointerDown)
+    window.removeEventListener('keydown', this._onKeyDown)
+    window.removeEventListener('resize', this.renderHandles)
+
+    this.context.sketchPane.app.view.style.cursor = 'auto'
+    this.context.sketchPane.cursor.setEnabled(true)
+  }
+
+  createEditor () {
+    let view = this.context.sketchPane.app.view
+
+    this.el = document.createElement('div')
+    this.el.className = 'selection-transform'
+    this.el.innerHTML = `
+      <canvas class="selection-transform__canvas"></canvas>
+      <div class="selection-transform__panel">
+        <span class="selection-transform__title">Transform</span>
+        <button name="flip-horizontal">Flip Horizontal</button>
+        <button name="flip-vertical">Flip Vertical</button>
+        <button name="rotate">Rotate 90°</button>
+        <span class="selection-transform__layers"></span>
+        <button name="cancel">Cancel</button>
+        <button name="commit">Apply</button>
+      </div>
+    `
+    view.parentNode.appendChild(this.el)
+
+    this.canvas = this.el.querySelector('canvas')
+    this.canvas.addEventListener('pointerdown', this._onPointerDown)
+    this.canvas.addEventListener('pointermove', this._onHover)
+
+    let panel = this.el.querySelector('.selection-transform__panel')
+
+    for (let index of this.indices) {
+      let name = this.context.sketchPane.layers[index].name
+      let userLayer = this.context.userLayers.find(layer => layer.id === name)
+      let label = document.createElement('label')
+      label.innerHTML = `<input type="checkbox" name="layer" value="${index}" checked> `
+      label.append(userLayer ? userLayer.name : LAYER_LABELS[name] || name)
+      panel.querySelector('.selection-transform__layers').appendChild(label)
+    }
+    panel.querySelector('[name=flip-horizontal]').addEventListener('click', () =>
+      this.setTransform(transformModel.flip(this.transform, 'horizontal')))
+    panel.querySelector('[name=flip-vertical]').addEventListener('click', () =>
+      this.setTransform(transformModel.flip(this.transform, 'vertical')))
+    panel.querySelector('[name=rotate]').addEventListener('click', () =>
+      this.setTransform(transformModel.rotate(this.transform, Math.PI / 2)))
+    panel.querySelector('[name=cancel]').addEventListener('click', () => this.cancel())
+    panel.querySelector('[name=commit]').addEventListener('click', () => this.commit())
+    for (let input of panel.querySelectorAll('[name=layer]')) {
+      input.addEventListener('change', () => {
+        this.indices = [...panel.querySelectorAll('[name=layer]:checked')].map(el => parseInt(el.value, 10))
+        this.prepare()
+        this.render()
+      })
+    }
+  }
+
+  // the layer with the selected area cut out, and the selected area, cropped to the source rectangle
+  getLayerParts (index) {
+    if (!this.parts[index]) {
+      let { source } = this.transform
+
+      let layer = this.context.getLayerCanvas(index)
+
+      let selection = createCanvas(source.width, source.height)
+      let selectionContext = selection.getContext('2d')
+      selectionContext.translate(-source.x, -source.y)
+      selectionContext.clip(this.path)
+      selectionContext.drawImage(layer, 0, 0)
+
+      let layerContext = layer.getContext('2d')
+      layerContext.globalCompositeOperation = 'destination-out'
+      layerContext.fill(this.path)
+      layerContext.globalCompositeOperation = 'source-over'
+
+      this.parts[index] = { layer, selection }
+    }
+    return this.parts[index]
+  }
+
+  // the visible layers without the selected area, and the selected area of the chosen layers
+  prepare () {
+    let { width, height } = this.context.sketchPane
+    let { source } = this.transform
+
+    let backgroundContext = this.background.getContext('2d')
+    backgroundContext.fillStyle = '#fff'
+    backgroundContext.fillRect(0, 0, width, height)
+
+    let selectionContext = this.selection.getContext('2d')
+    selectionContext.clearRect(0, 0, source.width, source.height)
+
+    for (let index of this.context.getRenderedLayersIndices()) {
+      if (this.indices.includes(index)) {
+        let { layer, selection } = this.getLayerParts(index)
+        backgroundContext.drawImage(layer, 0, 0)
+        selectionContext.drawImage(selection, 0, 0)
+      } else {
+        backgroundContext.drawImage(this.context.sketchPane.layers.asFlattenedCanvas(width, height, [index]), 0, 0)
+      }
+    }
+
+    this.selectionImage = selectionContext.getImageData(0, 0, source.width, source.height)
+  }
+
+  setTransform (transform) {
+    this.transform = transform
+    if (this.frame) return
+    this.frame = window.requestAnimationFrame(() => {
+      this.frame = null
+      this.render()
+    })
+  }
+
+  render () {
+    if (this.done) return
+
+    let { width, height } = this.context.sketchPane
+    let context = this.preview.getContext('2d')
+    context.drawImage(this.background, 0, 0)
+
+    let warped = transformModel.warp(this.selectionImage, this.transform, width, height)
+    if (warped) drawPixels(context, warped)
+
+    this.layer.replaceTextureFromCanvas(this.preview)
+
+    this.renderHandles()
+  }
+
+  // board pixels to view pixels
+  toView (point) {
+    return this.context.sketchPane.sketchPaneContainer.toGlobal(point)
+  }
+
+  renderHandles () {
+    if (this.done) return
+
+    let view = this.context.sketchPane.app.view
+    let dpr = window.devicePixelRatio || 1
+    let cssWidth = view.offsetWidth
+    let cssHeight = view.offsetHeight
+    this.el.style.left = `${view.offsetLeft}px`
+    this.el.style.top = `${view.offsetTop}px`
+    this.canvas.width = cssWidth * dpr
+    this.canvas.height = cssHeight * dpr
+    this.canvas.style.width = `${cssWidth}px`
+    this.canvas.style.height = `${cssHeight}px`
+
+    let context = this.canvas.getContext('2d')
+    context.scale(dpr, dpr)
+    context.clearRect(0, 0, cssWidth, cssHeight)
+
+    let corners = this.transform.corners.map(corner => this.toView(corner))
+
+    for (let [color, dash] of [['#fff', []], ['#6A4DE7', [2, 5]]]) {
+      context.lineWidth = 1
+      context.strokeStyle = color
+      context.setLineDash(dash)
+      context.beginPath()
+      corners.forEach(({ x, y }) => context.lineTo(x, y))
+      context.closePath()
+      context.stroke()
+    }
+    context.setLineDash([])
+
+    for (let handle of transformModel.getHandles(this.transform)) {
+      let { x, y } = this.toView(handle)
+      context.fillStyle = '#fff'
+      context.strokeStyle = '#6A4DE7'
+      context.fillRect(x - HANDLE_SIZE / 2, y - HANDLE_SIZE / 2, HANDLE_SIZE, HANDLE_SIZE)
+      context.strokeRect(x - HANDLE_SIZE / 2, y - HANDLE_SIZE / 2, HANDLE_SIZE, HANDLE_SIZE)
+    }
+  }
+
+  // a handle, or 'move' inside, or 'rotate' outside
+  hitTest (point) {
+    let zoom = this.context.sketchPane.sketchPaneContainer.scale.x
+    let handleRadius = HANDLE_SIZE / zoom
+
+    let handle = transformModel.getHandles(this.transform).find(({ x, y }) =>
+      Math.abs(point.x - x) <= handleRadius && Math.abs(point.y - y) <= handleRadius
+    )
+    if (handle) return handle
+
+    return transformModel.contains(this.transform, point)
+      ? { type: 'move' }
+      : { type: 'rotate' }
+  }
+
+  _onHover (event) {
+    if (this.drag) return
+
+    let { type } = this.hitTest(this.context.sketchPane.localizePoint(event))
+    this.canvas.style.cursor = {
+      corner: 'pointer',
+      edge: 'pointer',
+      move: 'move',
+      rotate: 'crosshair'
+    }[type]
+  }
+
+  _onPointerDown (event) {
+    event.preventDefault()
+
+    let point = this.context.sketchPane.localizePoint(event)
+    this.drag = {
+      handle: this.hitTest(point),
+      origin: point,
+      transform: this.transform
+    }
+
+    window.addEventListener('pointermove', this._onPointerMove)
+    window.addEventListener('pointerup', this._onPointerUp)
+  }
+
+  _onPointerMove (event) {
+    let point = this.context.sketchPane.localizePoint(event)
+    let { handle, origin, transform } = this.drag
+
+    let shouldDistort = this.context.isCommandPressed('drawing:marquee:transform:distort')
+    let shouldConstrain = this.context.isCommandPressed('drawing:marquee:transform:constrain')
+
+    switch (handle.type) {
+      case 'move':
+        this.setTransform(transformModel.translate(transform, point.x - origin.x, point.y - origin.y))
+        break
+
+      case 'rotate': {
+        let center = transformModel.getCenter(transform)
+        let angle = Math.atan2(point.y - center.y, point.x - center.x) -
+                    Math.atan2(origin.y - center.y, origin.x - center.x)
+        if (shouldConstrain) angle = Math.round(angle / ROTATION_STEP) * ROTATION_STEP
+        this.setTransform(transformModel.rotate(transform, angle))
+        break
+      }
+
+      case 'corner':
+        this.setTransform(shouldDistort
+          ? transformModel.distort(transform, handle.index, point)
+          : transformModel.scale(transform, handle, point, { uniform: shouldConstrain }))
+        break
+
+      case 'edge':
+        this.setTransform(shouldDistort
+          ? transformModel.skew(transform, handle.index, point)
+          : transformModel.scale(transform, handle, point))
+        break
+    }
+  }
+
+  _onPointerUp (event) {
+    window.removeEventListener('pointermove', this._onPointerMove)
+    window.removeEventListener('pointerup', this._onPointerUp)
+
+    this.drag = null
+  }
+
+  _onKeyDown (event) {
+    if (this.context.isCommandPressed('drawing:marquee:cancel')) {
+      event.preventDefault()
+      this.cancel()
+      return
+    }
+
+    if (this.context.isCommandPressed('drawing:marquee:commit')) {
+      event.preventDefault()
+      this.commit()
+    }
+  }
+
+  // anywhere outside of the editor cancels, e.g.: the toolbar
+  _onDocumentPointerDown (event) {
+    if (!this.el.contains(event.target)) {
+      this.cancel()
+    }
+  }
+
+  cleanup () {
+    if (this.frame) window.cancelAnimationFrame(this.frame)
+    this.frame = null
+
+    this._onPointerUp()
+    this.el.remove()
+    this.layer.clear()
+
+    this.parts = {}
+    this.parent.marqueePath = null
+  }
+
+  complete () {
+    this.done = true
+    this.cleanup()
+
+    this.context.store.dispatch({
+      type: 'TOOLBAR_MODE_STATUS_SET', payload: 'idle', meta: { scope: 'local' }
+    })
+
+    this.parent.setStrategy('selection')
+  }
+
+  cancel () {
+    if (this.done) return
+
+    this.complete()
+  }
+
+  commit () {
+    if (this.done) return
+
+    let { width, height } = this.context.sketchPane
+
+    if (this.indices.length && !transformModel.isIdentity(this.transform)) {
+      this.context.emit('addToUndoStack', this.indices)
+      for (let index of this.indices) {
+        let { layer, selection } = this.getLayerParts(index)
+        let warped = transformModel.warp(
+          selection.getContext('2d').getImageData(0, 0, selection.width, selection.height),
+          this.transform,
+          width,
+          height
+        )
+        if (warped) drawPixels(layer.getContext('2d'), warped)
+        this.context.sketchPane.layers[index].replaceTextureFromCanvas(layer)
+      }
+      this.context.emit('markDirty', this.indices)
+    }
+
+    this.complete()
+  }
+}
+
+module.exports = TransformStrategy
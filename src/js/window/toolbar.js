@@ -2,8 +2,6 @@ const { remote } = require('electron')
 const EventEmitter = require('events').EventEmitter
 const Color = require('color-js')
 
-const Detector = require('../vendor/Detector')
-
 const util = require('../utils/index')
 const sfx = require('../wonderunit-sound')
 const observeStore = require('../shared/helpers/observeStore')
@@ -180,6 +178,36 @@ class Toolbar extends EventEmitter {
         }
         break
 
+      case 'flood-fill':
+        // attempt toggle
+        this.store.dispatch({
+          type: 'TOOLBAR_MODE_SET',
+          payload: this.store.getState().toolbar.mode === 'floodFill'
+            ? 'drawing'
+            : 'floodFill',
+          meta: { scope: 'local' }
+        })
+        // play a sound if it worked
+        if (this.store.getState().toolbar.mode === 'floodFill') {
+          sfx.playEffect('metal')
+        }
+        break
+
+      case 'lasso-fill':
+        // attempt toggle
+        this.store.dispatch({
+          type: 'TOOLBAR_MODE_SET',
+          payload: this.store.getState().toolbar.mode === 'lassoFill'
+            ? 'drawing'
+            : 'lassoFill',
+          meta: { scope: 'local' }
+        })
+        // play a sound if it worked
+        if (this.store.getState().toolbar.mode === 'lassoFill') {
+          sfx.playEffect('metal')
+        }
+        break
+
       // undo/redo
       case 'undo':
         this.emit('undo')
@@ -308,6 +336,9 @@ class Toolbar extends EventEmitter {
     let btnScale = this.el.querySelector('#toolbar-scale')
     let btnMarquee = this.el.querySelector('#toolbar-marquee')
 
+    this.el.querySelector('#toolbar-flood-fill').classList.toggle('active', state.toolbar.mode === 'floodFill')
+    this.el.querySelector('#toolbar-lasso-fill').classList.toggle('active', state.toolbar.mode === 'lassoFill')
+
     switch (state.toolbar.mode) {
       case 'moving':
         btnMove.classList.add('active')
@@ -369,11 +400,6 @@ class Toolbar extends EventEmitter {
         draggable.render()
       }
     }
-
-    // prevent perspective guide when WebGL is not available
-    if (!Detector.webgl) {
-      perspectiveEl.style.display = 'none'
-    }
   }
 
   onButtonOver (event) {
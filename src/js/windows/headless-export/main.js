@@ -0,0 +1,94 @@
+const { BrowserWindow, ipcMain } = electron = require('electron')
+
+// runs an export in a hidden window, so the renderer-only exporters (canvas, Tone) are available
+// `onProgress` is called with 0 to 1, for formats which report progress
+// returns { promise, cancel }
+// `promise` resolves with the path to the exported file or folder
+// `cancel` stops the export, and resolves once the window has stopped writing and removed its partial output
+const start = ({ format, filePath, outputPath }, { onProgress } = {}) => {
+  let win
+  let cancel
+  let hasStarted = false
+  let cancelling
+  let onCancelled
+
+  let promise = new Promise((resolve, reject) => {
+    win = new BrowserWindow({
+      show: false,
+      webPreferences: {
+        nodeIntegration: true,
+        enableRemoteModule: true,
+        backgroundThrottling: false
+      }
+    })
+
+    const removeListeners = () => {
+      ipcMain.removeListener('headless-export:done', onDone)
+      ipcMain.removeListener('headless-export:progress', onExportProgress)
+    }
+
+    const onDone = (event, result) => {
+      if (event.sender !== win.webContents) return
+
+      removeListeners()
+      win.destroy()
+
+      if (result.cancelled) {
+        reject(new Error('Export cancelled'))
+      } else if (result.error) {
+        reject(new Error(result.error))
+      } else {
+        resolve(result.outputPath)
+      }
+      // also if it finished before the cancel reached the window
+      onCancelled && onCancelled()
+    }
+    ipcMain.on('headless-export:done', onDone)
+
+    const onExportProgress = (event, progress) => {
+      if (event.sender !== win.webContents) return
+
+      onProgress && onProgress(progress)
+    }
+    ipcMain.on('headless-export:progress', onExportProgress)
+
+    win.webContents.once('render-process-gone', (event, details) => {
+      removeListeners()
+      reject(new Error(`Export window closed unexpectedly (${details.reason})`))
+      onCancelled && onCancelled()
+    })
+
+    cancel = () => {
+      if (win.isDestroyed()) return Promise.resolve()
+      if (cancelling) return cancelling
+
+      // nothing has been written yet
+      if (!hasStarted) {
+        removeListeners()
+        win.destroy()
+        reject(new Error('Export cancelled'))
+        return Promise.resolve()
+      }
+
+      cancelling = new Promise(resolve => { onCancelled = resolve })
+      win.webContents.send('headless-export:cancel')
+      return cancelling
+    }
+
+    win.webContents.once('did-finish-load', () => {
+      hasStarted = true
+      win.webContents.send('headless-export:run', { format, filePath, outputPath })
+    })
+    win.loadURL(`file://${__dirname}/../../../headless-export.html`)
+  })
+
+  return { promise, cancel }
+}
+
+const run = (args, opts) =>
+  start(args, opts).promise
+
+module.exports = {
+  start,
+  run
+}
@@ -0,0 +1,112 @@
+const { ipcRenderer } = electron = require('electron')
+const { app } = electron.remote
+const fs = require('fs-extra')
+const path = require('path')
+const moment = require('moment')
+
+const prefsModule = electron.remote.require('./prefs')
+
+const exporter = require('../../window/exporter')
+const exporterArchive = require('../../exporters/archive')
+const { getImage, ensureExportsPathExists } = require('../../exporters/common')
+const watermarkModel = require('../../models/watermark')
+const videoExportPresetModel = require('../../models/video-export-preset')
+
+// the ffmpeg process of a video export, while it runs
+let ffmpegProcess
+let isCancelled = false
+
+const exportByFormat = {
+  pdf: async (boardData, filePath) => {
+    let shouldWatermark = prefsModule.getPrefs().enableWatermark
+    let watermarkImagePath = watermarkModel.watermarkImagePath(prefsModule.getPrefs(), app.getPath('userData'))
+    let image = await getImage(watermarkImagePath)
+
+    return exporter.exportPDF(
+      boardData,
+      filePath,
+      undefined,
+      undefined,
+      undefined,
+      undefined,
+      undefined,
+      undefined,
+      shouldWatermark,
+      watermarkImagePath,
+      [image.width, image.height]
+    )
+  },
+
+  mp4: (boardData, filePath) =>
+    exporter.exportVideo(boardData, filePath, {
+      shouldWatermark: prefsModule.getPrefs().enableWatermark,
+      watermarkImagePath: watermarkModel.watermarkImagePath(prefsModule.getPrefs(), app.getPath('userData')),
+      preset: videoExportPresetModel.getPreset(prefsModule.getPrefs()),
+      progressCallback: progress => ipcRenderer.send('headless-export:progress', progress),
+      onProcess: process => { ffmpegProcess = process }
+    }),
+
+  fcpxml: (boardData, filePath) => exporter.exportFcp(boardData, filePath),
+
+  png: (boardData, filePath) => exporter.exportImages(boardData, filePath),
+
+  otio: (boardData, filePath) => exporter.exportOtio(boardData, filePath),
+
+  edl: (boardData, filePath) => exporter.exportEdl(boardData, filePath),
+
+  'shot-list': (boardData, filePath) => exporter.exportShotList(boardData, filePath),
+
+  fdx: async (boardData, filePath) => exporter.exportFinalDraft(boardData, filePath),
+
+  zip: async (boardData, filePath) => {
+    let basename = path.basename(filePath, path.extname(filePath))
+    let timestamp = moment().format('YYYY-MM-DD hh.mm.ss')
+    let exportFilePath = path.join(ensureExportsPathExists(filePath), `${basename}-${timestamp}.zip`)
+
+    const { missing } = await exporterArchive.exportAsZIP(filePath, exportFilePath)
+    if (missing.length) {
+      console.warn('Some expected files are missing from the project and could not be added to the ZIP:\n' + missing.join('\n'))
+    }
+
+    return exportFilePath
+  }
+}
+
+ipcRenderer.on('headless-export:run', async (event, { format, filePath, outputPath }) => {
+  try {
+    let boardData = JSON.parse(fs.readFileSync(filePath))
+
+    let result = await exportByFormat[format](boardData, filePath)
+
+    // finished before it could be stopped
+    if (isCancelled) {
+      fs.removeSync(result)
+      ipcRenderer.send('headless-export:done', { cancelled: true })
+      return
+    }
+
+    // exporters always write to the project's exports folder, so move the result if requested
+    if (outputPath) {
+      fs.ensureDirSync(outputPath)
+      let dest = path.join(outputPath, path.basename(result))
+      fs.moveSync(result, dest, { overwrite: true })
+      result = dest
+    }
+
+    ipcRenderer.send('headless-export:done', { outputPath: result })
+  } catch (err) {
+    if (isCancelled) {
+      // the video export removes its partial output when ffmpeg is stopped
+      ipcRenderer.send('headless-export:done', { cancelled: true })
+      return
+    }
+    console.error(err)
+    ipcRenderer.send('headless-export:done', { error: err.message || err.toString() })
+  }
+})
+
+// stops the export, and replies with `headless-export:done` once nothing is being written
+ipcRenderer.on('headless-export:cancel', () => {
+  isCancelled = true
+  if (ffmpegProcess) ffmpegProcess.kill()
+})
@@ -0,0 +1,50 @@
+const { BrowserWindow, ipcMain } = electron = require('electron')
+
+let win
+
+// opens (or focuses) the version history of the scene at `sceneFilePath`
+const show = (sceneFilePath, { parent } = {}) => {
+  if (win) {
+    win.webContents.send('history:load', sceneFilePath)
+    win.focus()
+    return win
+  }
+
+  win = new BrowserWindow({
+    width: 1200,
+    height: 800,
+    minWidth: 800,
+    minHeight: 500,
+    show: false,
+    center: true,
+    parent,
+    backgroundColor: '#333333',
+    title: 'Version History',
+    acceptFirstMouse: true,
+    webPreferences: {
+      nodeIntegration: true,
+      enableRemoteModule: true
+    }
+  })
+
+  win.webContents.once('did-finish-load', () => {
+    win.webContents.send('history:load', sceneFilePath)
+  })
+  win.once('ready-to-show', () => win.show())
+  win.once('closed', () => {
+    win = null
+  })
+  win.loadURL(`file://${__dirname}/../../../history.html`)
+
+  return win
+}
+
+const close = () => {
+  if (win) win.close()
+}
+
+module.exports = {
+  show,
+  close,
+  getWindow: () => win
+}
@@ -0,0 +1,157 @@
+const { ipcRenderer } = require('electron')
+const path = require('path')
+const moment = require('moment')
+
+const historyModel = require('../../models/history')
+const { boardFilenameForPosterFrame } = require('../../models/board')
+
+let sceneFilePath
+let snapshots = []
+let snapshotA
+let snapshotB
+let changes = []
+let selectedUid
+let mode = 'side-by-side'
+
+const el = selector => document.querySelector(selector)
+
+const formatSnapshot = snapshot =>
+  [moment(snapshot.createdAt).format('lll'), snapshot.label].filter(Boolean).join(' – ')
+
+// `id` of null is the scene as it is on disk now
+const loadSnapshot = id =>
+  id == null
+    ? historyModel.readCurrent(sceneFilePath)
+    : historyModel.readSnapshot(sceneFilePath, id)
+
+const getImageUrl = (snapshot, board) => {
+  if (!board) return
+  let filepath = historyModel.getFilePath(sceneFilePath, snapshot, boardFilenameForPosterFrame(board))
+  if (!filepath) return
+  // cache-bust, so the current posterframe is never stale
+  return `file://${filepath}?${snapshot.createdAt}`
+}
+
+const renderSnapshotList = () => {
+  let list = el('#snapshots')
+  list.innerHTML = ''
+
+  for (let snapshot of snapshots) {
+    let item = document.createElement('li')
+    item.classList.toggle('selected', snapshotA && snapshot.id === snapshotA.id)
+    item.innerHTML = `<div class="label"></div><div class="meta"></div>`
+    item.querySelector('.label').textContent = formatSnapshot(snapshot)
+    item.querySelector('.meta').textContent = `${snapshot.boards} boards`
+    item.addEventListener('click', () => select(snapshot.id, snapshotB.id))
+    list.appendChild(item)
+  }
+
+  if (!snapshots.length) {
+    list.innerHTML = '<li class="empty">No snapshots yet. Snapshots are saved automatically as you work, or with File › Save Snapshot.</li>'
+  }
+}
+
+const renderCompareSelects = () => {
+  for (let [selector, snapshot, options] of [
+    ['#compare-a', snapshotA, snapshots],
+    ['#compare-b', snapshotB, [{ id: null, label: 'Current' }, ...snapshots]]
+  ]) {
+    let select = el(selector)
+    select.innerHTML = ''
+    for (let option of options) {
+      let node = document.createElement('option')
+      node.value = option.id == null ? '' : option.id
+      node.textContent = option.id == null ? option.label : formatSnapshot(option)
+      node.selected = snapshot && snapshot.id === option.id
+      select.appendChild(node)
+    }
+  }
+}
+
+const renderBoardList = () => {
+  let list = el('#boards')
+  list.innerHTML = ''
+
+  for (let change of changes) {
+    let board = change.b || change.a
+    let item = document.createElement('li')
+    item.className = `status-${change.status}`
+    item.classList.toggle('selected', change.uid === selectedUid)
+    item.innerHTML = `<span class="shot"></span><span class="status"></span>`
+    item.querySelector('.shot').textContent = board.shot || board.number
+    item.querySelector('.status').textContent = change.status
+    item.addEventListener('click', () => {
+      selectedUid = change.uid
+      renderBoardList()
+      renderPreview()
+    })
+    list.appendChild(item)
+  }
+}
+
+const renderPreview = () => {
+  let change = changes.find(change => change.uid === selectedUid)
+
+  let preview = el('#preview')
+  preview.className = mode
+
+  let srcA = change && getImageUrl(snapshotA, change.a)
+  let srcB = change && getImageUrl(snapshotB, change.b)
+  el('#image-a').style.visibility = srcA ? 'visible' : 'hidden'
+  el('#image-b').style.visibility = srcB ? 'visible' : 'hidden'
+  if (srcA) el('#image-a').src = srcA
+  if (srcB) el('#image-b').src = srcB
+
+  el('#caption-a').textContent = snapshotA ? formatSnapshot(snapshotA) : ''
+  el('#caption-b').textContent = snapshotB ? formatSnapshot(snapshotB) : ''
+
+  el('#opacity').style.display = mode === 'onion' ? 'inline-block' : 'none'
+  el('#image-b').style.opacity = mode === 'onion' ? el('#opacity').value / 100 : 1
+
+  // a board can only be restored if it exists in the older snapshot
+  el('#restore-board').disabled = !(snapshotA && change && change.a && change.status !== 'unchanged')
+  el('#restore-scene').disabled = !snapshotA
+}
+
+const select = (idA, idB) => {
+  snapshotA = idA == null ? undefined : loadSnapshot(idA)
+  snapshotB = loadSnapshot(idB)
+  changes = snapshotA
+    ? historyModel.diffSnapshots(snapshotA, snapshotB)
+    : snapshotB.boardData.boards.map(board => ({ uid: board.uid, status: 'unchanged', a: undefined, b: board }))
+
+  if (!changes.find(change => change.uid === selectedUid)) {
+    let changed = changes.find(change => change.status !== 'unchanged')
+    selectedUid = (changed || changes[0] || {}).uid
+  }
+
+  renderSnapshotList()
+  renderCompareSelects()
+  renderBoardList()
+  renderPreview()
+}
+
+const load = filepath => {
+  sceneFilePath = filepath
+  snapshots = historyModel.listSnapshots(sceneFilePath)
+  document.title = `Version History – ${path.basename(sceneFilePath, path.extname(sceneFilePath))}`
+  select(snapshots.length ? snapshots[0].id : null, null)
+}
+
+const restore = uid => {
+  let what = uid ? 'this board' : 'the whole scene'
+  if (!confirm(`Restore ${what} from ${formatSnapshot(snapshotA)}?\n\nThe current version will be kept in the history.`)) return
+  ipcRenderer.send('history:restore', { id: snapshotA.id, uid })
+}
+
+el('#compare-a').addEventListener('change', event => select(event.target.value, snapshotB.id))
+el('#compare-b').addEventListener('change', event => select(snapshotA && snapshotA.id, event.target.value || null))
+el('#mode').addEventListener('change', event => {
+  mode = event.target.value
+  renderPreview()
+})
+el('#opacity').addEventListener('input', renderPreview)
+el('#restore-board').addEventListener('click', () => restore(selectedUid))
+el('#restore-scene').addEventListener('click', () => restore())
+
+ipcRenderer.on('history:load', (event, filepath) => load(filepath))
@@ -4,6 +4,8 @@ const path = require('path')
 const fs = require('fs-extra')
 
 const util = require('./js/utils')
+const videoExportPresetModel = require('./js/models/video-export-preset')
+const burnInModel = require('./js/models/burn-in')
 const prefsModule = require('electron').remote.require('./prefs')
 
 const { getInitialStateRenderer } = require('electron-redux')
@@ -80,6 +82,7 @@ const updateHTML = () => {
   translateText("#force-psd-reload", "preferences.force-psd-reload")
   translateText("#psd-reload-hint", "preferences.psd-reload-hint")
   translateText("#default-timing", "preferences.default-timing")
+  translateText("#retime-words-per-minute", "preferences.retime-words-per-minute")
   translateText("#external-psd-editor", "preferences.external-psd-editor")
   translateText("#psd-editor-hint", "preferences.psd-editor-hint")
   translateText("#reveal-keymap-file", "preferences.reveal-keymap-file")
@@ -88,6 +91,8 @@ const updateHTML = () => {
   translateText("#show-diagnostics-hint", "preferences.show-diagnostics-hint")
   translateText("#line-delay", "preferences.line-delay")
   translateHtml("#line-delay-hint", "preferences.line-delay-hint")
+  translateText("#undo-history", "preferences.undo-history")
+  translateText("#undo-history-hint", "preferences.undo-history-hint")
   translateText("#notifications", "preferences.notifications")
   translateText("#show-notifications", "preferences.show-notifications")
   translateText("#aspirational-message", "preferences.aspirational-message")
@@ -102,6 +107,20 @@ const updateHTML = () => {
   translateText("#performance-enhancements-hint", "preferences.performance-enhancements-hint")
   translateText("#high-quality-drawing-engine", "preferences.high-quality-drawing-engine")
   translateText("#high-quality-drawing-engine-hint", "preferences.high-quality-drawing-engine-hint")
+  translateText("#video-export-title", "preferences.video-export-title")
+  translateText("#video-export-hint", "preferences.video-export-hint")
+  translateText("#video-export-preset", "preferences.video-export-preset")
+  translateText("#video-export-format", "preferences.video-export-format")
+  translateText("#video-export-resolution", "preferences.video-export-resolution")
+  translateText("#video-export-frame-rate", "preferences.video-export-frame-rate")
+  translateText("#video-export-subtitles", "preferences.video-export-subtitles")
+  translateText("#video-export-subtitles-hint", "preferences.video-export-subtitles-hint")
+  translateText("#video-export-burn-in-watermark", "preferences.video-export-burn-in-watermark")
+  translateText("#video-export-burn-in-watermark-hint", "preferences.video-export-burn-in-watermark-hint")
+  translateText("#video-export-watermark-text", "preferences.video-export-watermark-text")
+  translateText("#video-export-watermark-text-hint", "preferences.video-export-watermark-text-hint")
+  translateText("#video-export-burn-ins", "preferences.video-export-burn-ins")
+  translateText("#video-export-burn-ins-hint", "preferences.video-export-burn-ins-hint")
   translateText("#languages", "preferences.languages")
   translateText("#languages-hint", "preferences.languages-hint")
   translateText("#open-language-editor", "preferences.open-language-editor")
@@ -202,6 +221,140 @@ const onRevealKeyMapFileClick = event => {
   shell.showItemInFolder(keymapPath)
 }
 
+// picking a built-in preset replaces all of the settings
+const onVideoExportPresetNameChange = event => {
+  prefsModule.set('videoExportPreset', videoExportPresetModel.createPreset(event.target.value), true)
+  render()
+}
+
+const onVideoExportSettingChange = event => {
+  let { key } = event.target.dataset
+  let value = event.target.value
+
+  let preset = videoExportPresetModel.getPreset(prefs)
+  if (key === 'format') {
+    preset.format = value
+  } else if (key === 'height') {
+    preset.height = parseInt(value, 10)
+  } else if (key === 'fps') {
+    // blank for the frame rate of the scene
+    preset.fps = value === '' ? undefined : parseFloat(value)
+  }
+  prefsModule.set('videoExportPreset', preset, true)
+  render()
+}
+
+const onVideoExportBurnInChange = event => {
+  let el = event.target
+  let { key } = el.dataset
+
+  let preset = videoExportPresetModel.getPreset(prefs)
+  if (el.type == 'checkbox') {
+    preset.burnIn[key].enabled = el.checked
+  } else {
+    preset.burnIn[key].position = el.value
+  }
+  prefsModule.set('videoExportPreset', preset, true)
+  render()
+}
+
+const onVideoExportWatermarkTextChange = event => {
+  let { key } = event.target.dataset
+
+  let preset = videoExportPresetModel.getPreset(prefs)
+  preset.burnIn.watermarkText[key] = event.target.value
+  prefsModule.set('videoExportPreset', preset, true)
+  render()
+}
+
+const addOption = (select, value, label) => {
+  let option = document.createElement('option')
+  option.value = value
+  option.textContent = label
+  select.appendChild(option)
+  return option
+}
+
+const initVideoExport = () => {
+  let nameEl = document.querySelector('#videoExportPresetName')
+  for (let [name, { label }] of Object.entries(videoExportPresetModel.PRESETS)) {
+    addOption(nameEl, name, label)
+  }
+  addOption(nameEl, '', 'Custom').disabled = true
+  nameEl.addEventListener('change', onVideoExportPresetNameChange)
+
+  let formatEl = document.querySelector('#videoExportFormat')
+  for (let [format, { label }] of Object.entries(videoExportPresetModel.FORMATS)) {
+    addOption(formatEl, format, label)
+  }
+
+  let heightEl = document.querySelector('#videoExportHeight')
+  for (let height of videoExportPresetModel.HEIGHTS) {
+    addOption(heightEl, height, `${height}p`)
+  }
+
+  let fpsEl = document.querySelector('#videoExportFps')
+  addOption(fpsEl, '', 'Same as Scene')
+  for (let fps of videoExportPresetModel.FRAME_RATES) {
+    addOption(fpsEl, fps, `${fps} fps`)
+  }
+
+  for (let el of [formatEl, heightEl, fpsEl]) {
+    el.addEventListener('change', onVideoExportSettingChange)
+  }
+
+  let watermarkTextPositionEl = document.querySelector('#videoExportWatermarkTextPosition')
+  for (let position of burnInModel.POSITIONS) {
+    addOption(watermarkTextPositionEl, position, burnInModel.POSITION_LABELS[position])
+  }
+  for (let el of [document.querySelector('#videoExportWatermarkText'), watermarkTextPositionEl]) {
+    el.addEventListener('change', onVideoExportWatermarkTextChange)
+  }
+
+  let burnInsEl = document.querySelector('#videoExportBurnIns')
+  for (let key of burnInModel.BURN_INS) {
+    let id = `videoExportBurnIn-${key}`
+    let row = document.createElement('div')
+    row.className = 'video-export-burn-in'
+    row.innerHTML = `
+      <input type="checkbox" id="${id}" data-key="${key}" />
+      <label for="${id}"><span></span></label>
+      <select data-key="${key}"></select>
+    `
+    row.querySelector('label').appendChild(document.createTextNode(burnInModel.BURN_IN_LABELS[key]))
+
+    let positionEl = row.querySelector('select')
+    for (let position of burnInModel.POSITIONS) {
+      addOption(positionEl, position, burnInModel.POSITION_LABELS[position])
+    }
+
+    for (let el of row.querySelectorAll('input, select')) {
+      el.addEventListener('change', onVideoExportBurnInChange)
+    }
+    burnInsEl.appendChild(row)
+  }
+}
+
+const renderVideoExport = () => {
+  let preset = videoExportPresetModel.getPreset(prefs)
+  document.querySelector('#videoExportPresetName').value = videoExportPresetModel.findPresetName(preset) || ''
+  document.querySelector('#videoExportFormat').value = preset.format
+  document.querySelector('#videoExportHeight').value = preset.height
+  document.querySelector('#videoExportFps').value = preset.fps || ''
+  // set here, as the names are key paths (see: onChange)
+  document.querySelector('#videoExportSubtitles').checked = preset.subtitles
+  document.querySelector('#videoExportBurnInWatermark').checked = preset.burnIn.watermark
+  document.querySelector('#videoExportWatermarkText').value = preset.burnIn.watermarkText.text
+  document.querySelector('#videoExportWatermarkTextPosition').value = preset.burnIn.watermarkText.position
+
+  for (let row of document.querySelectorAll('.video-export-burn-in')) {
+    let { key } = row.querySelector('select').dataset
+    let burnIn = preset.burnIn[key]
+    row.querySelector('input[type=checkbox]').checked = burnIn.enabled
+    row.querySelector('select').value = burnIn.position
+  }
+}
+
 const onSignOut = event => {
   event.preventDefault()
   prefsModule.set('auth', undefined)
@@ -221,6 +374,8 @@ const render = () => {
     }
   }
 
+  renderVideoExport()
+
   imgEditorInput.value = prefs['absolutePathToImageEditor'] || ''
 
   imgEditorEl.innerHTML = imgEditorInput.value
@@ -364,6 +519,8 @@ const init = () => {
   revealKeyMapFileEl = document.querySelector('#revealKeyMapFile')
   signOutEl = document.querySelector('#signOut')
 
+  initVideoExport()
+
   initializeLanguageList()
   let languageEditor = document.getElementsByClassName('open-language-editor')[0].children[0]
   languageEditor.onclick = openLanguageEditor
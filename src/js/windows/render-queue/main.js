@@ -0,0 +1,171 @@
+const { BrowserWindow, app } = electron = require('electron')
+const fs = require('fs-extra')
+const path = require('path')
+
+const log = require('../../shared/storyboarder-electron-log')
+const renderQueueModel = require('../../models/render-queue')
+const headlessExport = require('../headless-export/main')
+
+let win
+let queue = renderQueueModel.createQueue()
+
+// the running export, if any: { id, cancel }
+let current
+
+// jobs are kept in the user data folder, so they survive an app restart
+const getQueueFilePath = () =>
+  path.join(app.getPath('userData'), 'render-queue.json')
+
+const save = () => {
+  try {
+    fs.writeJsonSync(getQueueFilePath(), queue, { spaces: 2 })
+  } catch (err) {
+    log.error('Could not save render queue', err)
+  }
+}
+
+const sendUpdate = () => {
+  if (win) win.webContents.send('render-queue:update', queue)
+}
+
+// progress is only sent to the window, everything else is saved too
+const changed = ({ persist = true } = {}) => {
+  if (persist) save()
+  sendUpdate()
+}
+
+// runs queued jobs, one at a time, until there are none left
+const runNext = async () => {
+  // a cancelled job is still current until its export has stopped
+  if (current) return
+
+  let job = renderQueueModel.getNextJob(queue)
+  if (!job) return
+
+  renderQueueModel.startJob(queue, job.id)
+  changed()
+
+  let { promise, cancel } = headlessExport.start(
+    {
+      format: job.format,
+      filePath: job.filePath,
+      outputPath: job.options.outputPath
+    },
+    {
+      onProgress: progress => {
+        renderQueueModel.setProgress(queue, job.id, progress)
+        changed({ persist: false })
+      }
+    }
+  )
+  current = { id: job.id, cancel }
+
+  try {
+    let outputPath = await promise
+    renderQueueModel.completeJob(queue, job.id, outputPath)
+  } catch (err) {
+    // cancelled (or removed) jobs keep their status
+    let latest = renderQueueModel.getJob(queue, job.id)
+    if (latest && latest.status === 'running') {
+      log.error(err)
+      renderQueueModel.failJob(queue, job.id, err.message)
+    }
+  }
+  current = undefined
+  changed()
+
+  runNext()
+}
+
+// loads the saved queue, and carries on with any jobs which were queued or interrupted
+const init = () => {
+  try {
+    if (fs.existsSync(getQueueFilePath())) {
+      queue = renderQueueModel.restoreQueue(fs.readJsonSync(getQueueFilePath()))
+    }
+  } catch (err) {
+    log.error('Could not load render queue', err)
+  }
+  runNext()
+}
+
+// `jobs` is a list of { format, options, title, filePath }
+const add = jobs => {
+  for (let job of jobs) {
+    renderQueueModel.addJob(queue, job)
+  }
+  changed()
+  runNext()
+}
+
+// the next job runs once the export has stopped, see runNext
+const cancel = id => {
+  renderQueueModel.cancelJob(queue, id)
+  if (current && current.id === id) current.cancel()
+  changed()
+}
+
+const retry = id => {
+  renderQueueModel.retryJob(queue, id)
+  changed()
+  runNext()
+}
+
+const remove = id => {
+  renderQueueModel.removeJob(queue, id)
+  changed()
+}
+
+const clearFinished = () => {
+  renderQueueModel.clearFinished(queue)
+  changed()
+}
+
+// opens (or focuses) the render queue
+// `targets` are the scenes which can be added: { scene: { title, filePath }, project: { title, scenes } }
+const show = (targets, { parent } = {}) => {
+  if (win) {
+    win.webContents.send('render-queue:targets', targets)
+    win.focus()
+    return win
+  }
+
+  win = new BrowserWindow({
+    width: 800,
+    height: 600,
+    minWidth: 600,
+    minHeight: 400,
+    show: false,
+    center: true,
+    parent,
+    backgroundColor: '#333333',
+    title: 'Render Queue',
+    acceptFirstMouse: true,
+    webPreferences: {
+      nodeIntegration: true,
+      enableRemoteModule: true
+    }
+  })
+
+  win.webContents.once('did-finish-load', () => {
+    win.webContents.send('render-queue:targets', targets)
+    sendUpdate()
+  })
+  win.once('ready-to-show', () => win.show())
+  win.once('closed', () => {
+    win = null
+  })
+  win.loadURL(`file://${__dirname}/../../../render-queue.html`)
+
+  return win
+}
+
+module.exports = {
+  init,
+  show,
+  add,
+  cancel,
+  retry,
+  remove,
+  clearFinished
+}
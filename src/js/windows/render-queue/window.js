@@ -0,0 +1,163 @@
+const { ipcRenderer, shell } = electron = require('electron')
+const { dialog } = electron.remote
+const path = require('path')
+const moment = require('moment')
+
+const renderQueueModel = require('../../models/render-queue')
+
+let queue = renderQueueModel.createQueue()
+let targets = {}
+let outputPath
+
+const el = selector => document.querySelector(selector)
+
+const formatJobTime = job =>
+  job.finishedAt
+    ? `finished ${moment(job.finishedAt).fromNow()}`
+    : job.startedAt
+      ? `started ${moment(job.startedAt).fromNow()}`
+      : `added ${moment(job.createdAt).fromNow()}`
+
+const renderFormats = () => {
+  let select = el('#format')
+  select.innerHTML = ''
+  for (let format of renderQueueModel.FORMATS) {
+    let option = document.createElement('option')
+    option.value = format
+    option.textContent = renderQueueModel.FORMAT_LABELS[format]
+    select.appendChild(option)
+  }
+}
+
+const renderTargets = () => {
+  let select = el('#target')
+  select.innerHTML = ''
+  if (targets.scene) {
+    let option = document.createElement('option')
+    option.value = 'scene'
+    option.textContent = `Current Scene (${targets.scene.title})`
+    select.appendChild(option)
+  }
+  if (targets.project && targets.project.scenes.length) {
+    let option = document.createElement('option')
+    option.value = 'project'
+    option.textContent = `Whole Project (${targets.project.title}, ${targets.project.scenes.length} scenes)`
+    select.appendChild(option)
+  }
+  el('#add-job').disabled = !select.options.length
+}
+
+const renderOutputPath = () => {
+  el('#output-path').textContent = outputPath || 'exports folder of each scene'
+}
+
+const renderJob = job => {
+  let item = document.createElement('li')
+  item.className = `status-${job.status}`
+  item.innerHTML = `
+    <div class="details">
+      <div class="title"></div>
+      <div class="meta"></div>
+      <div class="error"></div>
+    </div>
+    <progress max="1"></progress>
+    <div class="status"></div>
+    <div class="buttons"></div>
+  `
+  item.querySelector('.title').textContent = job.title
+  item.querySelector('.meta').textContent = [
+    renderQueueModel.FORMAT_LABELS[job.format],
+    formatJobTime(job)
+  ].join(' · ')
+  item.querySelector('.error').textContent = job.error || ''
+  item.querySelector('.status').textContent = renderQueueModel.STATUS_LABELS[job.status]
+
+  // leave the value unset (indeterminate) for running jobs which don't report progress
+  let progress = item.querySelector('progress')
+  if (job.status !== 'running' || job.progress > 0) {
+    progress.value = job.progress
+  }
+
+  let buttons = item.querySelector('.buttons')
+  const addButton = (label, fn) => {
+    let button = document.createElement('button')
+    button.textContent = label
+    button.addEventListener('click', fn)
+    buttons.appendChild(button)
+  }
+
+  if (job.status === 'queued' || job.status === 'running') {
+    addButton('Cancel', () => ipcRenderer.send('render-queue:cancel', job.id))
+  }
+  if (job.status === 'failed' || job.status === 'cancelled') {
+    addButton('Retry', () => ipcRenderer.send('render-queue:retry', job.id))
+  }
+  if (job.status === 'done' && job.outputPath) {
+    addButton('Show', () => shell.showItemInFolder(job.outputPath))
+  }
+  if (job.status !== 'running') {
+    addButton('Remove', () => ipcRenderer.send('render-queue:remove', job.id))
+  }
+
+  return item
+}
+
+const renderJobs = () => {
+  let list = el('#jobs')
+  list.innerHTML = ''
+  for (let job of queue.jobs) {
+    list.appendChild(renderJob(job))
+  }
+  if (!queue.jobs.length) {
+    list.innerHTML = '<li class="empty">No exports in the queue. Choose a format, then Add to Queue. Exports run in the background, one at a time, so you can keep drawing.</li>'
+  }
+  el('#clear-finished').disabled = !queue.jobs.some(renderQueueModel.isFinished)
+}
+
+const addJobs = () => {
+  let format = el('#format').value
+  let scenes = el('#target').value === 'project'
+    ? targets.project.scenes
+    : [targets.scene]
+
+  ipcRenderer.send('render-queue:add', scenes.map(({ title, filePath }) => ({
+    format,
+    options: { outputPath },
+    title,
+    filePath
+  })))
+}
+
+const chooseOutputPath = async () => {
+  let { canceled, filePaths } = await dialog.showOpenDialog({
+    title: 'Output Folder',
+    properties: ['openDirectory', 'createDirectory']
+  })
+  // cancelling resets to the default
+  outputPath = canceled ? undefined : filePaths[0]
+  renderOutputPath()
+}
+
+el('#add-job').addEventListener('click', addJobs)
+el('#choose-output').addEventListener('click', chooseOutputPath)
+el('#clear-finished').addEventListener('click', () => ipcRenderer.send('render-queue:clear-finished'))
+
+ipcRenderer.on('render-queue:targets', (event, data) => {
+  targets = data
+  document.title = targets.project
+    ? `Render Queue – ${targets.project.title}`
+    : targets.scene
+      ? `Render Queue – ${path.basename(targets.scene.filePath, path.extname(targets.scene.filePath))}`
+      : 'Render Queue'
+  renderTargets()
+})
+
+ipcRenderer.on('render-queue:update', (event, data) => {
+  queue = data
+  renderJobs()
+})
+
+renderFormats()
+renderTargets()
+renderOutputPath()
+renderJobs()
@@ -0,0 +1,46 @@
+// npx mocha -R min test/cli.test.js
+
+const assert = require('assert')
+const path = require('path')
+
+const cli = require('../src/js/cli')
+
+describe('cli', () => {
+  it('can detect the export command', () => {
+    assert(cli.isCommand(['export', '--format', 'pdf', 'example.storyboarder']))
+    assert(!cli.isCommand(['example.storyboarder']))
+    assert(!cli.isCommand([]))
+  })
+
+  it('can parse export arguments', () => {
+    let args = cli.parseArgs(['export', '--format', 'pdf', 'example.storyboarder'])
+    assert.equal(args.command, 'export')
+    assert.equal(args.format, 'pdf')
+    assert.equal(args.filePath, path.resolve('example.storyboarder'))
+    assert.equal(args.outputPath, undefined)
+
+    args = cli.parseArgs(['export', 'example.storyboarder', '--format=mp4', '--output', 'out'])
+    assert.equal(args.format, 'mp4')
+    assert.equal(args.outputPath, path.resolve('out'))
+  })
+
+  it('rejects invalid arguments', () => {
+    assert.throws(() => cli.parseArgs(['export', 'example.storyboarder']), /Missing --format/)
+    assert.throws(() => cli.parseArgs(['export', '--format', 'gif', 'example.storyboarder']), /Unknown format/)
+    assert.throws(() => cli.parseArgs(['export', '--format']), /Missing value/)
+    assert.throws(() => cli.parseArgs(['export', '--format', 'pdf']), /Missing project file/)
+    assert.throws(() => cli.parseArgs(['export', '--format', 'pdf', 'script.fountain']), /Not a \.storyboarder file/)
+    assert.throws(() => cli.parseArgs(['export', '--format', 'pdf', '--watermark', 'example.storyboarder']), /Unknown option/)
+  })
+
+  it('exits with a usage error for a missing file', async () => {
+    let error = console.error
+    console.error = () => {}
+    try {
+      let code = await cli.run(['export', '--format', 'pdf', 'missing.storyboarder'])
+      assert.equal(code, cli.EXIT_USAGE)
+    } finally {
+      console.error = error
+    }
+  })
+})
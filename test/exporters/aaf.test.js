@@ -0,0 +1,84 @@
+// npx mocha -R min test/exporters/aaf.test.js
+
+const assert = require('assert')
+
+const exporterAaf = require('../../src/js/exporters/aaf')
+
+const getBoardFileData = () => ({
+  "version": "0.6.0",
+  "aspectRatio": 1,
+  "fps": 24,
+  "defaultBoardTiming": 2000,
+  "boards": [
+    {
+      "uid": "7BZ4P",
+      "url": "board-1-7BZ4P.png",
+      "newShot": false,
+      "layers": {},
+      "number": 1,
+      "shot": "1A",
+      "time": 0,
+      "duration": 999,
+      "dialogue": "dialogue & <here>",
+      "notes": "notes\nhere"
+    },
+    {
+      "uid": "9MZ1P",
+      "url": "board-2-9MZ1P.png",
+      "newShot": false,
+      "layers": {},
+      "number": 2,
+      "shot": "2A",
+      "time": 999
+    }
+  ]
+})
+
+describe('exporters/aaf', () => {
+  const projectFileAbsolutePath = '/Users/me/projects/storyboarder/example storyboard/example storyboard.storyboarder'
+
+  const getAaf = boardFileData =>
+    exporterAaf.generateAaf(exporterAaf.generateAafData(boardFileData, { projectFileAbsolutePath }))
+
+  it('can generate the timeline XML', () => {
+    let data = exporterAaf.generateAafData(getBoardFileData(), { projectFileAbsolutePath })
+    assert.equal(data.editRate, '24/1')
+    assert.deepEqual(data.clips.map(clip => clip.length), [24, 48])
+    assert.equal(data.length, 72)
+    assert.equal(data.clips[0].url, './example-storyboard-board-00001.png')
+
+    // the same ids each time
+    assert.equal(data.compositionMobId, exporterAaf.generateAafData(getBoardFileData(), { projectFileAbsolutePath }).compositionMobId)
+    assert.notEqual(data.clips[0].masterMobId, data.clips[1].masterMobId)
+    assert(data.clips[0].masterMobId.match(/^urn:smpte:umid:(\w{8}\.){7}\w{8}$/))
+
+    let aaf = getAaf(getBoardFileData())
+    assert(aaf.startsWith('<?xml version="1.0" encoding="UTF-8"?>\n<StoryboarderTimeline '))
+    // not to be taken for an AAF-XML file
+    assert(!aaf.includes('smpte-ra.org'))
+    assert(aaf.includes('<EditRate>24/1</EditRate>'))
+    // one composition clip and one master mob clip for each board
+    assert.equal(aaf.match(/<SourceClip>/g).length, 4)
+    assert.equal(aaf.match(/<MasterMob>/g).length, 2)
+    assert(aaf.includes('<URLString>./example-storyboard-board-00002.png</URLString>'))
+  })
+
+  it('adds user comments for dialogue, action and notes', () => {
+    let aaf = getAaf(getBoardFileData())
+
+    assert(aaf.includes('<Value>dialogue &amp; &lt;here&gt;</Value>'))
+    assert(aaf.includes('<Name>Notes</Name>'))
+    assert(!aaf.includes('<Name>Action</Name>'))
+    assert.equal(aaf.match(/<UserComments>/g).length, 1)
+  })
+
+  it('can generate at 29.97 fps', () => {
+    let boardFileData = getBoardFileData()
+    boardFileData.fps = 29.97
+    boardFileData.boards[0].duration = 29 / boardFileData.fps * 1000
+
+    let data = exporterAaf.generateAafData(boardFileData, { projectFileAbsolutePath })
+    assert.equal(data.editRate, '30000/1001')
+    assert.equal(data.clips[0].length, 29)
+  })
+})
@@ -0,0 +1,58 @@
+// npx mocha -R min test/exporters/breakdown.test.js
+
+const fs = require('fs')
+const path = require('path')
+const assert = require('assert')
+const tmp = require('tmp')
+
+const exporterBreakdown = require('../../src/js/exporters/breakdown')
+
+describe('exporters/breakdown', () => {
+  const scenes = [
+    {
+      number: 1,
+      id: '1-ZX3ZM',
+      slugline: 'EXT. A PLACE - DAY',
+      location: 'EXT. A PLACE',
+      characters: ['PERSON A', 'PERSON B'],
+      pageEighths: 11,
+      boards: 4,
+      duration: 8500
+    },
+    {
+      number: 2,
+      id: '2-FA5K7',
+      slugline: 'INT. A PLACE - DAY',
+      location: 'INT. A PLACE',
+      characters: [],
+      pageEighths: 2,
+      boards: 0,
+      duration: 0
+    }
+  ]
+
+  it('can generate CSV', () => {
+    let lines = exporterBreakdown.generateBreakdownCsv(scenes).trim().split('\r\n')
+
+    assert.equal(lines.length, 3)
+    assert.equal(lines[0], 'Scene,Slugline,Location,Characters,Pages,Boards,Duration,Duration (s)')
+    assert.equal(lines[1], '1,EXT. A PLACE - DAY,EXT. A PLACE,"PERSON A, PERSON B",1 3/8,4,0:09,8.5')
+    assert.equal(lines[2], '2,INT. A PLACE - DAY,INT. A PLACE,,2/8,0,0:00,0')
+  })
+
+  it('can export CSV and PDF files', async () => {
+    let tmpFolder = tmp.dirSync({ unsafeCleanup: true })
+
+    let filepaths = await exporterBreakdown.exportBreakdown(scenes, {
+      title: 'multi-scene',
+      outputPath: tmpFolder.name
+    })
+
+    assert.deepEqual(filepaths.map(filepath => path.extname(filepath)), ['.csv', '.pdf'])
+    for (let filepath of filepaths) {
+      assert(fs.statSync(filepath).size > 0)
+    }
+
+    tmpFolder.removeCallback()
+  })
+})
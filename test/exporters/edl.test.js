@@ -0,0 +1,119 @@
+// npx mocha -R min test/exporters/edl.test.js
+
+const assert = require('assert')
+
+const exporterEdl = require('../../src/js/exporters/edl')
+
+const getBoardFileData = () => ({
+  "version": "0.6.0",
+  "aspectRatio": 1,
+  "fps": 24,
+  "defaultBoardTiming": 2000,
+  "boards": [
+    {
+      "uid": "7BZ4P",
+      "url": "board-1-7BZ4P.png",
+      "newShot": false,
+      "lastEdited": 1498663891537,
+      "layers": {
+        "reference": {
+          "url": "board-1-7BZ4P-reference.png"
+        },
+        "notes": {
+          "url": "board-1-7BZ4P-notes.png"
+        }
+      },
+      "number": 1,
+      "shot": "1A",
+      "time": 0,
+      "duration": 999,
+      "lineMileage": 1117.4179067245605,
+      "dialogue": "dialogue here",
+      "action": "action here",
+      "notes": "notes\nhere"
+    },
+    {
+      "uid": "9MZ1P",
+      "url": "board-2-9MZ1P.png",
+      "newShot": false,
+      "lastEdited": 1498663901313,
+      "layers": {
+        "reference": {
+          "url": "board-2-9MZ1P-reference.png"
+        },
+        "notes": {
+          "url": "board-2-9MZ1P-notes.png"
+        }
+      },
+      "number": 2,
+      "shot": "2A",
+      "time": 999,
+      "duration": 1001,
+      "lineMileage": 1387.726619398883
+    }
+  ]
+})
+
+describe('exporters/edl', () => {
+  const getEdl = boardFileData => {
+    let projectFileAbsolutePath = '/Users/me/projects/storyboarder/example\ storyboard/example\ storyboard.storyboarder'
+    let data = exporterEdl.generateEdlData(boardFileData, { projectFileAbsolutePath })
+    return exporterEdl.generateEdl(data)
+  }
+  it('can convert frames to timecode', () => {
+    assert.equal(exporterEdl.framesToTimecode(24, 0), '00:00:00:00')
+    assert.equal(exporterEdl.framesToTimecode(24, 23), '00:00:00:23')
+    assert.equal(exporterEdl.framesToTimecode(24, 24 * 60 * 60 + 25), '01:00:01:01')
+  })
+  it('can generate a CMX3600 edl', () => {
+    let edl = getEdl(getBoardFileData())
+
+    assert(edl.startsWith('TITLE: EXAMPLE STORYBOARD\nFCM: NON-DROP FRAME\n'))
+
+    // one event per board, reel name from the export filename
+    assert(edl.includes('001  BRD00001 V     C        00:00:00:00 00:00:01:00 01:00:00:00 01:00:01:00'))
+    assert(edl.includes('002  BRD00002 V     C        00:00:00:00 00:00:01:00 01:00:01:00 01:00:02:00'))
+
+    // check dash in filename
+    assert(edl.includes('* FROM CLIP NAME: example-storyboard-board-00001.png'))
+  })
+  it('adds comments for dialogue, action and notes', () => {
+    let edl = getEdl(getBoardFileData())
+
+    assert(edl.includes('* COMMENT: DIALOGUE: dialogue here'))
+    assert(edl.includes('* COMMENT: ACTION: action here'))
+    assert(edl.includes('* COMMENT: NOTES: notes here'))
+  })
+  it('can generate at 23.976 fps', () => {
+    let boardFileData = getBoardFileData()
+
+    boardFileData.fps = 23.976
+    boardFileData.boards[0].duration = 29 / boardFileData.fps * 1000
+    boardFileData.boards[1].duration = 31 / boardFileData.fps * 1000
+
+    let edl = getEdl(boardFileData)
+
+    assert(edl.includes('00:00:00:00 00:00:01:05 01:00:00:00 01:00:01:05'))
+    assert(edl.includes('00:00:00:00 00:00:01:07 01:00:01:05 01:00:02:12'))
+  })
+  it('can generate at 29.97 fps', () => {
+    let boardFileData = getBoardFileData()
+
+    boardFileData.fps = 29.97
+    boardFileData.boards[0].duration = 29 / boardFileData.fps * 1000
+    boardFileData.boards[1].duration = 31 / boardFileData.fps * 1000
+
+    let edl = getEdl(boardFileData)
+
+    assert(edl.includes('00:00:00:00 00:00:00:29 01:00:00:00 01:00:00:29'))
+    assert(edl.includes('00:00:00:00 00:00:01:01 01:00:00:29 01:00:02:00'))
+  })
+  it('uses the default board timing', () => {
+    let boardFileData = getBoardFileData()
+    delete boardFileData.boards[1].duration
+
+    let edl = getEdl(boardFileData)
+
+    assert(edl.includes('00:00:00:00 00:00:02:00 01:00:01:00 01:00:03:00'))
+  })
+})
@@ -156,4 +156,64 @@ describe('exporters/final-cut-pro-x', () => {
 
     assert(xml.includes('<asset-clip name="2ABCD-audio-1234567890000.wav" lane="-2"'))
   })
+  it('can generate audio lanes', async () => {
+    let projectFileAbsolutePath = path.join(__dirname, '..', 'fixtures', 'audio', 'audio.storyboarder')
+    let outputPath = path.join(__dirname, '..', 'fixtures', 'audio', 'exports', 'output')
+
+    let boardFileData = JSON.parse(fs.readFileSync(projectFileAbsolutePath))
+    boardFileData.audioTracks = [
+      {
+        id: 'S',
+        kind: 'sfx',
+        name: 'SFX',
+        muted: false,
+        clips: [
+          { id: 'A', filename: '2ABCD-audio-1234567890000.wav', start: 0, offset: 0, duration: 250, gain: 0.5, fadeIn: 0, fadeOut: 0 }
+        ]
+      }
+    ]
+
+    let data = await exporterFcpX.generateFinalCutProXData(boardFileData, { projectFileAbsolutePath, outputPath })
+    let xml = exporterFcpX.generateFinalCutProXXml(data)
+
+    // below the lane of board audio
+    assert(xml.includes('<asset-clip name="2ABCD-audio-1234567890000.wav" lane="-2"'))
+    assert(xml.includes('audioRole="effects"'))
+    assert(xml.includes('<adjust-volume amount="-6.02dB">'))
+  })
+  it('can generate transitions', async () => {
+    let data = JSON.parse(JSON.stringify(boardFileData))
+    data.fps = 24
+    data.boards[0].time = 0
+    data.boards[0].duration = 1000
+    data.boards[1].time = 1000
+    data.boards[1].duration = 1000
+    data.boards[0].transition = { type: 'dissolve', duration: 500 }
+    data.boards[1].transition = { type: 'fade-to-black', duration: 500 }
+
+    let xml = await getXml(data)
+
+    // follows the board, ending at the cut
+    assert(xml.match(/<\/video>\s*<transition name="Cross Dissolve" offset="100\/200s" duration="100\/200s">/))
+    // the last board dissolves to black, sharing the effect
+    assert.equal(xml.match(/<transition /g).length, 2)
+    assert.equal(xml.match(/<effect /g).length, 1)
+  })
+  it('can generate camera moves', async () => {
+    let data = JSON.parse(JSON.stringify(boardFileData))
+    data.boards[0].cameraMove = {
+      from: { x: 0, y: 0, width: 1, height: 1, rotation: 0 },
+      to: { x: 0, y: 0, width: 0.5, height: 0.5, rotation: 0 },
+      easing: 'linear'
+    }
+
+    let xml = await getXml(data)
+
+    // only the board with a camera move is transformed
+    assert.equal(xml.match(/<adjust-transform>/g).length, 1)
+    assert(xml.includes('<param name="scale"><keyframeAnimation><keyframe time="0s" value="1 1" interp="linear"/>'))
+    // zoomed in on the top left quarter
+    assert(xml.includes('value="50 -50" interp="linear"/>'))
+    assert(xml.includes('value="2 2" interp="linear"/>'))
+  })
 })
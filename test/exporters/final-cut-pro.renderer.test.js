@@ -174,6 +174,44 @@ describe('exporters/final-cut-pro', () => {
     // 500 msec (15 frame @ 30 fps) 44.1khz 16bit stereo WAV
     assert(xml.includes('<name>1ABCD-audio-1234567890000.wav</name>'))
   })
+  it('can generate audio lanes', async () => {
+    let projectFileAbsolutePath = path.join(__dirname, '..', 'fixtures', 'audio', 'audio.storyboarder')
+    let outputPath = path.join(__dirname, '..', 'fixtures', 'audio', 'exports', 'output')
+
+    let boardFileData = JSON.parse(fs.readFileSync(projectFileAbsolutePath))
+    boardFileData.audioTracks = [
+      {
+        id: 'M',
+        kind: 'music',
+        name: 'Music',
+        muted: false,
+        clips: [
+          { id: 'A', filename: '2ABCD-audio-1234567890000.wav', start: 1000, offset: 100, duration: 300, gain: 0.5, fadeIn: 0, fadeOut: 100 }
+        ]
+      }
+    ]
+    let data = await exporterFcp.generateFinalCutProData(boardFileData, { projectFileAbsolutePath, outputPath })
+    let xml = exporterFcp.generateFinalCutProXml(data)
+
+    // 1000 msecs @ 30 fps
+    assert(xml.includes('<start>30</start>'))
+    assert(xml.includes('<effectid>audiolevels</effectid>'))
+    assert(xml.includes('<value>0.5</value>'))
+  })
+  it('can generate transitions', async () => {
+    let boardFileData = getBoardFileData()
+    boardFileData.boards[0].transition = { type: 'wipe', duration: 500 }
+    boardFileData.boards[1].transition = { type: 'fade-to-black', duration: 250 }
+
+    let xml = await getXml(boardFileData)
+
+    // ends at the cut, 24 frames in
+    assert(xml.includes('<start>12</start>\n            <end>24</end>\n            <alignment>end</alignment>'))
+    assert(xml.includes('<effectid>Edge Wipe</effectid>'))
+    // the last board dissolves to black
+    assert(xml.includes('<alignment>end-black</alignment>'))
+    assert(xml.includes('<effectid>Cross Dissolve</effectid>'))
+  })
   it('throws error for missing audio', async () => {
     let projectFileAbsolutePath = path.join(__dirname, '..', 'fixtures', 'audio', 'audio.storyboarder')
     let outputPath = path.join(__dirname, '..', 'fixtures', 'audio', 'exports', 'output')
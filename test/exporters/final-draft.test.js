@@ -0,0 +1,97 @@
+// npx mocha -R min test/exporters/final-draft.test.js
+
+const assert = require('assert')
+const xml2js = require('xml2js')
+
+const exporterFinalDraft = require('../../src/js/exporters/final-draft')
+const importerFinalDraft = require('../../src/js/importers/final-draft')
+
+const getBoardData = () => ({
+  version: '0.6.0',
+  aspectRatio: 1.7777777777777777,
+  fps: 24,
+  defaultBoardTiming: 2000,
+  boards: [
+    {
+      uid: '7BZ4P',
+      url: 'board-1-7BZ4P.png',
+      number: 1,
+      shot: '1A',
+      action: 'A door opens.',
+      dialogue: 'bob: Hello?\n(beat)\nAnyone home?\nAlice (V.O.): Up here!',
+      notes: 'slow push in'
+    },
+    {
+      uid: '9MZ1P',
+      url: 'board-2-9MZ1P.png',
+      number: 2,
+      shot: '2A',
+      notes: 'hold on the empty hallway'
+    }
+  ]
+})
+
+describe('exporters/final-draft', () => {
+  it('can split dialogue into character cues', () => {
+    assert.deepEqual(
+      exporterFinalDraft.parseDialogue('bob: Hello?\n(beat)\nAnyone home?\nAlice (V.O.): Up here!'),
+      [
+        { character: 'BOB', lines: ['Hello?', { parenthetical: '(beat)' }, 'Anyone home?'] },
+        { character: 'ALICE (V.O.)', lines: ['Up here!'] }
+      ]
+    )
+    assert.deepEqual(
+      exporterFinalDraft.parseDialogue('Somebody says something'),
+      [{ character: undefined, lines: ['Somebody says something'] }]
+    )
+  })
+
+  it('can generate scene headings, action and dialogue', () => {
+    let fdxObj = exporterFinalDraft.generateFinalDraftData([
+      { slugline: 'int. house - day', boardData: getBoardData() }
+    ])
+    let paragraphs = fdxObj.FinalDraft.Content[0].Paragraph
+
+    assert.deepEqual(
+      paragraphs.map(p => [p.$.Type, p.Text[0]]),
+      [
+        ['Scene Heading', 'INT. HOUSE - DAY'],
+        ['Action', 'A door opens.'],
+        ['Character', 'BOB'],
+        ['Dialogue', 'Hello?'],
+        ['Parenthetical', '(beat)'],
+        ['Dialogue', 'Anyone home?'],
+        ['Character', 'ALICE (V.O.)'],
+        ['Dialogue', 'Up here!']
+      ]
+    )
+
+    // notes
+    assert.equal(paragraphs[1].ScriptNote[0].$.Name, 'Board 1A')
+    // board without text adds its note to the scene heading
+    assert.equal(paragraphs[0].ScriptNote[0].Paragraph[0].Text[0], 'hold on the empty hallway')
+  })
+
+  it('can be read by the Final Draft importer', async () => {
+    let xml = exporterFinalDraft.generateFinalDraftXml(
+      exporterFinalDraft.generateFinalDraftData([
+        { slugline: 'int. house - day', boardData: getBoardData() },
+        { slugline: 'ext. street - night', boardData: { ...getBoardData(), boards: [] } }
+      ])
+    )
+
+    assert(xml.startsWith('<?xml version="1.0" encoding="UTF-8" standalone="no"?>'))
+
+    let fdxObj = await new Promise((resolve, reject) =>
+      new xml2js.Parser().parseString(xml, (err, result) => err ? reject(err) : resolve(result))
+    )
+    let scriptData = importerFinalDraft.importFdxData(fdxObj)
+    let scenes = scriptData.filter(node => node.type === 'scene')
+
+    assert.deepEqual(scenes.map(scene => scene.slugline), ['INT. HOUSE - DAY', 'EXT. STREET - NIGHT'])
+    assert.deepEqual(
+      importerFinalDraft.getScriptCharacters(scriptData).map(([name]) => name),
+      ['BOB', 'ALICE']
+    )
+  })
+})
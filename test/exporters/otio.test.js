@@ -0,0 +1,121 @@
+// npx mocha -R min test/exporters/otio.test.js
+
+const assert = require('assert')
+const fs = require('fs')
+const path = require('path')
+
+const exporterOtio = require('../../src/js/exporters/otio')
+
+const getBoardFileData = () => ({
+  "version": "0.6.0",
+  "aspectRatio": 1,
+  "fps": 24,
+  "defaultBoardTiming": 2000,
+  "boards": [
+    {
+      "uid": "7BZ4P",
+      "url": "board-1-7BZ4P.png",
+      "newShot": false,
+      "layers": {},
+      "number": 1,
+      "shot": "1A",
+      "time": 0,
+      "duration": 999,
+      "dialogue": "dialogue here",
+      "action": "action here",
+      "notes": "notes here"
+    },
+    {
+      "uid": "9MZ1P",
+      "url": "board-2-9MZ1P.png",
+      "newShot": false,
+      "layers": {},
+      "number": 2,
+      "shot": "2A",
+      "time": 999,
+      "duration": 1001
+    }
+  ]
+})
+
+describe('exporters/otio', () => {
+  const projectFileAbsolutePath = '/Users/me/projects/storyboarder/example storyboard/example storyboard.storyboarder'
+
+  const getTimeline = boardFileData =>
+    JSON.parse(
+      exporterOtio.generateOtio(
+        exporterOtio.generateOtioData(boardFileData, { projectFileAbsolutePath })
+      )
+    )
+
+  it('can generate an OpenTimelineIO timeline', () => {
+    let timeline = getTimeline(getBoardFileData())
+
+    assert.equal(timeline.OTIO_SCHEMA, 'Timeline.1')
+    assert.equal(timeline.metadata.storyboarder.fps, 24)
+
+    let [video] = timeline.tracks.children
+    assert.equal(timeline.tracks.children.length, 1)
+    assert.equal(video.kind, 'Video')
+    assert.equal(video.children.length, 2)
+
+    // check dash in filename
+    assert.equal(video.children[0].media_reference.target_url, './example-storyboard-board-00001.png')
+  })
+
+  it('adds markers for dialogue and action', () => {
+    let timeline = getTimeline(getBoardFileData())
+    let [first, second] = timeline.tracks.children[0].children
+
+    assert.deepEqual(first.markers.map(m => m.comment), ['dialogue here', 'action here'])
+    assert.equal(second.markers.length, 0)
+  })
+
+  it('can generate at 23.976 fps', () => {
+    let boardFileData = getBoardFileData()
+
+    boardFileData.fps = 23.976
+    boardFileData.boards[0].duration = 29 / boardFileData.fps * 1000
+    boardFileData.boards[1].duration = 31 / boardFileData.fps * 1000
+
+    let timeline = getTimeline(boardFileData)
+    let [first, second] = timeline.tracks.children[0].children
+
+    assert.equal(first.source_range.duration.rate, 24000 / 1001)
+    assert.equal(first.source_range.duration.value, 29)
+    assert.equal(second.source_range.duration.value, 31)
+  })
+
+  it('can generate audio', () => {
+    let projectFileAbsolutePath = path.join(__dirname, '..', 'fixtures', 'audio', 'audio.storyboarder')
+    let boardFileData = JSON.parse(fs.readFileSync(projectFileAbsolutePath))
+    boardFileData.boards[1].audio.duration = 500
+
+    let data = exporterOtio.generateOtioData(boardFileData, { projectFileAbsolutePath })
+    let [video, audio] = data.tracks.children
+
+    assert.equal(audio.kind, 'Audio')
+    assert.deepEqual(audio.children.map(c => c.name), [
+      '1ABCD-audio-1234567890000.wav',
+      '2ABCD-audio-1234567890000.wav'
+    ])
+    // 500 msec @ 30 fps
+    assert.equal(audio.children[1].source_range.duration.value, 15)
+  })
+
+  it('can generate trimmed audio', () => {
+    let projectFileAbsolutePath = path.join(__dirname, '..', 'fixtures', 'audio', 'audio.storyboarder')
+    let boardFileData = JSON.parse(fs.readFileSync(projectFileAbsolutePath))
+    Object.assign(boardFileData.boards[1].audio, { duration: 1000, inPoint: 200, outPoint: 700, offset: 100 })
+
+    let data = exporterOtio.generateOtioData(boardFileData, { projectFileAbsolutePath })
+    let [, audio] = data.tracks.children
+
+    assert.deepEqual(audio.children.map(c => c.OTIO_SCHEMA), ['Clip.1', 'Gap.1', 'Clip.1'])
+    // 100 msec @ 30 fps
+    assert.equal(audio.children[1].source_range.duration.value, 3)
+    // from 200 to 700 msecs
+    assert.equal(audio.children[2].source_range.start_time.value, 6)
+    assert.equal(audio.children[2].source_range.duration.value, 15)
+  })
+})
@@ -0,0 +1,72 @@
+/* global describe it */
+
+// npx mocha -R min --watch test/exporters/shot-list.test.js
+
+const fs = require('fs')
+const path = require('path')
+const assert = require('assert')
+const tmp = require('tmp')
+
+const { getShotListForScene } = require('../../src/js/models/shot-list')
+const exporterShotList = require('../../src/js/exporters/shot-list')
+
+describe('exporters/shot-list', () => {
+  const fixturesPath = path.join(__dirname, '..', 'fixtures')
+  const sceneFilePath = path.join(fixturesPath, 'shot-generator', 'shot-generator.storyboarder')
+  const scene = JSON.parse(fs.readFileSync(sceneFilePath))
+
+  const entries = [{
+    ...getShotListForScene(scene),
+    scene,
+    sceneFilePath
+  }]
+
+  it('can list one row per board', () => {
+    let rows = exporterShotList.getShotListRows(entries)
+
+    assert.equal(rows.length, 1)
+    assert.equal(rows[0].setupNumber, 1)
+    assert.equal(rows[0].shot, '1A')
+    assert(rows[0].lens.endsWith('mm'))
+    assert(rows[0].height.endsWith('m'))
+    // falls back to defaultBoardTiming
+    assert.equal(rows[0].duration, 2)
+    assert(rows[0].thumbnail.endsWith('board-1-UDRF3-posterframe.jpg'))
+  })
+
+  it('can generate CSV', () => {
+    let rows = exporterShotList.getShotListRows(entries)
+    rows[0].dialogue = 'Hello, "world"'
+
+    let csv = exporterShotList.generateShotListCsv(rows)
+    let lines = csv.trim().split('\r\n')
+
+    assert.equal(lines.length, 2)
+    assert(lines[0].startsWith('Scene,Setup,Shot,Board,Lens,Camera Height'))
+    assert(lines[1].includes('"Hello, ""world"""'))
+  })
+
+  it('can generate spreadsheet XML with numeric cells', () => {
+    let rows = exporterShotList.getShotListRows(entries)
+    let xml = exporterShotList.generateShotListSheetXml(rows)
+
+    assert(xml.includes('<c r="A1" t="inlineStr"><is><t xml:space="preserve">Scene</t></is></c>'))
+    assert(xml.includes('<c r="I2"><v>2</v></c>'))
+  })
+
+  it('can export CSV, XLSX and PDF files', async () => {
+    let tmpFolder = tmp.dirSync({ unsafeCleanup: true })
+
+    let filepaths = await exporterShotList.exportShotList(entries, {
+      title: 'shot-generator',
+      outputPath: tmpFolder.name
+    })
+
+    assert.deepEqual(filepaths.map(filepath => path.extname(filepath)), ['.csv', '.xlsx', '.pdf'])
+    for (let filepath of filepaths) {
+      assert(fs.statSync(filepath).size > 0)
+    }
+
+    tmpFolder.removeCallback()
+  })
+})
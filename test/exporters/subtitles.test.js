@@ -0,0 +1,56 @@
+// npx mocha -R min test/exporters/subtitles.test.js
+
+const assert = require('assert')
+
+const exporterSubtitles = require('../../src/js/exporters/subtitles')
+
+const getBoardFileData = () => ({
+  fps: 24,
+  defaultBoardTiming: 2000,
+  boards: [
+    { uid: 'A', time: 0, duration: 1500, dialogue: 'Where are we going?' },
+    { uid: 'B', time: 1500, duration: 1000, dialogue: '' },
+    { uid: 'C', time: 2500, dialogue: 'Somewhere\n\nfar away.', audio: { filename: 'c.wav', duration: 3661250 } }
+  ]
+})
+
+describe('exporters/subtitles', () => {
+  it('formats timestamps', () => {
+    assert.equal(exporterSubtitles.msecsToTimestamp(3723004, ','), '01:02:03,004')
+    assert.equal(exporterSubtitles.msecsToTimestamp(999.6, '.'), '00:00:01.000')
+  })
+
+  it('has a cue for each board with dialogue, for as long as the board or its audio', () => {
+    let cues = exporterSubtitles.generateSubtitleData(getBoardFileData())
+    assert.deepEqual(cues, [
+      { start: 0, end: 1500, text: 'Where are we going?' },
+      { start: 2500, end: 2500 + 3661250, text: 'Somewhere\nfar away.' }
+    ])
+  })
+
+  it('can generate SRT and WebVTT', () => {
+    let cues = exporterSubtitles.generateSubtitleData(getBoardFileData())
+
+    assert.equal(
+      exporterSubtitles.generateSrt(cues),
+      '1\n' +
+      '00:00:00,000 --> 00:00:01,500\n' +
+      'Where are we going?\n' +
+      '\n' +
+      '2\n' +
+      '00:00:02,500 --> 01:01:03,750\n' +
+      'Somewhere\nfar away.\n'
+    )
+
+    assert.equal(
+      exporterSubtitles.generateWebVtt(cues),
+      'WEBVTT\n' +
+      '\n' +
+      '00:00:00.000 --> 00:00:01.500\n' +
+      'Where are we going?\n' +
+      '\n' +
+      '00:00:02.500 --> 01:01:03.750\n' +
+      'Somewhere\nfar away.\n'
+    )
+  })
+})
@@ -0,0 +1,47 @@
+// npx mocha -R min test/exporters/text-to-speech.test.js
+
+const assert = require('assert')
+
+const exporterTextToSpeech = require('../../src/js/exporters/text-to-speech')
+
+describe('exporters/text-to-speech', () => {
+  it('uses the speech synthesizer of each platform', () => {
+    let opts = { textFilePath: '/tmp/speech.txt', outputPath: "/tmp/Joe's line.wav", voice: 'Alex' }
+
+    let [command, args] = exporterTextToSpeech.getSpeakCommand('darwin', opts)
+    assert.equal(command, 'say')
+    assert.deepEqual(args.slice(0, 2), ['-v', 'Alex'])
+    assert.deepEqual(args.slice(-4), ['-o', "/tmp/Joe's line.wav", '-f', '/tmp/speech.txt'])
+
+    ;[command, args] = exporterTextToSpeech.getSpeakCommand('win32', opts)
+    assert.equal(command, 'powershell')
+    assert(args[args.length - 1].includes("SetOutputToWaveFile('/tmp/Joe''s line.wav')"))
+
+    ;[command, args] = exporterTextToSpeech.getSpeakCommand('linux', { ...opts, voice: undefined })
+    assert.deepEqual([command, args], ['espeak-ng', ['-w', "/tmp/Joe's line.wav", '-f', '/tmp/speech.txt']])
+  })
+
+  it('lists the installed voices', () => {
+    assert.deepEqual(
+      exporterTextToSpeech.parseVoices('darwin', [
+        'Alex                en_US    # Most people recognize me by my voice.',
+        'Bad News            en_US    # The light you see at the end of the tunnel is the headlamp of a fast approaching train.',
+        'Eddy (English (UK)) en_GB    # Hello! My name is Eddy.',
+        ''
+      ].join('\n')),
+      ['Alex', 'Bad News', 'Eddy (English (UK))']
+    )
+    assert.deepEqual(
+      exporterTextToSpeech.parseVoices('win32', 'Microsoft David Desktop\r\nMicrosoft Zira Desktop\r\n'),
+      ['Microsoft David Desktop', 'Microsoft Zira Desktop']
+    )
+    assert.deepEqual(
+      exporterTextToSpeech.parseVoices('linux', [
+        'Pty Language       Age/Gender VoiceName          File                 Other Languages',
+        ' 5  en-us          --/M      English_(America)  gmw/en-US            (en 2)',
+        ' 5  fr-fr          --/M      French             roa/fr               (fr 5)'
+      ].join('\n')),
+      ['en-us', 'fr-fr']
+    )
+  })
+})
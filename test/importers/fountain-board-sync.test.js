@@ -0,0 +1,154 @@
+// npx mocha -R min test/importers/fountain-board-sync.test.js
+
+const fs = require('fs')
+const assert = require('assert')
+
+const fountain = require('../../src/js/vendor/fountain')
+const fountainSceneIdUtil = require('../../src/js/fountain-scene-id-util')
+const fountainBoardSync = require('../../src/js/fountain-board-sync')
+
+const getBoardData = () => ({
+  version: '0.6.0',
+  aspectRatio: 1.7777777777777777,
+  fps: 24,
+  defaultBoardTiming: 2000,
+  boards: [
+    {
+      uid: '7BZ4P',
+      url: 'board-1-7BZ4P.png',
+      newShot: false,
+      layers: {},
+      number: 1,
+      shot: '1A',
+      time: 0,
+      dialogue: 'Hello!',
+      notes: 'close on the door\nslow push in'
+    },
+    {
+      uid: '9MZ1P',
+      url: 'board-2-9MZ1P.png',
+      newShot: false,
+      layers: {},
+      number: 2,
+      shot: '2A',
+      time: 2000,
+      duration: 1500,
+      action: 'It opens. */ [[ ]]'
+    }
+  ]
+})
+
+describe('fountainBoardSync', () => {
+  let script
+  let sceneId
+
+  beforeEach(() => {
+    script = fountainSceneIdUtil.insertSceneIds(
+      fs.readFileSync('./test/fixtures/fountain/eol-lf.fountain', 'utf-8')
+    )[0]
+    sceneId = script.match(/^INT\. A PLACE - DAY #(.+)#$/m)[1]
+  })
+
+  it('can write and read back board data', () => {
+    let boardData = getBoardData()
+    let result = fountainBoardSync.writeSceneBoards(script, sceneId, boardData)
+
+    assert(result.includes(`/* Storyboarder ${sceneId}`))
+    assert(result.includes('[[Board 1A: close on the door slow push in]]'))
+
+    assert.deepEqual(
+      fountainBoardSync.readSceneBoards(result, sceneId),
+      fountainBoardSync.getSceneBoards(boardData)
+    )
+
+    // writing again replaces the block
+    assert.equal(fountainBoardSync.writeSceneBoards(result, sceneId, boardData), result)
+  })
+
+  it('does not change how the script is parsed', () => {
+    let result = fountainBoardSync.writeSceneBoards(script, sceneId, getBoardData())
+
+    let tokens = fountain.parse(result, true).tokens
+    let before = fountain.parse(script, true).tokens
+
+    assert.deepEqual(
+      tokens.filter(token => token.type !== 'note'),
+      before
+    )
+    assert.deepEqual(
+      tokens.filter(token => token.type === 'note').map(token => token.text),
+      ['Board 1A: close on the door slow push in']
+    )
+  })
+
+  it('keeps CRLF line endings', () => {
+    let crlf = script.replace(/\n/g, '\r\n')
+    let result = fountainBoardSync.writeSceneBoards(crlf, sceneId, getBoardData())
+    assert(!result.match(/[^\r]\n/))
+  })
+
+  it('reads notes edited by the writer', () => {
+    let result = fountainBoardSync
+      .writeSceneBoards(script, sceneId, getBoardData())
+      .replace('[[Board 1A: close on the door slow push in]]', '[[Board 1A: hold on the door]]')
+
+    let [first] = fountainBoardSync.readSceneBoards(result, sceneId)
+    assert.equal(first.notes, 'hold on the door')
+  })
+
+  it('can find changes and conflicts', () => {
+    let boardData = getBoardData()
+    let base = fountainBoardSync.getSceneBoards(boardData)
+
+    let result = fountainBoardSync.writeSceneBoards(script, sceneId, boardData)
+      .replace('"duration":1500', '"duration":3000')
+      .replace('"dialogue":"Hello!"', '"dialogue":"Hi!"')
+    let scriptBoards = fountainBoardSync.readSceneBoards(result, sceneId)
+
+    // changed on the board too
+    boardData.boards[0].dialogue = 'Hey!'
+    // changed on the board only
+    boardData.boards[1].action = 'It closes.'
+
+    let changes = fountainBoardSync.getChanges(boardData, scriptBoards, base)
+    assert.deepEqual(
+      changes.map(({ shot, field, conflict }) => [shot, field, conflict]),
+      [
+        ['1A', 'dialogue', true],
+        ['2A', 'duration', false]
+      ]
+    )
+
+    fountainBoardSync.applyChanges(boardData, changes.filter(change => !change.conflict))
+    assert.equal(boardData.boards[1].duration, 3000)
+    assert.equal(boardData.boards[0].dialogue, 'Hey!')
+  })
+
+  it('ignores a missing or invalid duration', () => {
+    let boardData = getBoardData()
+    let base = fountainBoardSync.getSceneBoards(boardData)
+
+    let result = fountainBoardSync.writeSceneBoards(script, sceneId, boardData)
+      .replace('"duration":2000,', '')
+      .replace('"duration":1500', '"duration":"2s"')
+    let scriptBoards = fountainBoardSync.readSceneBoards(result, sceneId)
+    assert.equal(scriptBoards[0].duration, undefined)
+    assert.equal(scriptBoards[1].duration, undefined)
+
+    assert.deepEqual(fountainBoardSync.getChanges(boardData, scriptBoards, base), [])
+    assert.deepEqual(fountainBoardSync.getChanges(boardData, scriptBoards), [])
+
+    for (let duration of ['"1500"', '0', '-1', 'null']) {
+      let [, second] = fountainBoardSync.readSceneBoards(
+        fountainBoardSync.writeSceneBoards(script, sceneId, boardData).replace('"duration":1500', `"duration":${duration}`),
+        sceneId
+      )
+      assert.equal(second.duration, duration === '"1500"' ? 1500 : undefined)
+    }
+  })
+
+  it('returns undefined for a scene without board data', () => {
+    assert.equal(fountainBoardSync.readSceneBoards(script, sceneId), undefined)
+    assert.throws(() => fountainBoardSync.writeSceneBoards(script, '9-MISSING', getBoardData()))
+  })
+})
@@ -4,6 +4,7 @@
 const path = require('path')
 const fs = require('fs-extra')
 const os = require('os')
+const assert = require('assert')
 
 const importerPsd = require('../../src/js/importers/psd')
 
@@ -38,9 +39,11 @@ describe('importers/psd', () => {
   })
 
   it('can load a PSD file with layers', () => {
-    let canvases = importerPsd.fromPsdBuffer(
+    let { canvases, userLayers } = importerPsd.fromPsdBuffer(
       fs.readFileSync(psdPath)
     )
+    assert(Object.keys(canvases).length)
+    assert(Array.isArray(userLayers))
 
     let folderpath = path.join(os.tmpdir(), 'sg-psd-test')
     fs.mkdirpSync(folderpath)
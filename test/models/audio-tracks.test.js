@@ -0,0 +1,77 @@
+// npx mocha -R min test/models/audio-tracks.test.js
+
+const assert = require('assert')
+
+const audioTracksModel = require('../../src/js/models/audio-tracks')
+
+describe('models/audio-tracks', () => {
+  it('adds a lane for each kind, in order', () => {
+    let scene = { boards: [] }
+
+    audioTracksModel.addClip(scene, 'sfx', { filename: 'door.wav', start: 500, duration: 1000 })
+    audioTracksModel.addClip(scene, 'dialogue', { filename: 'line.wav', duration: 2000 })
+    audioTracksModel.addClip(scene, 'sfx', { filename: 'door.wav', start: 4000, duration: 1000 })
+
+    assert.deepEqual(audioTracksModel.getTracks(scene).map(track => track.kind), ['dialogue', 'sfx'])
+    assert.equal(audioTracksModel.getTracks(scene)[1].clips.length, 2)
+    assert.deepEqual(audioTracksModel.getFilenames(scene), ['line.wav', 'door.wav'])
+    assert.throws(() => audioTracksModel.addClip(scene, 'foley', { filename: 'a.wav' }), /Unknown audio track kind/)
+  })
+
+  it('can move and trim a clip', () => {
+    let scene = { boards: [] }
+    let clip = audioTracksModel.addClip(scene, 'music', { filename: 'theme.wav', start: 1000, duration: 5000 })
+
+    audioTracksModel.moveClip(scene, clip.id, -100)
+    assert.equal(clip.start, 0)
+
+    audioTracksModel.moveClip(scene, clip.id, 2000)
+    audioTracksModel.trimClip(scene, clip.id, { start: 2500 }, 5000)
+    assert.equal(clip.start, 2500)
+    assert.equal(clip.offset, 500)
+    assert.equal(clip.duration, 4500)
+
+    // can't start before the beginning of the file
+    audioTracksModel.trimClip(scene, clip.id, { start: 0 }, 5000)
+    assert.equal(clip.start, 2000)
+    assert.equal(clip.offset, 0)
+
+    // can't end after the end of the file
+    audioTracksModel.trimClip(scene, clip.id, { end: 9000 }, 5000)
+    assert.equal(audioTracksModel.getClipEnd(clip), 7000)
+
+    audioTracksModel.trimClip(scene, clip.id, { end: 3000 }, 5000)
+    assert.equal(clip.duration, 1000)
+  })
+
+  it('keeps gain and fades in range', () => {
+    let scene = { boards: [] }
+    let clip = audioTracksModel.addClip(scene, 'music', { filename: 'theme.wav', duration: 1000 })
+
+    audioTracksModel.updateClip(scene, clip.id, { gain: 10, fadeIn: 250, fadeOut: 2000 })
+    assert.equal(clip.gain, audioTracksModel.MAX_GAIN)
+    assert.equal(clip.fadeIn, 250)
+    assert.equal(clip.fadeOut, 1000)
+
+    assert.equal(Math.round(audioTracksModel.gainToDecibels(0.5)), -6)
+    assert.equal(audioTracksModel.decibelsToGain(0), 1)
+  })
+
+  it('finds the audible clips at a point in time', () => {
+    let scene = { boards: [] }
+    let a = audioTracksModel.addClip(scene, 'dialogue', { filename: 'a.wav', start: 1000, duration: 1000 })
+    audioTracksModel.addClip(scene, 'music', { filename: 'b.wav', start: 0, duration: 3000 })
+    audioTracksModel.getOrCreateTrack(scene, 'music').muted = true
+
+    let clips = audioTracksModel.getAudibleClips(scene)
+    assert.deepEqual(clips.map(clip => clip.filename), ['a.wav'])
+    assert.equal(clips[0].kind, 'dialogue')
+
+    assert.equal(audioTracksModel.getClipPositionAt(a, 500), undefined)
+    assert.equal(audioTracksModel.getClipPositionAt(a, 1250), 250)
+    assert.equal(audioTracksModel.getClipPositionAt(a, 2000), undefined)
+
+    audioTracksModel.removeClip(scene, a.id)
+    assert.deepEqual(audioTracksModel.getTracks(scene).map(track => track.kind), ['music'])
+  })
+})
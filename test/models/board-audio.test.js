@@ -0,0 +1,53 @@
+// npx mocha -R min test/models/board-audio.test.js
+
+const assert = require('assert')
+
+const boardAudioModel = require('../../src/js/models/board-audio')
+const boardModel = require('../../src/js/models/board')
+
+describe('models/board-audio', () => {
+  it('plays the whole file unless trimmed', () => {
+    let board = { time: 1000, duration: 500, audio: { filename: 'a.wav', duration: 2000 } }
+    assert.equal(boardAudioModel.getInPoint(board.audio), 0)
+    assert.equal(boardAudioModel.getOutPoint(board.audio), 2000)
+    assert.equal(boardAudioModel.getPlayedDuration(board.audio), 2000)
+    assert.equal(boardAudioModel.isTrimmed(board.audio), false)
+    assert.equal(boardModel.boardDurationWithAudio({ defaultBoardTiming: 2000 }, board), 2000)
+
+    boardAudioModel.setTrim(board.audio, { inPoint: 250, outPoint: 1250, offset: 300 })
+    assert.equal(boardAudioModel.getPlayedDuration(board.audio), 1000)
+    assert.equal(boardAudioModel.getStart(board), 1300)
+    assert.equal(boardAudioModel.getEnd(board), 2300)
+    assert.equal(boardAudioModel.getPositionAt(board, 1500), 200)
+    assert.equal(boardAudioModel.getPositionAt(board, 1200), undefined)
+    assert.equal(boardModel.boardDurationWithAudio({ defaultBoardTiming: 2000 }, board), 1300)
+  })
+
+  it('keeps trims within the file, and only stores what is changed', () => {
+    let audio = { filename: 'a.wav', duration: 2000 }
+
+    boardAudioModel.setTrim(audio, { inPoint: -100, outPoint: 5000, offset: -10 })
+    assert.deepEqual(audio, { filename: 'a.wav', duration: 2000 })
+
+    boardAudioModel.setTrim(audio, { outPoint: 1000 })
+    boardAudioModel.setTrim(audio, { inPoint: 1500 })
+    assert.equal(audio.inPoint, 999)
+    assert.equal(audio.outPoint, 1000)
+    assert.equal(boardAudioModel.isTrimmed(audio), true)
+
+    boardAudioModel.resetTrim(audio)
+    assert.deepEqual(audio, { filename: 'a.wav', duration: 2000 })
+  })
+
+  it('can find the sound between silence', () => {
+    let data = new Float32Array(1000)
+    data[300] = 0.5
+    data[599] = -0.25
+    // 1 sample per msec, padded
+    assert.deepEqual(boardAudioModel.findSoundExtent(data, 1000), {
+      inPoint: 300 - boardAudioModel.SILENCE_PADDING,
+      outPoint: 600 + boardAudioModel.SILENCE_PADDING
+    })
+    assert.equal(boardAudioModel.findSoundExtent(new Float32Array(1000), 1000), undefined)
+  })
+})
@@ -0,0 +1,58 @@
+// npx mocha -R min test/models/breakdown.test.js
+
+const fs = require('fs')
+const path = require('path')
+const assert = require('assert')
+
+const fountain = require('../../src/js/vendor/fountain')
+const fountainDataParser = require('../../src/js/fountain-data-parser')
+const importerFinalDraft = require('../../src/js/importers/final-draft')
+
+const breakdownModel = require('../../src/js/models/breakdown')
+
+describe('models/breakdown', () => {
+  const projectPath = path.join(__dirname, '..', 'fixtures', 'projects', 'multi-scene')
+  const storyboardsPath = path.join(projectPath, 'storyboards')
+
+  it('can list a breakdown per scene of a Fountain script', () => {
+    let { tokens } = fountain.parse(fs.readFileSync(path.join(projectPath, 'multi-scene.fountain'), 'utf-8'), true)
+    let scriptData = fountainDataParser.parse(tokens)
+
+    let scenes = breakdownModel.getBreakdownForScriptData(scriptData, storyboardsPath)
+
+    assert.equal(scenes.length, 3)
+    assert.equal(scenes[0].id, '1-ZX3ZM')
+    assert.equal(scenes[0].location, 'EXT. A PLACE')
+    assert.deepEqual(scenes[0].characters, ['PERSON A'])
+    assert.equal(scenes[0].boards, 1)
+    assert(scenes[0].duration > 0)
+    assert.deepEqual(scenes[1].characters, [])
+    assert(scenes.every(scene => scene.pageEighths >= 1))
+  })
+
+  it('can list a breakdown per scene of a Final Draft script', async () => {
+    let fdxObj = await importerFinalDraft.readFdxFile(path.join(__dirname, '..', 'fixtures', 'final-draft', 'test.fdx'))
+    let scriptData = importerFinalDraft.importFdxData(fdxObj)
+
+    // not boarded yet
+    let scenes = breakdownModel.getBreakdownForScriptData(scriptData, storyboardsPath)
+
+    assert.equal(scenes.length, scriptData.filter(node => node.type === 'scene').length)
+    assert(scenes.some(scene => scene.characters.includes('WALTER')))
+    assert(scenes.every(scene => scene.pageEighths >= 1 && scene.boards === 0))
+  })
+
+  it('estimates page length in eighths', () => {
+    let scene = {
+      type: 'scene',
+      slugline: 'INT. A PLACE - DAY',
+      script: Array(55).fill({ type: 'action', text: 'Something happens.' })
+    }
+    // 3 lines for the heading, 2 lines for each action
+    assert.equal(breakdownModel.getScenePageEighths(scene), 17)
+
+    assert.equal(breakdownModel.formatPageEighths(17), '2 1/8')
+    assert.equal(breakdownModel.formatPageEighths(8), '1')
+    assert.equal(breakdownModel.formatPageEighths(3), '3/8')
+  })
+})
@@ -0,0 +1,73 @@
+// npx mocha -R min test/models/brushes.test.js
+
+const assert = require('assert')
+const fs = require('fs')
+const path = require('path')
+
+const brushesModel = require('../../src/js/models/brushes')
+const toolbar = require('../../src/js/shared/reducers/toolbar')
+
+const builtIns = JSON.parse(fs.readFileSync(path.join(__dirname, '..', '..', 'src', 'data', 'brushes', 'brushes.json')))
+
+const createBrush = () => {
+  let state = toolbar(undefined, { type: 'INIT' })
+  return brushesModel.createBrush({
+    id: 'a1',
+    name: 'Sketchy',
+    settings: builtIns.find(b => b.name === 'pencil'),
+    tool: state.tools.pencil
+  })
+}
+
+describe('models/brushes', () => {
+  it('makes a brush from a built-in tool', () => {
+    let brush = createBrush()
+    assert.equal(brush.base, 'pencil')
+    assert.equal(brush.brushImage, 'brushmediumoval')
+    assert.equal(brush.defaultLayerName, 'pencil')
+    // pressureSize 0.8 is 20% of the size at no pressure
+    assert.equal(brush.sizeCurve[0].toFixed(2), '0.20')
+    assert.equal(brush.sizeCurve[brush.sizeCurve.length - 1], 1)
+
+    let sketchPaneBrush = brushesModel.toSketchPaneBrush(brush, builtIns)
+    assert.equal(sketchPaneBrush.name, 'custom-a1')
+    assert.equal(sketchPaneBrush.efficiencyBrushImage, 'brushefficiency')
+
+    let copy = brushesModel.duplicateBrush([brush], brush, 'b2')
+    assert.equal(copy.name, 'Sketchy copy')
+    assert.notStrictEqual(copy.sizeCurve, brush.sizeCurve)
+  })
+
+  it('changes the pressure of strokes', () => {
+    let brush = { ...createBrush(), sizeCurve: [0, 0.5, 1], taper: 100, jitter: 0.5 }
+    assert.equal(brushesModel.applyCurve(brush.sizeCurve, 0.25), 0.25)
+    assert.equal(brushesModel.applyCurve([0, 1, 1], 0.25), 0.5)
+    assert.equal(brushesModel.getStrokePressure(brush, 1, 200, () => 0), 1)
+    assert.equal(brushesModel.getStrokePressure(brush, 1, 50, () => 0), 0.5)
+    assert.equal(brushesModel.getStrokePressure(brush, 1, 200, () => 1), 0.5)
+    assert.equal(brushesModel.getNodeOpacity({ opacityCurve: [0.5, 0.5] }, 0.8, 1), 0.4)
+  })
+
+  it('adds brushes to the toolbar, and round-trips them through a brush pack', () => {
+    let brush = createBrush()
+    let state = toolbar(undefined, { type: 'TOOLBAR_TOOL_CHANGE', payload: 'custom-a1' })
+    state = toolbar(state, { type: 'TOOLBAR_CUSTOM_BRUSHES_SET', payload: [brushesModel.toToolState(brush)] })
+    assert.equal(state.tools['custom-a1'].defaultLayerName, 'pencil')
+    state = toolbar(state, { type: 'TOOLBAR_BRUSH_SIZE_SET', payload: 10 })
+    state = toolbar(state, { type: 'TOOLBAR_CUSTOM_BRUSHES_SET', payload: [brushesModel.toToolState(brush)] })
+    assert.equal(state.tools['custom-a1'].size, 10)
+    state = toolbar(state, { type: 'TOOLBAR_CUSTOM_BRUSHES_SET', payload: [] })
+    assert.equal(state.tools['custom-a1'], undefined)
+    assert.equal(state.activeTool, 'pencil')
+
+    let textured = { ...brush, grainImage: 'custom-abc' }
+    let pack = brushesModel.createPack([textured], name => `data:${name}`, ['grainpaper4', 'brushmediumoval'])
+    assert.deepEqual(pack.images, { 'custom-abc': 'data:custom-abc' })
+
+    let ids = ['c3']
+    let added = brushesModel.getPackBrushes(JSON.parse(JSON.stringify(pack)), [brush], builtIns, () => ids.shift())
+    assert.equal(added[0].id, 'c3')
+    assert.equal(added[0].name, 'Sketchy copy')
+    assert.throws(() => brushesModel.getPackBrushes({}, [], builtIns, () => 'x'), /Not a brush pack/)
+  })
+})
@@ -0,0 +1,51 @@
+// npx mocha -R min test/models/burn-in.test.js
+
+const assert = require('assert')
+
+const burnInModel = require('../../src/js/models/burn-in')
+
+describe('models/burn-in', () => {
+  it('fills in missing or unknown settings', () => {
+    let burnIns = burnInModel.getBurnIns({
+      shot: { enabled: true, position: 'middle' },
+      projectName: { enabled: true, position: 'bottom-right' }
+    })
+    assert.deepEqual(burnIns.shot, { enabled: true, position: 'top-left' })
+    assert.deepEqual(burnIns.projectName, { enabled: true, position: 'bottom-right' })
+    assert.equal(burnIns.timecode.enabled, false)
+
+    assert.equal(burnInModel.hasBurnIns({}), false)
+    assert.equal(burnInModel.hasBurnIns(burnIns), true)
+  })
+
+  it('stacks burn-ins by position, with the timecode nearest the edge', () => {
+    let burnIn = burnInModel.createBurnIns(['timecode', 'shot', 'boardNumber', 'dialogue'])
+    burnIn.timecode.position = 'top-left'
+
+    let board = { number: 3, shot: '2A', dialogue: ' Hello. ' }
+    assert.deepEqual(burnInModel.getItemsByPosition(burnIn, { board, index: 2 }), {
+      'top-left': [
+        { key: 'timecode', text: undefined },
+        { key: 'shot', text: 'Shot 2A' },
+        { key: 'boardNumber', text: 'Board 3' }
+      ],
+      'bottom-center': [
+        { key: 'dialogue', text: 'Hello.' }
+      ]
+    })
+
+    // nothing to show
+    assert.deepEqual(burnInModel.getItemsByPosition(burnIn, { board: {}, index: 0 })['bottom-center'], undefined)
+    assert.equal(burnInModel.getItemsByPosition(burnIn, { board: {}, index: 0 })['top-left'][1].text, 'Board 1')
+  })
+
+  it('lays out lines from the edge of the frame', () => {
+    let { lineHeight, margin } = burnInModel.getMetrics(1000)
+    assert.equal(lineHeight, 50)
+    assert.equal(margin, 30)
+
+    assert.equal(burnInModel.getLineTop('top-right', 1, 1000), 80)
+    assert.equal(burnInModel.getLineTop('bottom-center', 0, 1000), 920)
+    assert.equal(burnInModel.getAlign('bottom-center'), 'center')
+  })
+})
@@ -0,0 +1,93 @@
+// npx mocha -R min test/models/camera-move.test.js
+
+const assert = require('assert')
+
+const cameraMoveModel = require('../../src/js/models/camera-move')
+
+const round = value => Math.round(value * 1000) / 1000
+
+describe('models/camera-move', () => {
+  it('can set and clear a camera move', () => {
+    let board = { uid: 'A' }
+    assert.equal(cameraMoveModel.hasCameraMove(board), false)
+
+    cameraMoveModel.setCameraMove(board, cameraMoveModel.createCameraMove())
+    assert.equal(cameraMoveModel.hasCameraMove(board), true)
+
+    // frames keep the aspect ratio of the board, and can't be too small
+    cameraMoveModel.setCameraMove(board, {
+      from: { x: 0, y: 0, width: 0.5, height: 0.25 },
+      to: { x: 0, y: 0, width: 0, height: 0, rotation: 10 },
+      easing: 'linear'
+    })
+    assert.equal(board.cameraMove.from.height, 0.5)
+    assert.equal(board.cameraMove.from.rotation, 0)
+    assert.equal(board.cameraMove.to.width, cameraMoveModel.MIN_FRAME_SIZE)
+
+    assert.throws(() => cameraMoveModel.setCameraMove(board, { ...board.cameraMove, easing: 'bounce' }), /Unknown easing/)
+
+    cameraMoveModel.clearCameraMove(board)
+    assert.equal(cameraMoveModel.hasCameraMove(board), false)
+  })
+
+  it('interpolates between the start and end frames', () => {
+    let cameraMove = {
+      from: { x: 0, y: 0, width: 1, height: 1, rotation: 0 },
+      to: { x: 0.5, y: 0.5, width: 0.5, height: 0.5, rotation: 90 },
+      easing: 'linear'
+    }
+
+    assert.deepEqual(cameraMoveModel.getFrameAtTime(cameraMove, 2000, 0), cameraMove.from)
+    assert.deepEqual(cameraMoveModel.getFrameAtTime(cameraMove, 2000, 2000), cameraMove.to)
+    assert.deepEqual(cameraMoveModel.getFrameAtTime(cameraMove, 2000, 1000), { x: 0.25, y: 0.25, width: 0.75, height: 0.75, rotation: 45 })
+
+    // eased moves start slower
+    let eased = cameraMoveModel.getFrameAtTime({ ...cameraMove, easing: 'ease-in' }, 2000, 1000)
+    assert(eased.x < 0.25)
+    assert.equal(cameraMoveModel.ease('ease-in-out', 0.5), 0.5)
+  })
+
+  it('renders frames which last exactly as long as the board', () => {
+    const sum = durations => durations.reduce((total, duration) => total + duration, 0)
+
+    for (let [duration, fps] of [[2000, 24], [1010, 24], [1030, 24], [999, 29.97], [1001, 23.976], [10, 24]]) {
+      let durations = cameraMoveModel.getFrameDurations(duration, fps)
+      assert(Math.abs(sum(durations) - duration / 1000) < 1e-9, `${duration} msecs at ${fps} fps`)
+      assert(durations.every(value => value > 0))
+    }
+
+    // a whole number of frames
+    let durations = cameraMoveModel.getFrameDurations(2000, 24)
+    assert.equal(durations.length, 48)
+    assert(durations.every(value => Math.abs(value - 1 / 24) < 1e-9))
+
+    // 24.24 frames, the last frame is longer
+    durations = cameraMoveModel.getFrameDurations(1010, 24)
+    assert.equal(durations.length, 24)
+    assert(durations[23] > 1 / 24)
+
+    // 24.72 frames, the last frame is shorter
+    durations = cameraMoveModel.getFrameDurations(1030, 24)
+    assert.equal(durations.length, 25)
+    assert(durations[24] < 1 / 24)
+
+    // the error doesn't add up across boards
+    let boards = new Array(100).fill(1030)
+    let total = sum(boards.map(duration => sum(cameraMoveModel.getFrameDurations(duration, 24))))
+    assert(Math.abs(total - 103) < 1e-6)
+  })
+
+  it('calculates the transform of the board image', () => {
+    // full frame: no change
+    let t = cameraMoveModel.getFrameTransform(cameraMoveModel.FULL_FRAME, [1600, 900])
+    assert.deepEqual([round(t.x), round(t.y), t.scale, t.rotation], [0, 0, 1, 0])
+
+    // the top left quarter
+    t = cameraMoveModel.getFrameTransform({ x: 0, y: 0, width: 0.5, height: 0.5, rotation: 0 }, [1600, 900])
+    assert.deepEqual([round(t.x), round(t.y), t.scale], [800, 450, 2])
+
+    // the top left quarter, rotated by 90
+    t = cameraMoveModel.getFrameTransform({ x: 0, y: 0, width: 0.5, height: 0.5, rotation: 90 }, [1600, 900])
+    assert.deepEqual([round(t.x), round(t.y)], [450, -800])
+  })
+})
@@ -0,0 +1,65 @@
+// npx mocha -R min test/models/flood-fill.test.js
+
+const assert = require('assert')
+
+const floodFill = require('../../src/js/models/flood-fill')
+
+const SIZE = 20
+
+// white, with a black square outline from 5,5 to 14,14
+// optionally with a gap in the top edge
+const createImage = (gap = 0) => {
+  let data = new Uint8ClampedArray(SIZE * SIZE * 4).fill(255)
+  const set = (x, y) => data.set([0, 0, 0, 255], (y * SIZE + x) * 4)
+  for (let n = 5; n <= 14; n++) {
+    if (n < 8 || n >= 8 + gap) set(n, 5)
+    set(n, 14)
+    set(5, n)
+    set(14, n)
+  }
+  return data
+}
+
+const count = mask => mask.reduce((sum, value) => sum + value, 0)
+
+const at = (mask, x, y) => mask[y * SIZE + x]
+
+describe('models/flood-fill', () => {
+  it('fills the area inside of the line', () => {
+    let mask = floodFill.getFillMask(createImage(), SIZE, SIZE, { x: 10.5, y: 10.5 })
+    assert.equal(count(mask), 8 * 8)
+    assert.equal(at(mask, 6, 6), 1)
+    assert.equal(at(mask, 5, 5), 0)
+    assert.equal(at(mask, 0, 0), 0)
+
+    // the outside
+    mask = floodFill.getFillMask(createImage(), SIZE, SIZE, { x: 0, y: 0 })
+    assert.equal(count(mask), SIZE * SIZE - 10 * 10)
+
+    assert.equal(floodFill.getFillMask(createImage(), SIZE, SIZE, { x: -1, y: 0 }), null)
+  })
+
+  it('closes gaps in the line', () => {
+    // leaks out through the gap
+    let mask = floodFill.getFillMask(createImage(2), SIZE, SIZE, { x: 10, y: 10 })
+    assert.equal(at(mask, 0, 0), 1)
+
+    // up to the line, but not outside of it
+    mask = floodFill.getFillMask(createImage(2), SIZE, SIZE, { x: 10, y: 10 }, { gap: 2 })
+    assert.equal(at(mask, 0, 0), 0)
+    assert.equal(at(mask, 6, 6), 1)
+    assert.equal(at(mask, 13, 13), 1)
+    assert.equal(at(mask, 8, 4), 0)
+
+    // gaps which are too large still leak
+    mask = floodFill.getFillMask(createImage(4), SIZE, SIZE, { x: 10, y: 10 }, { gap: 2 })
+    assert.equal(at(mask, 0, 0), 1)
+  })
+
+  it('creates pixels of a color from the mask', () => {
+    let mask = floodFill.getFillMask(createImage(), SIZE, SIZE, { x: 10, y: 10 })
+    let pixels = floodFill.getFillPixels(mask, 0x336699)
+    assert.deepEqual([...pixels.slice((10 * SIZE + 10) * 4, (10 * SIZE + 10) * 4 + 4)], [0x33, 0x66, 0x99, 255])
+    assert.deepEqual([...pixels.slice(0, 4)], [0, 0, 0, 0])
+  })
+})
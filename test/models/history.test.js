@@ -0,0 +1,145 @@
+// npx mocha -R min test/models/history.test.js
+
+const fs = require('fs-extra')
+const path = require('path')
+const assert = require('assert')
+const tmp = require('tmp')
+
+const historyModel = require('../../src/js/models/history')
+
+describe('models/history', () => {
+  let tmpFolder
+  let sceneFilePath
+
+  const readScene = () => fs.readJsonSync(sceneFilePath)
+  const writeScene = boardData => fs.writeFileSync(sceneFilePath, JSON.stringify(boardData, null, 2))
+  const imagePath = filename => path.join(tmpFolder.name, 'images', filename)
+
+  beforeEach(() => {
+    tmpFolder = tmp.dirSync({ unsafeCleanup: true })
+    fs.copySync(path.join(__dirname, '..', 'fixtures', 'example'), tmpFolder.name)
+    sceneFilePath = path.join(tmpFolder.name, 'example.storyboarder')
+  })
+
+  afterEach(() => {
+    tmpFolder.removeCallback()
+  })
+
+  it('can create and list snapshots', () => {
+    let first = historyModel.createSnapshot(sceneFilePath, { now: 1000 })
+    assert(Object.keys(first.files).length > 0)
+
+    // nothing changed
+    assert.equal(historyModel.createSnapshot(sceneFilePath, { now: 2000 }).id, first.id)
+
+    let boardData = readScene()
+    boardData.boards[0].dialogue = 'changed'
+    writeScene(boardData)
+    historyModel.createSnapshot(sceneFilePath, { label: 'Changed', now: 3000 })
+
+    assert.deepEqual(
+      historyModel.listSnapshots(sceneFilePath).map(({ id, label }) => [id, label]),
+      [['3000', 'Changed'], ['1000', '']]
+    )
+  })
+
+  it('only stores each file once', () => {
+    historyModel.createSnapshot(sceneFilePath, { now: 1000 })
+    let filesPath = path.join(tmpFolder.name, historyModel.HISTORY_FOLDER_NAME, 'files')
+    let count = fs.readdirSync(filesPath).length
+
+    let { url } = readScene().boards[0]
+    fs.writeFileSync(imagePath(url.replace('.png', '-fill.png')), 'changed')
+    historyModel.createSnapshot(sceneFilePath, { now: 2000 })
+
+    assert.equal(fs.readdirSync(filesPath).length, count + 1)
+  })
+
+  it('only creates automatic snapshots after an interval', () => {
+    assert(historyModel.createSnapshotIfStale(sceneFilePath, { now: 1000 }))
+
+    let boardData = readScene()
+    boardData.boards[0].dialogue = 'changed'
+    writeScene(boardData)
+
+    assert.equal(historyModel.createSnapshotIfStale(sceneFilePath, { now: 2000 }), undefined)
+    assert(historyModel.createSnapshotIfStale(sceneFilePath, { now: 1000 + historyModel.SNAPSHOT_INTERVAL_MSECS }))
+  })
+
+  it('only keeps the newest snapshots', () => {
+    let filesPath = path.join(tmpFolder.name, historyModel.HISTORY_FOLDER_NAME, 'files')
+    let { url } = readScene().boards[0]
+    let fillPath = imagePath(url.replace('.png', '-fill.png'))
+
+    for (let n = 1; n <= 4; n++) {
+      fs.writeFileSync(fillPath, `fill ${n}`)
+      historyModel.createSnapshot(sceneFilePath, { now: n * 1000, maxSnapshots: 2 })
+    }
+
+    assert.deepEqual(historyModel.listSnapshots(sceneFilePath).map(({ id }) => id), ['4000', '3000'])
+
+    // the files of the removed snapshots are removed too
+    let stored = new Set(
+      ['4000', '3000'].reduce((filenames, id) => {
+        let { files } = historyModel.readSnapshot(sceneFilePath, id)
+        return filenames.concat(Object.entries(files).map(([filename, hash]) => hash + path.extname(filename)))
+      }, [])
+    )
+    assert.deepEqual(fs.readdirSync(filesPath).sort(), [...stored].sort())
+  })
+
+  it('can diff boards between snapshots', () => {
+    let a = historyModel.createSnapshot(sceneFilePath, { now: 1000 })
+
+    let boardData = readScene()
+    let [first, second] = boardData.boards
+    fs.writeFileSync(imagePath(first.url.replace('.png', '-fill.png')), 'changed')
+    boardData.boards = boardData.boards.filter(board => board.uid !== second.uid)
+    writeScene(boardData)
+
+    let diff = historyModel.diffSnapshots(a, historyModel.readCurrent(sceneFilePath))
+    let statusOf = uid => diff.find(change => change.uid === uid).status
+
+    assert.equal(statusOf(first.uid), 'changed')
+    assert.equal(statusOf(second.uid), 'removed')
+    assert.equal(statusOf(boardData.boards[1].uid), 'unchanged')
+  })
+
+  it('can restore a scene', () => {
+    let a = historyModel.createSnapshot(sceneFilePath, { now: 1000 })
+    let original = readScene()
+    let fillFilename = original.boards[0].url.replace('.png', '-fill.png')
+    let fill = fs.readFileSync(imagePath(fillFilename))
+
+    let boardData = readScene()
+    boardData.boards = boardData.boards.slice(1)
+    writeScene(boardData)
+    fs.writeFileSync(imagePath(fillFilename), 'changed')
+
+    historyModel.restoreSnapshot(sceneFilePath, a.id, { now: 2000 })
+
+    assert.deepEqual(readScene(), original)
+    assert(fs.readFileSync(imagePath(fillFilename)).equals(fill))
+
+    // the state before the restore was kept
+    assert.equal(historyModel.listSnapshots(sceneFilePath)[0].label, 'Before restore')
+  })
+
+  it('can restore a deleted board', () => {
+    let a = historyModel.createSnapshot(sceneFilePath, { now: 1000 })
+    let original = readScene()
+    let [, second] = original.boards
+
+    let boardData = readScene()
+    boardData.boards = boardData.boards.filter(board => board.uid !== second.uid)
+    boardData.boards[0].dialogue = 'kept'
+    writeScene(boardData)
+
+    historyModel.restoreBoard(sceneFilePath, a.id, second.uid, { now: 2000 })
+
+    let restored = readScene()
+    assert.equal(restored.boards.length, original.boards.length)
+    assert.equal(restored.boards[1].uid, second.uid)
+    assert.equal(restored.boards[0].dialogue, 'kept')
+  })
+})
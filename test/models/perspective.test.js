@@ -0,0 +1,55 @@
+// npx mocha -R min test/models/perspective.test.js
+
+const assert = require('assert')
+
+const perspectiveModel = require('../../src/js/models/perspective')
+
+const SIZE = [1000, 500]
+
+describe('models/perspective', () => {
+  it('keeps the first two vanishing points on the horizon', () => {
+    let board = {}
+    perspectiveModel.setPerspective(board, perspectiveModel.createPerspective(3))
+    assert.equal(perspectiveModel.getType(board.perspective), 3)
+
+    let perspective = perspectiveModel.moveVanishingPoint(board.perspective, 1, { x: 0.8, y: 0.5 })
+    assert.deepEqual(perspective.points.slice(0, 2), [{ x: 0.1, y: 0.5 }, { x: 0.8, y: 0.5 }])
+    assert.equal(perspective.horizon, 0.5)
+    assert.deepEqual(perspective.points[2], { x: 0.5, y: 0.95 })
+
+    perspective = perspectiveModel.moveHorizon(perspective, 0.25)
+    assert.equal(perspective.points[0].y, 0.25)
+    assert.equal(perspective.points[2].y, 0.95)
+
+    perspective = perspectiveModel.setType(perspective, 1)
+    assert.deepEqual(perspective.points, [{ x: 0.1, y: 0.25 }])
+
+    assert.throws(() => perspectiveModel.createPerspective(4), /Unknown perspective type/)
+  })
+
+  it('snaps lines to the vanishing points', () => {
+    // vanishing points at (100, 200) and (900, 200)
+    let perspective = perspectiveModel.createPerspective(2)
+    let origin = { x: 500, y: 400 }
+
+    // towards the right vanishing point
+    let point = perspectiveModel.snapPoint(perspective, origin, { x: 700, y: 290 }, SIZE)
+    assert.ok(Math.abs((point.y - origin.y) / (point.x - origin.x) - (200 - 400) / (900 - 500)) < 1e-9)
+
+    // vertical
+    point = perspectiveModel.snapPoint(perspective, origin, { x: 510, y: 100 }, SIZE)
+    assert.deepEqual(point, { x: 500, y: 100 })
+
+    // 1 point perspective has horizontal lines
+    point = perspectiveModel.snapPoint(perspectiveModel.createPerspective(1), origin, { x: 800, y: 410 }, SIZE)
+    assert.deepEqual(point, { x: 800, y: 400 })
+  })
+
+  it('draws rays from each vanishing point for the guide', () => {
+    let lines = perspectiveModel.getGuideLines(perspectiveModel.createPerspective(3), SIZE, 4)
+    // horizon, and 4 rays from each of 3 points
+    assert.equal(lines.length, 1 + 3 * 4)
+    assert.deepEqual(lines[0], [[0, 200], [1000, 200]])
+    assert.deepEqual(lines[1][0], [100, 200])
+  })
+})
@@ -0,0 +1,77 @@
+// npx mocha -R min test/models/render-queue.test.js
+
+const assert = require('assert')
+
+const renderQueueModel = require('../../src/js/models/render-queue')
+
+describe('models/render-queue', () => {
+  const createQueue = () => {
+    let queue = renderQueueModel.createQueue()
+    renderQueueModel.addJob(queue, { format: 'mp4', title: 'Scene 1', filePath: '/a/a.storyboarder' })
+    renderQueueModel.addJob(queue, { format: 'pdf', title: 'Scene 2', filePath: '/b/b.storyboarder' })
+    return queue
+  }
+
+  it('runs one job at a time', () => {
+    let queue = createQueue()
+    let [a, b] = queue.jobs
+
+    assert.throws(() => renderQueueModel.addJob(queue, { format: 'gif' }), /Unknown export format/)
+
+    assert.equal(renderQueueModel.getNextJob(queue), a)
+    renderQueueModel.startJob(queue, a.id)
+    assert.equal(renderQueueModel.getNextJob(queue), undefined)
+
+    renderQueueModel.setProgress(queue, a.id, 1.5)
+    assert.equal(a.progress, 1)
+
+    renderQueueModel.completeJob(queue, a.id, '/a/exports/a.mp4')
+    assert.equal(a.status, 'done')
+    assert.equal(a.outputPath, '/a/exports/a.mp4')
+    assert.equal(renderQueueModel.getNextJob(queue), b)
+  })
+
+  it('can cancel, retry and remove jobs', () => {
+    let queue = createQueue()
+    let [a, b] = queue.jobs
+
+    renderQueueModel.startJob(queue, a.id)
+    renderQueueModel.failJob(queue, a.id, 'Missing image')
+    assert.equal(a.status, 'failed')
+    assert.equal(a.error, 'Missing image')
+
+    renderQueueModel.cancelJob(queue, b.id)
+    assert.equal(b.status, 'cancelled')
+
+    // finished jobs can't be cancelled
+    renderQueueModel.cancelJob(queue, a.id)
+    assert.equal(a.status, 'failed')
+
+    renderQueueModel.retryJob(queue, a.id)
+    assert.equal(a.status, 'queued')
+    assert.equal(a.error, undefined)
+
+    // running jobs can't be removed
+    renderQueueModel.startJob(queue, a.id)
+    renderQueueModel.removeJob(queue, a.id)
+    assert.equal(queue.jobs.length, 2)
+
+    renderQueueModel.clearFinished(queue)
+    assert.deepEqual(queue.jobs, [a])
+  })
+
+  it('queues interrupted jobs again after a restart', () => {
+    let queue = createQueue()
+    let [a] = queue.jobs
+    renderQueueModel.startJob(queue, a.id)
+    renderQueueModel.setProgress(queue, a.id, 0.5)
+
+    let restored = renderQueueModel.restoreQueue(JSON.parse(JSON.stringify(queue)))
+    assert.equal(restored.jobs.length, 2)
+    assert.equal(restored.jobs[0].status, 'queued')
+    assert.equal(restored.jobs[0].progress, 0)
+    assert.equal(renderQueueModel.getNextJob(restored).id, a.id)
+
+    assert.deepEqual(renderQueueModel.restoreQueue({ jobs: 'nope' }), renderQueueModel.createQueue())
+  })
+})
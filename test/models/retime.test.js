@@ -0,0 +1,51 @@
+// npx mocha -R min test/models/retime.test.js
+
+const assert = require('assert')
+
+const retimeModel = require('../../src/js/models/retime')
+const sceneModel = require('../../src/js/models/scene')
+
+const getScene = () => ({
+  defaultBoardTiming: 2000,
+  boards: [
+    { uid: 'A', time: 0, dialogue: 'JOE: One two three four.' },
+    { uid: 'B', time: 2000, duration: 1000, audio: { filename: 'b.wav', duration: 4000, inPoint: 500, offset: 250 } },
+    { uid: 'C', time: 3000, duration: 500 }
+  ]
+})
+
+describe('models/retime', () => {
+  it('times boards from their audio', () => {
+    let scene = getScene()
+    let changes = retimeModel.getChanges(scene, { method: 'audio' })
+    assert.deepEqual(changes, [{ index: 1, from: 1000, to: 3750 }])
+
+    retimeModel.applyChanges(scene, changes)
+    assert.equal(scene.boards[1].duration, 3750)
+    assert.equal(scene.boards[2].duration, 500)
+  })
+
+  it('times boards from their dialogue', () => {
+    let scene = getScene()
+
+    // 4 words at 120 wpm, without the name of the character
+    let changes = retimeModel.getChanges(scene, { method: 'words', wordsPerMinute: '120' })
+    assert.deepEqual(changes, [{ index: 0, from: 2000, to: 2000 + retimeModel.DIALOGUE_PADDING }])
+
+    changes = retimeModel.getChanges(scene, { method: 'speech', speechDurations: { A: 1200 } })
+    assert.deepEqual(changes, [{ index: 0, from: 2000, to: 1200 + retimeModel.DIALOGUE_PADDING }])
+
+    assert.equal(retimeModel.getWordsPerMinute(''), retimeModel.DEFAULT_WORDS_PER_MINUTE)
+    assert.throws(() => retimeModel.getChanges(scene, { method: 'guess' }), /Unknown retime method/)
+  })
+
+  it('previews the length of the scene', () => {
+    let scene = getScene()
+    // board B's audio runs past the end of the scene
+    assert.equal(retimeModel.getSceneDuration(scene), sceneModel.sceneDuration(scene))
+    assert.equal(retimeModel.getSceneDuration(scene), 2000 + 3750)
+
+    let changes = retimeModel.getChanges(scene, { method: 'audio' })
+    assert.equal(retimeModel.getSceneDuration(scene, changes), 2000 + 3750 + 500)
+  })
+})
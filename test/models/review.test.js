@@ -0,0 +1,59 @@
+// npx mocha -R min test/models/review.test.js
+
+const assert = require('assert')
+
+const reviewModel = require('../../src/js/models/review')
+
+describe('models/review', () => {
+  it('defaults to a draft without comments', () => {
+    let board = { uid: 'A' }
+    assert.equal(reviewModel.getStatus(board), 'draft')
+    assert.deepEqual(reviewModel.getComments(board), [])
+    assert.equal(reviewModel.hasReview(board), false)
+  })
+
+  it('can set the status', () => {
+    let board = { uid: 'A' }
+    reviewModel.setStatus(board, 'approved')
+    assert.equal(reviewModel.getStatus(board), 'approved')
+    assert.throws(() => reviewModel.setStatus(board, 'done'), /Unknown review status/)
+  })
+
+  it('can add comments, replies, and remove them', () => {
+    let board = { uid: 'A' }
+
+    let pinned = reviewModel.addComment(board, { author: 'ana', text: 'Move the door', point: { x: 0.25, y: 0.5 }, now: 1000 })
+    let other = reviewModel.addComment(board, { author: 'ben', text: 'Looks good', now: 2000 })
+    let reply = reviewModel.addReply(board, pinned.id, { author: 'ben', text: 'Done', now: 3000 })
+
+    assert.deepEqual(pinned.point, { x: 0.25, y: 0.5 })
+    assert.equal(other.point, undefined)
+    assert.equal(reviewModel.getCommentCount(board), 3)
+    assert.equal(
+      reviewModel.formatComments(board),
+      '1. ana: Move the door\n   ben: Done\n2. ben: Looks good'
+    )
+
+    reviewModel.removeComment(board, reply.id)
+    assert.equal(reviewModel.getCommentCount(board), 2)
+
+    reviewModel.removeComment(board, pinned.id)
+    assert.deepEqual(reviewModel.getComments(board).map(comment => comment.id), [other.id])
+  })
+
+  it('can filter boards by status', () => {
+    let boards = [{ uid: 'A' }, { uid: 'B' }, { uid: 'C' }]
+    reviewModel.setStatus(boards[1], 'needs-changes')
+    reviewModel.setStatus(boards[2], 'approved')
+
+    assert.deepEqual(
+      reviewModel.filterBoardsByStatus(boards, ['draft', 'needs-changes']).map(board => board.uid),
+      ['A', 'B']
+    )
+    // no filter
+    assert.equal(reviewModel.filterBoardsByStatus(boards).length, 3)
+    // nothing chosen
+    assert.equal(reviewModel.filterBoardsByStatus(boards, []).length, 0)
+    assert.equal(reviewModel.matchesStatus(boards[0], []), false)
+  })
+})
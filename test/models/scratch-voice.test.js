@@ -0,0 +1,54 @@
+// npx mocha -R min test/models/scratch-voice.test.js
+
+const assert = require('assert')
+
+const scratchVoiceModel = require('../../src/js/models/scratch-voice')
+
+const getScene = () => ({
+  boards: [
+    { uid: 'A', dialogue: 'joe (V.O.): Where are we?' },
+    { uid: 'B', dialogue: 'ANNA: Nowhere.', audio: { filename: 'B-audio-1.wav', duration: 1000 } },
+    { uid: 'C', dialogue: 'Nobody answers.' },
+    { uid: 'D' }
+  ]
+})
+
+describe('models/scratch-voice', () => {
+  it('finds the characters', () => {
+    assert.equal(scratchVoiceModel.getCharacter('JOE (V.O.): Hello.'), 'JOE')
+    assert.equal(scratchVoiceModel.getCharacter('Hello.'), undefined)
+    assert.deepEqual(scratchVoiceModel.getCharacters(getScene()), ['ANNA', 'JOE'])
+  })
+
+  it('uses the characters of the script, if there is one', () => {
+    let scriptCharacters = [['JOE', 12], ['MAYA (CONT\'D)', 3], ['ANNA', 2]]
+    assert.deepEqual(scratchVoiceModel.getCharacters(getScene(), scriptCharacters), ['ANNA', 'JOE', 'MAYA'])
+    assert.deepEqual(scratchVoiceModel.getCharacters(getScene(), []), ['ANNA', 'JOE'])
+  })
+
+  it('renders dialogue without other audio, in the voice of the character', () => {
+    let scene = getScene()
+    let { tasks, skipped } = scratchVoiceModel.getTasks(scene, { JOE: 'Alex' })
+    assert.deepEqual(tasks, [
+      { index: 0, character: 'JOE', voice: 'Alex', text: 'Where are we?' },
+      { index: 2, character: undefined, voice: undefined, text: 'Nobody answers.' }
+    ])
+    assert.equal(skipped, 1)
+  })
+
+  it('renders again only when the dialogue or voice changes', () => {
+    let scene = getScene()
+    for (let task of scratchVoiceModel.getTasks(scene, {}).tasks) {
+      let board = scene.boards[task.index]
+      scratchVoiceModel.setScratchAudio(board, scratchVoiceModel.getFilename(board, 1), task)
+    }
+    assert.equal(scene.boards[0].audio.filename, 'A-scratch-voice-1.wav')
+    assert.deepEqual(scratchVoiceModel.getTasks(scene, {}).tasks, [])
+
+    scene.boards[2].dialogue = 'Somebody answers.'
+    assert.deepEqual(
+      scratchVoiceModel.getTasks(scene, { JOE: 'Alex' }).tasks.map(task => task.index),
+      [0, 2]
+    )
+  })
+})
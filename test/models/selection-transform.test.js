@@ -0,0 +1,74 @@
+// npx mocha -R min test/models/selection-transform.test.js
+
+const assert = require('assert')
+
+const transformModel = require('../../src/js/models/selection-transform')
+
+const round = corners => corners.map(({ x, y }) => ({ x: Math.round(x * 1000) / 1000 + 0, y: Math.round(y * 1000) / 1000 + 0 }))
+
+describe('models/selection-transform', () => {
+  it('moves the corners with handles', () => {
+    let transform = transformModel.createTransform({ x: 10, y: 10, width: 20, height: 10 })
+    assert.ok(transformModel.isIdentity(transform))
+    assert.equal(transformModel.getHandles(transform).length, 8)
+    assert.ok(transformModel.contains(transform, { x: 15, y: 15 }))
+    assert.ok(!transformModel.contains(transform, { x: 5, y: 15 }))
+
+    // bottom right corner, keeping the top left
+    let scaled = transformModel.scale(transform, { type: 'corner', index: 2 }, { x: 50, y: 40 })
+    assert.deepEqual(round(scaled.corners), [{ x: 10, y: 10 }, { x: 50, y: 10 }, { x: 50, y: 40 }, { x: 10, y: 40 }])
+
+    scaled = transformModel.scale(transform, { type: 'corner', index: 2 }, { x: 50, y: 20 }, { uniform: true })
+    assert.deepEqual(round(scaled.corners)[2], { x: 40, y: 25 })
+
+    // right edge
+    scaled = transformModel.scale(transform, { type: 'edge', index: 1 }, { x: 40, y: 100 })
+    assert.deepEqual(round(scaled.corners), [{ x: 10, y: 10 }, { x: 40, y: 10 }, { x: 40, y: 20 }, { x: 10, y: 20 }])
+
+    // top edge, along itself
+    let skewed = transformModel.skew(transform, 0, { x: 25, y: 0 })
+    assert.deepEqual(round(skewed.corners), [{ x: 15, y: 10 }, { x: 35, y: 10 }, { x: 30, y: 20 }, { x: 10, y: 20 }])
+
+    let rotated = transformModel.rotate(transform, Math.PI / 2)
+    assert.deepEqual(round(rotated.corners), [{ x: 25, y: 5 }, { x: 25, y: 25 }, { x: 15, y: 25 }, { x: 15, y: 5 }])
+
+    let flipped = transformModel.flip(transform, 'horizontal')
+    assert.deepEqual(flipped.corners[0], transform.corners[1])
+    assert.ok(transformModel.isIdentity(transformModel.flip(flipped, 'horizontal')))
+
+    let distorted = transformModel.distort(transform, 3, { x: 0, y: 30 })
+    assert.deepEqual(distorted.corners[3], { x: 0, y: 30 })
+    assert.deepEqual(distorted.corners.slice(0, 3), transform.corners.slice(0, 3))
+  })
+
+  it('projects the source rectangle to the corners', () => {
+    let transform = transformModel.distort(
+      transformModel.createTransform({ x: 0, y: 0, width: 100, height: 100 }),
+      2,
+      { x: 150, y: 120 }
+    )
+    let projection = transformModel.getProjection(transform)
+    for (let [n, point] of [[0, 0], [100, 0], [100, 100], [0, 100]].entries()) {
+      let { x, y } = transformModel.project(projection, ...point)
+      assert.ok(Math.abs(x - transform.corners[n].x) < 1e-6)
+      assert.ok(Math.abs(y - transform.corners[n].y) < 1e-6)
+    }
+  })
+
+  it('warps pixels', () => {
+    // red, green
+    let image = { width: 2, height: 1, data: new Uint8ClampedArray([255, 0, 0, 255, 0, 255, 0, 255]) }
+    let transform = transformModel.createTransform({ x: 4, y: 2, width: 2, height: 1 })
+
+    let result = transformModel.warp(image, transformModel.flip(transform, 'horizontal'), 10, 10)
+    assert.deepEqual([result.x, result.y, result.width, result.height], [4, 2, 2, 1])
+    assert.deepEqual([...result.data], [0, 255, 0, 255, 255, 0, 0, 255])
+
+    result = transformModel.warp(image, transformModel.translate(transform, 2, 1), 10, 10)
+    assert.deepEqual([result.x, result.y], [6, 3])
+    assert.deepEqual([...result.data], [...image.data])
+
+    // outside
+    assert.equal(transformModel.warp(image, transformModel.translate(transform, 20, 0), 10, 10), null)
+  })
+})
@@ -9,6 +9,7 @@ const assert = require('assert')
 const {
   getCameraSetups,
   getShotListForScene,
+  getShotListForScriptData,
   getShotListForProject
 } = require('../../src/js/models/shot-list')
 
@@ -59,4 +60,20 @@ describe('shot-list', () => {
       )
     )
   })
+
+  it('finds scenes which were renumbered or renamed', () => {
+    const storyboardsPath = path.join(fixturesPath, 'projects', 'multi-scene', 'storyboards')
+    const scriptData = [
+      { type: 'scene', scene_number: 4, scene_id: '4-ZX3ZM', slugline: 'EXT. SOMEWHERE ELSE - NIGHT' },
+      { type: 'scene', scene_number: 5, scene_id: '5-MISSING', slugline: 'INT. NOT BOARDED - DAY' }
+    ]
+
+    const { scenes } = getShotListForScriptData(scriptData, storyboardsPath)
+    assert.equal(scenes.length, 1)
+    assert.equal(scenes[0].number, 4)
+    assert.equal(
+      scenes[0].storyboarderFilePath,
+      path.join(storyboardsPath, 'Scene-1-EXT-A-PLACE-DAY-1-ZX3ZM', 'Scene-1-EXT-A-PLACE-DAY-1-ZX3ZM.storyboarder')
+    )
+  })
 })
@@ -0,0 +1,25 @@
+// npx mocha -R min test/models/text-diff.test.js
+
+const assert = require('assert')
+
+const textDiff = require('../../src/js/models/text-diff')
+
+describe('models/text-diff', () => {
+  it('finds the words added and removed', () => {
+    let parts = textDiff.diff('close on the door\nslow push in', 'close on the window\nslow push in')
+    assert.deepEqual(parts, [
+      { type: 'same', text: 'close on the ' },
+      { type: 'removed', text: 'door' },
+      { type: 'added', text: 'window' },
+      { type: 'same', text: '\nslow push in' }
+    ])
+    assert.equal(textDiff.getSide(parts, 'a'), 'close on the door\nslow push in')
+    assert.equal(textDiff.getSide(parts, 'b'), 'close on the window\nslow push in')
+  })
+
+  it('handles empty texts', () => {
+    assert.deepEqual(textDiff.diff('', ''), [])
+    assert.deepEqual(textDiff.diff('', 'Hi!'), [{ type: 'added', text: 'Hi!' }])
+    assert.deepEqual(textDiff.diff('Hi!', ''), [{ type: 'removed', text: 'Hi!' }])
+  })
+})
@@ -0,0 +1,56 @@
+// npx mocha -R min test/models/transition.test.js
+
+const assert = require('assert')
+
+const transitionModel = require('../../src/js/models/transition')
+
+describe('models/transition', () => {
+  const createScene = () => ({
+    defaultBoardTiming: 2000,
+    boards: [
+      { uid: 'A', time: 0 },
+      { uid: 'B', time: 2000, duration: 1000 },
+      { uid: 'C', time: 3000 }
+    ]
+  })
+
+  it('can set and clear a transition', () => {
+    let board = { uid: 'A' }
+    assert.equal(transitionModel.hasTransition(board), false)
+
+    transitionModel.setTransition(board, { type: 'dissolve' })
+    assert.deepEqual(board.transition, { type: 'dissolve', duration: transitionModel.DEFAULT_DURATION })
+
+    assert.throws(() => transitionModel.setTransition(board, { type: 'iris' }), /Unknown transition type/)
+
+    transitionModel.clearTransition(board)
+    assert.equal(transitionModel.hasTransition(board), false)
+  })
+
+  it('plays over the end of the board', () => {
+    let scene = createScene()
+    transitionModel.setTransition(scene.boards[0], { type: 'wipe', duration: 500 })
+    // longer than the board
+    transitionModel.setTransition(scene.boards[1], { type: 'dissolve', duration: 5000 })
+
+    assert.deepEqual(transitionModel.getTransition(scene, 0), { type: 'wipe', duration: 500, start: 1500, end: 2000 })
+    assert.deepEqual(transitionModel.getTransition(scene, 1), { type: 'dissolve', duration: 1000, start: 2000, end: 3000 })
+    assert.equal(transitionModel.getTransition(scene, 2), undefined)
+
+    let transition = transitionModel.getTransition(scene, 0)
+    assert.equal(transitionModel.getProgress(transition, 1000), undefined)
+    assert.equal(transitionModel.getProgress(transition, 1750), 0.5)
+    assert.equal(transitionModel.getProgress(transition, 2000), undefined)
+  })
+
+  it('only fades the last board to black', () => {
+    let scene = createScene()
+    transitionModel.setTransition(scene.boards[2], { type: 'dissolve' })
+    assert.deepEqual(transitionModel.getTransitions(scene), [])
+
+    transitionModel.setTransition(scene.boards[2], { type: 'fade-to-black', duration: 1000 })
+    assert.deepEqual(transitionModel.getTransitions(scene), [
+      { index: 2, type: 'fade-to-black', duration: 1000, start: 4000, end: 5000 }
+    ])
+  })
+})
@@ -0,0 +1,79 @@
+// npx mocha -R min test/models/user-layers.test.js
+
+const assert = require('assert')
+
+const userLayersModel = require('../../src/js/models/user-layers')
+const boardModel = require('../../src/js/models/board')
+
+const createBoard = () => ({
+  uid: 'ABCDE',
+  url: 'board-1-ABCDE.png',
+  layers: {
+    fill: { url: 'board-1-ABCDE-fill.png' },
+    notes: { url: 'board-1-ABCDE-notes.png' }
+  }
+})
+
+describe('models/user-layers', () => {
+  it('adds, changes, orders and removes layers', () => {
+    let board = createBoard()
+    let a = userLayersModel.addUserLayer(board)
+    let b = userLayersModel.addUserLayer(board, { blendMode: 'multiply' })
+    assert.equal(a.name, 'Layer 1')
+    assert.equal(b.name, 'Layer 2')
+    assert.ok(userLayersModel.isUserLayerName(a.id))
+    assert.deepEqual(
+      { ...b, id: undefined },
+      { id: undefined, name: 'Layer 2', visible: true, locked: false, opacity: 1, blendMode: 'multiply' }
+    )
+
+    userLayersModel.setUserLayer(board, a.id, { opacity: 2, blendMode: 'unknown', locked: true })
+    assert.equal(userLayersModel.getUserLayer(board, a.id).opacity, 1)
+    assert.equal(userLayersModel.getUserLayer(board, a.id).blendMode, 'normal')
+    assert.equal(userLayersModel.getUserLayer(board, a.id).locked, true)
+
+    userLayersModel.moveUserLayer(board, a.id, 1)
+    assert.deepEqual(board.userLayers.map(layer => layer.id), [b.id, a.id])
+    userLayersModel.moveUserLayer(board, a.id, 1)
+    assert.deepEqual(board.userLayers.map(layer => layer.id), [b.id, a.id])
+
+    board.layers[a.id] = { url: boardModel.boardFilenameForLayer(board, a.id) }
+    userLayersModel.removeUserLayer(board, a.id)
+    assert.equal(board.layers[a.id], undefined)
+    userLayersModel.removeUserLayer(board, b.id)
+    assert.equal(board.userLayers, undefined)
+  })
+
+  it('orders layer files between the ink and notes layers', () => {
+    let board = createBoard()
+    let layer = userLayersModel.addUserLayer(board, { visible: false })
+    board.layers[layer.id] = { url: boardModel.boardFilenameForLayer(board, layer.id) }
+
+    let { indices, filenames, userLayers } = boardModel.boardOrderedLayerFilenames(board)
+    assert.deepEqual(indices, [2, null, 7])
+    assert.equal(filenames[1], `board-1-ABCDE-${layer.id}.png`)
+    assert.equal(userLayers[0], undefined)
+    assert.equal(userLayers[1].visible, false)
+
+    // renamed with the other layers
+    boardModel.updateUrlsFromIndex(board, 1)
+    assert.equal(board.layers[layer.id].url, `board-2-ABCDE-${layer.id}.png`)
+  })
+
+  it('round-trips layer properties through a PSD', () => {
+    let board = createBoard()
+    let layer = userLayersModel.addUserLayer(board, { name: 'Shadows', opacity: 0.5, visible: false, blendMode: 'add', locked: true })
+
+    let psdLayer = userLayersModel.toPsdLayer(layer)
+    assert.deepEqual(psdLayer, { opacity: 0.5, hidden: true, blendMode: 'linear dodge' })
+
+    // keeps the id and lock of the layer with the same name
+    let imported = userLayersModel.fromPsdLayer(board.userLayers, { name: 'Shadows', ...psdLayer })
+    assert.deepEqual(imported, layer)
+
+    imported = userLayersModel.fromPsdLayer(board.userLayers, { name: 'New', opacity: 1, hidden: false, blendMode: 'overlay' })
+    assert.notEqual(imported.id, layer.id)
+    assert.equal(imported.blendMode, 'normal')
+    assert.equal(imported.locked, false)
+  })
+})
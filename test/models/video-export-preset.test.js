@@ -0,0 +1,45 @@
+// npx mocha -R min test/models/video-export-preset.test.js
+
+const assert = require('assert')
+
+const videoExportPresetModel = require('../../src/js/models/video-export-preset')
+
+describe('models/video-export-preset', () => {
+  it('fills in missing or unknown settings with the default', () => {
+    assert.deepEqual(
+      videoExportPresetModel.getPreset({}),
+      videoExportPresetModel.createPreset()
+    )
+
+    let preset = videoExportPresetModel.getPreset({
+      videoExportPreset: { format: 'gif', height: 1080, fps: '25', burnIn: { watermark: true } }
+    })
+    assert.equal(preset.format, 'h264')
+    assert.equal(preset.height, 1080)
+    assert.equal(preset.fps, 25)
+    assert.equal(preset.burnIn.watermark, true)
+    assert.deepEqual(preset.burnIn.watermarkText, { text: '', position: 'top-center' })
+  })
+
+  it('can find the built-in preset', () => {
+    let preset = videoExportPresetModel.createPreset('editorial-prores')
+    assert.equal(videoExportPresetModel.findPresetName(preset), 'editorial-prores')
+
+    preset.fps = 24
+    assert.equal(videoExportPresetModel.findPresetName(preset), undefined)
+
+    // built-in presets are copied
+    preset.burnIn.watermark = true
+    assert.equal(videoExportPresetModel.PRESETS['editorial-prores'].burnIn.watermark, false)
+  })
+
+  it('uses the frame rate of the scene unless it is overridden', () => {
+    let scene = { fps: 24 }
+    let preset = videoExportPresetModel.createPreset('compositing-png')
+    assert.equal(videoExportPresetModel.getFps(preset, scene), 24)
+    assert.equal(videoExportPresetModel.getFormat(preset).sequence, true)
+
+    preset.fps = 29.97
+    assert.equal(videoExportPresetModel.getFps(preset, scene), 29.97)
+  })
+})
@@ -0,0 +1,32 @@
+// npx mocha -R min test/models/watermark.test.js
+
+const assert = require('assert')
+
+const watermarkModel = require('../../src/js/models/watermark')
+
+describe('models/watermark', () => {
+  it('fills in missing or unknown watermark text settings', () => {
+    assert.deepEqual(watermarkModel.getWatermarkText(), { text: '', position: 'top-center' })
+    assert.deepEqual(
+      watermarkModel.getWatermarkText({ text: 'DRAFT', position: 'middle' }),
+      { text: 'DRAFT', position: 'top-center' }
+    )
+
+    assert.equal(watermarkModel.hasWatermarkText({ text: '  ' }), false)
+    assert.equal(watermarkModel.hasWatermarkText({ text: 'DRAFT', position: 'bottom-left' }), true)
+  })
+
+  it('lays out the image and the text in the frame', () => {
+    let { image, text } = watermarkModel.getLayout([1600, 1000], { imageSize: [900, 450], position: 'bottom-left' })
+    // scaled down, in the bottom right corner
+    assert.deepEqual(image, { x: 1150, y: 775, width: 450, height: 225 })
+    assert.deepEqual(text, { x: 30, y: 920, align: 'left', fontSize: 50 })
+
+    // never scaled up
+    let layout = watermarkModel.getLayout([1600, 1000], { imageSize: [200, 100], position: 'top-center' })
+    assert.deepEqual(layout.image, { x: 1400, y: 900, width: 200, height: 100 })
+    assert.deepEqual(layout.text, { x: 800, y: 30, align: 'center', fontSize: 50 })
+
+    assert.equal(watermarkModel.getLayout([1600, 1000], { position: 'top-right' }).image, undefined)
+  })
+})
@@ -0,0 +1,113 @@
+// npx mocha -R min test/undo-journal.test.js
+
+const fs = require('fs-extra')
+const path = require('path')
+const assert = require('assert')
+const tmp = require('tmp')
+
+const undoJournal = require('../src/js/undo-journal')
+
+describe('undo-journal', () => {
+  let tmpFolder
+  let projectFilePath
+
+  const imageState = (boardIndex, value) => ({
+    type: 'image',
+    sceneId: null,
+    boardIndex,
+    layers: [{ index: 1, source: { index: 1, pixels: new Uint8Array(64).fill(value), premultiplied: true } }]
+  })
+
+  const sceneState = boards => ({
+    type: 'scene',
+    sceneId: null,
+    sceneData: { boards }
+  })
+
+  const statesFolder = () => path.join(tmpFolder.name, undoJournal.JOURNAL_FOLDER_NAME, 'states')
+
+  beforeEach(() => {
+    tmpFolder = tmp.dirSync({ unsafeCleanup: true })
+    projectFilePath = path.join(tmpFolder.name, 'example.storyboarder')
+  })
+
+  afterEach(() => {
+    tmpFolder.removeCallback()
+  })
+
+  it('has nothing to load for a new project', () => {
+    assert.equal(undoJournal.createJournal(projectFilePath).load(), undefined)
+  })
+
+  it('can write states and read them back in a new session', async () => {
+    let journal = undoJournal.createJournal(projectFilePath)
+    let a = journal.add(sceneState([{ url: 'board-1-A.png' }]))
+    let b = journal.add(imageState(0, 7))
+    journal.save({ past: [a], present: b, future: [] })
+    await journal.flush()
+
+    let next = undoJournal.createJournal(projectFilePath)
+    let { past, present, future } = next.load()
+
+    assert.equal(past.length, 1)
+    assert.equal(future.length, 0)
+    assert.equal(undoJournal.isHydrated(present), false)
+
+    let image = next.hydrate(present)
+    assert.equal(image.boardIndex, 0)
+    assert.equal(image.layers[0].source.pixels[0], 7)
+    assert.equal(image.layers[0].source.pixels.length, 64)
+    assert.equal(image.layers[0].source.premultiplied, true)
+
+    let scene = next.hydrate(past[0])
+    assert.deepEqual(scene.sceneData, { boards: [{ url: 'board-1-A.png' }] })
+  })
+
+  it('keeps the id of a user layer', async () => {
+    let journal = undoJournal.createJournal(projectFilePath)
+    let state = imageState(0, 5)
+    state.layers[0].userLayerId = 'user-layer-A'
+    let a = journal.add(state)
+    journal.save({ past: [], present: a, future: [] })
+    await journal.flush()
+
+    let next = undoJournal.createJournal(projectFilePath)
+    let { present } = next.load()
+    assert.equal(present.layers[0].userLayerId, 'user-layer-A')
+    assert.equal(next.hydrate(present).layers[0].userLayerId, 'user-layer-A')
+  })
+
+  it('removes the files of states which are no longer used', async () => {
+    let journal = undoJournal.createJournal(projectFilePath)
+    let a = journal.add(imageState(0, 1))
+    let b = journal.add(imageState(0, 2))
+    journal.save({ past: [a], present: b, future: [] })
+    await journal.flush()
+    assert.equal(fs.readdirSync(statesFolder()).length, 2)
+
+    let c = journal.add(imageState(0, 3))
+    journal.save({ past: [b], present: c, future: [] })
+    await journal.flush()
+    assert.deepEqual(fs.readdirSync(statesFolder()).sort(), [`${b.id}-1.gz`, `${c.id}-1.gz`].sort())
+  })
+
+  it('only evicts states which have been written', async () => {
+    let journal = undoJournal.createJournal(projectFilePath)
+    let a = journal.add(imageState(0, 1))
+    assert.equal(journal.evict(a), a)
+
+    await journal.flush()
+    assert.equal(undoJournal.isHydrated(journal.evict(a)), false)
+  })
+
+  it('can write everything right away', () => {
+    let journal = undoJournal.createJournal(projectFilePath)
+    let a = journal.add(imageState(2, 9))
+    journal.save({ past: [], present: a, future: [] })
+    journal.flushSync()
+
+    let next = undoJournal.createJournal(projectFilePath)
+    let { present } = next.load()
+    assert.equal(next.hydrate(present).layers[0].source.pixels[0], 9)
+  })
+})
@@ -1,4 +1,5 @@
 const Guides = require('../../../src/js/window/guides')
+const perspectiveModel = require('../../../src/js/models/perspective')
 
 const wrapperEl = document.querySelector('.wrapper')
 
@@ -26,10 +27,6 @@ const render = () => {
   guides = new Guides({
     width: canvas.width,
     height: canvas.height,
-    perspectiveGridFn: () => {
-      // NOOP for testing only
-      return document.createElement('canvas')
-    },
     onRender: guidesCanvas => {
       let context = canvas.getContext('2d')
       context.clearRect(0, 0, width, height)
@@ -38,6 +35,7 @@ const render = () => {
     }
   })
   guides.setState(state)
+  guides.setPerspective(perspectiveModel.createPerspective(3))
 }
 window.addEventListener('resize', render)
 render()